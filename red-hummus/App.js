@@ -1,11 +1,19 @@
 // App.js
 
-import React from "react";
+import React, { useEffect } from "react";
 import { NavigationContainer } from "@react-navigation/native";
 import AppNavigator from "./src/navigation/AppNavigator";
 import { AuthProvider } from "./src/context/AuthContext";
+import { startSyncQueue } from "./src/services/syncQueue";
+import { startCourseRepository } from "./src/services/courseRepository";
 
 export default function App() {
+  // Replay any round data recorded while offline
+  useEffect(() => startSyncQueue(), []);
+
+  // Keep favourite courses cached for rounds without signal
+  useEffect(() => startCourseRepository(), []);
+
   return (
     <AuthProvider>
       <NavigationContainer>
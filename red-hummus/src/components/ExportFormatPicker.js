@@ -0,0 +1,105 @@
+// src/components/ExportFormatPicker.js
+
+import React from "react";
+import { View, Text, TouchableOpacity, Modal, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import theme from "../ui/theme";
+import { EXPORT_FORMATS } from "../utils/roundExport";
+
+// Icon and short description for each format
+const FORMAT_DETAILS = {
+  csv: { icon: "grid-outline", description: "One row per shot, for spreadsheets" },
+  json: { icon: "code-slash-outline", description: "Full round data for other apps" },
+  pdf: { icon: "document-text-outline", description: "Printable scorecard" }
+};
+
+/**
+ * ExportFormatPicker Component - Choose a file format for an export
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the picker is shown
+ * @param {string} props.title - Heading, e.g. "Export Round"
+ * @param {Function} props.onSelect - Called with the chosen format key
+ * @param {Function} props.onClose - Called when the picker is dismissed
+ */
+export default function ExportFormatPicker({ visible, title = "Export", onSelect, onClose }) {
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} />
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+
+          {EXPORT_FORMATS.map(format => (
+            <TouchableOpacity
+              key={format.key}
+              style={styles.option}
+              onPress={() => onSelect(format.key)}
+            >
+              <Ionicons name={FORMAT_DETAILS[format.key].icon} size={22} color={theme.colors.primary} />
+              <View style={styles.optionText}>
+                <Text style={styles.optionLabel}>{format.label}</Text>
+                <Text style={styles.optionDescription}>{FORMAT_DETAILS[format.key].description}</Text>
+              </View>
+            </TouchableOpacity>
+          ))}
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: "flex-end",
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: "rgba(0, 0, 0, 0.3)",
+  },
+  sheet: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#333",
+    marginBottom: 8,
+  },
+  option: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  optionText: {
+    marginLeft: 12,
+    flex: 1,
+  },
+  optionLabel: {
+    fontSize: 16,
+    color: "#333",
+  },
+  optionDescription: {
+    fontSize: 12,
+    color: "#666",
+  },
+  cancelButton: {
+    alignItems: "center",
+    paddingVertical: 12,
+    marginTop: 8,
+  },
+  cancelText: {
+    color: "#666",
+    fontSize: 16,
+  },
+});
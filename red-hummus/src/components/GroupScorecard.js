@@ -0,0 +1,147 @@
+// src/components/GroupScorecard.js
+
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import theme from "../ui/theme";
+import { sumParForHoles } from "../utils/holeRange";
+import { calculateRoundScore, formatScoreToPar, getHolePar } from "../utils/scoring";
+import { getPlayerShots, buildPlayerHoleRecords } from "../utils/groupRound";
+
+/**
+ * GroupScorecard Component - One column per player for a group round
+ *
+ * Each player is scored on the holes they played, so a partner who
+ * picked up on a hole is shown "-" and excluded from their score to par.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.players - Players in the round, scorer first ({ key, name })
+ * @param {Array<number>} props.holeNumbers - Holes in the round's range
+ * @param {Array<Object>} props.holeRecords - The round's shots table records
+ * @param {Array<Object>} props.courseHoles - The course's holes JSON (for par)
+ * @param {Object} props.playedTee - { name, category } of the tee played, for par
+ */
+export default function GroupScorecard({ players, holeNumbers, holeRecords, courseHoles, playedTee = null }) {
+  const frontNineHoles = holeNumbers.filter(holeNum => holeNum <= 9);
+  const backNineHoles = holeNumbers.filter(holeNum => holeNum > 9);
+
+  // Shots for a player on a hole (0 if not played)
+  const getShots = (playerKey, holeNum) => {
+    const record = holeRecords.find(hole => hole.hole_number === holeNum);
+    return getPlayerShots(record?.hole_data, playerKey).length;
+  };
+
+  // Total shots for a player over a set of holes
+  const sumShots = (playerKey, holeNums) => {
+    return holeNums.reduce((total, holeNum) => total + getShots(playerKey, holeNum), 0);
+  };
+
+  const renderTotalRow = (label, holeNums) => (
+    <View key={`total-${label}`} style={[styles.row, styles.totalRow]}>
+      <Text style={[styles.holeColumn, styles.totalText]}>{label}</Text>
+      <Text style={[styles.parColumn, styles.totalText]}>{sumParForHoles(courseHoles, holeNums, playedTee) || "-"}</Text>
+      {players.map(player => (
+        <Text key={player.key} style={[styles.playerColumn, styles.totalText]}>
+          {sumShots(player.key, holeNums) || "-"}
+        </Text>
+      ))}
+    </View>
+  );
+
+  const renderHoleRow = (holeNum) => {
+    const record = holeRecords.find(hole => hole.hole_number === holeNum) || { hole_number: holeNum };
+
+    return (
+      <View key={`hole-${holeNum}`} style={styles.row}>
+        <Text style={styles.holeColumn}>{holeNum}</Text>
+        <Text style={styles.parColumn}>{getHolePar(record, courseHoles, playedTee) || "-"}</Text>
+        {players.map(player => (
+          <Text key={player.key} style={styles.playerColumn}>
+            {getShots(player.key, holeNum) || "-"}
+          </Text>
+        ))}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header row with a column per player */}
+      <View style={[styles.row, styles.headerRow]}>
+        <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
+        <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
+        {players.map(player => (
+          <Text key={player.key} style={[styles.playerColumn, styles.headerText]} numberOfLines={1}>
+            {player.name}
+          </Text>
+        ))}
+      </View>
+
+      {frontNineHoles.map(renderHoleRow)}
+      {frontNineHoles.length > 0 && renderTotalRow("Out", frontNineHoles)}
+
+      {backNineHoles.map(renderHoleRow)}
+      {backNineHoles.length > 0 && renderTotalRow("In", backNineHoles)}
+
+      {renderTotalRow("Total", holeNumbers)}
+
+      {/* Score to par on the holes each player actually played */}
+      <View style={[styles.row, styles.totalRow]}>
+        <Text style={[styles.holeColumn, styles.totalText]}>+/-</Text>
+        <Text style={styles.parColumn}></Text>
+        {players.map(player => {
+          const playerScore = calculateRoundScore(buildPlayerHoleRecords(holeRecords, player.key), { courseHoles, playedTee });
+          return (
+            <Text key={player.key} style={[styles.playerColumn, styles.totalText, styles.toParText]}>
+              {formatScoreToPar(playerScore.scoreToPar)}
+            </Text>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#fff",
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: "row",
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  headerRow: {
+    backgroundColor: "#f5f5f5",
+    paddingVertical: 10,
+    borderBottomColor: "#e0e0e0",
+  },
+  totalRow: {
+    backgroundColor: "#f5f5f5",
+  },
+  holeColumn: {
+    width: 50,
+    textAlign: "center",
+    fontWeight: "500",
+  },
+  parColumn: {
+    width: 50,
+    textAlign: "center",
+  },
+  playerColumn: {
+    flex: 1,
+    textAlign: "center",
+    paddingHorizontal: 2,
+  },
+  headerText: {
+    fontWeight: "bold",
+    fontSize: 12,
+  },
+  totalText: {
+    fontWeight: "bold",
+  },
+  toParText: {
+    color: theme.colors.primary,
+  },
+});
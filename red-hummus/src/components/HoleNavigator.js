@@ -7,11 +7,21 @@ import theme from "../ui/theme";
 
 /**
  * HoleNavigator Component - Allows navigation between holes
+ * 
+ * When holeNumbers is given (e.g. a back nine or custom set of holes),
+ * navigation and the "x of y" label follow the holes in the round
+ * rather than assuming holes 1 to totalHoles.
+ * 
+ * An optional status line (e.g. the match play state) is shown under the hole.
  */
-export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18 }) {
+export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole, totalHoles = 18, holeNumbers = null, status = null, statusHighlight = false }) {
+  // Position of the current hole within the round
+  const position = holeNumbers ? holeNumbers.indexOf(currentHole) + 1 : currentHole;
+  const holeCount = holeNumbers ? holeNumbers.length : totalHoles;
+  
   // Determine if buttons should be disabled
-  const isPreviousDisabled = currentHole <= 1;
-  const isNextDisabled = currentHole >= totalHoles;
+  const isPreviousDisabled = position <= 1;
+  const isNextDisabled = position >= holeCount;
 
   return (
     <View style={styles.container}>
@@ -32,7 +42,14 @@ export default function HoleNavigator({ currentHole, onPreviousHole, onNextHole,
       <View style={styles.holeLabelContainer}>
         <Text style={styles.holeTitleText}>HOLE</Text>
         <Text style={styles.holeNumberText}>{currentHole}</Text>
-        <Text style={styles.holeTotalText}>of {totalHoles}</Text>
+        <Text style={styles.holeTotalText}>
+          {holeNumbers ? `${position} of ${holeCount}` : `of ${holeCount}`}
+        </Text>
+        {status && (
+          <Text style={[styles.statusText, statusHighlight && styles.statusHighlightText]} numberOfLines={1}>
+            {status}
+          </Text>
+        )}
       </View>
       
       {/* Next hole button */}
@@ -91,5 +108,14 @@ const styles = StyleSheet.create({
   holeTotalText: {
     fontSize: 12,
     color: "#666",
+  },
+  statusText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: theme.colors.primary,
+    marginTop: 2,
+  },
+  statusHighlightText: {
+    color: theme.colors.accent,
   }
 });
\ No newline at end of file
@@ -0,0 +1,115 @@
+// src/components/InProgressRoundCard.js
+//
+// This component displays a round that was started but not completed,
+// with actions to resume, finish early or delete it
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../ui/theme';
+import Typography from '../ui/components/Typography';
+import Button from '../ui/components/Button';
+import Card from '../ui/components/Card';
+
+/**
+ * InProgressRoundCard Component
+ *
+ * Shows course name, start date and hole progress for an incomplete round.
+ *
+ * @param {Object} props
+ * @param {Object} props.round - Round data object containing id, date, courseName, holesPlayed
+ * @param {Function} props.onResume - Called when the user wants to continue the round
+ * @param {Function} props.onAbandon - Called when the user wants to finish the round early
+ * @param {Function} props.onDelete - Called when the user wants to delete the round
+ * @param {boolean} props.busy - Whether an action is in progress for this round
+ */
+const InProgressRoundCard = ({ round, onResume, onAbandon, onDelete, busy = false }) => {
+  if (!round) return null;
+
+  const progressText = round.holesPlayed > 0
+    ? `${round.holesPlayed} ${round.holesPlayed === 1 ? 'hole' : 'holes'} played`
+    : 'Not started';
+
+  return (
+    <Card style={styles.card}>
+      {/* Course name and date row */}
+      <View style={styles.topRow}>
+        <Typography variant="body" weight="semibold" style={styles.courseName}>
+          {round.courseName}
+        </Typography>
+        <Typography variant="caption">
+          {new Date(round.date).toLocaleDateString()}
+        </Typography>
+      </View>
+
+      {/* Hole progress */}
+      <View style={styles.progressRow}>
+        <Ionicons name="flag-outline" size={14} color={theme.colors.secondary} />
+        <Typography variant="caption" style={styles.progressText}>
+          {progressText}
+        </Typography>
+      </View>
+
+      {/* Actions */}
+      <View style={styles.actionsRow}>
+        <Button
+          variant="primary"
+          size="small"
+          iconLeft="play-outline"
+          onPress={onResume}
+          disabled={busy}
+        >
+          Resume
+        </Button>
+        <Button
+          variant="outline"
+          size="small"
+          onPress={onAbandon}
+          disabled={busy}
+        >
+          Finish
+        </Button>
+        <Button
+          variant="text"
+          size="small"
+          iconLeft="trash-outline"
+          onPress={onDelete}
+          disabled={busy}
+        >
+          Delete
+        </Button>
+      </View>
+    </Card>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: theme.spacing.medium,
+  },
+  topRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  courseName: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  progressRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: theme.spacing.medium,
+  },
+  progressText: {
+    marginLeft: 4,
+  },
+  actionsRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+});
+
+export default InProgressRoundCard;
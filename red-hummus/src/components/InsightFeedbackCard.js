@@ -0,0 +1,124 @@
+// src/components/InsightFeedbackCard.js
+
+import React from "react";
+import { View, TextInput, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import { MIN_RATING, MAX_RATING } from "../utils/insightFeedback";
+
+/**
+ * InsightFeedbackCard Component
+ *
+ * Collects a 1-5 helpfulness rating and an optional comment on the latest
+ * insights. Thumbs up/down on each section are given on the sections
+ * themselves and saved along with this card. Once feedback has been saved
+ * the card shows when, and submitting again updates it.
+ *
+ * @param {object} props
+ * @param {object} props.draft - Unsaved feedback as { rating, reactions, comment }
+ * @param {object|null} props.savedFeedback - Feedback already saved for these insights
+ * @param {function} props.onChange - Called with the updated draft
+ * @param {function} props.onSubmit - Function to call to save the draft
+ * @param {boolean} props.submitting - Whether the feedback is being saved
+ * @param {boolean} props.canSubmit - Whether the draft has anything to save
+ */
+const InsightFeedbackCard = ({ draft, savedFeedback, onChange, onSubmit, submitting = false, canSubmit = true }) => {
+  const ratings = [];
+  for (let rating = MIN_RATING; rating <= MAX_RATING; rating++) {
+    ratings.push(rating);
+  }
+
+  const reactionCount = Object.keys(draft.reactions || {}).length;
+
+  return (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">How helpful was this?</Typography>
+
+      {/* Helpfulness rating */}
+      <View style={styles.ratingRow}>
+        {ratings.map(rating => (
+          <TouchableOpacity
+            key={rating}
+            onPress={() => onChange({ ...draft, rating: draft.rating === rating ? null : rating })}
+            style={styles.ratingButton}
+            accessibilityLabel={`Rate ${rating} out of ${MAX_RATING}`}
+          >
+            <Ionicons
+              name={draft.rating >= rating ? "star" : "star-outline"}
+              size={30}
+              color={draft.rating >= rating ? "#ffc107" : theme.colors.border}
+            />
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Typography variant="caption" style={styles.hint}>
+        {reactionCount > 0
+          ? `${reactionCount} section${reactionCount === 1 ? "" : "s"} rated with thumbs up or down`
+          : "Use the thumbs on each section to tell us what was useful."}
+      </Typography>
+
+      {/* Optional comment */}
+      <TextInput
+        style={styles.commentInput}
+        value={draft.comment || ""}
+        onChangeText={comment => onChange({ ...draft, comment })}
+        placeholder="Anything else? (optional)"
+        multiline
+      />
+
+      <Button
+        variant={savedFeedback ? "outline" : "primary"}
+        onPress={onSubmit}
+        loading={submitting}
+        disabled={!canSubmit}
+      >
+        {savedFeedback ? "Update Feedback" : "Send Feedback"}
+      </Button>
+
+      {savedFeedback?.updatedAt && (
+        <Typography variant="caption" align="center" style={styles.savedText}>
+          {savedFeedback.rating ? `You rated this ${savedFeedback.rating}/${MAX_RATING} • ` : ""}
+          Saved {new Date(savedFeedback.updatedAt).toLocaleDateString()}
+        </Typography>
+      )}
+    </Card>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  ratingRow: {
+    flexDirection: "row",
+    justifyContent: "center",
+    marginVertical: theme.spacing.small,
+  },
+  ratingButton: {
+    paddingHorizontal: 4,
+  },
+  hint: {
+    textAlign: "center",
+    marginBottom: theme.spacing.small,
+  },
+  commentInput: {
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 8,
+    padding: 10,
+    minHeight: 60,
+    textAlignVertical: "top",
+    marginBottom: theme.spacing.medium,
+    color: theme.colors.text,
+  },
+  savedText: {
+    marginTop: theme.spacing.small,
+  },
+});
+
+export default InsightFeedbackCard;
@@ -0,0 +1,102 @@
+// src/components/InsightsDiffView.js
+
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import { compareInsights, orderInsightRecords } from "../utils/insightsDiff";
+
+/**
+ * InsightsDiffView Component
+ *
+ * Shows how the primary issue and practice focus changed between two
+ * insight records. Removed words are struck through in red and added
+ * words are highlighted in green.
+ *
+ * @param {object} props
+ * @param {object} props.first - An insight record from getInsightsHistory
+ * @param {object} props.second - Another insight record from getInsightsHistory
+ */
+const InsightsDiffView = ({ first, second }) => {
+  if (!first || !second) return null;
+
+  const [older, newer] = orderInsightRecords(first, second);
+  const fields = compareInsights(older, newer);
+  const formatDate = (record) => new Date(record.createdAt).toLocaleDateString();
+
+  return (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">What Changed</Typography>
+      <Typography variant="caption" style={styles.dates}>
+        {formatDate(older)} → {formatDate(newer)}
+      </Typography>
+
+      {fields.map(field => (
+        <View key={field.key} style={styles.field}>
+          <View style={styles.fieldHeader}>
+            <Typography variant="body" weight="semibold">{field.label}</Typography>
+            <Typography
+              variant="caption"
+              color={field.changed ? theme.colors.accent : theme.colors.secondary}
+            >
+              {field.changed ? "Changed" : "Unchanged"}
+            </Typography>
+          </View>
+
+          {field.before || field.after ? (
+            <Text style={styles.diffText}>
+              {field.segments.map((segment, index) => (
+                <Text
+                  key={index}
+                  style={segment.type === "removed"
+                    ? styles.removedText
+                    : segment.type === "added" ? styles.addedText : null}
+                >
+                  {segment.text}
+                </Text>
+              ))}
+            </Text>
+          ) : (
+            <Typography variant="secondary" italic>Not included in either record</Typography>
+          )}
+        </View>
+      ))}
+    </Card>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginHorizontal: 16,
+    marginBottom: theme.spacing.medium,
+  },
+  dates: {
+    marginBottom: theme.spacing.small,
+  },
+  field: {
+    marginTop: theme.spacing.small,
+  },
+  fieldHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  diffText: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: theme.colors.text,
+  },
+  removedText: {
+    color: theme.colors.error,
+    textDecorationLine: "line-through",
+    backgroundColor: "#fdecea",
+  },
+  addedText: {
+    color: "#2e7d32",
+    backgroundColor: "#e8f5e9",
+  },
+});
+
+export default InsightsDiffView;
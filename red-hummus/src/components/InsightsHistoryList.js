@@ -0,0 +1,122 @@
+// src/components/InsightsHistoryList.js
+
+import React from "react";
+import { View, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+
+/**
+ * InsightsHistoryList Component
+ *
+ * Lists past insight records, newest first. Tapping a record selects it
+ * for comparison; up to two records can be selected at once. Records
+ * the user has rated show their rating.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.records - Records from getInsightsHistory
+ * @param {Array<string>} props.selectedIds - IDs of the records selected for comparison
+ * @param {function} props.onToggleSelect - Called with a record when it's tapped
+ * @param {boolean} props.hasMore - Whether older records can be loaded
+ * @param {boolean} props.loadingMore - Whether the next page is loading
+ * @param {function} props.onLoadMore - Function to call to load the next page
+ */
+const InsightsHistoryList = ({
+  records,
+  selectedIds = [],
+  onToggleSelect,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore
+}) => {
+  if (!records || records.length === 0) return null;
+
+  return (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">Insights History</Typography>
+      <Typography variant="caption" style={styles.hint}>
+        {records.length < 2
+          ? "Your past insights will appear here."
+          : "Select two to see how the advice changed."}
+      </Typography>
+
+      {records.map((record, index) => {
+        const isSelected = selectedIds.includes(record.id);
+
+        return (
+          <TouchableOpacity
+            key={record.id}
+            style={[styles.row, index > 0 && styles.rowDivider]}
+            onPress={() => onToggleSelect(record)}
+            disabled={records.length < 2}
+            activeOpacity={0.7}
+          >
+            {records.length > 1 && (
+              <Ionicons
+                name={isSelected ? "checkbox" : "square-outline"}
+                size={22}
+                color={isSelected ? theme.colors.primary : theme.colors.border}
+                style={styles.checkbox}
+              />
+            )}
+            <View style={styles.rowContent}>
+              <Typography variant="caption">
+                {new Date(record.createdAt).toLocaleDateString()}
+                {index === 0 ? " • Latest" : ""}
+                {record.feedback?.rating ? ` • You rated ${record.feedback.rating}/5` : ""}
+              </Typography>
+              <Typography variant="body" numberOfLines={2}>
+                {record.insights?.primaryIssue || record.insights?.summary || "No summary"}
+              </Typography>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+
+      {hasMore && (
+        <Button
+          variant="text"
+          size="small"
+          onPress={onLoadMore}
+          loading={loadingMore}
+          style={styles.loadMoreButton}
+        >
+          Load Older Insights
+        </Button>
+      )}
+    </Card>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  hint: {
+    marginBottom: theme.spacing.small,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+  },
+  rowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: "#eee",
+  },
+  checkbox: {
+    marginRight: theme.spacing.small,
+  },
+  rowContent: {
+    flex: 1,
+  },
+  loadMoreButton: {
+    marginTop: theme.spacing.small,
+    alignSelf: "center",
+  },
+});
+
+export default InsightsHistoryList;
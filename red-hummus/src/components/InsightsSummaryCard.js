@@ -1,7 +1,7 @@
 // src/components/InsightsSummaryCard.js
 
 import React from "react";
-import { View, StyleSheet, TouchableOpacity } from "react-native";
+import { View, StyleSheet, TouchableOpacity, ActivityIndicator } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import theme from "../ui/theme";
 import Typography from "../ui/components/Typography";
@@ -12,14 +12,19 @@ import Card from "../ui/components/Card";
  * 
  * Displays a card with a golf coach icon and insights summary.
  * Shows appropriate content for both when insights exist and when they don't.
+ * While new insights are being generated the latest summary stays visible
+ * with a note underneath, and a failed generation offers a retry.
  * Enhanced with design system components for visual consistency.
  * 
  * @param {object} props
  * @param {string|null} props.summary - The insights summary text to display
  * @param {boolean} props.loading - Whether the insights are currently loading
  * @param {function} props.onRefresh - Function to call when refresh button is pressed
+ * @param {boolean} props.generating - Whether new insights are being generated
+ * @param {string|null} props.errorMessage - Why the last generation failed, if it did
+ * @param {function} props.onRetry - Function to call to generate insights again after a failure
  */
-const InsightsSummaryCard = ({ summary, loading = false, onRefresh }) => {
+const InsightsSummaryCard = ({ summary, loading = false, onRefresh, generating = false, errorMessage = null, onRetry }) => {
   // If we're loading, show a loading state
   if (loading) {
     return (
@@ -76,6 +81,30 @@ const InsightsSummaryCard = ({ summary, loading = false, onRefresh }) => {
       <View style={styles.content}>
         {cardContent}
       </View>
+      
+      {/* Status of the latest insights generation */}
+      {generating ? (
+        <View style={styles.statusRow}>
+          <ActivityIndicator size="small" color={theme.colors.primary} />
+          <Typography variant="caption" style={styles.statusText}>
+            Generating insights...
+          </Typography>
+        </View>
+      ) : errorMessage ? (
+        <View style={styles.statusRow}>
+          <Ionicons name="alert-circle-outline" size={18} color={theme.colors.error} />
+          <Typography variant="caption" color={theme.colors.error} style={styles.statusText}>
+            Couldn't generate new insights.
+          </Typography>
+          {onRetry && (
+            <TouchableOpacity onPress={onRetry} activeOpacity={0.7}>
+              <Typography variant="caption" color={theme.colors.primary} weight="semibold">
+                Try Again
+              </Typography>
+            </TouchableOpacity>
+          )}
+        </View>
+      ) : null}
     </Card>
   );
 };
@@ -111,6 +140,15 @@ const styles = StyleSheet.create({
     padding: theme.spacing.small,
     borderRadius: 20,
   },
+  statusRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: theme.spacing.medium,
+  },
+  statusText: {
+    flex: 1,
+    marginLeft: theme.spacing.small,
+  },
 });
 
 export default InsightsSummaryCard;
\ No newline at end of file
@@ -0,0 +1,179 @@
+// src/components/PartnerPicker.js
+//
+// This component lets the scorer add playing partners to a group round,
+// either as guests (by name) or as registered users (by email)
+
+import React, { useState } from 'react';
+import { View, TextInput, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme from '../ui/theme';
+import AppText from './AppText';
+import { formatHandicapIndex } from '../utils/handicap';
+
+/**
+ * PartnerPicker Component
+ *
+ * Shows the partners added so far with a remove button, and an input for
+ * adding another. Entries containing "@" are treated as an email address
+ * for a registered user; anything else is added as a guest name. A handicap
+ * index can be entered alongside either for net scoring - members' indexes
+ * can't be looked up, since their rounds are private to them.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.partners - Partners added so far ({ key, name, profile_id })
+ * @param {Function} props.onAddPartner - Called with the entered text and handicap index
+ *   (a number, or null if left blank); may return a promise
+ * @param {Function} props.onRemovePartner - Called with the partner's key
+ * @param {number} props.maxPartners - Maximum number of partners allowed
+ */
+const PartnerPicker = ({ partners, onAddPartner, onRemovePartner, maxPartners }) => {
+  const [entry, setEntry] = useState('');
+  const [handicapEntry, setHandicapEntry] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const canAdd = partners.length < maxPartners;
+
+  const handleAdd = async () => {
+    if (!entry.trim() || adding) return;
+
+    // Plus handicaps can be entered as "+1.2"; they're stored as negative indexes
+    const handicapText = handicapEntry.trim();
+    const handicapValue = handicapText.startsWith('+')
+      ? -parseFloat(handicapText.slice(1))
+      : parseFloat(handicapText);
+
+    setAdding(true);
+    const added = await onAddPartner(entry.trim(), Number.isNaN(handicapValue) ? null : handicapValue);
+    setAdding(false);
+
+    if (added) {
+      setEntry('');
+      setHandicapEntry('');
+    }
+  };
+
+  return (
+    <View>
+      {/* Partners added so far */}
+      {partners.map(partner => (
+        <View key={partner.key} style={styles.partnerRow}>
+          <Ionicons
+            name={partner.profile_id ? 'person-circle-outline' : 'person-outline'}
+            size={18}
+            color={theme.colors.secondary}
+          />
+          <AppText variant="body" style={styles.partnerName}>
+            {partner.name}
+          </AppText>
+          <AppText variant="caption" style={styles.partnerType}>
+            {partner.profile_id ? 'Member' : 'Guest'}
+            {partner.handicap_index !== null && partner.handicap_index !== undefined
+              ? ` • ${formatHandicapIndex(partner.handicap_index)}`
+              : ''}
+          </AppText>
+          <TouchableOpacity onPress={() => onRemovePartner(partner.key)} style={styles.removeButton}>
+            <Ionicons name="close-circle" size={18} color="#999" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      {/* Add another partner */}
+      {canAdd && (
+        <View style={styles.entryRow}>
+          <TextInput
+            style={styles.entryInput}
+            placeholder="Guest name or member email"
+            value={entry}
+            onChangeText={setEntry}
+            onSubmitEditing={handleAdd}
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="done"
+          />
+          <TextInput
+            style={[styles.entryInput, styles.handicapInput]}
+            placeholder="Hcp"
+            value={handicapEntry}
+            onChangeText={setHandicapEntry}
+            keyboardType="numbers-and-punctuation"
+            returnKeyType="done"
+          />
+          <TouchableOpacity
+            style={[styles.addButton, !entry.trim() && styles.addButtonDisabled]}
+            onPress={handleAdd}
+            disabled={!entry.trim() || adding}
+          >
+            {adding ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Ionicons name="add" size={20} color="#FFFFFF" />
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <AppText variant="caption" style={styles.hintText}>
+        {canAdd
+          ? `Add up to ${maxPartners} partners. Members get the round in their own history.`
+          : `Group is full (${maxPartners} partners)`}
+      </AppText>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  partnerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  partnerName: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  partnerType: {
+    marginRight: 8,
+  },
+  removeButton: {
+    padding: 4,
+  },
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  entryInput: {
+    flex: 1,
+    height: 40,
+    backgroundColor: '#f0f0f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 14,
+    color: '#333',
+  },
+  handicapInput: {
+    flex: 0,
+    width: 64,
+    marginLeft: 8,
+    textAlign: 'center',
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    marginLeft: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.primary,
+  },
+  addButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  hintText: {
+    marginTop: 6,
+  },
+});
+
+export default PartnerPicker;
@@ -0,0 +1,104 @@
+// src/components/PlayerSwitcher.js
+
+import React from "react";
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from "react-native";
+import theme from "../ui/theme";
+
+/**
+ * PlayerSwitcher Component - Chooses which player's shots are being recorded
+ *
+ * Used by the scorer in a group round. Each chip shows the player's name
+ * and their shots on the current hole.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.players - Players in the round ({ key, name })
+ * @param {string} props.activePlayerKey - Key of the player currently being scored
+ * @param {Function} props.onSelectPlayer - Called with a player's key
+ * @param {Object} props.holeScores - Shots on the current hole keyed by player key
+ */
+export default function PlayerSwitcher({ players, activePlayerKey, onSelectPlayer, holeScores = {} }) {
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.container}
+    >
+      {players.map(player => {
+        const isActive = player.key === activePlayerKey;
+
+        return (
+          <TouchableOpacity
+            key={player.key}
+            style={[styles.playerChip, isActive && styles.activePlayerChip]}
+            onPress={() => onSelectPlayer(player.key)}
+          >
+            <Text
+              style={[styles.playerName, isActive && styles.activePlayerText]}
+              numberOfLines={1}
+            >
+              {player.name}
+            </Text>
+            <View style={[styles.scoreBadge, isActive && styles.activeScoreBadge]}>
+              <Text style={[styles.scoreText, isActive && styles.activeScoreText]}>
+                {holeScores[player.key] || "-"}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 4,
+    paddingVertical: 4,
+  },
+  playerChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    paddingLeft: 12,
+    paddingRight: 6,
+    marginHorizontal: 4,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    backgroundColor: "#fff",
+    maxWidth: 160,
+  },
+  activePlayerChip: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  playerName: {
+    fontSize: 14,
+    color: "#333",
+    flexShrink: 1,
+  },
+  activePlayerText: {
+    color: "#fff",
+    fontWeight: "600",
+  },
+  scoreBadge: {
+    minWidth: 24,
+    height: 24,
+    borderRadius: 12,
+    marginLeft: 6,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#f0f0f0",
+  },
+  activeScoreBadge: {
+    backgroundColor: "#fff",
+  },
+  scoreText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#666",
+  },
+  activeScoreText: {
+    color: theme.colors.primary,
+  },
+});
@@ -0,0 +1,239 @@
+// src/components/PracticeLogSheet.js
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  StyleSheet
+} from "react-native";
+import theme from "../ui/theme";
+
+/**
+ * PracticeLogSheet Component - Record the result of a drill
+ *
+ * Slides up over the practice screen with the drill's suggested number of
+ * attempts filled in, so logging a session is usually just entering how
+ * many met the goal.
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object} props.drill - The drill being logged (null when hidden)
+ * @param {boolean} props.saving - Whether the session is being saved
+ * @param {Function} props.onSave - Called with { attempts, successes, minutes, notes }
+ * @param {Function} props.onClose - Called when the sheet is dismissed without saving
+ */
+export default function PracticeLogSheet({ visible, drill, saving = false, onSave, onClose }) {
+  const [values, setValues] = useState({});
+  const [error, setError] = useState(null);
+
+  // Start from the drill's suggestions each time the sheet opens
+  useEffect(() => {
+    if (visible && drill) {
+      setValues({
+        attempts: drill.attempts.toString(),
+        successes: "",
+        minutes: drill.minutes.toString(),
+        notes: ""
+      });
+      setError(null);
+    }
+  }, [visible, drill]);
+
+  if (!drill) return null;
+
+  const updateValue = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    const attempts = parseInt(values.attempts, 10);
+    const successes = parseInt(values.successes, 10);
+    const minutes = values.minutes ? parseInt(values.minutes, 10) : null;
+
+    if (!(attempts > 0)) {
+      setError("Enter how many attempts you made.");
+      return;
+    }
+    if (isNaN(successes) || successes < 0 || successes > attempts) {
+      setError(`Successes must be between 0 and ${attempts}.`);
+      return;
+    }
+
+    onSave({ attempts, successes, minutes, notes: values.notes });
+  };
+
+  const renderNumberInput = (field, label, unit) => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.numberInput}
+          value={values[field] || ""}
+          onChangeText={value => updateValue(field, value.replace(/[^0-9]/g, ""))}
+          keyboardType="number-pad"
+          placeholder="-"
+          returnKeyType="done"
+        />
+        {unit && <Text style={styles.unitText}>{unit}</Text>}
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} />
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{drill.name}</Text>
+            <Text style={styles.subtitle}>{drill.shotType} • count shots {drill.successLabel}</Text>
+          </View>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <View style={styles.numberRow}>
+              {renderNumberInput("attempts", "Attempts")}
+              {renderNumberInput("successes", "Successes")}
+              {renderNumberInput("minutes", "Time", "min")}
+            </View>
+
+            <Text style={styles.fieldLabel}>Notes</Text>
+            <TextInput
+              style={styles.notesInput}
+              value={values.notes || ""}
+              onChangeText={value => updateValue("notes", value)}
+              placeholder="Optional"
+              multiline
+            />
+
+            {error && <Text style={styles.errorText}>{error}</Text>}
+          </ScrollView>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onClose} disabled={saving}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+              {saving ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.saveText}>Log Drill</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: "flex-end",
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: "rgba(0, 0, 0, 0.3)",
+  },
+  sheet: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+    maxHeight: "80%",
+  },
+  header: {
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#333",
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#666",
+  },
+  fieldLabel: {
+    fontSize: 12,
+    fontWeight: "bold",
+    color: "#666",
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  numberRow: {
+    flexDirection: "row",
+  },
+  inputGroup: {
+    flex: 1,
+    marginRight: 12,
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  numberInput: {
+    width: 70,
+    height: 40,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    textAlign: "center",
+    color: "#333",
+  },
+  unitText: {
+    marginLeft: 6,
+    color: "#666",
+  },
+  notesInput: {
+    minHeight: 60,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    color: "#333",
+    textAlignVertical: "top",
+  },
+  errorText: {
+    marginTop: 8,
+    color: theme.colors.error,
+  },
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    marginRight: 8,
+  },
+  cancelText: {
+    color: "#666",
+    fontSize: 16,
+  },
+  saveButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+    minWidth: 100,
+    alignItems: "center",
+  },
+  saveText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,117 @@
+// src/components/RegenerateInsightsCard.js
+
+import React, { useState } from "react";
+import { View, TouchableOpacity, ActivityIndicator, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import { ROUND_WINDOWS, DEFAULT_ROUND_WINDOW } from "../services/insightsJobService";
+
+/**
+ * RegenerateInsightsCard Component
+ *
+ * Asks the coach for fresh insights over a chosen number of recent rounds,
+ * and shows whether the latest request is still generating or failed.
+ *
+ * @param {object} props
+ * @param {boolean} props.generating - Whether insights are being generated
+ * @param {string|null} props.errorMessage - Why the last generation failed, if it did
+ * @param {object|null} props.job - The latest insights job, used for its round window
+ * @param {function} props.onRegenerate - Called with the chosen round window
+ */
+const RegenerateInsightsCard = ({ generating = false, errorMessage = null, job = null, onRegenerate }) => {
+  const [roundWindow, setRoundWindow] = useState(job?.round_window || DEFAULT_ROUND_WINDOW);
+
+  return (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">Regenerate Insights</Typography>
+      <Typography variant="caption" style={styles.hint}>
+        Choose how many recent rounds your coach should look at.
+      </Typography>
+
+      <View style={styles.windowRow}>
+        {ROUND_WINDOWS.map(option => {
+          const isSelected = option.value === roundWindow;
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.windowChip, isSelected && styles.selectedChip]}
+              onPress={() => setRoundWindow(option.value)}
+              disabled={generating}
+            >
+              <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                {option.label}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {generating ? (
+        <View style={styles.statusRow}>
+          <ActivityIndicator size="small" color={theme.colors.primary} />
+          <Typography variant="secondary" style={styles.statusText}>
+            Generating insights... this can take a minute.
+          </Typography>
+        </View>
+      ) : (
+        <>
+          {errorMessage && (
+            <View style={styles.statusRow}>
+              <Ionicons name="alert-circle-outline" size={18} color={theme.colors.error} />
+              <Typography variant="caption" color={theme.colors.error} style={styles.statusText}>
+                Last attempt failed: {errorMessage}
+              </Typography>
+            </View>
+          )}
+          <Button
+            variant="primary"
+            iconLeft="sparkles-outline"
+            onPress={() => onRegenerate(roundWindow)}
+          >
+            Generate New Insights
+          </Button>
+        </>
+      )}
+    </Card>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  hint: {
+    marginBottom: theme.spacing.small,
+  },
+  windowRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: theme.spacing.medium,
+  },
+  windowChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  statusRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  statusText: {
+    flex: 1,
+    marginLeft: theme.spacing.small,
+  },
+});
+
+export default RegenerateInsightsCard;
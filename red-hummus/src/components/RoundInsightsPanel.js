@@ -0,0 +1,135 @@
+// src/components/RoundInsightsPanel.js
+
+import React, { useEffect, useState } from "react";
+import { View, TouchableOpacity, ActivityIndicator, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import { getRoundInsights } from "../services/insightsService";
+
+// Insight sections shown in the panel, in order
+const PANEL_SECTIONS = [
+  { key: "primaryIssue", title: "Primary Issue", icon: "warning-outline", color: "#f57c00" },
+  { key: "practiceFocus", title: "Practice Focus", icon: "basketball-outline", color: "#4caf50" },
+  { key: "managementTip", title: "Management Tip", icon: "bulb-outline", color: "#ffc107" }
+];
+
+/**
+ * RoundInsightsPanel Component
+ *
+ * Shows the coach insights generated for a single round on its scorecard.
+ * The panel starts collapsed to the summary and expands to show the
+ * primary issue, practice focus and management tip. Nothing is shown for
+ * rounds without insights.
+ *
+ * @param {object} props
+ * @param {string} props.roundId - The round to show insights for
+ */
+const RoundInsightsPanel = ({ roundId }) => {
+  const [insights, setInsights] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadInsights = async () => {
+      if (!roundId) {
+        setLoading(false);
+        return;
+      }
+      setLoading(true);
+      const data = await getRoundInsights(roundId);
+      if (!cancelled) {
+        setInsights(data);
+        setLoading(false);
+      }
+    };
+
+    loadInsights();
+    return () => {
+      cancelled = true;
+    };
+  }, [roundId]);
+
+  if (loading) {
+    return (
+      <View style={styles.panel}>
+        <ActivityIndicator size="small" color={theme.colors.primary} />
+      </View>
+    );
+  }
+
+  if (!insights) return null;
+
+  return (
+    <View style={styles.panel}>
+      <TouchableOpacity
+        style={styles.header}
+        onPress={() => setExpanded(!expanded)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.titleRow}>
+          <Ionicons name="golf-outline" size={20} color={theme.colors.primary} />
+          <Typography variant="subtitle" style={styles.title}>Round Insights</Typography>
+        </View>
+        <Ionicons
+          name={expanded ? "chevron-up" : "chevron-down"}
+          size={20}
+          color={theme.colors.secondary}
+        />
+      </TouchableOpacity>
+
+      {insights.summary && (
+        <Typography variant="body">{insights.summary}</Typography>
+      )}
+
+      {expanded && PANEL_SECTIONS.map(section => insights[section.key] && (
+        <View key={section.key} style={styles.section}>
+          <View style={styles.titleRow}>
+            <Ionicons name={section.icon} size={18} color={section.color} />
+            <Typography variant="body" weight="semibold" style={styles.title}>
+              {section.title}
+            </Typography>
+          </View>
+          <Typography variant="body" style={styles.sectionContent}>
+            {insights[section.key]}
+          </Typography>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  panel: {
+    backgroundColor: "#fff",
+    margin: 16,
+    padding: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#e0e0e0",
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  titleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  title: {
+    marginLeft: 8,
+  },
+  section: {
+    marginTop: theme.spacing.medium,
+  },
+  sectionContent: {
+    paddingLeft: 26,
+    marginTop: 4,
+  },
+});
+
+export default RoundInsightsPanel;
@@ -5,9 +5,12 @@
 
 import React from 'react';
 import { TouchableOpacity, View, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import theme from '../ui/theme';
 import Typography from '../ui/components/Typography';
 import Card from '../ui/components/Card';
+import { formatScoreToPar, describeHolesPlayed } from '../utils/scoring';
+import { isPointsFormat, getScoringFormat, formatPoints } from '../utils/scoringFormats';
 
 /**
  * RoundSummaryCard Component
@@ -17,10 +20,16 @@ import Card from '../ui/components/Card';
  * 
  * @param {Object} props
  * @param {Object} props.round - Round data object containing id, date, courseName, score, grossShots
+ *   and optional holesLabel (for partial rounds), holesPlayed/holeCount (for rounds finished early)
+ *   pendingSync flag (for rounds still waiting to upload), syncFailed flag (for rounds the server rejected)
+ *   and scoringFormat/points (for points formats)
  * @param {Function} props.onPress - Function to call when card is pressed (typically for navigation)
  */
 const RoundSummaryCard = ({ round, onPress }) => {
   if (!round) return null;
+  
+  // Rounds finished early are scored only on the holes played
+  const thruLabel = describeHolesPlayed(round.holesPlayed, round.holeCount);
 
   return (
     <TouchableOpacity
@@ -39,9 +48,30 @@ const RoundSummaryCard = ({ round, onPress }) => {
           </Typography>
           <Typography variant="caption">
             {new Date(round.date).toLocaleDateString()}
+            {round.holesLabel ? ` • ${round.holesLabel}` : ""}
           </Typography>
         </View>
         
+        {/* Pending sync badge - round is saved on the device but not uploaded yet */}
+        {round.pendingSync && !round.syncFailed && (
+          <View style={styles.syncBadge}>
+            <Ionicons name="cloud-upload-outline" size={14} color={theme.colors.accent} />
+            <Typography variant="caption" color={theme.colors.accent} style={styles.syncBadgeText}>
+              Waiting to sync
+            </Typography>
+          </View>
+        )}
+        
+        {/* Failed sync badge - the server rejected part of this round */}
+        {round.syncFailed && (
+          <View style={styles.syncBadge}>
+            <Ionicons name="alert-circle-outline" size={14} color={theme.colors.error} />
+            <Typography variant="caption" color={theme.colors.error} style={styles.syncBadgeText}>
+              Couldn't sync
+            </Typography>
+          </View>
+        )}
+        
         {/* Stats row - only show for completed rounds */}
         <View style={styles.cardStatsRow}>
           {/* Gross shots (more prominent) */}
@@ -62,12 +92,31 @@ const RoundSummaryCard = ({ round, onPress }) => {
               weight="semibold"
               color={theme.colors.primary}
             >
-              {round.score !== null 
-                ? (round.score > 0 ? `+${round.score}` : round.score) 
-                : "-"}
+              {formatScoreToPar(round.score)}
+            </Typography>
+            <Typography variant="caption">
+              {thruLabel ? `To Par (${thruLabel})` : "To Par"}
             </Typography>
-            <Typography variant="caption">To Par</Typography>
           </View>
+          
+          {/* Points for Stableford-style rounds */}
+          {isPointsFormat(round.scoringFormat) && round.points !== null && round.points !== undefined && (
+            <>
+              <View style={styles.statDivider} />
+              <View style={styles.statContainer}>
+                <Typography
+                  variant="body"
+                  weight="semibold"
+                  color={theme.colors.primary}
+                >
+                  {formatPoints(round.scoringFormat, round.points)}
+                </Typography>
+                <Typography variant="caption">
+                  {getScoringFormat(round.scoringFormat).shortLabel}
+                </Typography>
+              </View>
+            </>
+          )}
         </View>
       </Card>
     </TouchableOpacity>
@@ -106,6 +155,15 @@ const styles = StyleSheet.create({
     alignItems: "center",
     flex: 1,
   },
+  syncBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: theme.spacing.medium,
+    marginBottom: theme.spacing.small,
+  },
+  syncBadgeText: {
+    marginLeft: 4,
+  },
   statDivider: {
     width: 1,
     height: 30,
@@ -0,0 +1,246 @@
+// src/components/ShotDetailsSheet.js
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  StyleSheet
+} from "react-native";
+import theme from "../ui/theme";
+import { CLUBS, LIES, normalizeShot, suggestLie } from "../utils/shotModel";
+
+/**
+ * ShotDetailsSheet Component - Quick entry for a shot's optional details
+ *
+ * Slides up over the tracker so club, lie and distances can be added to a
+ * shot after it's been recorded with a single tap in the ShotTable. Every
+ * field is optional; blank fields are left off the shot.
+ *
+ * @param {Object} props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object} props.shot - The shot being edited (null when hidden)
+ * @param {number} props.shotNumber - The shot's position on the hole (1-based)
+ * @param {Function} props.onSave - Called with the entered details
+ * @param {Function} props.onClose - Called when the sheet is dismissed without saving
+ */
+export default function ShotDetailsSheet({ visible, shot, shotNumber, onSave, onClose }) {
+  const [details, setDetails] = useState({});
+
+  // Start from the shot's saved details each time the sheet opens
+  useEffect(() => {
+    if (visible && shot) {
+      const normalized = normalizeShot(shot);
+      setDetails({
+        club: normalized.club,
+        lie: suggestLie(shot),
+        distance_to_target: normalized.distance_to_target?.toString() || "",
+        distance_remaining: normalized.distance_remaining?.toString() || "",
+        putt_length: normalized.putt_length?.toString() || ""
+      });
+    }
+  }, [visible, shot]);
+
+  if (!shot) return null;
+
+  const isPutt = shot.type === "Putts";
+
+  const updateDetail = (field, value) => {
+    setDetails(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Tapping the selected chip again clears it
+  const renderChips = (field, options) => (
+    <View style={styles.chipRow}>
+      {options.map(option => {
+        const isSelected = details[field] === option.key;
+        return (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.chip, isSelected && styles.selectedChip]}
+            onPress={() => updateDetail(field, isSelected ? null : option.key)}
+          >
+            <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderNumberInput = (field, label, unit) => (
+    <View style={styles.inputGroup}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.numberInput}
+          value={details[field] || ""}
+          onChangeText={value => updateDetail(field, value.replace(/[^0-9.]/g, ""))}
+          keyboardType="decimal-pad"
+          placeholder="-"
+          returnKeyType="done"
+        />
+        <Text style={styles.unitText}>{unit}</Text>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} />
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Shot {shotNumber} • {shot.type}</Text>
+            <Text style={styles.subtitle}>{shot.result}</Text>
+          </View>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.fieldLabel}>Club</Text>
+            {renderChips("club", CLUBS)}
+
+            <Text style={styles.fieldLabel}>Lie</Text>
+            {renderChips("lie", LIES)}
+
+            {isPutt ? (
+              renderNumberInput("putt_length", "Putt Length", "ft")
+            ) : (
+              <View style={styles.distanceRow}>
+                {renderNumberInput("distance_to_target", "To Target", "yds")}
+                {renderNumberInput("distance_remaining", "Remaining", "yds")}
+              </View>
+            )}
+          </ScrollView>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.saveButton} onPress={() => onSave(details)}>
+              <Text style={styles.saveText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: "flex-end",
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: "rgba(0, 0, 0, 0.3)",
+  },
+  sheet: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+    maxHeight: "80%",
+  },
+  header: {
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#333",
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#666",
+  },
+  fieldLabel: {
+    fontSize: 12,
+    fontWeight: "bold",
+    color: "#666",
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: "#333",
+  },
+  selectedChipText: {
+    color: "#fff",
+    fontWeight: "500",
+  },
+  distanceRow: {
+    flexDirection: "row",
+  },
+  inputGroup: {
+    flex: 1,
+    marginRight: 12,
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  numberInput: {
+    width: 80,
+    height: 40,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    textAlign: "center",
+    color: "#333",
+  },
+  unitText: {
+    marginLeft: 6,
+    color: "#666",
+  },
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    marginRight: 8,
+  },
+  cancelText: {
+    color: "#666",
+    fontSize: 16,
+  },
+  saveButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: theme.colors.primary,
+  },
+  saveText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,253 @@
+// src/components/ShotSequenceEditor.js
+
+import React, { useState } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import theme from "../ui/theme";
+import { SHOT_TYPES, SHOT_OUTCOMES } from "../utils/shotSequence";
+import { formatShotDetails } from "../utils/shotModel";
+
+// Marker colour for each outcome, matching the ShotTable columns
+const OUTCOME_COLORS = {
+  "On Target": "#388e3c",
+  "Slightly Off": "#f9a825",
+  "Recovery Needed": "#d32f2f"
+};
+
+/**
+ * ShotSequenceEditor Component - Edits a hole's shots in playing order
+ *
+ * Each shot can be moved up or down, deleted, or tapped to open its
+ * type and outcome choices for re-typing or re-classifying, or to add
+ * the shot's club, lie and distances.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.shots - The hole's shots in playing order ({ type, result })
+ * @param {Function} props.onMoveShot - Called with (fromIndex, toIndex)
+ * @param {Function} props.onUpdateShot - Called with (index, { type, result })
+ * @param {Function} props.onDeleteShot - Called with the shot's index
+ * @param {Function} props.onEditDetails - Called with the shot's index to edit its details
+ */
+export default function ShotSequenceEditor({ shots, onMoveShot, onUpdateShot, onDeleteShot, onEditDetails }) {
+  const [expandedIndex, setExpandedIndex] = useState(null);
+
+  if (!shots || shots.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyText}>No shots recorded on this hole yet</Text>
+      </View>
+    );
+  }
+
+  const renderChoices = (index, field, choices, selected) => (
+    <View style={styles.choiceRow}>
+      {choices.map(choice => (
+        <TouchableOpacity
+          key={choice}
+          style={[styles.choiceChip, choice === selected && styles.selectedChoiceChip]}
+          onPress={() => onUpdateShot(index, { [field]: choice })}
+        >
+          <Text style={[styles.choiceText, choice === selected && styles.selectedChoiceText]}>
+            {choice}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {shots.map((shot, index) => {
+        const isExpanded = expandedIndex === index;
+        const detailsText = formatShotDetails(shot);
+
+        return (
+          <View key={`${shot.timestamp}-${index}`} style={styles.shotContainer}>
+            <View style={styles.shotRow}>
+              <TouchableOpacity
+                style={styles.shotDetails}
+                onPress={() => setExpandedIndex(isExpanded ? null : index)}
+              >
+                <Text style={styles.shotNumber}>{index + 1}</Text>
+                <View style={[styles.outcomeMarker, { backgroundColor: OUTCOME_COLORS[shot.result] || "#999" }]} />
+                <View style={styles.shotTextContainer}>
+                  <Text style={styles.shotType}>{shot.type}</Text>
+                  <Text style={styles.shotOutcome}>
+                    {detailsText ? `${shot.result} • ${detailsText}` : shot.result}
+                  </Text>
+                </View>
+                <Ionicons
+                  name={isExpanded ? "chevron-up" : "create-outline"}
+                  size={16}
+                  color="#999"
+                />
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => {
+                  onMoveShot(index, index - 1);
+                  setExpandedIndex(null);
+                }}
+                disabled={index === 0}
+              >
+                <Ionicons name="arrow-up" size={18} color={index === 0 ? "#ccc" : theme.colors.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => {
+                  onMoveShot(index, index + 1);
+                  setExpandedIndex(null);
+                }}
+                disabled={index === shots.length - 1}
+              >
+                <Ionicons
+                  name="arrow-down"
+                  size={18}
+                  color={index === shots.length - 1 ? "#ccc" : theme.colors.primary}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => {
+                  onDeleteShot(index);
+                  setExpandedIndex(null);
+                }}
+              >
+                <Ionicons name="trash-outline" size={18} color={theme.colors.error} />
+              </TouchableOpacity>
+            </View>
+
+            {/* Re-type and re-classify the shot */}
+            {isExpanded && (
+              <View style={styles.editPanel}>
+                <Text style={styles.choiceLabel}>Shot Type</Text>
+                {renderChoices(index, "type", SHOT_TYPES, shot.type)}
+                <Text style={styles.choiceLabel}>Outcome</Text>
+                {renderChoices(index, "result", SHOT_OUTCOMES, shot.result)}
+                {onEditDetails && (
+                  <TouchableOpacity style={styles.detailsButton} onPress={() => onEditDetails(index)}>
+                    <Ionicons name="golf-outline" size={16} color={theme.colors.primary} />
+                    <Text style={styles.detailsButtonText}>Club, lie & distance</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    borderRadius: 8,
+    overflow: "hidden",
+  },
+  emptyContainer: {
+    padding: 24,
+    alignItems: "center",
+    backgroundColor: "#f8f8f8",
+    borderRadius: 8,
+  },
+  emptyText: {
+    color: "#666",
+    fontSize: 14,
+  },
+  shotContainer: {
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  shotRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 8,
+  },
+  shotDetails: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+  },
+  shotNumber: {
+    width: 24,
+    fontWeight: "bold",
+    color: "#666",
+    textAlign: "center",
+  },
+  outcomeMarker: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginHorizontal: 8,
+  },
+  shotTextContainer: {
+    flex: 1,
+  },
+  shotType: {
+    fontSize: 15,
+    fontWeight: "500",
+    color: "#333",
+  },
+  shotOutcome: {
+    fontSize: 12,
+    color: "#666",
+  },
+  iconButton: {
+    padding: 8,
+  },
+  editPanel: {
+    paddingHorizontal: 12,
+    paddingBottom: 10,
+    backgroundColor: "#f8f8f8",
+  },
+  choiceLabel: {
+    fontSize: 12,
+    fontWeight: "bold",
+    color: "#666",
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  choiceRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  choiceChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChoiceChip: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
+  choiceText: {
+    fontSize: 13,
+    color: "#333",
+  },
+  selectedChoiceText: {
+    color: "#fff",
+    fontWeight: "500",
+  },
+  detailsButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 6,
+    paddingVertical: 6,
+  },
+  detailsButtonText: {
+    marginLeft: 6,
+    fontSize: 14,
+    color: theme.colors.primary,
+    fontWeight: "500",
+  },
+});
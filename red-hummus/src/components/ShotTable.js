@@ -6,10 +6,11 @@ import { View, Text, StyleSheet, Dimensions } from "react-native";
 import Animated from "react-native-reanimated";
 import theme from "../ui/theme";
 import { useTactileFeedback } from "../ui/interaction";
+import { SHOT_TYPES, SHOT_OUTCOMES } from "../utils/shotSequence";
 
 // Define shot types and outcomes with color coding
-const shotTypes = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
-const outcomes = ["On Target", "Slightly Off", "Recovery Needed"];
+const shotTypes = SHOT_TYPES;
+const outcomes = SHOT_OUTCOMES;
 
 // Get screen width for layout calculations
 const screenWidth = Dimensions.get('window').width;
@@ -19,6 +20,7 @@ const screenWidth = Dimensions.get('window').width;
  * 
  * Displays a table of shot types and outcomes for tracking golf shots.
  * Enhanced with premium tactile feedback and animations.
+ * Counts are derived from the hole's shot sequence (see deriveShotCounts).
  */
 export default function ShotTable({ shotCounts, activeColumn, setActiveColumn, addShot, removeShot }) {
   if (!shotCounts) {
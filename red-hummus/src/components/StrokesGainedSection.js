@@ -0,0 +1,193 @@
+// src/components/StrokesGainedSection.js
+
+import React from "react";
+import { View, TouchableOpacity, ScrollView, Dimensions, StyleSheet } from "react-native";
+import { LineChart } from "react-native-chart-kit";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import {
+  SG_CATEGORIES,
+  SG_BASELINES,
+  averageStrokesGained,
+  formatStrokesGained
+} from "../utils/strokesGained";
+
+// Width available to each trend chart inside the card
+const chartWidth = Dimensions.get("window").width - 64;
+
+// Rounds shown on each trend chart
+const TREND_ROUNDS = 10;
+
+const chartConfig = {
+  backgroundGradientFrom: "#fff",
+  backgroundGradientTo: "#fff",
+  decimalPlaces: 1,
+  color: (opacity = 1) => `rgba(0, 122, 255, ${opacity})`,
+  labelColor: (opacity = 1) => `rgba(102, 102, 102, ${opacity})`,
+  propsForDots: {
+    r: "3",
+  },
+};
+
+/**
+ * StrokesGainedSection Component - Strokes gained by category, with trends
+ *
+ * Shows the player's average strokes gained per round in each category
+ * against the chosen baseline, and a chart of each category over their
+ * recent rounds.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.history - From getStrokesGainedHistory, oldest first
+ * @param {string} props.baselineKey - The baseline being compared against
+ * @param {Function} props.onChangeBaseline - Called with a baseline key
+ */
+export default function StrokesGainedSection({ history, baselineKey, onChangeBaseline }) {
+  const average = averageStrokesGained(history);
+  const recentRounds = (history || []).slice(-TREND_ROUNDS);
+
+  const getValueStyle = (value) => {
+    if (value === null) return null;
+    return value >= 0 ? styles.gainedText : styles.lostText;
+  };
+
+  const renderTrendChart = (category) => {
+    const points = recentRounds.filter(round => round.byCategory[category.key] !== null);
+
+    // A trend needs at least two rounds
+    if (points.length < 2) return null;
+
+    return (
+      <View key={category.key} style={styles.chartContainer}>
+        <Typography variant="body" weight="medium">{category.label}</Typography>
+        <LineChart
+          data={{
+            labels: points.map(round => {
+              const date = new Date(round.date);
+              return `${date.getMonth() + 1}/${date.getDate()}`;
+            }),
+            datasets: [{ data: points.map(round => round.byCategory[category.key]) }],
+          }}
+          width={chartWidth}
+          height={140}
+          chartConfig={chartConfig}
+          fromZero={false}
+          bezier
+          style={styles.chart}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <Card style={styles.card}>
+      <Typography variant="subtitle">Strokes Gained</Typography>
+
+      {/* Baseline to compare against */}
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.baselineRow}>
+        {SG_BASELINES.map(baseline => {
+          const isSelected = baseline.key === baselineKey;
+          return (
+            <TouchableOpacity
+              key={baseline.key}
+              style={[styles.baselineChip, isSelected && styles.selectedBaselineChip]}
+              onPress={() => onChangeBaseline(baseline.key)}
+            >
+              <Typography
+                variant="caption"
+                color={isSelected ? "#fff" : theme.colors.text}
+              >
+                vs {baseline.label}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      {average.roundsMeasured === 0 ? (
+        <Typography variant="secondary" style={styles.emptyText}>
+          Add club, lie and distance details to your shots while you play to see
+          where you gain and lose strokes.
+        </Typography>
+      ) : (
+        <>
+          {/* Average per round in each category */}
+          {SG_CATEGORIES.map(category => (
+            <View key={category.key} style={styles.categoryRow}>
+              <Typography variant="body">{category.label}</Typography>
+              <Typography
+                variant="body"
+                weight="semibold"
+                style={getValueStyle(average.byCategory[category.key])}
+              >
+                {formatStrokesGained(average.byCategory[category.key])}
+              </Typography>
+            </View>
+          ))}
+          <View style={[styles.categoryRow, styles.totalRow]}>
+            <Typography variant="body" weight="semibold">Total</Typography>
+            <Typography variant="body" weight="bold" style={getValueStyle(average.total)}>
+              {formatStrokesGained(average.total)}
+            </Typography>
+          </View>
+          <Typography variant="caption" style={styles.captionText}>
+            Average per round over {average.roundsMeasured} round{average.roundsMeasured === 1 ? "" : "s"} with shot details
+          </Typography>
+
+          {/* Trend for each category */}
+          {SG_CATEGORIES.map(renderTrendChart)}
+        </>
+      )}
+    </Card>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  baselineRow: {
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  baselineChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+  },
+  selectedBaselineChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  categoryRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: "#f0f0f0",
+  },
+  totalRow: {
+    borderBottomWidth: 0,
+  },
+  gainedText: {
+    color: theme.colors.success,
+  },
+  lostText: {
+    color: theme.colors.error,
+  },
+  captionText: {
+    marginTop: 4,
+  },
+  emptyText: {
+    lineHeight: 22,
+  },
+  chartContainer: {
+    marginTop: 16,
+  },
+  chart: {
+    marginTop: 4,
+    borderRadius: 8,
+  },
+});
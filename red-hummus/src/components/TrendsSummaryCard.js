@@ -0,0 +1,113 @@
+// src/components/TrendsSummaryCard.js
+
+import React from "react";
+import { View, StyleSheet, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import { formatScoreToPar } from "../utils/scoring";
+
+/**
+ * TrendsSummaryCard Component
+ *
+ * Compact view of recent form for the home screen: average score to par
+ * and putts per 18 holes plus the share of shots "On Target", each with
+ * the change since the rounds before. Tapping the card opens the full
+ * trends screen.
+ *
+ * @param {object} props
+ * @param {object|null} props.summary - From summarizeTrends
+ * @param {function} props.onPress - Function to call when the card is pressed
+ */
+const TrendsSummaryCard = ({ summary, onPress }) => {
+  if (!summary || summary.roundsCounted === 0) {
+    return null;
+  }
+
+  /**
+   * Render one stat with its change, coloured by whether it's an improvement
+   * Lower is better for score and putts, higher is better for on-target shots.
+   */
+  const renderStat = (label, stat, formatValue, lowerIsBetter) => {
+    const change = stat.change;
+    const improved = change !== null && change !== 0 && (lowerIsBetter ? change < 0 : change > 0);
+    const changeColor = change === null || change === 0
+      ? theme.colors.secondary
+      : improved ? theme.colors.success : theme.colors.error;
+
+    return (
+      <View style={styles.stat}>
+        <Typography variant="caption">{label}</Typography>
+        <Typography variant="subtitle">
+          {stat.recent === null ? "-" : formatValue(stat.recent)}
+        </Typography>
+        {change !== null && (
+          <Typography variant="caption" color={changeColor}>
+            {change > 0 ? "+" : ""}{change}{label === "On Target" ? "%" : ""}
+          </Typography>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <TouchableOpacity onPress={onPress} activeOpacity={0.7} style={styles.touchable}>
+      <Card style={styles.card}>
+        <View style={styles.header}>
+          <View style={styles.leftHeader}>
+            <Ionicons name="trending-up-outline" size={22} color={theme.colors.primary} style={styles.icon} />
+            <Typography variant="subtitle">Your Trends</Typography>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color={theme.colors.secondary} />
+        </View>
+
+        <View style={styles.statsRow}>
+          {renderStat("To Par", summary.scoreToPar, formatScoreToPar, true)}
+          {renderStat("Putts", summary.putts, value => value, true)}
+          {renderStat("On Target", summary.onTarget, value => `${Math.round(value)}%`, false)}
+        </View>
+
+        <Typography variant="caption" style={styles.footnote}>
+          Last {summary.roundsCounted} round{summary.roundsCounted === 1 ? "" : "s"}, per 18 holes
+        </Typography>
+      </Card>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  touchable: {
+    width: "100%",
+  },
+  card: {
+    marginBottom: theme.spacing.medium,
+    width: "100%",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: theme.spacing.small,
+  },
+  leftHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  icon: {
+    marginRight: theme.spacing.small,
+  },
+  statsRow: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+  },
+  stat: {
+    alignItems: "center",
+  },
+  footnote: {
+    marginTop: theme.spacing.small,
+    textAlign: "center",
+  },
+});
+
+export default TrendsSummaryCard;
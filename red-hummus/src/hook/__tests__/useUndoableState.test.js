@@ -0,0 +1,78 @@
+// src/hook/__tests__/useUndoableState.test.js
+
+import React from "react";
+import TestRenderer, { act } from "react-test-renderer";
+import useUndoableState from "../useUndoableState";
+
+// Render the hook and return a getter for its latest result, plus a
+// function to render it again with different options
+const renderUndoableState = (initialState, options) => {
+  const result = {};
+  const Probe = ({ hookOptions }) => {
+    result.current = useUndoableState(initialState, hookOptions);
+    return null;
+  };
+
+  let renderer;
+  act(() => {
+    renderer = TestRenderer.create(<Probe hookOptions={options} />);
+  });
+
+  const current = () => result.current;
+  current.rerender = (nextOptions) => act(() => {
+    renderer.update(<Probe hookOptions={nextOptions} />);
+  });
+  return current;
+};
+
+describe("useUndoableState", () => {
+  it("undoes and redoes changes, returning where each happened", () => {
+    const current = renderUndoableState(0);
+
+    act(() => current().setState(1, { hole: 1 }));
+    act(() => current().setState(2, { hole: 2 }));
+
+    let meta;
+    act(() => {
+      meta = current().undo();
+    });
+    expect(meta).toEqual({ hole: 2 });
+    expect(current().state).toBe(1);
+
+    act(() => {
+      meta = current().redo();
+    });
+    expect(meta).toEqual({ hole: 2 });
+    expect(current().state).toBe(2);
+    expect(current().canRedo).toBe(false);
+  });
+
+  it("keeps the history within the limit when changes are redone", () => {
+    const current = renderUndoableState(0, { limit: 3 });
+
+    act(() => current().setState(1));
+    act(() => current().setState(2));
+    act(() => current().setState(3));
+    act(() => current().undo());
+
+    current.rerender({ limit: 1 });
+    act(() => current().redo());
+    expect(current().state).toBe(3);
+
+    act(() => current().undo());
+    expect(current().state).toBe(2);
+    expect(current().canUndo).toBe(false);
+  });
+
+  it("applies replaceState to the whole history without recording a change", () => {
+    const current = renderUndoableState({ par: null, shots: 0 });
+
+    act(() => current().setState(state => ({ ...state, shots: 1 })));
+    act(() => current().replaceState(state => ({ ...state, par: 4 })));
+
+    expect(current().state).toEqual({ par: 4, shots: 1 });
+    act(() => current().undo());
+    expect(current().state).toEqual({ par: 4, shots: 0 });
+    expect(current().canUndo).toBe(false);
+  });
+});
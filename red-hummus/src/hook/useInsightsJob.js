@@ -0,0 +1,108 @@
+// src/hook/useInsightsJob.js
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  getLatestInsightsJob,
+  subscribeToInsightsJobs,
+  requestInsights,
+  isJobActive,
+  isJobFailed,
+  JOB_STATUS
+} from '../services/insightsJobService';
+
+// How often to re-check an active job, in case realtime updates don't arrive
+const POLL_INTERVAL_MS = 5000;
+
+/**
+ * Custom hook following the user's latest insights generation job.
+ *
+ * Updates arrive through Supabase realtime, with polling as a fallback
+ * while a job is active.
+ *
+ * @param {string|null} userId - The user's profile ID
+ * @param {Object} options
+ * @param {Function} options.onSucceeded - Called when a job finishes successfully, e.g. to re-read insights
+ * @returns {Object} { job, isGenerating, hasFailed, errorMessage, regenerate }
+ *   - regenerate(roundWindow): asks the Edge Function for new insights over the last roundWindow rounds
+ */
+const useInsightsJob = (userId, { onSucceeded } = {}) => {
+  const [job, setJob] = useState(null);
+  const onSucceededRef = useRef(onSucceeded);
+  const previousJobRef = useRef(null);
+
+  onSucceededRef.current = onSucceeded;
+
+  // Keep the newest job - realtime events for older jobs can arrive late
+  const receiveJob = useCallback((nextJob) => {
+    if (!nextJob) return;
+    setJob(current => {
+      if (current && current.id !== nextJob.id && new Date(current.created_at) > new Date(nextJob.created_at)) {
+        return current;
+      }
+      return nextJob;
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let isMounted = true;
+
+    getLatestInsightsJob(userId).then(latest => {
+      if (isMounted) receiveJob(latest);
+    });
+
+    const unsubscribe = subscribeToInsightsJobs(userId, changed => {
+      if (isMounted) receiveJob(changed);
+    });
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, [userId, receiveJob]);
+
+  const active = isJobActive(job);
+
+  // Poll while a job is active
+  useEffect(() => {
+    if (!userId || !active) return undefined;
+
+    const interval = setInterval(async () => {
+      receiveJob(await getLatestInsightsJob(userId));
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [userId, active, receiveJob]);
+
+  // Let the screen know when a job it saw running has finished
+  useEffect(() => {
+    const previous = previousJobRef.current;
+    previousJobRef.current = job;
+
+    if (
+      job?.status === JOB_STATUS.SUCCEEDED &&
+      previous?.id === job.id &&
+      previous.status !== JOB_STATUS.SUCCEEDED &&
+      onSucceededRef.current
+    ) {
+      onSucceededRef.current(job);
+    }
+  }, [job]);
+
+  const regenerate = useCallback(async (roundWindow) => {
+    if (!userId) return null;
+    const newJob = await requestInsights(userId, { roundWindow });
+    receiveJob(newJob);
+    return newJob;
+  }, [userId, receiveJob]);
+
+  return {
+    job,
+    isGenerating: active,
+    hasFailed: isJobFailed(job),
+    errorMessage: isJobFailed(job) ? (job.error || 'Insights generation stopped before it finished') : null,
+    regenerate,
+  };
+};
+
+export default useInsightsJob;
@@ -0,0 +1,44 @@
+// src/hook/useSyncStatus.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { getSyncStatus, subscribeToSyncQueue, processQueue } from '../services/syncQueue';
+
+/**
+ * Custom hook exposing the state of the offline sync queue.
+ *
+ * @returns {Object} { pendingOperations, failedOperations, pendingRounds, lastError, syncNow }
+ *   - failedOperations: operations the server rejected, waiting to be retried or discarded
+ *   - pendingRounds: rounds with data waiting to upload, shaped for RoundSummaryCard
+ *   - syncNow: triggers an immediate replay, ignoring retry backoff
+ */
+const useSyncStatus = () => {
+  const [status, setStatus] = useState({
+    pendingOperations: 0,
+    failedOperations: 0,
+    pendingRounds: [],
+    lastError: null,
+  });
+
+  useEffect(() => {
+    let isMounted = true;
+
+    getSyncStatus().then(snapshot => {
+      if (isMounted) setStatus(snapshot);
+    });
+
+    const unsubscribe = subscribeToSyncQueue(snapshot => {
+      if (isMounted) setStatus(snapshot);
+    });
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, []);
+
+  const syncNow = useCallback(() => processQueue({ force: true }), []);
+
+  return { ...status, syncNow };
+};
+
+export default useSyncStatus;
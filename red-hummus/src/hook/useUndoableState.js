@@ -0,0 +1,116 @@
+// src/hook/useUndoableState.js
+
+import { useState, useCallback } from 'react';
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Custom hook for state with an undo/redo history.
+ *
+ * Each recorded change can carry a `meta` object describing where the edit
+ * happened (for example which hole and player), so callers can take the user
+ * back to it when the change is undone or redone.
+ *
+ * Changes that aren't user edits - data loaded from storage, course details
+ * filled in - go through replaceState. They're applied to every snapshot in
+ * the history as well, so undoing never rolls them back.
+ *
+ * @param {*|Function} initialState - Initial state, or a function returning it.
+ * @param {Object} options - Configuration options.
+ * @param {number} options.limit - Maximum number of changes kept for undo (default is 50).
+ *
+ * @returns {Object} {
+ *   state,         // The current state
+ *   setState,      // (updater, meta) => void - records a change that can be undone
+ *   replaceState,  // (updater) => void - updates state without recording a change
+ *   undo,          // () => meta of the change undone, or null
+ *   redo,          // () => meta of the change redone, or null
+ *   canUndo, canRedo,
+ *   undoMeta,      // meta of the change undo would revert (or null)
+ *   redoMeta       // meta of the change redo would reapply (or null)
+ * }
+ */
+const useUndoableState = (initialState, { limit = DEFAULT_HISTORY_LIMIT } = {}) => {
+  const [history, setHistory] = useState(() => ({
+    past: [],
+    present: typeof initialState === 'function' ? initialState() : initialState,
+    future: [],
+  }));
+
+  const setState = useCallback((updater, meta = null) => {
+    setHistory(prev => {
+      const next = typeof updater === 'function' ? updater(prev.present) : updater;
+
+      // Nothing changed, so there's nothing to undo
+      if (next === prev.present) return prev;
+
+      return {
+        past: [...prev.past, { state: prev.present, meta }].slice(-limit),
+        present: next,
+        future: [],
+      };
+    });
+  }, [limit]);
+
+  const replaceState = useCallback((updater) => {
+    setHistory(prev => {
+      const apply = state => typeof updater === 'function' ? updater(state) : updater;
+
+      return {
+        past: prev.past.map(entry => ({ ...entry, state: apply(entry.state) })),
+        present: apply(prev.present),
+        future: prev.future.map(entry => ({ ...entry, state: apply(entry.state) })),
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    const entry = history.past[history.past.length - 1];
+    if (!entry) return null;
+
+    setHistory(prev => {
+      if (prev.past.length === 0) return prev;
+      const previous = prev.past[prev.past.length - 1];
+
+      return {
+        past: prev.past.slice(0, -1),
+        present: previous.state,
+        future: [{ state: prev.present, meta: previous.meta }, ...prev.future],
+      };
+    });
+
+    return entry.meta;
+  }, [history]);
+
+  const redo = useCallback(() => {
+    const entry = history.future[0];
+    if (!entry) return null;
+
+    setHistory(prev => {
+      if (prev.future.length === 0) return prev;
+      const next = prev.future[0];
+
+      return {
+        past: [...prev.past, { state: prev.present, meta: next.meta }].slice(-limit),
+        present: next.state,
+        future: prev.future.slice(1),
+      };
+    });
+
+    return entry.meta;
+  }, [history, limit]);
+
+  return {
+    state: history.present,
+    setState,
+    replaceState,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoMeta: history.past[history.past.length - 1]?.meta || null,
+    redoMeta: history.future[0]?.meta || null,
+  };
+};
+
+export default useUndoableState;
@@ -6,6 +6,7 @@ import HomeScreen from "../screens/HomeScreen";
 import CourseSelectorScreen from "../screens/CourseSelectorScreen";
 import TrackerScreen from "../screens/TrackerScreen";
 import ScorecardScreen from "../screens/ScorecardScreen";
+import CourseEditorScreen from "../screens/CourseEditorScreen";
 
 // Import our navigation styling system
 import { createHomeStackConfig } from "../ui/navigation/configs/stack";
@@ -20,6 +21,7 @@ const Stack = createStackNavigator();
  * - CourseSelectorScreen: For selecting a course
  * - TrackerScreen: For tracking shots during a round
  * - ScorecardScreen: For viewing detailed scorecard after completing a round
+ * - CourseEditor: For adding a missing course or filling in its tees and holes
  */
 export default function HomeStack() {
   // Get configuration for the home stack
@@ -53,6 +55,12 @@ export default function HomeStack() {
         component={ScorecardScreen} 
         options={config.screenConfigs.ScorecardScreen.options}
       />
+      
+      <Stack.Screen 
+        name="CourseEditor" 
+        component={CourseEditorScreen} 
+        options={config.screenConfigs.CourseEditor.options}
+      />
     </Stack.Navigator>
   );
 }
\ No newline at end of file
@@ -8,6 +8,11 @@ import RoundsScreen from "../screens/RoundScreen";
 import InsightsScreen from "../screens/InsightsScreen";
 import ProfileScreen from "../screens/ProfileScreen";
 import ScorecardScreen from "../screens/ScorecardScreen";
+import RoundStatsScreen from "../screens/RoundStatsScreen";
+import TrendsScreen from "../screens/TrendsScreen";
+import PracticeScreen from "../screens/PracticeScreen";
+import ImportRoundsScreen from "../screens/ImportRoundsScreen";
+import CourseEditorScreen from "../screens/CourseEditorScreen";
 
 // Import our navigation styling system
 import navigationTheme from "../ui/navigation/theme";
@@ -28,7 +33,7 @@ const ProfileStack = createStackNavigator();
  * RoundsStackScreen Component
  * 
  * Creates a stack navigator for the Rounds tab with consistent headers
- * This allows navigation from the rounds list to the scorecard view
+ * This allows navigation from the rounds list to the scorecard and stats views
  */
 function RoundsStackScreen() {
   // Get configuration for the rounds stack
@@ -46,6 +51,11 @@ function RoundsStackScreen() {
         component={ScorecardScreen} 
         options={config.screenConfigs.ScorecardScreen.options}
       />
+      <RoundsStack.Screen 
+        name="RoundStatsScreen" 
+        component={RoundStatsScreen} 
+        options={config.screenConfigs.RoundStatsScreen.options}
+      />
     </RoundsStack.Navigator>
   );
 }
@@ -66,6 +76,16 @@ function InsightsStackScreen() {
         component={InsightsScreen}
         options={config.screenConfigs.InsightsScreen.options}
       />
+      <InsightsStack.Screen 
+        name="TrendsScreen" 
+        component={TrendsScreen} 
+        options={config.screenConfigs.TrendsScreen.options}
+      />
+      <InsightsStack.Screen 
+        name="PracticeScreen" 
+        component={PracticeScreen} 
+        options={config.screenConfigs.PracticeScreen.options}
+      />
     </InsightsStack.Navigator>
   );
 }
@@ -86,6 +106,16 @@ function ProfileStackScreen() {
         component={ProfileScreen}
         options={config.screenConfigs.ProfileScreen.options}
       />
+      <ProfileStack.Screen 
+        name="ImportRoundsScreen" 
+        component={ImportRoundsScreen}
+        options={config.screenConfigs.ImportRoundsScreen.options}
+      />
+      <ProfileStack.Screen 
+        name="CourseEditor" 
+        component={CourseEditorScreen}
+        options={config.screenConfigs.CourseEditor.options}
+      />
     </ProfileStack.Navigator>
   );
 }
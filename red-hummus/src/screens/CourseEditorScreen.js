@@ -0,0 +1,511 @@
+// src/screens/CourseEditorScreen.js
+
+import React, { useContext, useEffect, useState } from "react";
+import {
+  View,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  StyleSheet
+} from "react-native";
+import { useNavigation, useRoute } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
+import { AuthContext } from "../context/AuthContext";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import { getCourseById } from "../services/courseService";
+import { getCourseSubmission, submitCourse, withdrawCourseSubmission } from "../services/courseSubmissionService";
+import {
+  COURSE_HOLE_COUNTS,
+  TEE_COLORS,
+  createEmptyCourseDraft,
+  createCourseDraftFromCourse,
+  createTeeDraft,
+  setDraftHoleCount,
+  sumDraftPar,
+  sumDraftDistance,
+  validateCourseDraft
+} from "../utils/courseEditor";
+import { TEE_CATEGORIES } from "../utils/courseSchema";
+
+/**
+ * CourseEditorScreen Component
+ *
+ * Lets a player add a course we don't have, or fill in the tees, par,
+ * stroke index and yardages of one that's missing them. The course is
+ * sent for review and stays private to the player until it's approved.
+ *
+ * Route params (all optional):
+ *   courseId     - an existing course to fill in
+ *   submissionId - one of the player's pending submissions to edit
+ */
+export default function CourseEditorScreen() {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { user } = useContext(AuthContext);
+  const submissionId = route.params?.submissionId || null;
+  const [courseId, setCourseId] = useState(route.params?.courseId || null); // Updated from the submission when editing one
+  const [draft, setDraft] = useState(null);
+  const [showValidation, setShowValidation] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadDraft = async () => {
+      if (submissionId) {
+        const submission = await getCourseSubmission(submissionId);
+        setCourseId(submission?.course_id || null);
+        setDraft(submission ? createCourseDraftFromCourse(submission) : createEmptyCourseDraft());
+      } else if (route.params?.courseId) {
+        const course = await getCourseById(route.params.courseId);
+        setDraft(course ? createCourseDraftFromCourse(course) : createEmptyCourseDraft());
+      } else {
+        setDraft(createEmptyCourseDraft());
+      }
+    };
+
+    loadDraft();
+  }, [submissionId, route.params?.courseId]);
+
+  if (!draft) {
+    return (
+      <Layout>
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      </Layout>
+    );
+  }
+
+  const { errors, warnings } = validateCourseDraft(draft);
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateTee = (teeKey, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      tees: prev.tees.map(tee => (tee.key === teeKey ? { ...tee, ...changes } : tee))
+    }));
+  };
+
+  const handleRemoveTee = (teeKey) => {
+    setDraft(prev => ({
+      ...prev,
+      tees: prev.tees.filter(tee => tee.key !== teeKey)
+    }));
+  };
+
+  const updateHole = (holeNumber, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      holes: prev.holes.map(hole => (hole.number === holeNumber ? { ...hole, ...changes } : hole))
+    }));
+  };
+
+  const updateHoleDistance = (holeNumber, teeKey, value) => {
+    setDraft(prev => ({
+      ...prev,
+      holes: prev.holes.map(hole => (hole.number === holeNumber
+        ? { ...hole, distances: { ...hole.distances, [teeKey]: value } }
+        : hole))
+    }));
+  };
+
+  const handleSubmit = async () => {
+    setShowValidation(true);
+    if (errors.length > 0 || !user) return;
+
+    setSaving(true);
+    try {
+      await submitCourse(user.id, draft, { courseId, submissionId });
+      Alert.alert(
+        "Course Submitted",
+        "Thanks! We'll review the course details and add them for everyone once they're approved.",
+        [{ text: "OK", onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      console.error("Error submitting course:", error);
+      Alert.alert("Couldn't Submit Course", error.message || "There was a problem submitting the course. Please try again.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleWithdraw = () => {
+    Alert.alert(
+      "Withdraw Submission",
+      "This course won't be reviewed and your details will be deleted.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Withdraw",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await withdrawCourseSubmission(user.id, submissionId);
+              navigation.goBack();
+            } catch (error) {
+              Alert.alert("Error", "There was a problem withdrawing the submission. Please try again.");
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderNumberCell = (value, onChange, placeholder = "-") => (
+    <TextInput
+      style={styles.cellInput}
+      value={value}
+      onChangeText={text => onChange(text.replace(/[^0-9]/g, ""))}
+      keyboardType="number-pad"
+      placeholder={placeholder}
+      returnKeyType="done"
+    />
+  );
+
+  const renderTee = (tee) => (
+    <View key={tee.key} style={styles.teeRow}>
+      <View style={styles.teeHeader}>
+        <TextInput
+          style={[styles.textInput, styles.teeNameInput]}
+          value={tee.name}
+          onChangeText={name => updateTee(tee.key, { name })}
+          placeholder="Tee name, e.g. White"
+        />
+        {draft.tees.length > 1 && (
+          <TouchableOpacity onPress={() => handleRemoveTee(tee.key)} style={styles.removeButton}>
+            <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.colorRow}>
+        {TEE_COLORS.map(option => (
+          <TouchableOpacity
+            key={option.name}
+            style={[
+              styles.colorSwatch,
+              { backgroundColor: option.color },
+              tee.color === option.color && styles.selectedColorSwatch
+            ]}
+            onPress={() => updateTee(tee.key, { color: option.color })}
+            accessibilityLabel={option.name}
+          />
+        ))}
+      </View>
+
+      {/* Who the tee is for - tap the selected category again to clear it */}
+      <View style={[styles.chipRow, styles.categoryRow]}>
+        {TEE_CATEGORIES.map(category => {
+          const isSelected = tee.category === category.key;
+          return (
+            <TouchableOpacity
+              key={category.key}
+              style={[styles.chip, isSelected && styles.selectedChip]}
+              onPress={() => updateTee(tee.key, { category: isSelected ? null : category.key })}
+            >
+              <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                {category.label}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={styles.ratingRow}>
+        <View style={styles.ratingField}>
+          <Typography variant="caption">Course rating</Typography>
+          <TextInput
+            style={styles.textInput}
+            value={tee.courseRating}
+            onChangeText={text => updateTee(tee.key, { courseRating: text.replace(/[^0-9.]/g, "") })}
+            keyboardType="decimal-pad"
+            placeholder="e.g. 71.2"
+          />
+        </View>
+        <View style={styles.ratingField}>
+          <Typography variant="caption">Slope rating</Typography>
+          <TextInput
+            style={styles.textInput}
+            value={tee.slopeRating}
+            onChangeText={text => updateTee(tee.key, { slopeRating: text.replace(/[^0-9]/g, "") })}
+            keyboardType="number-pad"
+            placeholder="e.g. 128"
+          />
+        </View>
+      </View>
+    </View>
+  );
+
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle">Course</Typography>
+          <TextInput
+            style={styles.textInput}
+            value={draft.name}
+            onChangeText={name => updateDraft({ name })}
+            placeholder="Course name"
+          />
+          <TextInput
+            style={styles.textInput}
+            value={draft.clubName}
+            onChangeText={clubName => updateDraft({ clubName })}
+            placeholder="Club name (optional)"
+          />
+          <TextInput
+            style={styles.textInput}
+            value={draft.location}
+            onChangeText={location => updateDraft({ location })}
+            placeholder="Town or city (optional)"
+          />
+
+          <View style={styles.fieldRow}>
+            <View style={styles.chipRow}>
+              {COURSE_HOLE_COUNTS.map(count => {
+                const isSelected = draft.holes.length === count;
+                return (
+                  <TouchableOpacity
+                    key={count}
+                    style={[styles.chip, isSelected && styles.selectedChip]}
+                    onPress={() => setDraft(prev => setDraftHoleCount(prev, count))}
+                  >
+                    <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                      {count} holes
+                    </Typography>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <View style={styles.parField}>
+              <Typography variant="caption">Course par</Typography>
+              {renderNumberCell(draft.par, par => updateDraft({ par }))}
+            </View>
+          </View>
+        </Card>
+
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle">Tees</Typography>
+          {draft.tees.map(renderTee)}
+          <Button
+            variant="text"
+            size="small"
+            iconLeft="add-circle-outline"
+            onPress={() => updateDraft({ tees: [...draft.tees, createTeeDraft()] })}
+          >
+            Add Tee
+          </Button>
+        </Card>
+
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle">Holes</Typography>
+          <Typography variant="caption" style={styles.sectionText}>
+            Par, stroke index and yards from each tee.
+          </Typography>
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <View>
+              <View style={styles.tableRow}>
+                <Typography variant="caption" weight="semibold" style={styles.holeCell}>Hole</Typography>
+                <Typography variant="caption" weight="semibold" style={styles.headerCell}>Par</Typography>
+                <Typography variant="caption" weight="semibold" style={styles.headerCell}>SI</Typography>
+                {draft.tees.map(tee => (
+                  <Typography key={tee.key} variant="caption" weight="semibold" style={styles.headerCell} numberOfLines={1}>
+                    {tee.name || "Tee"}
+                  </Typography>
+                ))}
+              </View>
+
+              {draft.holes.map(hole => (
+                <View key={hole.number} style={styles.tableRow}>
+                  <Typography variant="body" style={styles.holeCell}>{hole.number}</Typography>
+                  {renderNumberCell(hole.par, par => updateHole(hole.number, { par }))}
+                  {renderNumberCell(hole.strokeIndex, strokeIndex => updateHole(hole.number, { strokeIndex }))}
+                  {draft.tees.map(tee => (
+                    <React.Fragment key={tee.key}>
+                      {renderNumberCell(hole.distances[tee.key] || "", value => updateHoleDistance(hole.number, tee.key, value))}
+                    </React.Fragment>
+                  ))}
+                </View>
+              ))}
+
+              <View style={styles.tableRow}>
+                <Typography variant="caption" weight="semibold" style={styles.holeCell}>Total</Typography>
+                <Typography variant="caption" weight="semibold" style={styles.headerCell}>{sumDraftPar(draft)}</Typography>
+                <View style={styles.headerCell} />
+                {draft.tees.map(tee => (
+                  <Typography key={tee.key} variant="caption" weight="semibold" style={styles.headerCell}>
+                    {sumDraftDistance(draft, tee.key)}
+                  </Typography>
+                ))}
+              </View>
+            </View>
+          </ScrollView>
+        </Card>
+
+        {showValidation && (errors.length > 0 || warnings.length > 0) && (
+          <Card style={styles.sectionCard}>
+            {errors.map(message => (
+              <Typography key={message} variant="caption" color={theme.colors.error} style={styles.message}>
+                {message}
+              </Typography>
+            ))}
+            {warnings.map(message => (
+              <Typography key={message} variant="caption" color={theme.colors.accent} style={styles.message}>
+                {message}
+              </Typography>
+            ))}
+          </Card>
+        )}
+
+        <Typography variant="secondary" style={styles.sectionText}>
+          Submitted courses stay private to you until they've been reviewed and approved.
+        </Typography>
+
+        <Button
+          variant="primary"
+          onPress={handleSubmit}
+          loading={saving}
+          disabled={saving}
+          style={styles.submitButton}
+        >
+          Submit for Review
+        </Button>
+
+        {submissionId && (
+          <Button variant="text" onPress={handleWithdraw} disabled={saving} style={styles.submitButton}>
+            Withdraw Submission
+          </Button>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: theme.spacing.medium,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  sectionCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  sectionText: {
+    marginTop: theme.spacing.small,
+    marginBottom: theme.spacing.small,
+  },
+  textInput: {
+    height: 40,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: "#333",
+    marginTop: theme.spacing.small,
+  },
+  fieldRow: {
+    flexDirection: "row",
+    alignItems: "flex-end",
+    justifyContent: "space-between",
+    marginTop: theme.spacing.small,
+  },
+  chipRow: {
+    flexDirection: "row",
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  parField: {
+    alignItems: "center",
+  },
+  teeRow: {
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  teeHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  teeNameInput: {
+    flex: 1,
+  },
+  removeButton: {
+    padding: 8,
+    marginTop: theme.spacing.small,
+  },
+  colorRow: {
+    flexDirection: "row",
+    marginTop: theme.spacing.small,
+  },
+  colorSwatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: theme.colors.border,
+  },
+  selectedColorSwatch: {
+    borderWidth: 3,
+    borderColor: theme.colors.primary,
+  },
+  categoryRow: {
+    marginTop: theme.spacing.small,
+  },
+  ratingRow: {
+    flexDirection: "row",
+    marginTop: theme.spacing.small,
+  },
+  ratingField: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  tableRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  holeCell: {
+    width: 44,
+  },
+  headerCell: {
+    width: 60,
+    marginRight: 4,
+    textAlign: "center",
+  },
+  cellInput: {
+    width: 60,
+    height: 36,
+    marginRight: 4,
+    backgroundColor: "#f0f0f0",
+    borderRadius: 8,
+    fontSize: 15,
+    textAlign: "center",
+    color: "#333",
+  },
+  message: {
+    marginBottom: 4,
+  },
+  submitButton: {
+    marginBottom: theme.spacing.large,
+  },
+});
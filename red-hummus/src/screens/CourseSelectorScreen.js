@@ -16,17 +16,38 @@ import { Ionicons } from "@expo/vector-icons";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
-import { getAllCourses, searchCourses, getRecentCourses } from "../services/courseService";
+import {
+  getAllCourses,
+  searchCourses,
+  getRecentCourses,
+  getCourseById,
+  getFavouriteCourses,
+  setFavouriteCourse
+} from "../services/courseRepository";
+import { getCourseWarnings, COURSE_WARNING, TEE_CATEGORIES, DEFAULT_TEE_CATEGORY } from "../utils/courseSchema";
 import AppText from "../components/AppText";
 import SkeletonCourseCard from "../components/SkeletonCourseCard";
 import { AuthContext } from "../context/AuthContext";
+import { HOLE_RANGE_OPTIONS, getHoleNumbersForRange } from "../utils/holeRange";
+import { SCORING_FORMATS, DEFAULT_SCORING_FORMAT, getScoringFormat, isMatchPlayFormat } from "../utils/scoringFormats";
+import { MAX_PARTNERS, SCORER_KEY, createGuestPlayer, createRegisteredPlayer } from "../utils/groupRound";
+import { MATCH_ALLOWANCES } from "../utils/matchPlay";
+import { findProfileByEmail, getDefaultTeeCategory } from "../services/profileService";
+import { getHandicapSummary } from "../services/handicapService";
+import PartnerPicker from "../components/PartnerPicker";
 
 /**
  * CourseSelectorScreen Component
  * 
  * This screen displays a list of available golf courses from the database
  * and allows the user to select one and a tee to play.
- * Shows recently played courses by default, with search functionality.
+ * Shows favourite and recently played courses by default, with search functionality.
+ * Courses come from the device's course cache, so the list, search and
+ * starting a round all work with poor signal. Favourites are pinned to
+ * the cache for offline use.
+ * Gaps in the selected course's hole and tee data are listed before the
+ * round starts. Par and stroke index follow the tee's category (men,
+ * women, junior), falling back to the player's profile setting.
  */
 export default function CourseSelectorScreen({ navigation }) {
   // Get the current user from context
@@ -35,8 +56,29 @@ export default function CourseSelectorScreen({ navigation }) {
   // State for courses and selection
   const [allCourses, setAllCourses] = useState([]);
   const [recentCourses, setRecentCourses] = useState([]);
+  const [favouriteCourses, setFavouriteCourses] = useState([]);
   const [selectedCourse, setSelectedCourse] = useState(null);
   const [selectedTeeId, setSelectedTeeId] = useState(null);
+  const [selectedCourseDetails, setSelectedCourseDetails] = useState(null); // Full course with hole data, for warnings
+  const [defaultTeeCategory, setDefaultTeeCategory] = useState(DEFAULT_TEE_CATEGORY);
+  const [teeCategory, setTeeCategory] = useState(DEFAULT_TEE_CATEGORY);
+  
+  // Holes to play - full 18, a nine, or a custom set
+  const [holeRange, setHoleRange] = useState("full");
+  const [customHoles, setCustomHoles] = useState([]);
+  const selectedHoleNumbers = getHoleNumbersForRange(holeRange, customHoles);
+  const [scoringFormat, setScoringFormat] = useState(DEFAULT_SCORING_FORMAT);
+  
+  // Playing partners for a group round (the user is always the scorer)
+  const [partners, setPartners] = useState([]);
+  
+  // Match play - the user plays one partner, gross or net
+  const [matchOpponentKey, setMatchOpponentKey] = useState(null);
+  const [matchAllowance, setMatchAllowance] = useState("gross");
+  const isMatchPlay = isMatchPlayFormat(scoringFormat);
+  const matchOpponent = partners.find(partner => partner.key === matchOpponentKey) || partners[0] || null;
+  const canStartRound = selectedCourse && selectedTeeId && selectedHoleNumbers.length > 0 &&
+    (!isMatchPlay || matchOpponent);
   
   // Loading states
   const [isLoadingAll, setIsLoadingAll] = useState(true);
@@ -78,7 +120,7 @@ export default function CourseSelectorScreen({ navigation }) {
       
       try {
         setIsLoadingRecent(true);
-        const recentCoursesData = await getRecentCourses(user.id);
+        const recentCoursesData = await getRecentCourses(user.id, 5, { onUpdate: setRecentCourses });
         console.log("Loaded recent courses:", recentCoursesData.length);
         setRecentCourses(recentCoursesData);
       } catch (error) {
@@ -91,12 +133,18 @@ export default function CourseSelectorScreen({ navigation }) {
     loadRecentCourses();
   }, [user]);
   
+  // The player's usual tee category, for tees that don't have one
+  useEffect(() => {
+    if (!user) return;
+    getDefaultTeeCategory(user.id).then(setDefaultTeeCategory);
+  }, [user]);
+  
   // Load all courses as a fallback when component mounts
   useEffect(() => {
     const loadAllCourses = async () => {
       try {
         setIsLoadingAll(true);
-        const coursesData = await getAllCourses();
+        const coursesData = await getAllCourses({ onUpdate: setAllCourses });
         setAllCourses(coursesData);
       } catch (error) {
         console.error("Error loading all courses:", error);
@@ -108,6 +156,11 @@ export default function CourseSelectorScreen({ navigation }) {
     loadAllCourses();
   }, []);
   
+  // Favourites are kept per player
+  useEffect(() => {
+    getFavouriteCourses(user?.id).then(setFavouriteCourses);
+  }, [user?.id]);
+  
   // Effect to trigger search when query changes
   useEffect(() => {
     if (searchQuery.trim()) {
@@ -146,15 +199,107 @@ export default function CourseSelectorScreen({ navigation }) {
     
     // If there's only one tee, select it automatically
     if (course.tees && course.tees.length === 1) {
-      setSelectedTeeId(course.tees[0].id);
+      handleTeeSelect(course.tees[0].id, course);
+    }
+  };
+  
+  // List results don't include hole data - load it to check the course for gaps
+  useEffect(() => {
+    if (!selectedCourse) return;
+    
+    let cancelled = false;
+    setSelectedCourseDetails(null);
+    const handleDetails = details => {
+      if (!cancelled) setSelectedCourseDetails(details);
+    };
+    getCourseById(selectedCourse.id, { onUpdate: handleDetails }).then(handleDetails);
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedCourse]);
+  
+  // Missing tees are already shown in the tee list
+  const courseWarnings = selectedCourse
+    ? getCourseWarnings(selectedCourseDetails || selectedCourse, selectedTeeId)
+      .filter(warning => warning.code !== COURSE_WARNING.NO_TEES)
+    : [];
+  
+  /**
+   * Pin or unpin a favourite course - pinned courses are kept for offline use
+   */
+  const handleToggleFavourite = async (course) => {
+    const isFavourite = !favouriteCourses.some(favourite => favourite.id === course.id);
+    const isCached = await setFavouriteCourse(user?.id, course, isFavourite);
+    setFavouriteCourses(await getFavouriteCourses(user?.id));
+    
+    if (isFavourite && !isCached) {
+      Alert.alert(
+        "Saved as a Favourite",
+        "We couldn't download this course just now. It'll be saved for offline use next time you have signal."
+      );
     }
   };
   
   /**
    * Handle selecting a tee
+   * The category defaults to the tee's own, or the player's if it has none.
    */
-  const handleTeeSelect = (teeId) => {
+  const handleTeeSelect = (teeId, course = selectedCourse) => {
+    const tee = course?.tees?.find(candidate => candidate.id === teeId);
     setSelectedTeeId(teeId);
+    setTeeCategory(tee?.category || defaultTeeCategory);
+  };
+  
+  /**
+   * Toggle a hole in a custom hole selection
+   */
+  const handleToggleCustomHole = (holeNumber) => {
+    setCustomHoles(prev => 
+      prev.includes(holeNumber)
+        ? prev.filter(hole => hole !== holeNumber)
+        : [...prev, holeNumber]
+    );
+  };
+  
+  /**
+   * Add a playing partner - an email looks up a registered user,
+   * anything else is added as a guest
+   * 
+   * @returns {Promise<boolean>} Whether the partner was added
+   */
+  const handleAddPartner = async (entry, handicapIndex = null) => {
+    if (partners.length >= MAX_PARTNERS) {
+      return false;
+    }
+    
+    if (!entry.includes("@")) {
+      setPartners(prev => [...prev, createGuestPlayer(entry, handicapIndex)]);
+      return true;
+    }
+    
+    const profile = await findProfileByEmail(entry);
+    
+    if (!profile) {
+      Alert.alert("Golfer Not Found", "No registered golfer uses that email. You can add them as a guest by name instead.");
+      return false;
+    }
+    
+    if (profile.id === user?.id || partners.some(partner => partner.profile_id === profile.id)) {
+      Alert.alert("Already Playing", "That golfer is already in this group.");
+      return false;
+    }
+    
+    // Other players' rounds can't be read, so members' handicaps are entered by the scorer too
+    setPartners(prev => [...prev, createRegisteredPlayer(profile, handicapIndex)]);
+    return true;
+  };
+  
+  /**
+   * Remove a playing partner
+   */
+  const handleRemovePartner = (key) => {
+    setPartners(prev => prev.filter(partner => partner.key !== key));
   };
   
   /**
@@ -163,7 +308,7 @@ export default function CourseSelectorScreen({ navigation }) {
    */
   const handleStartRound = async () => {
     try {
-      if (!selectedCourse || !selectedTeeId) {
+      if (!canStartRound) {
         return;
       }
       
@@ -179,9 +324,43 @@ export default function CourseSelectorScreen({ navigation }) {
         courseId: selectedCourse.id,
         courseName: selectedCourse.name,
         teeId: selectedTeeId,
-        teeName: selectedTee.name
+        teeName: selectedTee.name,
+        teeCategory,
+        holeNumbers: selectedHoleNumbers,
+        scoringFormat,
+        partners: partners.length
       });
       
+      // Snapshot handicaps at the start of a match so the strokes given
+      // don't change if either player's index moves mid-round
+      let matchSettings = null;
+      if (isMatchPlay) {
+        const scorerIndex = matchAllowance === "net" ? (await getHandicapSummary(user.id)).index : null;
+        const opponentIndex = matchOpponent.handicap_index ?? null;
+        
+        // A net match without both indexes would quietly be played gross
+        if (matchAllowance === "net" && (scorerIndex === null || opponentIndex === null)) {
+          const missing = [
+            scorerIndex === null ? "you (no handicap index yet)" : null,
+            opponentIndex === null ? `${matchOpponent.name} (remove and add them again with their index)` : null
+          ].filter(Boolean);
+          Alert.alert(
+            "Handicap Needed",
+            `A net match needs a handicap index for both players. Missing for ${missing.join(" and ")}. You can play the match gross instead.`
+          );
+          return;
+        }
+        
+        matchSettings = {
+          opponent_key: matchOpponent.key,
+          allowance: matchAllowance,
+          handicaps: {
+            [SCORER_KEY]: scorerIndex,
+            [matchOpponent.key]: opponentIndex
+          }
+        };
+      }
+      
       // Store the selected course and tee in AsyncStorage
       await AsyncStorage.setItem("selectedCourse", JSON.stringify({
         id: selectedCourse.id,
@@ -190,9 +369,18 @@ export default function CourseSelectorScreen({ navigation }) {
         location: selectedCourse.location || "",
         teeId: selectedTeeId,
         teeName: selectedTee.name,
-        teeColor: selectedTee.color
+        teeColor: selectedTee.color,
+        teeCategory,
+        holeNumbers: selectedHoleNumbers,
+        scoringFormat,
+        players: partners,
+        matchSettings
       }));
       
+      // Starting from the course selector always begins a new round -
+      // incomplete rounds are resumed explicitly from the home screen
+      await AsyncStorage.removeItem("currentRound");
+      
       // Navigate directly to the tracker screen with replace
       // This removes the course selector from the back stack for a cleaner navigation flow
       navigation.replace("Tracker");
@@ -205,31 +393,46 @@ export default function CourseSelectorScreen({ navigation }) {
   /**
    * Render a course item in the list
    */
-  const renderCourseItem = ({ item }) => (
-    <TouchableOpacity
-      style={[
-        styles.courseItem,
-        selectedCourse?.id === item.id && styles.selectedCourseItem
-      ]}
-      onPress={() => handleCourseSelect(item)}
-    >
-      <View style={styles.courseItemContent}>
-        <AppText variant="body" bold style={styles.courseName}>
-          {item.name}
-        </AppText>
-        
-        {item.club_name && item.club_name !== item.name && (
-          <AppText variant="body" style={styles.clubName}>
-            {item.club_name}
+  const renderCourseItem = ({ item }) => {
+    const isFavourite = favouriteCourses.some(favourite => favourite.id === item.id);
+    return (
+      <TouchableOpacity
+        style={[
+          styles.courseItem,
+          selectedCourse?.id === item.id && styles.selectedCourseItem
+        ]}
+        onPress={() => handleCourseSelect(item)}
+      >
+        <View style={styles.courseItemContent}>
+          <AppText variant="body" bold style={styles.courseName}>
+            {item.name}
           </AppText>
-        )}
+          
+          {item.club_name && item.club_name !== item.name && (
+            <AppText variant="body" style={styles.clubName}>
+              {item.club_name}
+            </AppText>
+          )}
+          
+          <AppText variant="caption" style={styles.location}>
+            {item.location}
+          </AppText>
+        </View>
         
-        <AppText variant="caption" style={styles.location}>
-          {item.location}
-        </AppText>
-      </View>
-    </TouchableOpacity>
-  );
+        <TouchableOpacity
+          style={styles.favouriteButton}
+          onPress={() => handleToggleFavourite(item)}
+          accessibilityLabel={isFavourite ? "Remove from favourites" : "Add to favourites"}
+        >
+          <Ionicons
+            name={isFavourite ? "star" : "star-outline"}
+            size={22}
+            color={isFavourite ? theme.colors.accent : "#999"}
+          />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
   
   /**
    * Render a tee option
@@ -253,29 +456,52 @@ export default function CourseSelectorScreen({ navigation }) {
         <AppText variant="body" style={styles.teeName}>
           {tee.name}
         </AppText>
-        {tee.total_distance && (
+        {(tee.total_distance || tee.category) && (
           <AppText variant="caption">
-            {tee.total_distance} yards
+            {[
+              tee.total_distance ? `${tee.total_distance} yards` : null,
+              TEE_CATEGORIES.find(category => category.key === tee.category)?.label
+            ].filter(Boolean).join(" • ")}
           </AppText>
         )}
       </View>
     </TouchableOpacity>
   );
   
-  // Determine which courses to display based on search and recent courses
+  /**
+   * Render the link for adding a course that isn't listed
+   */
+  const renderAddCourseLink = () => (
+    <TouchableOpacity
+      style={styles.addCourseLink}
+      onPress={() => navigation.navigate("CourseEditor")}
+    >
+      <AppText variant="body" color={theme.colors.primary}>
+        Can't find your course? Add it
+      </AppText>
+    </TouchableOpacity>
+  );
+  
+  // Determine which courses to display based on search, favourites and recent courses
   let displayCourses = [];
   let isLoading = false;
   let showRecent = false;
+  let sectionTitle = null;
   
   if (searchQuery.trim().length >= 3) {
     // If searching, show search results
     displayCourses = searchResults;
     isLoading = isSearching;
-  } else if (recentCourses.length > 0) {
-    // If not searching and has recent courses, show those
-    displayCourses = recentCourses;
-    isLoading = isLoadingRecent;
+  } else if (favouriteCourses.length > 0 || recentCourses.length > 0) {
+    // If not searching, show favourites followed by recent courses
+    displayCourses = [
+      ...favouriteCourses,
+      ...recentCourses.filter(course => !favouriteCourses.some(favourite => favourite.id === course.id))
+    ];
+    isLoading = isLoadingRecent && favouriteCourses.length === 0;
     showRecent = true;
+    sectionTitle = favouriteCourses.length === 0 ? "Recently Played" :
+      recentCourses.length === 0 ? "Favourites" : "Favourites & Recently Played";
   } else {
     // Fallback to all courses
     displayCourses = allCourses;
@@ -316,10 +542,10 @@ export default function CourseSelectorScreen({ navigation }) {
         </View>
         
         {/* Course List Section Header */}
-        {!searchQuery.trim() && recentCourses.length > 0 && (
+        {!searchQuery.trim() && sectionTitle && (
           <View style={styles.sectionHeader}>
             <AppText variant="subtitle" style={styles.sectionTitle}>
-              Recently Played
+              {sectionTitle}
             </AppText>
           </View>
         )}
@@ -344,11 +570,15 @@ export default function CourseSelectorScreen({ navigation }) {
               renderItem={renderCourseItem}
               keyExtractor={item => item.id}
               contentContainerStyle={styles.courseList}
+              ListFooterComponent={searchQuery.trim().length >= 3 ? renderAddCourseLink : null}
             />
           ) : searchQuery.trim().length >= 3 ? (
-            <AppText variant="body" style={styles.noCoursesText}>
-              No courses found for "{searchQuery}". Try a different search term.
-            </AppText>
+            <View>
+              <AppText variant="body" style={styles.noCoursesText}>
+                No courses found for "{searchQuery}". Try a different search term.
+              </AppText>
+              {renderAddCourseLink()}
+            </View>
           ) : (
             <AppText variant="body" style={styles.noCoursesText}>
               {showRecent ? 
@@ -370,11 +600,237 @@ export default function CourseSelectorScreen({ navigation }) {
               {selectedCourse.tees && selectedCourse.tees.length > 0 ? (
                 selectedCourse.tees.map(tee => renderTeeOption(tee))
               ) : (
-                <AppText variant="body" style={styles.noTeesText}>
-                  No tee information available for this course
-                </AppText>
+                <>
+                  <AppText variant="body" style={styles.noTeesText}>
+                    No tee information available for this course
+                  </AppText>
+                  <TouchableOpacity
+                    style={styles.addCourseLink}
+                    onPress={() => navigation.navigate("CourseEditor", { courseId: selectedCourse.id })}
+                  >
+                    <AppText variant="body" color={theme.colors.primary}>
+                      Add Tee Details
+                    </AppText>
+                  </TouchableOpacity>
+                </>
               )}
             </View>
+            
+            {/* Which par and stroke index to use from the selected tee */}
+            {selectedTeeId && (
+              <>
+                <AppText variant="caption" style={styles.teeCategoryLabel}>Par & stroke index</AppText>
+                <View style={styles.holeRangeRow}>
+                  {TEE_CATEGORIES.map(category => (
+                    <TouchableOpacity
+                      key={category.key}
+                      style={[
+                        styles.holeRangeOption,
+                        teeCategory === category.key && styles.selectedHoleRangeOption
+                      ]}
+                      onPress={() => setTeeCategory(category.key)}
+                    >
+                      <AppText 
+                        variant="caption" 
+                        bold={teeCategory === category.key}
+                        color={teeCategory === category.key ? theme.colors.primary : undefined}
+                      >
+                        {category.label}
+                      </AppText>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
+          </View>
+        )}
+        
+        {/* Course Data Warnings */}
+        {selectedCourse && courseWarnings.length > 0 && (
+          <View style={styles.warningsContainer}>
+            <View style={styles.warningsHeader}>
+              <Ionicons name="warning-outline" size={18} color={theme.colors.accent} />
+              <AppText variant="body" bold style={styles.warningsTitle}>
+                Before you start
+              </AppText>
+            </View>
+            {courseWarnings.map(warning => (
+              <AppText key={`${warning.code}-${warning.message}`} variant="caption" style={styles.warningText}>
+                • {warning.message}
+              </AppText>
+            ))}
+            <TouchableOpacity
+              style={styles.warningsLink}
+              onPress={() => navigation.navigate("CourseEditor", { courseId: selectedCourse.id })}
+            >
+              <AppText variant="caption" color={theme.colors.primary}>
+                Suggest corrections
+              </AppText>
+            </TouchableOpacity>
+          </View>
+        )}
+        
+        {/* Hole Selection */}
+        {selectedCourse && selectedTeeId && (
+          <View style={styles.holeSelectionContainer}>
+            <AppText variant="subtitle" style={styles.teeSelectionTitle}>
+              Holes
+            </AppText>
+            
+            <View style={styles.holeRangeRow}>
+              {HOLE_RANGE_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[
+                    styles.holeRangeOption,
+                    holeRange === option.key && styles.selectedHoleRangeOption
+                  ]}
+                  onPress={() => setHoleRange(option.key)}
+                >
+                  <AppText 
+                    variant="caption" 
+                    bold={holeRange === option.key}
+                    color={holeRange === option.key ? theme.colors.primary : undefined}
+                  >
+                    {option.label}
+                  </AppText>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
+            {/* Custom hole picker */}
+            {holeRange === "custom" && (
+              <View style={styles.customHolesGrid}>
+                {getHoleNumbersForRange("full").map(holeNumber => (
+                  <TouchableOpacity
+                    key={`hole-${holeNumber}`}
+                    style={[
+                      styles.customHoleOption,
+                      customHoles.includes(holeNumber) && styles.selectedCustomHoleOption
+                    ]}
+                    onPress={() => handleToggleCustomHole(holeNumber)}
+                  >
+                    <AppText 
+                      variant="caption" 
+                      color={customHoles.includes(holeNumber) ? "#FFFFFF" : undefined}
+                    >
+                      {holeNumber}
+                    </AppText>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+          </View>
+        )}
+        
+        {/* Scoring Format Selection */}
+        {selectedCourse && selectedTeeId && (
+          <View style={styles.holeSelectionContainer}>
+            <AppText variant="subtitle" style={styles.teeSelectionTitle}>
+              Scoring
+            </AppText>
+            
+            <View style={styles.scoringFormatRow}>
+              {SCORING_FORMATS.map(format => (
+                <TouchableOpacity
+                  key={format.key}
+                  style={[
+                    styles.scoringFormatOption,
+                    scoringFormat === format.key && styles.selectedHoleRangeOption
+                  ]}
+                  onPress={() => setScoringFormat(format.key)}
+                >
+                  <AppText 
+                    variant="caption" 
+                    bold={scoringFormat === format.key}
+                    color={scoringFormat === format.key ? theme.colors.primary : undefined}
+                  >
+                    {format.shortLabel}
+                  </AppText>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
+            <AppText variant="caption" style={styles.scoringFormatDescription}>
+              {getScoringFormat(scoringFormat).description}
+            </AppText>
+          </View>
+        )}
+        
+        {/* Playing Partners */}
+        {selectedCourse && selectedTeeId && (
+          <View style={styles.holeSelectionContainer}>
+            <AppText variant="subtitle" style={styles.teeSelectionTitle}>
+              Playing Partners
+            </AppText>
+            
+            <PartnerPicker
+              partners={partners}
+              onAddPartner={handleAddPartner}
+              onRemovePartner={handleRemovePartner}
+              maxPartners={MAX_PARTNERS}
+            />
+          </View>
+        )}
+        
+        {/* Match Play Settings */}
+        {selectedCourse && selectedTeeId && isMatchPlay && (
+          <View style={styles.holeSelectionContainer}>
+            <AppText variant="subtitle" style={styles.teeSelectionTitle}>
+              Match
+            </AppText>
+            
+            {partners.length === 0 ? (
+              <AppText variant="caption" style={styles.scoringFormatDescription}>
+                Add a playing partner to play a match against
+              </AppText>
+            ) : (
+              <>
+                <AppText variant="caption" style={styles.matchLabel}>Opponent</AppText>
+                <View style={styles.scoringFormatRow}>
+                  {partners.map(partner => (
+                    <TouchableOpacity
+                      key={partner.key}
+                      style={[
+                        styles.scoringFormatOption,
+                        matchOpponent?.key === partner.key && styles.selectedHoleRangeOption
+                      ]}
+                      onPress={() => setMatchOpponentKey(partner.key)}
+                    >
+                      <AppText 
+                        variant="caption" 
+                        bold={matchOpponent?.key === partner.key}
+                        color={matchOpponent?.key === partner.key ? theme.colors.primary : undefined}
+                      >
+                        {partner.name}
+                      </AppText>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                
+                <AppText variant="caption" style={styles.matchLabel}>Scoring</AppText>
+                <View style={styles.holeRangeRow}>
+                  {MATCH_ALLOWANCES.map(allowance => (
+                    <TouchableOpacity
+                      key={allowance.key}
+                      style={[
+                        styles.holeRangeOption,
+                        matchAllowance === allowance.key && styles.selectedHoleRangeOption
+                      ]}
+                      onPress={() => setMatchAllowance(allowance.key)}
+                    >
+                      <AppText 
+                        variant="caption" 
+                        bold={matchAllowance === allowance.key}
+                        color={matchAllowance === allowance.key ? theme.colors.primary : undefined}
+                      >
+                        {allowance.label}
+                      </AppText>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
           </View>
         )}
         
@@ -382,10 +838,10 @@ export default function CourseSelectorScreen({ navigation }) {
         <TouchableOpacity
           style={[
             styles.startButton,
-            (!selectedCourse || !selectedTeeId) && styles.disabledButton
+            !canStartRound && styles.disabledButton
           ]}
           onPress={handleStartRound}
-          disabled={!selectedCourse || !selectedTeeId}
+          disabled={!canStartRound}
         >
           <AppText 
             variant="button" 
@@ -461,6 +917,8 @@ const styles = StyleSheet.create({
     paddingBottom: 16,
   },
   courseItem: {
+    flexDirection: "row",
+    alignItems: "center",
     backgroundColor: "#fff",
     borderRadius: 8,
     padding: 16,
@@ -478,6 +936,10 @@ const styles = StyleSheet.create({
   courseItemContent: {
     flex: 1,
   },
+  favouriteButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
   courseName: {
     marginBottom: 4,
   },
@@ -541,6 +1003,97 @@ const styles = StyleSheet.create({
     textAlign: "center",
     padding: 8,
   },
+  addCourseLink: {
+    alignItems: "center",
+    padding: 8,
+  },
+  warningsContainer: {
+    backgroundColor: "#FFF4E5",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  warningsHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  warningsTitle: {
+    marginLeft: 6,
+  },
+  warningText: {
+    marginTop: 2,
+  },
+  warningsLink: {
+    marginTop: 8,
+  },
+  holeSelectionContainer: {
+    marginBottom: 16,
+  },
+  holeRangeRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  holeRangeOption: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: 8,
+    marginHorizontal: 2,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    backgroundColor: "#fff",
+  },
+  selectedHoleRangeOption: {
+    borderColor: theme.colors.primary,
+    borderWidth: 2,
+  },
+  scoringFormatRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  scoringFormatOption: {
+    width: "48%",
+    alignItems: "center",
+    paddingVertical: 8,
+    margin: "1%",
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    backgroundColor: "#fff",
+  },
+  matchLabel: {
+    marginTop: 4,
+    marginBottom: 4,
+  },
+  teeCategoryLabel: {
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  scoringFormatDescription: {
+    marginTop: 8,
+    textAlign: "center",
+  },
+  customHolesGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 8,
+  },
+  customHoleOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: "center",
+    justifyContent: "center",
+    margin: 3,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    backgroundColor: "#fff",
+  },
+  selectedCustomHoleOption: {
+    backgroundColor: theme.colors.primary,
+    borderColor: theme.colors.primary,
+  },
   startButton: {
     backgroundColor: theme.colors.primary,
     paddingVertical: 12,
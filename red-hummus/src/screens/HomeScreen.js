@@ -1,7 +1,7 @@
 // src/screens/HomeScreen.js
 
-import React, { useState, useEffect, useContext } from "react";
-import { View, ActivityIndicator, StyleSheet, ScrollView } from "react-native";
+import React, { useState, useEffect, useContext, useCallback } from "react";
+import { View, ActivityIndicator, StyleSheet, ScrollView, Alert } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
@@ -9,16 +9,32 @@ import { supabase } from "../services/supabase";
 import { AuthContext } from "../context/AuthContext";
 import InsightsSummaryCard from "../components/InsightsSummaryCard";
 import RoundSummaryCard from "../components/RoundSummaryCard";
+import InProgressRoundCard from "../components/InProgressRoundCard";
+import TrendsSummaryCard from "../components/TrendsSummaryCard";
 import { getLatestInsights } from "../services/insightsService";
+import { getIncompleteRounds, deleteRound } from "../services/roundservice";
+import { getTrendData, summarizeTrends } from "../services/trendsService";
+import {
+  queueCompleteRound,
+  discardRoundOperations,
+  retryFailedOperations,
+  processQueue,
+  resolveRoundId
+} from "../services/syncQueue";
 import Typography from "../ui/components/Typography";
+import { getRoundHoleNumbers, describeHoleNumbers, isFullRound } from "../utils/holeRange";
 import Button from "../ui/components/Button";
 import Card from "../ui/components/Card";
+import useSyncStatus from "../hook/useSyncStatus";
+import useInsightsJob from "../hook/useInsightsJob";
 
 /**
  * HomeScreen Component
  * 
- * This screen shows the insights summary card, "Start New Round" button 
- * and displays cards for recent completed rounds.
+ * This screen shows the insights summary card, a summary of recent
+ * trends, the "Start New Round" button and cards for recent completed rounds.
+ * Rounds saved offline and still waiting to sync are listed above them,
+ * and incomplete rounds can be resumed, finished early or deleted.
  * Enhanced with design system components for visual consistency.
  */
 export default function HomeScreen({ navigation }) {
@@ -29,6 +45,85 @@ export default function HomeScreen({ navigation }) {
   // Add new state for insights
   const [insightsSummary, setInsightsSummary] = useState(null);
   const [insightsLoading, setInsightsLoading] = useState(true);
+  
+  // Recent form compared with the rounds before it
+  const [trendsSummary, setTrendsSummary] = useState(null);
+  
+  // Rounds recorded offline that haven't reached the server yet
+  const { pendingRounds, lastError: syncError, syncNow } = useSyncStatus();
+  const pendingCompletedRounds = pendingRounds.filter(round => round.isComplete);
+  
+  // Finished rounds still uploading, and any round the server turned away
+  const waitingRounds = pendingRounds.filter(round => round.isComplete || round.syncFailed);
+  const hasFailedRounds = waitingRounds.some(round => round.syncFailed);
+  
+  // Rounds that were started but not completed
+  const [inProgressRounds, setInProgressRounds] = useState([]);
+  const [roundActionId, setRoundActionId] = useState(null);
+
+  /**
+   * Load incomplete rounds from the server, plus the round on this device
+   * if it was started offline and hasn't synced yet
+   */
+  const loadInProgressRounds = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      const serverRounds = await getIncompleteRounds(user.id);
+      const currentRoundStr = await AsyncStorage.getItem("currentRound");
+      const currentRound = currentRoundStr ? JSON.parse(currentRoundStr) : null;
+      const currentSyncedId = currentRound ? await resolveRoundId(currentRound.id) : null;
+      
+      const formattedRounds = serverRounds.map(round => {
+        // Keep the device's copy of the current round so its local hole data is found
+        const isCurrent = currentRound && (round.id === currentRound.id || round.id === currentSyncedId);
+        return {
+          id: round.id,
+          date: round.created_at,
+          courseId: round.course_id,
+          courseName: round.course_name,
+          teeId: round.selected_tee_id,
+          teeName: round.selected_tee_name,
+          holesPlayed: round.holes_played,
+          record: isCurrent ? currentRound : round
+        };
+      });
+      
+      if (currentRound && !formattedRounds.some(round => round.record === currentRound)) {
+        const storedCourseStr = await AsyncStorage.getItem("selectedCourse");
+        const storedCourse = storedCourseStr ? JSON.parse(storedCourseStr) : null;
+        const storedHolesStr = await AsyncStorage.getItem(`round_${currentRound.id}_holes`);
+        const storedHoles = storedHolesStr ? JSON.parse(storedHolesStr) : {};
+        
+        formattedRounds.unshift({
+          id: currentRound.id,
+          date: currentRound.created_at,
+          courseId: currentRound.course_id,
+          courseName: storedCourse?.id === currentRound.course_id ? storedCourse.name : "Unknown Course",
+          teeId: currentRound.selected_tee_id,
+          teeName: currentRound.selected_tee_name,
+          holesPlayed: Object.values(storedHoles).filter(hole => hole?.shots?.length > 0).length,
+          record: currentRound
+        });
+      }
+      
+      setInProgressRounds(formattedRounds);
+    } catch (error) {
+      console.error("Error loading in-progress rounds:", error);
+    }
+  }, [user]);
+
+  // Rounds finished offline stay incomplete on the server until they sync
+  const visibleInProgressRounds = inProgressRounds.filter(round =>
+    !pendingCompletedRounds.some(pending => pending.id === round.id || pending.id === round.record.id)
+  );
+
+  // Refresh in-progress rounds whenever the screen comes into focus
+  useEffect(() => {
+    loadInProgressRounds();
+    const unsubscribe = navigation.addListener("focus", loadInProgressRounds);
+    return unsubscribe;
+  }, [navigation, loadInProgressRounds]);
 
   // Fetch recent rounds when component mounts
   useEffect(() => {
@@ -48,7 +143,11 @@ export default function HomeScreen({ navigation }) {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            hole_numbers,
+            holes_played,
+            scoring_format,
+            points
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
@@ -89,7 +188,12 @@ export default function HomeScreen({ navigation }) {
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            isComplete: round.is_complete,
+            holesLabel: isFullRound(getRoundHoleNumbers(round)) ? null : describeHoleNumbers(round.hole_numbers),
+            holesPlayed: round.holes_played,
+            holeCount: getRoundHoleNumbers(round).length,
+            scoringFormat: round.scoring_format,
+            points: round.points
           }));
           
           setRecentRounds(formattedRounds);
@@ -104,33 +208,186 @@ export default function HomeScreen({ navigation }) {
     }
     
     fetchRecentRounds();
-  }, [user]);
+    // Refetch when a pending round finishes syncing so it moves into the list
+  }, [user, pendingCompletedRounds.length]);
 
   // Fetch insights summary
+  const fetchInsightsSummary = useCallback(async () => {
+    if (!user) return;
+    
+    try {
+      setInsightsLoading(true);
+      
+      // Use our new service function to get just the summary
+      const summary = await getLatestInsights(user.id, 'summary');
+      console.log("Fetched insights summary:", summary);
+      
+      // Update state with the summary text
+      setInsightsSummary(summary);
+    } catch (error) {
+      console.error("Error fetching insights summary:", error);
+      // Set to null on error so we show the empty state
+      setInsightsSummary(null);
+    } finally {
+      setInsightsLoading(false);
+    }
+  }, [user]);
+  
+  useEffect(() => {
+    fetchInsightsSummary();
+  }, [fetchInsightsSummary]);
+  
+  // Follow insights generation, re-reading the summary when new insights are ready
+  const {
+    isGenerating: insightsGenerating,
+    errorMessage: insightsJobError,
+    job: insightsJob,
+    regenerate: regenerateInsights
+  } = useInsightsJob(user?.id, { onSucceeded: fetchInsightsSummary });
+
+  // Fetch the trends summary, refetching when a pending round finishes syncing
   useEffect(() => {
-    async function fetchInsightsSummary() {
+    async function fetchTrendsSummary() {
       if (!user) return;
       
       try {
-        setInsightsLoading(true);
-        
-        // Use our new service function to get just the summary
-        const summary = await getLatestInsights(user.id, 'summary');
-        console.log("Fetched insights summary:", summary);
-        
-        // Update state with the summary text
-        setInsightsSummary(summary);
+        const { rounds } = await getTrendData(user.id);
+        setTrendsSummary(summarizeTrends(rounds));
       } catch (error) {
-        console.error("Error fetching insights summary:", error);
-        // Set to null on error so we show the empty state
-        setInsightsSummary(null);
-      } finally {
-        setInsightsLoading(false);
+        // Keep the last summary rather than showing no trends
+        console.error("Error fetching trends summary:", error);
       }
     }
     
-    fetchInsightsSummary();
-  }, [user]);
+    fetchTrendsSummary();
+  }, [user, pendingCompletedRounds.length]);
+
+  /**
+   * Clear the device's in-progress copy of a round if it is the current round
+   */
+  const clearLocalRound = async (round) => {
+    const currentRoundStr = await AsyncStorage.getItem("currentRound");
+    const currentRound = currentRoundStr ? JSON.parse(currentRoundStr) : null;
+    
+    if (currentRound && currentRound.id === round.record.id) {
+      await AsyncStorage.removeItem("currentRound");
+    }
+    await AsyncStorage.removeItem(`round_${round.record.id}_holes`);
+  };
+
+  // Continue tracking an incomplete round
+  const handleResumeRound = async (round) => {
+    try {
+      await AsyncStorage.setItem("selectedCourse", JSON.stringify({
+        id: round.courseId,
+        name: round.courseName,
+        teeId: round.teeId,
+        teeName: round.teeName,
+        teeCategory: round.record.tee_category
+      }));
+      await AsyncStorage.setItem("currentRound", JSON.stringify(round.record));
+      
+      navigation.navigate("Tracker");
+    } catch (error) {
+      console.error("Error resuming round:", error);
+      Alert.alert("Error", "There was a problem resuming your round. Please try again.");
+    }
+  };
+
+  // Finish an incomplete round early, keeping the holes played
+  const handleAbandonRound = (round) => {
+    Alert.alert(
+      "Finish Round Early?",
+      "The holes you've played will be saved as a completed round.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Finish Round",
+          onPress: async () => {
+            try {
+              setRoundActionId(round.id);
+              // Queued behind any hole uploads still pending for this round
+              await queueCompleteRound(round.record.id, { courseName: round.courseName, date: round.date });
+              await clearLocalRound(round);
+              await processQueue({ force: true });
+            } catch (error) {
+              console.error("Error abandoning round:", error);
+            } finally {
+              setRoundActionId(null);
+              loadInProgressRounds();
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Permanently delete an incomplete round
+  const handleDeleteRound = (round) => {
+    Alert.alert(
+      "Delete Round?",
+      "This round and all of its shots will be permanently deleted.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setRoundActionId(round.id);
+              await discardRoundOperations(round.record.id);
+              
+              const syncedId = await resolveRoundId(round.record.id);
+              if (syncedId) {
+                await deleteRound(syncedId);
+              }
+              
+              await clearLocalRound(round);
+            } catch (error) {
+              console.error("Error deleting round:", error);
+              Alert.alert("Error", "There was a problem deleting this round. Please try again.");
+            } finally {
+              setRoundActionId(null);
+              loadInProgressRounds();
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Retry or discard a round the server wouldn't accept
+  const handleFailedRound = (round) => {
+    Alert.alert(
+      "Round Not Synced",
+      `This round couldn't be uploaded: ${round.syncError}`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await discardRoundOperations(round.id);
+            } catch (error) {
+              console.error("Error discarding round:", error);
+            }
+          }
+        },
+        {
+          text: "Try Again",
+          onPress: async () => {
+            try {
+              await retryFailedOperations(round.id);
+              await processQueue({ force: true });
+            } catch (error) {
+              console.error("Error retrying round:", error);
+            }
+          }
+        }
+      ]
+    );
+  };
 
   // Handle navigation to scorecard
   const handleRoundPress = (roundId) => {
@@ -149,6 +406,15 @@ export default function HomeScreen({ navigation }) {
           <InsightsSummaryCard 
             summary={insightsSummary} 
             loading={insightsLoading} 
+            generating={insightsGenerating}
+            errorMessage={insightsJobError}
+            onRetry={() => regenerateInsights(insightsJob?.round_window)}
+          />
+          
+          {/* Trends Summary Card */}
+          <TrendsSummaryCard
+            summary={trendsSummary}
+            onPress={() => navigation.navigate("Insights", { screen: "TrendsScreen" })}
           />
           
           {/* Start New Round button */}
@@ -161,6 +427,63 @@ export default function HomeScreen({ navigation }) {
             Start New Round
           </Button>
           
+          {/* Incomplete rounds */}
+          {visibleInProgressRounds.length > 0 && (
+            <View style={styles.recentRoundsSection}>
+              <Typography variant="subtitle" style={styles.sectionTitle}>
+                Rounds In Progress
+              </Typography>
+              
+              {visibleInProgressRounds.map(round => (
+                <InProgressRoundCard
+                  key={round.id}
+                  round={round}
+                  busy={roundActionId === round.id}
+                  onResume={() => handleResumeRound(round)}
+                  onAbandon={() => handleAbandonRound(round)}
+                  onDelete={() => handleDeleteRound(round)}
+                />
+              ))}
+            </View>
+          )}
+          
+          {/* Rounds waiting to sync */}
+          {waitingRounds.length > 0 && (
+            <View style={styles.recentRoundsSection}>
+              <View style={styles.sectionHeaderRow}>
+                <Typography variant="subtitle">
+                  Waiting to Sync
+                </Typography>
+                <Button
+                  variant="text"
+                  size="small"
+                  iconLeft="sync-outline"
+                  onPress={syncNow}
+                >
+                  Sync Now
+                </Button>
+              </View>
+              
+              {hasFailedRounds ? (
+                <Typography variant="caption" style={styles.syncErrorText}>
+                  Some rounds couldn't be uploaded - tap one to try again or discard it.
+                </Typography>
+              ) : syncError && (
+                <Typography variant="caption" style={styles.syncErrorText}>
+                  Last attempt failed - we'll keep retrying automatically.
+                </Typography>
+              )}
+              
+              {waitingRounds.map(round => (
+                <RoundSummaryCard 
+                  key={round.id}
+                  round={round} 
+                  onPress={round.syncFailed ? () => handleFailedRound(round) : syncNow}
+                />
+              ))}
+            </View>
+          )}
+          
           <View style={styles.recentRoundsSection}>
             {/* Section title for Recent Rounds */}
             <Typography 
@@ -219,6 +542,15 @@ const styles = StyleSheet.create({
   sectionTitle: {
     marginBottom: theme.spacing.medium,
   },
+  sectionHeaderRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  syncErrorText: {
+    marginBottom: theme.spacing.small,
+  },
   roundsList: {
     width: "100%",
   },
@@ -0,0 +1,328 @@
+// src/screens/ImportRoundsScreen.js
+
+import React, { useContext, useState } from "react";
+import {
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Switch,
+  Alert,
+  StyleSheet
+} from "react-native";
+import { useNavigation } from "@react-navigation/native";
+import { AuthContext } from "../context/AuthContext";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import { pickImportFile, matchImportCourses, getExistingRounds, importRounds } from "../services/importService";
+import { planImport } from "../utils/roundImport";
+import { describeHoleNumbers } from "../utils/holeRange";
+
+// Course candidates offered for each course name
+const CANDIDATES_SHOWN = 3;
+
+// How each planned status is shown
+const STATUS_LABELS = {
+  ready: { label: "Ready", color: theme.colors.success },
+  duplicate: { label: "Possible duplicate", color: theme.colors.accent },
+  unmatched: { label: "Course not matched", color: theme.colors.secondary },
+  invalid: { label: "Can't import", color: theme.colors.error }
+};
+
+/**
+ * ImportRoundsScreen Component
+ *
+ * Imports round history from a CSV or JSON file. After a file is chosen,
+ * the player checks which of our courses each course name maps to and
+ * which rounds to bring in - rounds that look like ones already in the
+ * app are left out unless switched on - then the rounds are saved.
+ */
+export default function ImportRoundsScreen() {
+  const navigation = useNavigation();
+  const { user } = useContext(AuthContext);
+  const [fileName, setFileName] = useState(null);
+  const [parsedRounds, setParsedRounds] = useState([]);
+  const [courseMatches, setCourseMatches] = useState({});
+  const [existingRounds, setExistingRounds] = useState([]);
+  const [included, setIncluded] = useState({}); // Player's choices by round key, overriding the default
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null); // { saved, total } while importing
+
+  const plannedRounds = planImport(parsedRounds, { courseMatches, existingRounds });
+  const isIncluded = (round) => {
+    if (round.status !== "ready" && round.status !== "duplicate") return false;
+    return included[round.key] ?? round.status === "ready";
+  };
+  const roundsToImport = plannedRounds.filter(isIncluded);
+
+  const handleChooseFile = async () => {
+    if (!user) return;
+
+    setLoading(true);
+    try {
+      const file = await pickImportFile();
+      if (!file) return;
+
+      if (file.rounds.length === 0) {
+        Alert.alert("No Rounds Found", "We couldn't find any rounds in that file.");
+        return;
+      }
+
+      const [matches, rounds] = await Promise.all([
+        matchImportCourses(file.rounds.map(round => round.courseName)),
+        getExistingRounds(user.id)
+      ]);
+
+      setFileName(file.fileName);
+      setParsedRounds(file.rounds);
+      setCourseMatches(matches);
+      setExistingRounds(rounds);
+      setIncluded({});
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      Alert.alert("Couldn't Read File", error.message || "There was a problem reading that file.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSelectCourse = (courseName, courseId) => {
+    setCourseMatches(prev => ({
+      ...prev,
+      [courseName]: { ...prev[courseName], selectedId: courseId }
+    }));
+  };
+
+  const handleImport = async () => {
+    if (!user || roundsToImport.length === 0) return;
+
+    setProgress({ saved: 0, total: roundsToImport.length });
+    const { importedIds, failed } = await importRounds(user.id, roundsToImport, (saved, total) => {
+      setProgress({ saved, total });
+    });
+    setProgress(null);
+
+    const message = `${importedIds.length} round${importedIds.length === 1 ? "" : "s"} imported.` +
+      (failed.length > 0 ? ` ${failed.length} couldn't be saved - please try those again.` : "");
+
+    Alert.alert("Import Complete", message, [
+      { text: "OK", onPress: () => navigation.goBack() }
+    ]);
+  };
+
+  const renderCourseMatch = (courseName) => {
+    const match = courseMatches[courseName];
+    const candidates = (match?.candidates || []).slice(0, CANDIDATES_SHOWN);
+
+    return (
+      <View key={courseName} style={styles.courseMatch}>
+        <Typography variant="body" weight="semibold">{courseName}</Typography>
+        {candidates.length === 0 ? (
+          <Typography variant="caption">
+            No matching course found - these rounds will be skipped.
+          </Typography>
+        ) : (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {candidates.map(course => {
+              const isSelected = course.id === match.selectedId;
+              return (
+                <TouchableOpacity
+                  key={course.id}
+                  style={[styles.chip, isSelected && styles.selectedChip]}
+                  onPress={() => handleSelectCourse(courseName, course.id)}
+                >
+                  <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                    {course.name}{course.location ? ` (${course.location})` : ""}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+            <TouchableOpacity
+              style={[styles.chip, match.selectedId === null && styles.selectedChip]}
+              onPress={() => handleSelectCourse(courseName, null)}
+            >
+              <Typography variant="caption" color={match.selectedId === null ? "#fff" : theme.colors.text}>
+                Skip
+              </Typography>
+            </TouchableOpacity>
+          </ScrollView>
+        )}
+      </View>
+    );
+  };
+
+  const renderRound = (round) => {
+    const status = STATUS_LABELS[round.status];
+    const canToggle = round.status === "ready" || round.status === "duplicate";
+    const grossShots = round.holes.reduce((total, hole) => total + (hole.score || 0), 0);
+
+    return (
+      <View key={round.key} style={styles.roundRow}>
+        <View style={styles.roundInfo}>
+          <Typography variant="body">
+            {round.date ? new Date(round.date).toLocaleDateString() : "No date"} • {round.course?.name || round.courseName || "No course"}
+          </Typography>
+          <Typography variant="caption">
+            {describeHoleNumbers(round.holes.map(hole => hole.number))} • {grossShots} strokes
+            {round.holes.some(hole => hole.shots) ? " • with shots" : ""}
+          </Typography>
+          <Typography variant="caption" color={status.color}>{status.label}</Typography>
+          {[...round.errors, ...round.warnings].map(note => (
+            <Typography key={note} variant="caption" italic>{note}</Typography>
+          ))}
+        </View>
+        {canToggle && (
+          <Switch
+            value={isIncluded(round)}
+            onValueChange={value => setIncluded(prev => ({ ...prev, [round.key]: value }))}
+            trackColor={{ true: theme.colors.primary }}
+          />
+        )}
+      </View>
+    );
+  };
+
+  if (loading || progress) {
+    return (
+      <Layout>
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+          <Typography variant="secondary" style={styles.loadingText}>
+            {progress
+              ? `Importing round ${Math.min(progress.saved + 1, progress.total)} of ${progress.total}...`
+              : "Reading your rounds..."}
+          </Typography>
+        </View>
+      </Layout>
+    );
+  }
+
+  // Before a file has been chosen
+  if (!fileName) {
+    return (
+      <Layout>
+        <ScrollView contentContainerStyle={styles.container}>
+          <Card style={styles.sectionCard}>
+            <Typography variant="subtitle">Import Rounds</Typography>
+            <Typography variant="body" style={styles.sectionText}>
+              Bring in rounds from a spreadsheet, another golf app or an export from this app.
+            </Typography>
+            <Typography variant="secondary" style={styles.sectionText}>
+              CSV files need date and course columns, plus either a row per hole with hole and score
+              columns (putts, par, tee and fairway are optional) or a column for each hole's score.
+              JSON files from this app's export are also accepted.
+            </Typography>
+            <Typography variant="secondary" style={styles.sectionText}>
+              Imported rounds count towards your handicap and score trends. They're left out of shot
+              analysis and insights unless they include shot-by-shot data.
+            </Typography>
+            <Button variant="primary" iconLeft="document-outline" onPress={handleChooseFile}>
+              Choose File
+            </Button>
+          </Card>
+        </ScrollView>
+      </Layout>
+    );
+  }
+
+  const courseNames = [...new Set(parsedRounds.map(round => round.courseName).filter(Boolean))];
+
+  return (
+    <Layout>
+      <ScrollView contentContainerStyle={styles.container}>
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle">{fileName}</Typography>
+          <Typography variant="secondary" style={styles.sectionText}>
+            {parsedRounds.length} round{parsedRounds.length === 1 ? "" : "s"} found • {roundsToImport.length} selected
+          </Typography>
+          <Button variant="text" size="small" onPress={handleChooseFile}>
+            Choose a Different File
+          </Button>
+        </Card>
+
+        {courseNames.length > 0 && (
+          <Card style={styles.sectionCard}>
+            <Typography variant="subtitle">Courses</Typography>
+            <Typography variant="caption" style={styles.sectionText}>
+              Check each course in the file is matched to the right course.
+            </Typography>
+            {courseNames.map(renderCourseMatch)}
+          </Card>
+        )}
+
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle">Rounds</Typography>
+          {plannedRounds.map(renderRound)}
+        </Card>
+
+        <Button
+          variant="primary"
+          onPress={handleImport}
+          disabled={roundsToImport.length === 0}
+          style={styles.importButton}
+        >
+          {`Import ${roundsToImport.length} Round${roundsToImport.length === 1 ? "" : "s"}`}
+        </Button>
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: theme.spacing.medium,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 40,
+  },
+  loadingText: {
+    marginTop: theme.spacing.medium,
+  },
+  sectionCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  sectionText: {
+    marginTop: theme.spacing.small,
+    marginBottom: theme.spacing.small,
+  },
+  courseMatch: {
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: theme.spacing.small,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  roundRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: theme.spacing.small,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  roundInfo: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  importButton: {
+    marginBottom: theme.spacing.large,
+  },
+});
@@ -1,12 +1,34 @@
 // src/screens/InsightsScreen.js
 
 import React, { useState, useEffect, useContext } from "react";
-import { View, ScrollView, RefreshControl, ActivityIndicator } from "react-native";
+import { View, ScrollView, RefreshControl, ActivityIndicator, TouchableOpacity, Alert } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
+import { useNavigation } from "@react-navigation/native";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import { AuthContext } from "../context/AuthContext";
-import { getLatestInsights } from "../services/insightsService";
+import { getLatestInsights, getInsightsHistory, submitInsightFeedback } from "../services/insightsService";
+import { getStrokesGainedHistory } from "../services/strokesGainedService";
+import { getLocalInsights } from "../services/localInsightsService";
+import { getHandicapSummary } from "../services/handicapService";
+import { getPracticeSessions } from "../services/practiceService";
+import { getTrendData } from "../services/trendsService";
+import { getBaselineForHandicap } from "../utils/strokesGained";
+import { isLocalInsights, DEFAULT_LOCAL_ROUND_WINDOW } from "../utils/localInsights";
+import { correlatePracticeWithOutcomes, describePracticeCorrelation } from "../utils/practicePlan";
+import {
+  createEmptyFeedback,
+  isFeedbackEmpty,
+  toggleReaction,
+  REACTION_UP,
+  REACTION_DOWN
+} from "../utils/insightFeedback";
+import StrokesGainedSection from "../components/StrokesGainedSection";
+import InsightsHistoryList from "../components/InsightsHistoryList";
+import InsightsDiffView from "../components/InsightsDiffView";
+import InsightFeedbackCard from "../components/InsightFeedbackCard";
+import RegenerateInsightsCard from "../components/RegenerateInsightsCard";
+import useInsightsJob from "../hook/useInsightsJob";
 
 // Import design system components
 import Typography from "../ui/components/Typography";
@@ -17,9 +39,20 @@ import Card from "../ui/components/Card";
  * InsightsScreen Component
  * 
  * This screen displays AI-generated insights about the user's golf game.
- * It shows all sections of the insights data in an organized, readable format.
+ * It shows all sections of the insights data in an organized, readable format,
+ * followed by strokes gained by category calculated from the user's shots.
+ * Performance trends over time open from here in their own screen.
+ * Past insights are listed below, and picking two shows how the primary
+ * issue and practice focus changed between them.
+ * Users can rate the latest insights, react to each section and leave a comment,
+ * and ask for new insights over a chosen number of recent rounds.
+ * When the coach's insights can't be generated or loaded (e.g. offline),
+ * rules-based insights worked out on the device are shown instead, clearly
+ * labelled, until new insights arrive from the server.
  */
 export default function InsightsScreen() {
+  const navigation = useNavigation();
+  
   // Get current authenticated user
   const { user } = useContext(AuthContext);
   
@@ -28,9 +61,23 @@ export default function InsightsScreen() {
   const [loading, setLoading] = useState(true);          // Tracks loading state during initial load
   const [refreshing, setRefreshing] = useState(false);   // Tracks pull-to-refresh state
   const [error, setError] = useState(null);              // Stores any error messages
+  const [sgHistory, setSgHistory] = useState([]);        // Strokes gained per recent round
+  const [sgBaseline, setSgBaseline] = useState(null);    // Baseline for strokes gained (set from handicap on first load)
+  const [history, setHistory] = useState([]);            // Past insight records, newest first
+  const [historyPage, setHistoryPage] = useState(0);     // Last page of history loaded
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+  const [loadingMoreHistory, setLoadingMoreHistory] = useState(false);
+  const [compareIds, setCompareIds] = useState([]);      // Up to two history records selected for comparison
+  const [feedbackDraft, setFeedbackDraft] = useState(createEmptyFeedback()); // Unsaved feedback on the latest insights
+  const [submittingFeedback, setSubmittingFeedback] = useState(false);
+  const [localInsights, setLocalInsights] = useState(null); // On-device fallback when server insights are missing or out of date
+  const [practiceCorrelation, setPracticeCorrelation] = useState([]); // Recent practice per shot type against on-course results
 
   /**
    * Fetch insights data from the database
+   *
+   * Each part of the screen loads on its own and is shown as soon as it
+   * arrives, so a slow or failing request doesn't hold back the rest.
    */
   const fetchInsights = async () => {
     if (!user) {
@@ -39,12 +86,10 @@ export default function InsightsScreen() {
       return;
     }
     
-    try {
-      setError(null);
-      
-      // Get the full insights object from our service
-      const insightsData = await getLatestInsights(user.id);
-      
+    setError(null);
+    
+    // Get the full insights object from our service
+    const loadInsights = getLatestInsights(user.id).then(insightsData => {
       if (insightsData) {
         console.log("Insights data loaded:", Object.keys(insightsData));
         setInsights(insightsData);
@@ -52,13 +97,58 @@ export default function InsightsScreen() {
         // No insights found - will show empty state
         setInsights(null);
       }
-    } catch (err) {
-      console.error("Error fetching insights:", err);
-      setError("Failed to load insights. Please try again later.");
-    } finally {
       setLoading(false);
-      setRefreshing(false);
+    });
+    
+    // Strokes gained against the user's handicap bracket unless they've picked a baseline
+    const loadStrokesGained = (async () => {
+      let baselineKey = sgBaseline;
+      if (!baselineKey) {
+        const { index } = await getHandicapSummary(user.id);
+        baselineKey = getBaselineForHandicap(index);
+        setSgBaseline(baselineKey);
+      }
+      setSgHistory(await getStrokesGainedHistory(user.id, baselineKey));
+    })();
+    
+    // How recent practice lines up with results on the course
+    const loadPracticeCorrelation = Promise.all([
+      getPracticeSessions(user.id),
+      getTrendData(user.id)
+    ]).then(([practiceSessions, trendData]) => {
+      setPracticeCorrelation(correlatePracticeWithOutcomes(practiceSessions, trendData.rounds));
+    });
+    
+    // Start the history again from the newest page
+    const loadHistory = getInsightsHistory(user.id).then(({ records, hasMore }) => {
+      setHistory(records);
+      setHistoryPage(0);
+      setHasMoreHistory(hasMore);
+      setCompareIds(ids => ids.filter(id => records.some(record => record.id === id)));
+      
+      // Pick up where the user left off with feedback on the latest insights
+      setFeedbackDraft(records[0]?.feedback || createEmptyFeedback());
+    });
+    
+    const [insightsResult, ...otherResults] = await Promise.allSettled([
+      loadInsights,
+      loadStrokesGained,
+      loadPracticeCorrelation,
+      loadHistory
+    ]);
+    
+    // Sections that failed keep what they showed before
+    otherResults
+      .filter(result => result.status === "rejected")
+      .forEach(result => console.error("Error fetching part of the insights screen:", result.reason));
+    
+    if (insightsResult.status === "rejected") {
+      console.error("Error fetching insights:", insightsResult.reason);
+      setError("Failed to load insights. Please try again later.");
     }
+    
+    setLoading(false);
+    setRefreshing(false);
   };
 
   // Load insights when component mounts
@@ -66,22 +156,147 @@ export default function InsightsScreen() {
     fetchInsights();
   }, [user]);
 
+  // Follow insights generation, reloading when new insights are ready
+  const {
+    job: insightsJob,
+    isGenerating,
+    hasFailed: generationFailed,
+    errorMessage: generationError,
+    regenerate
+  } = useInsightsJob(user?.id, { onSucceeded: () => fetchInsights() });
+
+  // Fall back to on-device insights when there are no server insights (or
+  // they couldn't be loaded), or the latest generation failed after them
+  const latestRecordId = history[0]?.id;
+  const latestRecordDate = history[0]?.createdAt;
+  useEffect(() => {
+    if (!user || loading) return;
+    
+    const failedSinceLatest = generationFailed && insightsJob &&
+      (!latestRecordDate || new Date(insightsJob.created_at) > new Date(latestRecordDate));
+    
+    if (insights && !failedSinceLatest) {
+      setLocalInsights(null);
+      return;
+    }
+    
+    let cancelled = false;
+    getLocalInsights(user.id, insightsJob?.round_window || DEFAULT_LOCAL_ROUND_WINDOW).then(generated => {
+      if (!cancelled) setLocalInsights(generated);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user, loading, insights, generationFailed, insightsJob?.id, latestRecordId]);
+
+  // Local insights stand in for the server's until new ones arrive
+  const displayedInsights = localInsights || insights;
+  const showingLocalInsights = isLocalInsights(displayedInsights);
+
   // Handle pull-to-refresh
   const onRefresh = async () => {
     setRefreshing(true);
     await fetchInsights();
   };
 
-  // Render an insights section with icon and content
-  const renderInsightSection = (title, content, iconName, iconColor) => {
+  // Recalculate strokes gained against a different baseline
+  const handleChangeBaseline = async (baselineKey) => {
+    if (!user || baselineKey === sgBaseline) return;
+    setSgBaseline(baselineKey);
+    setSgHistory(await getStrokesGainedHistory(user.id, baselineKey));
+  };
+
+  // Load the next page of past insights
+  const handleLoadMoreHistory = async () => {
+    if (!user || loadingMoreHistory) return;
+    setLoadingMoreHistory(true);
+    const nextPage = historyPage + 1;
+    const { records, hasMore } = await getInsightsHistory(user.id, { page: nextPage });
+    setHistory(current => [...current, ...records.filter(record => !current.some(existing => existing.id === record.id))]);
+    setHistoryPage(nextPage);
+    setHasMoreHistory(hasMore);
+    setLoadingMoreHistory(false);
+  };
+
+  // Select a history record for comparison, replacing the earliest pick once two are chosen
+  const handleToggleCompare = (record) => {
+    setCompareIds(ids => {
+      if (ids.includes(record.id)) {
+        return ids.filter(id => id !== record.id);
+      }
+      return [...ids, record.id].slice(-2);
+    });
+  };
+
+  const compareRecords = compareIds
+    .map(id => history.find(record => record.id === id))
+    .filter(Boolean);
+
+  // The record behind the insights on screen - the newest in the history
+  const latestRecord = history[0] || null;
+
+  // Thumbs up or down on a section, tapping the same thumb again clears it
+  const handleReaction = (sectionKey, reaction) => {
+    setFeedbackDraft(draft => ({ ...draft, reactions: toggleReaction(draft.reactions, sectionKey, reaction) }));
+  };
+
+  // Save the rating, reactions and comment on the latest insights
+  const handleSubmitFeedback = async () => {
+    if (!latestRecord || isFeedbackEmpty(feedbackDraft)) return;
+    
+    setSubmittingFeedback(true);
+    const saved = await submitInsightFeedback(latestRecord.id, feedbackDraft, latestRecord.feedback);
+    setSubmittingFeedback(false);
+    
+    if (!saved) {
+      Alert.alert("Error", "Your feedback couldn't be saved. Please try again.");
+      return;
+    }
+    
+    setFeedbackDraft(saved);
+    setHistory(current => current.map(record =>
+      record.id === latestRecord.id ? { ...record, feedback: saved } : record
+    ));
+  };
+
+  // Render an insights section with icon and content, plus thumbs up/down when it can be rated
+  const renderInsightSection = (title, content, iconName, iconColor, sectionKey = null) => {
     // Don't render if content is empty or null
     if (!content) return null;
     
+    const reaction = sectionKey ? feedbackDraft.reactions?.[sectionKey] : null;
+    
     return (
       <View style={styles.sectionContainer}>
         <View style={styles.sectionHeader}>
           <Ionicons name={iconName} size={22} color={iconColor} />
           <Typography variant="subtitle" style={styles.sectionTitle}>{title}</Typography>
+          {sectionKey && latestRecord && !showingLocalInsights && (
+            <View style={styles.reactionButtons}>
+              <TouchableOpacity
+                onPress={() => handleReaction(sectionKey, REACTION_UP)}
+                style={styles.reactionButton}
+                accessibilityLabel={`${title} was helpful`}
+              >
+                <Ionicons
+                  name={reaction === REACTION_UP ? "thumbs-up" : "thumbs-up-outline"}
+                  size={18}
+                  color={reaction === REACTION_UP ? theme.colors.success : theme.colors.secondary}
+                />
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => handleReaction(sectionKey, REACTION_DOWN)}
+                style={styles.reactionButton}
+                accessibilityLabel={`${title} wasn't helpful`}
+              >
+                <Ionicons
+                  name={reaction === REACTION_DOWN ? "thumbs-down" : "thumbs-down-outline"}
+                  size={18}
+                  color={reaction === REACTION_DOWN ? theme.colors.error : theme.colors.secondary}
+                />
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
         <Typography variant="body" style={styles.sectionContent}>{content}</Typography>
       </View>
@@ -129,7 +344,7 @@ export default function InsightsScreen() {
   }
   
   // Render the empty state when no insights exist
-  if (!insights) {
+  if (!displayedInsights) {
     return (
       <Layout>
         <View style={styles.centerContainer}>
@@ -147,7 +362,34 @@ export default function InsightsScreen() {
             Complete a round to get personalized insights from your golf coach.
             Track your shots to see patterns and get tips to improve your game.
           </Typography>
+          <Button
+            variant="outline"
+            iconLeft="trending-up-outline"
+            onPress={() => navigation.navigate("TrendsScreen")}
+            style={styles.trendsButton}
+          >
+            View Trends
+          </Button>
         </View>
+        
+        {/* Strokes gained doesn't depend on the insights, so show it if there's data */}
+        {sgHistory.length > 0 && (
+          <StrokesGainedSection
+            history={sgHistory}
+            baselineKey={sgBaseline}
+            onChangeBaseline={handleChangeBaseline}
+          />
+        )}
+        
+        {/* Generation may have failed or still be running for the first insights */}
+        {(isGenerating || generationError) && (
+          <RegenerateInsightsCard
+            generating={isGenerating}
+            errorMessage={generationError}
+            job={insightsJob}
+            onRegenerate={regenerate}
+          />
+        )}
       </Layout>
     );
   }
@@ -166,75 +408,159 @@ export default function InsightsScreen() {
         }
       >
         <Card style={{margin: 16}}>
+          {/* Make it clear when these aren't the coach's insights */}
+          {showingLocalInsights && (
+            <View style={styles.localBanner}>
+              <Ionicons name="phone-portrait-outline" size={18} color={theme.colors.accent} />
+              <Typography variant="caption" style={styles.localBannerText}>
+                Generated on your device from your last {displayedInsights.roundsAnalyzed === 1
+                  ? "round"
+                  : `${displayedInsights.roundsAnalyzed} rounds`} while your coach's insights
+                aren't available. They'll be replaced when new insights arrive.
+              </Typography>
+            </View>
+          )}
+          
           {/* Summary Section */}
-          {insights.summary && (
+          {displayedInsights.summary && (
             <Card.Header>
               <Typography variant="body" weight="medium">
-                {insights.summary}
+                {displayedInsights.summary}
               </Typography>
             </Card.Header>
           )}
           
-          <View style={{padding: insights.summary ? 0 : 8}}>
+          <View style={{padding: displayedInsights.summary ? 0 : 8}}>
             {/* Primary Issue Section */}
             {renderInsightSection(
               "Primary Issue",
-              insights.primaryIssue,
+              displayedInsights.primaryIssue,
               "warning-outline", 
-              "#f57c00" // Orange
+              "#f57c00", // Orange
+              "primaryIssue"
             )}
             
             {/* Reason Section */}
             {renderInsightSection(
               "Reason",
-              insights.reason,
+              displayedInsights.reason,
               "information-circle-outline", 
-              "#0288d1" // Blue
+              "#0288d1", // Blue
+              "reason"
             )}
             
             {/* Practice Focus Section */}
             {renderInsightSection(
               "Practice Focus",
-              insights.practiceFocus,
+              displayedInsights.practiceFocus,
               "basketball-outline", 
-              "#4caf50" // Green
+              "#4caf50", // Green
+              "practiceFocus"
             )}
             
             {/* Management Tip Section */}
             {renderInsightSection(
               "Management Tip",
-              insights.managementTip,
+              displayedInsights.managementTip,
               "bulb-outline", 
-              "#ffc107" // Amber
+              "#ffc107", // Amber
+              "managementTip"
             )}
             
             {/* Progress Section - Only shown if available and not null */}
-            {insights.progress && insights.progress !== "null" && (
+            {displayedInsights.progress && displayedInsights.progress !== "null" && (
               renderInsightSection(
                 "Progress",
-                insights.progress,
+                displayedInsights.progress,
                 "trending-up-outline", 
-                "#9c27b0" // Purple
+                "#9c27b0", // Purple
+                "progress"
+              )
+            )}
+            
+            {/* Practice logged recently and how those shots have gone on the course since */}
+            {practiceCorrelation.length > 0 && (
+              renderInsightSection(
+                "Practice & Results",
+                practiceCorrelation.map(describePracticeCorrelation).join("\n"),
+                "barbell-outline",
+                "#9c27b0" // Purple, alongside Progress
               )
             )}
           </View>
           
           {/* Show when the insights were generated */}
-          {insights.generatedAt && (
+          {displayedInsights.generatedAt && (
             <Card.Footer>
               <Typography 
                 variant="caption" 
                 italic={true}
                 align="center"
               >
-                Generated on {new Date(insights.generatedAt).toLocaleDateString()}
+                Generated {showingLocalInsights ? "on your device " : ""}on {new Date(displayedInsights.generatedAt).toLocaleDateString()}
               </Typography>
             </Card.Footer>
           )}
         </Card>
         
-        {/* Refresh button at the bottom */}
+        {/* Feedback on the latest insights */}
+        {latestRecord && !showingLocalInsights && (
+          <InsightFeedbackCard
+            draft={feedbackDraft}
+            savedFeedback={latestRecord.feedback}
+            onChange={setFeedbackDraft}
+            onSubmit={handleSubmitFeedback}
+            submitting={submittingFeedback}
+            canSubmit={!isFeedbackEmpty(feedbackDraft)}
+          />
+        )}
+        
+        {/* Strokes gained by category, with trends */}
+        <StrokesGainedSection
+          history={sgHistory}
+          baselineKey={sgBaseline}
+          onChangeBaseline={handleChangeBaseline}
+        />
+        
+        {/* Past insights, and how the advice changed between two of them */}
+        <InsightsHistoryList
+          records={history}
+          selectedIds={compareIds}
+          onToggleSelect={handleToggleCompare}
+          hasMore={hasMoreHistory}
+          loadingMore={loadingMoreHistory}
+          onLoadMore={handleLoadMoreHistory}
+        />
+        {compareRecords.length === 2 && (
+          <InsightsDiffView first={compareRecords[0]} second={compareRecords[1]} />
+        )}
+        
+        {/* Ask for new insights over a chosen number of rounds */}
+        <RegenerateInsightsCard
+          generating={isGenerating}
+          errorMessage={generationError}
+          job={insightsJob}
+          onRegenerate={regenerate}
+        />
+        
+        {/* Trends and refresh buttons at the bottom */}
         <View style={styles.buttonContainer}>
+          <Button
+            variant="outline"
+            iconLeft="trending-up-outline"
+            onPress={() => navigation.navigate("TrendsScreen")}
+            style={styles.trendsButton}
+          >
+            View Trends
+          </Button>
+          <Button
+            variant="outline"
+            iconLeft="barbell-outline"
+            onPress={() => navigation.navigate("PracticeScreen")}
+            style={styles.practiceButton}
+          >
+            Practice Plan
+          </Button>
           <Button
             variant="outline"
             iconLeft="refresh-outline"
@@ -272,6 +598,14 @@ const styles = {
   },
   sectionTitle: {
     marginLeft: 8,
+    flex: 1,
+  },
+  reactionButtons: {
+    flexDirection: "row",
+  },
+  reactionButton: {
+    padding: 4,
+    marginLeft: 4,
   },
   sectionContent: {
     lineHeight: 24,
@@ -297,6 +631,25 @@ const styles = {
     paddingHorizontal: 24,
     lineHeight: 24,
   },
+  localBanner: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    backgroundColor: "#fff4e5",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  localBannerText: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  trendsButton: {
+    marginTop: 16,
+    marginBottom: 12,
+  },
+  practiceButton: {
+    marginBottom: 12,
+  },
   buttonContainer: {
     alignItems: 'center',
     marginTop: 16,
@@ -0,0 +1,387 @@
+// src/screens/PracticeScreen.js
+
+import React, { useContext, useEffect, useState, useCallback } from "react";
+import {
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+  StyleSheet
+} from "react-native";
+import { useNavigation } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
+import { AuthContext } from "../context/AuthContext";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import Card from "../ui/components/Card";
+import PracticeLogSheet from "../components/PracticeLogSheet";
+import { getLatestInsights } from "../services/insightsService";
+import { getTrendData } from "../services/trendsService";
+import {
+  getCurrentPracticePlan,
+  savePracticePlan,
+  getPracticeSessions,
+  logPracticeSession,
+  deletePracticeSession
+} from "../services/practiceService";
+import { PRACTICE_SHOT_TYPES, getDrill, getDrillsForShotType } from "../utils/drills";
+import { generatePracticePlan, getWeekStart, isPlanValid } from "../utils/practicePlan";
+
+// Logged sessions listed under Recent Practice
+const RECENT_SESSIONS_SHOWN = 10;
+
+/**
+ * Format a logged session's date for display
+ */
+const formatSessionDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric"
+  });
+};
+
+/**
+ * PracticeScreen Component
+ *
+ * Shows this week's practice plan, built from the latest insights and
+ * recent rounds, alongside the full drill library. Any drill can be
+ * logged with its result, and recent practice is listed underneath.
+ */
+export default function PracticeScreen() {
+  const navigation = useNavigation();
+  const { user } = useContext(AuthContext);
+  const [plan, setPlan] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [generating, setGenerating] = useState(false);
+  const [libraryShotType, setLibraryShotType] = useState(PRACTICE_SHOT_TYPES[0]);
+  const [loggingDrill, setLoggingDrill] = useState(null);
+  const [savingSession, setSavingSession] = useState(false);
+
+  const loadPractice = useCallback(async () => {
+    if (!user) return;
+
+    const [currentPlan, practiceSessions] = await Promise.all([
+      getCurrentPracticePlan(user.id),
+      getPracticeSessions(user.id)
+    ]);
+
+    // Drop plans that refer to drills no longer in the library
+    setPlan(isPlanValid(currentPlan) ? currentPlan : null);
+    setSessions(practiceSessions);
+    setLoading(false);
+    setRefreshing(false);
+  }, [user]);
+
+  // Refresh whenever the screen comes into focus
+  useEffect(() => {
+    loadPractice();
+    const unsubscribe = navigation.addListener("focus", loadPractice);
+    return unsubscribe;
+  }, [navigation, loadPractice]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadPractice();
+  };
+
+  const handleGeneratePlan = async () => {
+    if (!user) return;
+
+    setGenerating(true);
+    let savedPlan;
+    try {
+      const [insights, trendData] = await Promise.all([
+        getLatestInsights(user.id),
+        getTrendData(user.id)
+      ]);
+
+      const newPlan = generatePracticePlan({ insights, rounds: trendData.rounds });
+      savedPlan = await savePracticePlan(user.id, newPlan);
+    } catch (error) {
+      // A plan built without the player's rounds wouldn't target their game
+      console.error("Error loading rounds for practice plan:", error);
+      Alert.alert("Error", "Your rounds couldn't be loaded to build a practice plan. Please try again.");
+      return;
+    } finally {
+      setGenerating(false);
+    }
+
+    if (!savedPlan) {
+      Alert.alert("Error", "There was a problem saving your practice plan. Please try again.");
+      return;
+    }
+    setPlan(savedPlan);
+  };
+
+  const handleSaveSession = async (result) => {
+    if (!user || !loggingDrill) return;
+
+    setSavingSession(true);
+    try {
+      const session = await logPracticeSession(user.id, { drillId: loggingDrill.id, ...result });
+      setSessions(prev => [session, ...prev]);
+      setLoggingDrill(null);
+    } catch (error) {
+      Alert.alert("Error", "There was a problem logging this drill. Please try again.");
+    } finally {
+      setSavingSession(false);
+    }
+  };
+
+  const handleDeleteSession = (session) => {
+    Alert.alert(
+      "Delete Practice",
+      `Remove ${getDrill(session.drillId)?.name || "this drill"} from your practice log?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            const deleted = await deletePracticeSession(session.id);
+            if (deleted) {
+              setSessions(prev => prev.filter(item => item.id !== session.id));
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  // Times each drill has been logged this week, to tick off the plan
+  const weekStart = getWeekStart();
+  const loggedThisWeek = sessions
+    .filter(session => getWeekStart(new Date(session.performedAt)) === weekStart)
+    .reduce((counts, session) => {
+      counts[session.drillId] = (counts[session.drillId] || 0) + 1;
+      return counts;
+    }, {});
+
+  const renderDrillRow = (drill, key, isDone = false) => (
+    <View key={key} style={styles.drillRow}>
+      <View style={styles.drillInfo}>
+        <Typography variant="body" weight="semibold">{drill.name}</Typography>
+        <Typography variant="caption">
+          {drill.attempts} attempts • {drill.minutes} min • count {drill.successLabel}
+        </Typography>
+      </View>
+      {isDone && (
+        <Ionicons name="checkmark-circle" size={20} color={theme.colors.success} style={styles.doneIcon} />
+      )}
+      <Button variant="outline" size="small" onPress={() => setLoggingDrill(drill)}>
+        Log
+      </Button>
+    </View>
+  );
+
+  const renderPlan = () => {
+    if (!plan) {
+      return (
+        <Card style={styles.sectionCard}>
+          <Typography variant="subtitle">This Week's Plan</Typography>
+          <Typography variant="body" style={styles.sectionText}>
+            Get a week of drills aimed at the parts of your game costing you the most shots.
+          </Typography>
+          <Button variant="primary" onPress={handleGeneratePlan} loading={generating} disabled={generating}>
+            Generate Plan
+          </Button>
+        </Card>
+      );
+    }
+
+    // Work through the plan in order, ticking off one logged drill per entry
+    const remaining = { ...loggedThisWeek };
+
+    return (
+      <Card style={styles.sectionCard}>
+        <Typography variant="subtitle">This Week's Plan</Typography>
+        <Typography variant="secondary" style={styles.sectionText}>{plan.reason}</Typography>
+        {plan.sessions.map(session => (
+          <View key={session.day} style={styles.planSession}>
+            <Typography variant="body" weight="bold" color={theme.colors.primary}>
+              {session.dayName}
+            </Typography>
+            {session.drills.map(drillId => {
+              const isDone = remaining[drillId] > 0;
+              if (isDone) remaining[drillId] -= 1;
+              return renderDrillRow(getDrill(drillId), `${session.day}-${drillId}`, isDone);
+            })}
+          </View>
+        ))}
+        <Button
+          variant="text"
+          size="small"
+          onPress={handleGeneratePlan}
+          loading={generating}
+          disabled={generating}
+        >
+          Regenerate Plan
+        </Button>
+      </Card>
+    );
+  };
+
+  const renderLibrary = () => (
+    <Card style={styles.sectionCard}>
+      <Typography variant="subtitle">Drill Library</Typography>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+        {PRACTICE_SHOT_TYPES.map(type => {
+          const isSelected = type === libraryShotType;
+          return (
+            <TouchableOpacity
+              key={type}
+              style={[styles.chip, isSelected && styles.selectedChip]}
+              onPress={() => setLibraryShotType(type)}
+            >
+              <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+                {type}
+              </Typography>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+      {getDrillsForShotType(libraryShotType).map(drill => (
+        <View key={drill.id}>
+          {renderDrillRow(drill, drill.id)}
+          <Typography variant="secondary" style={styles.drillDescription}>
+            {drill.description}
+          </Typography>
+        </View>
+      ))}
+    </Card>
+  );
+
+  const renderRecentSessions = () => (
+    <Card style={styles.sectionCard}>
+      <Typography variant="subtitle">Recent Practice</Typography>
+      {sessions.length === 0 ? (
+        <Typography variant="secondary" italic style={styles.sectionText}>
+          Drills you log will appear here.
+        </Typography>
+      ) : (
+        sessions.slice(0, RECENT_SESSIONS_SHOWN).map(session => (
+          <TouchableOpacity
+            key={session.id}
+            style={styles.sessionRow}
+            onLongPress={() => handleDeleteSession(session)}
+          >
+            <View style={styles.drillInfo}>
+              <Typography variant="body">{getDrill(session.drillId)?.name || session.drillId}</Typography>
+              <Typography variant="caption">
+                {formatSessionDate(session.performedAt)}{session.minutes ? ` • ${session.minutes} min` : ""}
+              </Typography>
+            </View>
+            <Typography variant="body" weight="semibold">
+              {session.successes}/{session.attempts}
+            </Typography>
+          </TouchableOpacity>
+        ))
+      )}
+      {sessions.length > 0 && (
+        <Typography variant="caption" style={styles.sectionText}>
+          Long press a drill to remove it.
+        </Typography>
+      )}
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <Layout>
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <ScrollView
+        contentContainerStyle={styles.container}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={[theme.colors.primary]} />
+        }
+      >
+        {renderPlan()}
+        {renderLibrary()}
+        {renderRecentSessions()}
+      </ScrollView>
+
+      <PracticeLogSheet
+        visible={!!loggingDrill}
+        drill={loggingDrill}
+        saving={savingSession}
+        onSave={handleSaveSession}
+        onClose={() => setLoggingDrill(null)}
+      />
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: theme.spacing.medium,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 40,
+  },
+  sectionCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  sectionText: {
+    marginTop: theme.spacing.small,
+    marginBottom: theme.spacing.small,
+  },
+  planSession: {
+    marginBottom: theme.spacing.small,
+  },
+  drillRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+  },
+  drillInfo: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  doneIcon: {
+    marginRight: theme.spacing.small,
+  },
+  drillDescription: {
+    marginBottom: theme.spacing.small,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: theme.spacing.small,
+    marginBottom: theme.spacing.small,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  sessionRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+});
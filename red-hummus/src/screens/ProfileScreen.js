@@ -1,20 +1,116 @@
 // src/screens/ProfileScreen.js
-import React, { useContext } from "react";
-import { View, StyleSheet, ScrollView } from "react-native";
+import React, { useContext, useEffect, useState, useCallback } from "react";
+import { View, StyleSheet, ScrollView, ActivityIndicator, Alert, TouchableOpacity } from "react-native";
+import { useNavigation } from "@react-navigation/native";
 import { AuthContext } from "../context/AuthContext";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import Button from "../ui/components/Button";
 import Typography from "../ui/components/Typography";
+import { getHandicapSummary } from "../services/handicapService";
+import { exportAllRounds } from "../services/exportService";
+import { getMyCourseSubmissions, SUBMISSION_STATUS } from "../services/courseSubmissionService";
+import { getDefaultTeeCategory, updateDefaultTeeCategory } from "../services/profileService";
+import { TEE_CATEGORIES, DEFAULT_TEE_CATEGORY } from "../utils/courseSchema";
+import ExportFormatPicker from "../components/ExportFormatPicker";
+import { formatHandicapIndex, MAX_SCORES_CONSIDERED } from "../utils/handicap";
+
+// Number of recent scores listed in the handicap history
+const HISTORY_ROWS_SHOWN = 20;
+
+// How each course submission status is shown
+const SUBMISSION_STATUS_LABELS = {
+  [SUBMISSION_STATUS.PENDING]: { label: "Awaiting review", color: theme.colors.accent },
+  [SUBMISSION_STATUS.APPROVED]: { label: "Approved", color: theme.colors.success },
+  [SUBMISSION_STATUS.REJECTED]: { label: "Not approved", color: theme.colors.error }
+};
 
 /**
  * ProfileScreen Component
  * 
  * Displays user information and provides account options.
  * Streamlined for production release with focus on essential functionality.
+ * Shows the user's handicap index and the scores that produced it.
+ * All completed rounds can be exported in one file.
+ * Lists courses the player has submitted, with their review status.
+ * The player's default tee category (for par and stroke index) is set here.
  */
 export default function ProfileScreen() {
+  const navigation = useNavigation();
   const { user, signOut } = useContext(AuthContext);
+  const [handicap, setHandicap] = useState({ index: null, history: [] });
+  const [handicapLoading, setHandicapLoading] = useState(true);
+  const [showExportPicker, setShowExportPicker] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [courseSubmissions, setCourseSubmissions] = useState([]);
+  const [teeCategory, setTeeCategory] = useState(DEFAULT_TEE_CATEGORY);
+
+  // Recalculate the handicap index from completed rounds
+  const loadHandicap = useCallback(async () => {
+    if (!user) return;
+    
+    setHandicapLoading(true);
+    const summary = await getHandicapSummary(user.id);
+    setHandicap(summary);
+    setHandicapLoading(false);
+  }, [user]);
+
+  const loadCourseSubmissions = useCallback(async () => {
+    if (!user) return;
+    setCourseSubmissions(await getMyCourseSubmissions(user.id));
+  }, [user]);
+
+  const loadTeeCategory = useCallback(async () => {
+    if (!user) return;
+    setTeeCategory(await getDefaultTeeCategory(user.id));
+  }, [user]);
+
+  // Refresh whenever the screen comes into focus, so new rounds are included
+  useEffect(() => {
+    const loadProfile = () => {
+      loadHandicap();
+      loadCourseSubmissions();
+      loadTeeCategory();
+    };
+    
+    loadProfile();
+    const unsubscribe = navigation.addListener("focus", loadProfile);
+    return unsubscribe;
+  }, [navigation, loadHandicap, loadCourseSubmissions, loadTeeCategory]);
+
+  // Save the default tee category, putting the old one back if it fails
+  const handleTeeCategoryChange = async (category) => {
+    if (!user || category === teeCategory) return;
+    
+    const previousCategory = teeCategory;
+    setTeeCategory(category);
+    try {
+      await updateDefaultTeeCategory(user.id, category);
+    } catch (error) {
+      console.error("Error saving tee category:", error);
+      setTeeCategory(previousCategory);
+      Alert.alert("Error", "There was a problem saving your tee category. Please try again.");
+    }
+  };
+
+  // Export every completed round in the chosen format
+  const handleExportAll = async (formatKey) => {
+    if (!user) return;
+    
+    setShowExportPicker(false);
+    setExporting(true);
+    try {
+      await exportAllRounds(user.id, formatKey, user.email);
+    } catch (error) {
+      console.error("Error exporting rounds:", error);
+      Alert.alert("Export Failed", error.message || "There was a problem exporting your rounds. Please try again.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Most recent scores first
+  const recentScores = [...handicap.history].reverse().slice(0, HISTORY_ROWS_SHOWN);
 
   return (
     <Layout>
@@ -32,6 +128,130 @@ export default function ProfileScreen() {
               {user?.email}
             </Typography>
           </View>
+          
+          <Typography variant="body" style={styles.categoryLabel}>
+            Par & stroke index
+          </Typography>
+          <View style={styles.categoryRow}>
+            {TEE_CATEGORIES.map(category => (
+              <TouchableOpacity
+                key={category.key}
+                style={[styles.categoryChip, teeCategory === category.key && styles.categoryChipSelected]}
+                onPress={() => handleTeeCategoryChange(category.key)}
+              >
+                <Typography variant="caption" color={teeCategory === category.key ? "#fff" : theme.colors.text}>
+                  {category.label}
+                </Typography>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Typography variant="caption" style={styles.categoryHint}>
+            Used when a tee doesn't say whether it's a men's, women's or junior tee.
+          </Typography>
+        </View>
+        
+        <View style={[styles.userInfoSection, styles.handicapSection]}>
+          <Typography variant="subtitle" style={styles.sectionTitle}>
+            Handicap
+          </Typography>
+          
+          {handicapLoading ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : (
+            <>
+              <View style={styles.indexRow}>
+                <Typography variant="title" style={styles.indexValue}>
+                  {formatHandicapIndex(handicap.index)}
+                </Typography>
+                <Typography variant="caption">
+                  {handicap.index === null
+                    ? "Play at least 3 full rounds on rated tees to establish an index"
+                    : `Handicap Index from ${Math.min(handicap.history.length, MAX_SCORES_CONSIDERED)} most recent scores`}
+                </Typography>
+              </View>
+              
+              {recentScores.map(entry => (
+                <View key={entry.roundId} style={styles.infoItem}>
+                  <View style={styles.historyDetails}>
+                    <Typography variant="body">
+                      {entry.courseName}
+                    </Typography>
+                    <Typography variant="caption">
+                      {new Date(entry.date).toLocaleDateString()} • Adjusted {entry.adjustedGrossScore} • Diff {entry.differential.toFixed(1)}{entry.imported ? " • Imported" : ""}
+                    </Typography>
+                  </View>
+                  <Typography variant="body" style={styles.infoValue}>
+                    {formatHandicapIndex(entry.index)}
+                  </Typography>
+                </View>
+              ))}
+            </>
+          )}
+        </View>
+        
+        {courseSubmissions.length > 0 && (
+          <View style={[styles.userInfoSection, styles.dataSection]}>
+            <Typography variant="subtitle" style={styles.sectionTitle}>
+              Your Courses
+            </Typography>
+            
+            {courseSubmissions.map(submission => {
+              const status = SUBMISSION_STATUS_LABELS[submission.status] || SUBMISSION_STATUS_LABELS[SUBMISSION_STATUS.PENDING];
+              const isPending = submission.status === SUBMISSION_STATUS.PENDING;
+              return (
+                <TouchableOpacity
+                  key={submission.id}
+                  style={styles.infoItem}
+                  disabled={!isPending}
+                  onPress={() => navigation.navigate("CourseEditor", { submissionId: submission.id })}
+                >
+                  <View style={styles.historyDetails}>
+                    <Typography variant="body">
+                      {submission.name}
+                    </Typography>
+                    <Typography variant="caption">
+                      {submission.course_id ? "Course details" : "New course"} • {new Date(submission.updated_at).toLocaleDateString()}
+                    </Typography>
+                    {submission.review_notes ? (
+                      <Typography variant="caption" italic>
+                        {submission.review_notes}
+                      </Typography>
+                    ) : null}
+                  </View>
+                  <Typography variant="caption" color={status.color}>
+                    {status.label}
+                  </Typography>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        )}
+        
+        <View style={[styles.userInfoSection, styles.dataSection]}>
+          <Typography variant="subtitle" style={styles.sectionTitle}>
+            Your Data
+          </Typography>
+          <Typography variant="secondary" style={styles.exportText}>
+            Export all your completed rounds as a spreadsheet, JSON or printable scorecards, or import
+            rounds from a file or another golf app.
+          </Typography>
+          <Button
+            variant="outline"
+            onPress={() => setShowExportPicker(true)}
+            iconLeft="download-outline"
+            loading={exporting}
+            disabled={exporting}
+          >
+            Export All Rounds
+          </Button>
+          <Button
+            variant="outline"
+            onPress={() => navigation.navigate("ImportRoundsScreen")}
+            iconLeft="cloud-upload-outline"
+            style={styles.importButton}
+          >
+            Import Rounds
+          </Button>
         </View>
         
         <View style={styles.spacer} />
@@ -45,6 +265,13 @@ export default function ProfileScreen() {
           Sign Out
         </Button>
       </ScrollView>
+      
+      <ExportFormatPicker
+        visible={showExportPicker}
+        title="Export All Rounds"
+        onSelect={handleExportAll}
+        onClose={() => setShowExportPicker(false)}
+      />
     </Layout>
   );
 }
@@ -61,9 +288,33 @@ const styles = StyleSheet.create({
     padding: theme.spacing.medium,
     ...theme.elevation.low,
   },
+  handicapSection: {
+    marginTop: theme.spacing.medium,
+  },
+  dataSection: {
+    marginTop: theme.spacing.medium,
+  },
+  indexRow: {
+    alignItems: "center",
+    marginBottom: theme.spacing.medium,
+  },
+  indexValue: {
+    color: theme.colors.primary,
+    marginBottom: 4,
+  },
+  historyDetails: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
   sectionTitle: {
     marginBottom: theme.spacing.medium,
   },
+  exportText: {
+    marginBottom: theme.spacing.medium,
+  },
+  importButton: {
+    marginTop: theme.spacing.small,
+  },
   infoItem: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -77,6 +328,27 @@ const styles = StyleSheet.create({
   infoValue: {
     fontWeight: theme.typography.fontWeight.medium,
   },
+  categoryLabel: {
+    color: theme.colors.secondary,
+    marginTop: theme.spacing.medium,
+  },
+  categoryRow: {
+    flexDirection: "row",
+    marginTop: theme.spacing.small,
+  },
+  categoryChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: theme.spacing.small,
+  },
+  categoryChipSelected: {
+    backgroundColor: theme.colors.primary,
+  },
+  categoryHint: {
+    marginTop: theme.spacing.small,
+  },
   spacer: {
     height: 32,
   },
@@ -9,12 +9,15 @@ import Layout from "../ui/Layout";
 import theme from "../ui/theme";
 import RoundSummaryCard from "../components/RoundSummaryCard";
 import Typography from "../ui/components/Typography";
+import Button from "../ui/components/Button";
+import { getRoundHoleNumbers, describeHoleNumbers, isFullRound } from "../utils/holeRange";
 
 /**
  * RoundsScreen Component
  * 
  * Displays a list of all completed rounds with detailed information.
  * Each round card is touchable and navigates to the ScorecardScreen.
+ * Stats rolled up per round are available from the button above the list.
  */
 export default function RoundsScreen() {
   const navigation = useNavigation();
@@ -40,7 +43,11 @@ export default function RoundsScreen() {
             created_at,
             score,
             gross_shots,
-            is_complete
+            is_complete,
+            hole_numbers,
+            holes_played,
+            scoring_format,
+            points
           `)
           .eq("profile_id", user.id)
           .eq("is_complete", true) // Only get completed rounds
@@ -78,7 +85,12 @@ export default function RoundsScreen() {
             courseName: coursesById[round.course_id] ? coursesById[round.course_id].name : "Unknown Course",
             score: round.score,
             grossShots: round.gross_shots,
-            isComplete: round.is_complete
+            isComplete: round.is_complete,
+            holesLabel: isFullRound(getRoundHoleNumbers(round)) ? null : describeHoleNumbers(round.hole_numbers),
+            holesPlayed: round.holes_played,
+            holeCount: getRoundHoleNumbers(round).length,
+            scoringFormat: round.scoring_format,
+            points: round.points
           }));
           
           setRounds(formattedRounds);
@@ -110,6 +122,16 @@ export default function RoundsScreen() {
         ) : rounds.length > 0 ? (
           <FlatList
             data={rounds}
+            ListHeaderComponent={
+              <Button
+                variant="outline"
+                iconLeft="stats-chart-outline"
+                onPress={() => navigation.navigate("RoundStatsScreen")}
+                style={styles.statsButton}
+              >
+                View Stats
+              </Button>
+            }
             renderItem={({ item }) => (
               <RoundSummaryCard 
                 round={item} 
@@ -144,6 +166,9 @@ const styles = StyleSheet.create({
   listContainer: {
     paddingBottom: 20,
   },
+  statsButton: {
+    marginBottom: theme.spacing.medium,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: "center",
@@ -0,0 +1,165 @@
+// src/screens/RoundStatsScreen.js
+
+import React, { useContext, useEffect, useState, useCallback } from "react";
+import { View, StyleSheet, FlatList, TouchableOpacity, ActivityIndicator } from "react-native";
+import { useNavigation } from "@react-navigation/native";
+import { AuthContext } from "../context/AuthContext";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import { getRoundStatsHistory } from "../services/statsService";
+import { combineRoundStats, formatStatRatio, formatStatPercentage } from "../utils/roundStats";
+
+/**
+ * RoundStatsScreen Component
+ *
+ * Shows traditional stats - fairways, greens in regulation, putts,
+ * scrambling, up and downs, sand saves and penalties - averaged over
+ * recent rounds, followed by each round's stats. Tapping a round opens
+ * its scorecard.
+ */
+export default function RoundStatsScreen() {
+  const navigation = useNavigation();
+  const { user } = useContext(AuthContext);
+  const [rounds, setRounds] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadStats = useCallback(async () => {
+    if (!user) return;
+
+    setLoading(true);
+    const history = await getRoundStatsHistory(user.id);
+    setRounds(history.filter(round => round.stats.holesPlayed > 0));
+    setLoading(false);
+  }, [user]);
+
+  // Refresh whenever the screen comes into focus, so new rounds are included
+  useEffect(() => {
+    loadStats();
+    const unsubscribe = navigation.addListener("focus", loadStats);
+    return unsubscribe;
+  }, [navigation, loadStats]);
+
+  const overall = combineRoundStats(rounds.map(round => round.stats));
+
+  const renderStat = (label, value) => (
+    <View style={styles.statItem}>
+      <Typography variant="caption">{label}</Typography>
+      <Typography variant="body" weight="semibold">{value}</Typography>
+    </View>
+  );
+
+  const renderOverview = () => (
+    <Card style={styles.overviewCard}>
+      <Typography variant="subtitle" style={styles.overviewTitle}>
+        Last {overall.rounds} Round{overall.rounds === 1 ? "" : "s"}
+      </Typography>
+      <View style={styles.statGrid}>
+        {renderStat("Fairways", formatStatPercentage(overall.fairways))}
+        {renderStat("GIR", formatStatPercentage(overall.greens))}
+        {renderStat("Putts / Round", overall.puttsPerRound ?? "-")}
+        {renderStat("Putts / Hole", overall.puttsPerHole ?? "-")}
+        {renderStat("Scrambling", formatStatPercentage(overall.scrambling))}
+        {renderStat("Up & Downs", formatStatPercentage(overall.upAndDowns))}
+        {renderStat("Sand Saves", formatStatPercentage(overall.sandSaves))}
+        {renderStat("Penalties / Round", overall.penaltiesPerRound ?? "-")}
+      </View>
+    </Card>
+  );
+
+  const renderRound = ({ item }) => (
+    <TouchableOpacity onPress={() => navigation.navigate("ScorecardScreen", { roundId: item.roundId })}>
+      <Card style={styles.roundCard}>
+        <View style={styles.roundHeader}>
+          <Typography variant="body" weight="semibold" style={styles.courseName} numberOfLines={1}>
+            {item.courseName}
+          </Typography>
+          <Typography variant="caption">
+            {new Date(item.date).toLocaleDateString()}
+          </Typography>
+        </View>
+        <View style={styles.statGrid}>
+          {renderStat("Fairways", formatStatRatio(item.stats.fairways, false))}
+          {renderStat("GIR", formatStatRatio(item.stats.greens, false))}
+          {renderStat("Putts", item.stats.putts ?? "-")}
+          {renderStat("Scrambling", formatStatRatio(item.stats.scrambling, false))}
+          {renderStat("Up & Downs", formatStatRatio(item.stats.upAndDowns, false))}
+          {renderStat("Sand Saves", formatStatRatio(item.stats.sandSaves, false))}
+          {renderStat("Penalties", item.stats.penalties)}
+          {renderStat("Holes", item.stats.holesPlayed)}
+        </View>
+      </Card>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Layout>
+      <View style={styles.container}>
+        {loading ? (
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        ) : rounds.length > 0 ? (
+          <FlatList
+            data={rounds}
+            renderItem={renderRound}
+            keyExtractor={item => item.roundId}
+            ListHeaderComponent={renderOverview}
+            contentContainerStyle={styles.listContainer}
+          />
+        ) : (
+          <View style={styles.emptyContainer}>
+            <Typography variant="secondary" italic style={styles.emptyText}>
+              No stats yet. Complete a round to see your fairways, greens and putts.
+            </Typography>
+          </View>
+        )}
+      </View>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    padding: theme.spacing.medium,
+  },
+  listContainer: {
+    paddingBottom: 20,
+  },
+  overviewCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  overviewTitle: {
+    marginBottom: theme.spacing.small,
+  },
+  roundCard: {
+    marginBottom: theme.spacing.small,
+  },
+  roundHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: theme.spacing.small,
+  },
+  courseName: {
+    flex: 1,
+    marginRight: theme.spacing.small,
+  },
+  statGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  statItem: {
+    width: "25%",
+    paddingVertical: 6,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  emptyText: {
+    textAlign: "center",
+  },
+});
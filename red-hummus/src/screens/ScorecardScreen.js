@@ -1,12 +1,28 @@
 // src/screens/ScorecardScreen.js
 
-import React, { useEffect, useState } from "react";
-import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator } from "react-native";
+import React, { useEffect, useState, useContext } from "react";
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, ActivityIndicator, Alert } from "react-native";
 import { useNavigation, useRoute, StackActions } from '@react-navigation/native';
 import { Ionicons } from "@expo/vector-icons";
 import { supabase } from "../services/supabase";
+import { AuthContext } from "../context/AuthContext";
+import { exportRound } from "../services/exportService";
+import { sharePartnerRounds } from "../services/roundservice";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
+import { getRoundHoleNumbers, sumParForHoles, describeHoleNumbers, isFullRound } from "../utils/holeRange";
+import { calculateRoundScore, formatScoreToPar } from "../utils/scoring";
+import { getPlayedTee, getHoleParForTee } from "../utils/courseSchema";
+import { findRoundTee, buildHandicapHoles, getRoundHandicapStrokes, formatHandicapIndex } from "../utils/handicap";
+import { getHandicapIndexAtDate } from "../services/handicapService";
+import { isGroupRound, getRoundPlayers, getPlayerShots } from "../utils/groupRound";
+import { scoreMatch, describeMatchStatus, formatHoleResult, HOLE_WON, HOLE_LOST } from "../utils/matchPlay";
+import { normalizeShot } from "../utils/shotModel";
+import { calculateRoundStats, formatStatRatio } from "../utils/roundStats";
+import GroupScorecard from "../components/GroupScorecard";
+import RoundInsightsPanel from "../components/RoundInsightsPanel";
+import ExportFormatPicker from "../components/ExportFormatPicker";
+import { isPointsFormat, isMatchPlayFormat, getScoringFormat, calculateRoundPoints, formatPoints, formatHolePoints } from "../utils/scoringFormats";
 
 /**
  * ScorecardScreen Component
@@ -15,10 +31,17 @@ import theme from "../ui/theme";
  * Shows hole-by-hole scores and outcome breakdowns.
  * Updated to work with the new shots data structure.
  * Enhanced navigation to provide cleaner flow back to home screen.
+ * Shows net scores using the handicap index held when the round was played,
+ * and a points column for Stableford and par/bogey rounds.
+ * Group rounds also get a card with a column for each player, and match
+ * play rounds mark each hole won, halved or lost.
+ * Coach insights generated for the round are shown below the scorecard.
+ * The round can be exported as CSV, JSON or a PDF scorecard.
  */
 export default function ScorecardScreen() {
   const navigation = useNavigation();
   const route = useRoute();
+  const { user } = useContext(AuthContext);
   // Get roundId from navigation params
   const { roundId, fromTracker } = route.params || {};
   
@@ -26,7 +49,13 @@ export default function ScorecardScreen() {
   const [roundData, setRoundData] = useState(null);
   const [courseData, setCourseData] = useState(null);
   const [holesData, setHolesData] = useState([]);
+  const [holeRecords, setHoleRecords] = useState([]); // Raw shots table records for score calculations
+  const [holeNumbers, setHoleNumbers] = useState(getRoundHoleNumbers(null)); // Holes in the round's range
+  const [handicap, setHandicap] = useState(null); // { index, courseHandicap, strokes } for net scoring
   const [loading, setLoading] = useState(true);
+  const [showExportPicker, setShowExportPicker] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [sharingPartnerRounds, setSharingPartnerRounds] = useState(false);
 
   // Define the outcome categories - used throughout the component
   const outcomes = ["On Target", "Slightly Off", "Recovery Needed"];
@@ -54,7 +83,16 @@ export default function ScorecardScreen() {
             gross_shots,
             created_at,
             is_complete,
-            selected_tee_name
+            selected_tee_id,
+            selected_tee_name,
+            tee_category,
+            hole_numbers,
+            scoring_format,
+            players,
+            group_round_id,
+            partner_rounds_shared_at,
+            match_settings,
+            match_result
           `)
           .eq("id", roundId)
           .single();
@@ -67,10 +105,13 @@ export default function ScorecardScreen() {
         }
         setRoundData(round);
         
+        const roundHoleNumbers = getRoundHoleNumbers(round);
+        setHoleNumbers(roundHoleNumbers);
+        
         // 2. Fetch the course data
         const { data: course, error: courseError } = await supabase
           .from("courses")
-          .select("id, name, par, holes")
+          .select("id, name, par, holes, tees")
           .eq("id", round.course_id)
           .single();
           
@@ -96,10 +137,21 @@ export default function ScorecardScreen() {
           throw holesError;
         }
         
+        setHoleRecords(holes || []);
+        
         // Process the holes data to get outcome breakdowns for display
-        const processedHoles = processHolesData(holes, round.selected_tee_name?.toLowerCase());
+        const processedHoles = processHolesData(holes, roundHoleNumbers);
         setHolesData(processedHoles);
         
+        // 4. Work out strokes received from the index held before this round
+        const handicapIndex = await getHandicapIndexAtDate(round.profile_id, round.created_at);
+        const roundStrokes = getRoundHandicapStrokes(
+          handicapIndex,
+          findRoundTee(course, round),
+          buildHandicapHoles(holes, course.holes, roundHoleNumbers, getPlayedTee(course, round))
+        );
+        setHandicap({ index: handicapIndex, ...roundStrokes });
+        
       } catch (error) {
         console.error("Error fetching scorecard data:", error);
       } finally {
@@ -114,11 +166,11 @@ export default function ScorecardScreen() {
    * Process the holes data to get outcome breakdowns
    * This converts the JSONB hole_data into a format for display
    */
-  const processHolesData = (holes, selectedTee) => {
+  const processHolesData = (holes, roundHoleNumbers) => {
     const processed = [];
     
-    // Default empty data for all 18 holes
-    for (let i = 1; i <= 18; i++) {
+    // Default empty data for each hole in the round
+    roundHoleNumbers.forEach(i => {
       processed[i] = {
         number: i,
         score: 0,
@@ -128,15 +180,15 @@ export default function ScorecardScreen() {
           "Recovery Needed": 0
         }
       };
-    }
+    });
     
     // Process each hole with data
     holes.forEach(hole => {
       const holeNum = hole.hole_number;
       const holeData = hole.hole_data;
       
-      // Skip if missing data
-      if (!holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
+      // Skip if missing data or outside the round's holes
+      if (!roundHoleNumbers.includes(holeNum) || !holeData || !holeData.shots || !Array.isArray(holeData.shots)) {
         return;
       }
       
@@ -147,8 +199,8 @@ export default function ScorecardScreen() {
         "Recovery Needed": 0
       };
       
-      // Count shots by outcome
-      holeData.shots.forEach(shot => {
+      // Count shots by outcome - shots may be in the original or detailed shape
+      holeData.shots.map(normalizeShot).forEach(shot => {
         if (outcomes[shot.result] !== undefined) {
           outcomes[shot.result]++;
         }
@@ -164,14 +216,16 @@ export default function ScorecardScreen() {
       };
     });
     
-    // Return only valid holes (1-18)
-    return processed.filter((_, index) => index > 0 && index <= 18);
+    // Return only the holes in the round, in order
+    return processed.filter(Boolean);
   };
 
   // Calculate front nine, back nine, and total scores with outcome breakdowns
   const calculateTotals = () => {
     let frontNine = 0;
     let backNine = 0;
+    let netFrontNine = 0;
+    let netBackNine = 0;
     
     // Initialize outcome totals
     let totalOnTarget = 0;
@@ -182,11 +236,15 @@ export default function ScorecardScreen() {
       const holeNum = hole.number;
       const score = hole.score || 0;
       
+      const netScore = getNetScore(holeNum, score) || 0;
+      
       // Add to front or back nine
       if (holeNum <= 9) {
         frontNine += score;
+        netFrontNine += netScore;
       } else {
         backNine += score;
+        netBackNine += netScore;
       }
       
       // Count outcomes
@@ -199,6 +257,9 @@ export default function ScorecardScreen() {
       frontNine,
       backNine,
       total: frontNine + backNine,
+      netFrontNine,
+      netBackNine,
+      netTotal: netFrontNine + netBackNine,
       outcomes: {
         "On Target": totalOnTarget,
         "Slightly Off": totalSlightlyOff,
@@ -207,6 +268,95 @@ export default function ScorecardScreen() {
     };
   };
 
+  // Strokes received on each hole (empty when no handicap is established)
+  const strokesReceived = handicap?.strokes || {};
+  const hasHandicap = handicap?.courseHandicap !== null && handicap?.courseHandicap !== undefined;
+  
+  /**
+   * Net score for a hole - gross score less strokes received
+   * Returns null for holes that weren't played
+   */
+  const getNetScore = (holeNum, score) => {
+    if (!score) return null;
+    return score - (strokesReceived[holeNum] || 0);
+  };
+
+  // Par and stroke index follow the tee and category the round was played from
+  const playedTee = getPlayedTee(courseData, roundData);
+  
+  // Points per hole for Stableford-style rounds (gross points without a handicap)
+  const scoringFormat = roundData?.scoring_format;
+  const showPoints = isPointsFormat(scoringFormat);
+  const roundPoints = calculateRoundPoints(
+    scoringFormat,
+    holeNumbers.map(holeNum => {
+      const hole = holesData.find(h => h.number === holeNum);
+      return {
+        number: holeNum,
+        par: hole?.par || getCourseHolePar(courseData, holeNum, playedTee),
+        score: hole?.score || 0
+      };
+    }),
+    strokesReceived
+  );
+  
+  // Match play - each hole won, halved or lost against the opponent
+  const roundPlayers = getRoundPlayers(roundData);
+  
+  // Registered partners get their own copy once the round is complete
+  const partnerRoundsPending = Boolean(
+    roundData?.is_complete &&
+    !roundData.group_round_id &&
+    !roundData.partner_rounds_shared_at &&
+    roundPlayers.some(player => player.profile_id)
+  );
+  const matchOpponent = isMatchPlayFormat(scoringFormat)
+    ? roundPlayers.find(player => player.key === roundData?.match_settings?.opponent_key)
+    : null;
+  const matchState = matchOpponent
+    ? scoreMatch(
+        roundData.match_settings,
+        holeNumbers,
+        (playerKey, holeNum) => getPlayerShots(
+          holeRecords.find(hole => hole.hole_number === holeNum)?.hole_data,
+          playerKey
+        ).length,
+        findRoundTee(courseData, roundData),
+        buildHandicapHoles(holeRecords, courseData?.holes, holeNumbers, playedTee)
+      )
+    : null;
+  const matchResultText = roundData?.match_result?.description ||
+    (matchState ? describeMatchStatus(matchState.status, roundPlayers[0].name, matchOpponent.name) : null);
+  
+  /**
+   * Match result marker for a hole, blank once the match was decided
+   */
+  const getMatchMarker = (holeNum) => {
+    const decidedOn = matchState?.status.decidedOnHole;
+    if (decidedOn !== null && decidedOn !== undefined && holeNum > decidedOn) {
+      return "";
+    }
+    const hole = matchState?.holeResults.find(result => result.number === holeNum);
+    return formatHoleResult(hole ? hole.result : null);
+  };
+  
+  /**
+   * Colour for a hole's match marker
+   */
+  const getMatchMarkerStyle = (holeNum) => {
+    const result = matchState?.holeResults.find(hole => hole.number === holeNum)?.result;
+    if (result === HOLE_WON) return styles.matchWon;
+    if (result === HOLE_LOST) return styles.matchLost;
+    return null;
+  };
+
+  /**
+   * Total points over a set of holes
+   */
+  const sumPoints = (holeNums) => {
+    return holeNums.reduce((total, holeNum) => total + (roundPoints.byHole[holeNum] || 0), 0);
+  };
+
   // Get color for outcome column headers
   const getOutcomeColor = (outcome) => {
     switch (outcome) {
@@ -231,6 +381,38 @@ export default function ScorecardScreen() {
     navigation.dispatch(StackActions.popToTop());
   };
 
+  /**
+   * Export the round in the chosen format and open the share sheet
+   */
+  const handleExport = async (formatKey) => {
+    setShowExportPicker(false);
+    setExporting(true);
+    try {
+      await exportRound(roundId, formatKey, user?.email || "You");
+    } catch (error) {
+      console.error("Error exporting round:", error);
+      Alert.alert("Export Failed", "There was a problem exporting this round. Please try again.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /**
+   * Try again to save the round to registered partners' histories
+   */
+  const handleSharePartnerRounds = async () => {
+    setSharingPartnerRounds(true);
+    try {
+      await sharePartnerRounds(roundId);
+      setRoundData(prev => ({ ...prev, partner_rounds_shared_at: new Date().toISOString() }));
+    } catch (error) {
+      console.error("Error sharing partner rounds:", error);
+      Alert.alert("Sharing Failed", "This round couldn't be saved to your partners' histories. Please try again.");
+    } finally {
+      setSharingPartnerRounds(false);
+    }
+  };
+
   // If still loading, show loading indicator
   if (loading) {
     return (
@@ -245,16 +427,109 @@ export default function ScorecardScreen() {
 
   // Calculate totals for display
   const totals = calculateTotals();
+  
+  // Score to par from the holes actually played (unplayed holes are excluded)
+  const roundScore = calculateRoundScore(holeRecords, {
+    courseHoles: courseData?.holes,
+    holeNumbers,
+    playedTee
+  });
+  
+  // Fairways, greens, putts and short game stats from the holes played
+  const roundStats = calculateRoundStats(holeRecords, {
+    courseHoles: courseData?.holes,
+    holeNumbers,
+    playedTee
+  });
+  
+  // Split the round's holes into front and back nine sections
+  const frontNineHoles = holeNumbers.filter(holeNum => holeNum <= 9);
+  const backNineHoles = holeNumbers.filter(holeNum => holeNum > 9);
+  const roundPar = sumParForHoles(courseData?.holes, holeNumbers, playedTee) || 
+    (isFullRound(holeNumbers) ? courseData?.par : null);
+  
+  // Net to par only counts strokes received on holes that were scored to par
+  const strokesOnScoredHoles = holesData
+    .filter(hole => hole.score > 0 && !roundScore.holesMissingPar.includes(hole.number))
+    .reduce((total, hole) => total + (strokesReceived[hole.number] || 0), 0);
+  const netScoreToPar = hasHandicap && roundScore.scoreToPar !== null
+    ? roundScore.scoreToPar - strokesOnScoredHoles
+    : null;
+  
+  // Render a single hole row
+  const renderHoleRow = (holeNum) => {
+    // Find this hole's data
+    const holeData = holesData.find(h => h.number === holeNum) || {
+      number: holeNum,
+      score: 0,
+      par: getCourseHolePar(courseData, holeNum, playedTee),
+      outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
+    };
+    
+    return (
+      <View key={`hole-${holeNum}`} style={styles.holeRow}>
+        <Text style={styles.holeColumn}>{holeNum}</Text>
+        <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
+        <Text style={styles.scoreColumn}>{holeData.score || "-"}</Text>
+        {hasHandicap && (
+          <Text style={styles.netColumn}>
+            {getNetScore(holeNum, holeData.score) ?? "-"}
+            {strokesReceived[holeNum] > 0 ? "•".repeat(strokesReceived[holeNum]) : ""}
+          </Text>
+        )}
+        {showPoints && (
+          <Text style={styles.pointsColumn}>
+            {formatHolePoints(scoringFormat, roundPoints.byHole[holeNum])}
+          </Text>
+        )}
+        {matchState && (
+          <Text style={[styles.pointsColumn, getMatchMarkerStyle(holeNum)]}>
+            {getMatchMarker(holeNum)}
+          </Text>
+        )}
+        {/* Outcome values */}
+        <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
+        <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
+        <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
+      </View>
+    );
+  };
 
   return (
     <Layout>
       <View style={styles.container}>
         {/* Course info */}
         <View style={styles.courseInfo}>
-          <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
+          <View style={styles.courseHeader}>
+            <Text style={styles.courseName}>{courseData?.name || "Unknown Course"}</Text>
+            <TouchableOpacity
+              onPress={() => setShowExportPicker(true)}
+              disabled={exporting}
+              style={styles.exportButton}
+              accessibilityLabel="Export round"
+            >
+              {exporting ? (
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+              ) : (
+                <Ionicons name="share-outline" size={22} color={theme.colors.primary} />
+              )}
+            </TouchableOpacity>
+          </View>
           <Text style={styles.roundDate}>
             {roundData?.created_at ? new Date(roundData.created_at).toLocaleDateString() : ""}
+            {!isFullRound(holeNumbers) ? ` • ${describeHoleNumbers(holeNumbers)}` : ""}
+            {showPoints || matchState ? ` • ${getScoringFormat(scoringFormat).label}` : ""}
           </Text>
+          {matchOpponent && matchResultText && (
+            <Text style={styles.matchResultText}>
+              vs {matchOpponent.name} ({roundData.match_settings.allowance === "net" ? "Net" : "Gross"}): {matchResultText}
+            </Text>
+          )}
+          {hasHandicap && (
+            <Text style={styles.roundDate}>
+              Handicap Index {formatHandicapIndex(handicap.index)} • Course Handicap {handicap.courseHandicap}
+            </Text>
+          )}
         </View>
         
         {/* Scorecard */}
@@ -264,6 +539,9 @@ export default function ScorecardScreen() {
             <Text style={[styles.holeColumn, styles.headerText]}>Hole</Text>
             <Text style={[styles.parColumn, styles.headerText]}>Par</Text>
             <Text style={[styles.scoreColumn, styles.headerText]}>Score</Text>
+            {hasHandicap && <Text style={[styles.netColumn, styles.headerText]}>Net</Text>}
+            {showPoints && <Text style={[styles.pointsColumn, styles.headerText]}>Pts</Text>}
+            {matchState && <Text style={[styles.pointsColumn, styles.headerText]}>Match</Text>}
             {/* Outcome columns with new categories */}
             <Text style={[styles.outcomeColumn, styles.headerText, {backgroundColor: getOutcomeColor("On Target")}]}>
               On Target
@@ -277,82 +555,94 @@ export default function ScorecardScreen() {
           </View>
           
           {/* Hole rows - Front Nine */}
-          {[1, 2, 3, 4, 5, 6, 7, 8, 9].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
+          {frontNineHoles.map(renderHoleRow)}
           
           {/* Out (Front Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>Out</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 1, 9)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.frontNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
+          {frontNineHoles.length > 0 && (
+            <View style={[styles.holeRow, styles.totalRow]}>
+              <Text style={[styles.holeColumn, styles.totalText]}>Out</Text>
+              <Text style={[styles.parColumn, styles.totalText]}>{sumParForHoles(courseData?.holes, frontNineHoles, playedTee) || "-"}</Text>
+              <Text style={[styles.scoreColumn, styles.totalText]}>{totals.frontNine}</Text>
+              {hasHandicap && <Text style={[styles.netColumn, styles.totalText]}>{totals.netFrontNine}</Text>}
+              {showPoints && <Text style={[styles.pointsColumn, styles.totalText]}>{sumPoints(frontNineHoles)}</Text>}
+              {matchState && <Text style={styles.pointsColumn}></Text>}
+              <Text style={styles.outcomeColumn}></Text>
+              <Text style={styles.outcomeColumn}></Text>
+              <Text style={styles.outcomeColumn}></Text>
+            </View>
+          )}
           
           {/* Hole rows - Back Nine */}
-          {[10, 11, 12, 13, 14, 15, 16, 17, 18].map(holeNum => {
-            // Find this hole's data
-            const holeData = holesData.find(h => h.number === holeNum) || {
-              number: holeNum,
-              score: 0,
-              par: getCourseHolePar(courseData, holeNum),
-              outcomes: { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-            };
-            
-            return (
-              <View key={`hole-${holeNum}`} style={styles.holeRow}>
-                <Text style={styles.holeColumn}>{holeNum}</Text>
-                <Text style={styles.parColumn}>{holeData.par || "-"}</Text>
-                <Text style={styles.scoreColumn}>{holeData.score || 0}</Text>
-                {/* Outcome values */}
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["On Target"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Slightly Off"] || 0}</Text>
-                <Text style={styles.outcomeColumn}>{holeData.outcomes["Recovery Needed"] || 0}</Text>
-              </View>
-            );
-          })}
+          {backNineHoles.map(renderHoleRow)}
           
           {/* In (Back Nine) totals */}
-          <View style={[styles.holeRow, styles.totalRow]}>
-            <Text style={[styles.holeColumn, styles.totalText]}>In</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{calculateCoursePar(courseData, 10, 18)}</Text>
-            <Text style={[styles.scoreColumn, styles.totalText]}>{totals.backNine}</Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-            <Text style={styles.outcomeColumn}></Text>
-          </View>
+          {backNineHoles.length > 0 && (
+            <View style={[styles.holeRow, styles.totalRow]}>
+              <Text style={[styles.holeColumn, styles.totalText]}>In</Text>
+              <Text style={[styles.parColumn, styles.totalText]}>{sumParForHoles(courseData?.holes, backNineHoles, playedTee) || "-"}</Text>
+              <Text style={[styles.scoreColumn, styles.totalText]}>{totals.backNine}</Text>
+              {hasHandicap && <Text style={[styles.netColumn, styles.totalText]}>{totals.netBackNine}</Text>}
+              {showPoints && <Text style={[styles.pointsColumn, styles.totalText]}>{sumPoints(backNineHoles)}</Text>}
+              {matchState && <Text style={styles.pointsColumn}></Text>}
+              <Text style={styles.outcomeColumn}></Text>
+              <Text style={styles.outcomeColumn}></Text>
+              <Text style={styles.outcomeColumn}></Text>
+            </View>
+          )}
           
           {/* Total row - updated with new outcome totals */}
           <View style={[styles.holeRow, styles.totalRow]}>
             <Text style={[styles.holeColumn, styles.totalText]}>Total</Text>
-            <Text style={[styles.parColumn, styles.totalText]}>{courseData?.par || "-"}</Text>
+            <Text style={[styles.parColumn, styles.totalText]}>{roundPar || "-"}</Text>
             <Text style={[styles.scoreColumn, styles.totalText]}>{totals.total}</Text>
+            {hasHandicap && <Text style={[styles.netColumn, styles.totalText]}>{totals.netTotal}</Text>}
+            {showPoints && <Text style={[styles.pointsColumn, styles.totalText]}>{roundPoints.total}</Text>}
+            {matchState && <Text style={styles.pointsColumn}></Text>}
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["On Target"]}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Slightly Off"]}</Text>
             <Text style={[styles.outcomeColumn, styles.totalText]}>{totals.outcomes["Recovery Needed"]}</Text>
           </View>
+          
+          {/* Whole group, one column per player */}
+          {isGroupRound(roundData) && (
+            <View style={styles.groupSection}>
+              <Text style={styles.groupTitle}>Group Scorecard</Text>
+              {partnerRoundsPending && (
+                <View style={styles.partnerShareWarning}>
+                  <Text style={styles.partnerShareText}>
+                    This round hasn't been saved to your partners' histories yet.
+                  </Text>
+                  <TouchableOpacity onPress={handleSharePartnerRounds} disabled={sharingPartnerRounds}>
+                    {sharingPartnerRounds ? (
+                      <ActivityIndicator size="small" color={theme.colors.primary} />
+                    ) : (
+                      <Text style={styles.partnerShareButton}>Try Again</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+              )}
+              <GroupScorecard
+                players={getRoundPlayers(roundData)}
+                holeNumbers={holeNumbers}
+                holeRecords={holeRecords}
+                courseHoles={courseData?.holes}
+                playedTee={playedTee}
+              />
+            </View>
+          )}
+          
+          {/* Coach insights for this round */}
+          <RoundInsightsPanel roundId={roundId} />
         </ScrollView>
         
+        {/* Flag holes with no shots - they're excluded from the totals */}
+        {roundScore.unplayedHoles.length > 0 && (
+          <Text style={styles.unplayedNote}>
+            {roundScore.unplayedHoles.length === 1 ? "Hole" : "Holes"} {roundScore.unplayedHoles.join(", ")} not
+            played - excluded from score to par ({roundScore.holesPlayed} of {holeNumbers.length} holes played)
+          </Text>
+        )}
+        
         {/* Round summary - updated label to match new categories */}
         <View style={styles.summary}>
           <View style={styles.summaryItem}>
@@ -362,9 +652,25 @@ export default function ScorecardScreen() {
           <View style={styles.summaryItem}>
             <Text style={styles.summaryLabel}>Vs Par</Text>
             <Text style={styles.summaryValue}>
-              {roundData?.score !== null ? (roundData.score > 0 ? `+${roundData.score}` : roundData.score) : "N/A"}
+              {formatScoreToPar(roundScore.scoreToPar)}
             </Text>
           </View>
+          {showPoints && (
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>{getScoringFormat(scoringFormat).shortLabel}</Text>
+              <Text style={styles.summaryValue}>
+                {formatPoints(scoringFormat, roundPoints.total)}
+              </Text>
+            </View>
+          )}
+          {hasHandicap && (
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Net Vs Par</Text>
+              <Text style={styles.summaryValue}>
+                {formatScoreToPar(netScoreToPar)}
+              </Text>
+            </View>
+          )}
           {/* Updated to show "On Target" instead of "Good Shots" */}
           <View style={styles.summaryItem}>
             <Text style={styles.summaryLabel}>On Target Shots</Text>
@@ -372,6 +678,36 @@ export default function ScorecardScreen() {
           </View>
         </View>
         
+        {/* Traditional stats for the round */}
+        {roundStats.holesPlayed > 0 && (
+          <View style={styles.statsRow}>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Fairways</Text>
+              <Text style={styles.statsValue}>{formatStatRatio(roundStats.fairways, false)}</Text>
+            </View>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>GIR</Text>
+              <Text style={styles.statsValue}>{formatStatRatio(roundStats.greens, false)}</Text>
+            </View>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Putts</Text>
+              <Text style={styles.statsValue}>{roundStats.putts ?? "-"}</Text>
+            </View>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Scrambling</Text>
+              <Text style={styles.statsValue}>{formatStatRatio(roundStats.scrambling, false)}</Text>
+            </View>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Sand Saves</Text>
+              <Text style={styles.statsValue}>{formatStatRatio(roundStats.sandSaves, false)}</Text>
+            </View>
+            <View style={styles.summaryItem}>
+              <Text style={styles.summaryLabel}>Penalties</Text>
+              <Text style={styles.statsValue}>{roundStats.penalties}</Text>
+            </View>
+          </View>
+        )}
+        
         {/* Return to Home button - only shown when coming from tracker */}
         {fromTracker && (
           <TouchableOpacity 
@@ -382,39 +718,28 @@ export default function ScorecardScreen() {
           </TouchableOpacity>
         )}
       </View>
+      
+      <ExportFormatPicker
+        visible={showExportPicker}
+        title="Export Round"
+        onSelect={handleExport}
+        onClose={() => setShowExportPicker(false)}
+      />
     </Layout>
   );
 }
 
 /**
- * Helper function to get par for a specific hole from course data
+ * Helper function to get par for a specific hole from course data,
+ * for the tee the round was played from
  */
-function getCourseHolePar(courseData, holeNumber) {
+function getCourseHolePar(courseData, holeNumber, playedTee = null) {
   if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
     return null;
   }
   
   const holeData = courseData.holes.find(h => h.number === holeNumber);
-  return holeData ? holeData.par_men : null;
-}
-
-/**
- * Helper function to calculate par for a range of holes
- */
-function calculateCoursePar(courseData, startHole, endHole) {
-  if (!courseData || !courseData.holes || !Array.isArray(courseData.holes)) {
-    return null;
-  }
-  
-  let totalPar = 0;
-  for (let i = startHole; i <= endHole; i++) {
-    const holePar = getCourseHolePar(courseData, i);
-    if (holePar) {
-      totalPar += holePar;
-    }
-  }
-  
-  return totalPar || null;
+  return holeData ? getHoleParForTee(holeData, playedTee) : null;
 }
 
 // Styles with Material Design guidelines
@@ -438,9 +763,25 @@ const styles = StyleSheet.create({
     padding: 16,
     marginBottom: 8,
   },
+  courseHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
   courseName: {
     fontSize: 18,
     fontWeight: "bold",
+    flex: 1,
+  },
+  exportButton: {
+    padding: 4,
+    marginLeft: 8,
+  },
+  matchResultText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: theme.colors.primary,
+    marginTop: 4,
   },
   roundDate: {
     fontSize: 14,
@@ -481,6 +822,24 @@ const styles = StyleSheet.create({
     width: 50,
     textAlign: "center",
   },
+  netColumn: {
+    width: 50,
+    textAlign: "center",
+    color: theme.colors.primary,
+  },
+  pointsColumn: {
+    width: 40,
+    textAlign: "center",
+    fontWeight: "500",
+  },
+  matchWon: {
+    color: "#388e3c",
+    fontWeight: "bold",
+  },
+  matchLost: {
+    color: "#d32f2f",
+    fontWeight: "bold",
+  },
   outcomeColumn: {
     flex: 1,
     textAlign: "center",
@@ -493,6 +852,43 @@ const styles = StyleSheet.create({
   totalText: {
     fontWeight: "bold",
   },
+  groupSection: {
+    marginTop: 16,
+  },
+  groupTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  partnerShareWarning: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    backgroundColor: "#fff3e0",
+    marginHorizontal: 16,
+    marginBottom: 8,
+    padding: 12,
+    borderRadius: 8,
+  },
+  partnerShareText: {
+    flex: 1,
+    fontSize: 13,
+    color: "#e65100",
+    marginRight: 12,
+  },
+  partnerShareButton: {
+    fontWeight: "bold",
+    color: theme.colors.primary,
+  },
+  unplayedNote: {
+    fontSize: 12,
+    color: "#666",
+    fontStyle: "italic",
+    textAlign: "center",
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
   summary: {
     flexDirection: "row",
     backgroundColor: "#fff",
@@ -504,6 +900,18 @@ const styles = StyleSheet.create({
   summaryItem: {
     alignItems: "center",
   },
+  statsRow: {
+    flexDirection: "row",
+    backgroundColor: "#fff",
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+    justifyContent: "space-between",
+  },
+  statsValue: {
+    fontSize: 15,
+    fontWeight: "bold",
+    color: theme.colors.text,
+  },
   summaryLabel: {
     fontSize: 12,
     color: "#666",
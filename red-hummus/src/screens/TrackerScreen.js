@@ -1,6 +1,6 @@
 // src/screens/TrackerScreen.js
 
-import React, { useState, useEffect, useContext, useCallback } from "react";
+import React, { useState, useEffect, useContext, useCallback, useRef } from "react";
 import { 
   View, 
   Text, 
@@ -14,11 +14,49 @@ import {
   TouchableOpacity
 } from "react-native";
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { StackActions } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
 import Layout from "../ui/Layout";
 import theme from "../ui/theme";
-import { createRound, saveHoleData, completeRound } from "../services/roundservice";
+import {
+  queueCreateRound,
+  queueSaveHoleData,
+  queueCompleteRound,
+  processQueue,
+  requestSync,
+  hasPendingOperations,
+  resolveRoundId
+} from "../services/syncQueue";
+import { getRoundHoleData } from "../services/roundservice";
+import { getCourseById } from "../services/courseRepository";
+import { getHoleNumbersForRange, getRoundHoleNumbers } from "../utils/holeRange";
+import { SCORER_KEY, getRoundPlayers, getPlayerShots } from "../utils/groupRound";
+import { isMatchPlayFormat } from "../utils/scoringFormats";
+import { scoreMatch, describeMatchStatus } from "../utils/matchPlay";
+import { findRoundTee, buildHandicapHoles } from "../utils/handicap";
+import {
+  getCourseHole,
+  getHoleDistance,
+  getPlayedTee,
+  getHoleParForTee,
+  getHoleIndexForTee
+} from "../utils/courseSchema";
+import {
+  deriveShotCounts,
+  appendShot,
+  removeLastShot,
+  moveShot,
+  updateShot,
+  replaceShot,
+  deleteShot
+} from "../utils/shotSequence";
+import { applyShotDetails, formatShotDetails } from "../utils/shotModel";
+import useUndoableState from "../hook/useUndoableState";
 import ShotTable from "../components/ShotTable";
+import ShotSequenceEditor from "../components/ShotSequenceEditor";
+import ShotDetailsSheet from "../components/ShotDetailsSheet";
 import HoleNavigator from "../components/HoleNavigator";
+import PlayerSwitcher from "../components/PlayerSwitcher";
 import { AuthContext } from "../context/AuthContext";
 import AppText from "../components/AppText";
 
@@ -27,48 +65,57 @@ import AppText from "../components/AppText";
  * 
  * This screen allows users to track shots during a round of golf.
  * Uses the new data structure for tracking and saving hole data.
+ * In a group round the user scores for everyone, switching player on each hole.
+ * Every shot edit can be undone or redone, on any hole played so far.
  */
 export default function TrackerScreen({ navigation }) {
   // Get the authenticated user from context
   const { user } = useContext(AuthContext);
   
-  // Local state for tracking current hole and shots
-  const [currentHole, setCurrentHole] = useState(1);
-  const [totalHoles] = useState(18); // Standard golf round is 18 holes
+  // Holes being played this round (full 18, a nine, or a custom subset)
+  const [holeNumbers, setHoleNumbers] = useState(() => getHoleNumbersForRange("full"));
   
-  // Initialize hole data structure for all holes
-  const initialHoleState = {};
-  for (let i = 1; i <= 18; i++) {
-    initialHoleState[i] = {
-      // Hole characteristics (will be filled from course data)
-      par: null,
-      distance: null,
-      index: null,
-      features: [],
-      
-      // Shot data
-      shots: [], // Array of { type, result, timestamp }
-      
-      // Shot counts for ShotTable compatibility
-      shotCounts: {
-        "Tee Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Long Shot": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Approach": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Chip": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Putts": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Sand": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 },
-        "Penalties": { "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 }
-      }
-    };
-  }
+  // Local state for tracking current hole and shots
+  const [currentHole, setCurrentHole] = useState(holeNumbers[0]);
+  const totalHoles = holeNumbers.length;
+  const currentHoleIndex = holeNumbers.indexOf(currentHole);
+  const isLastHole = currentHoleIndex === holeNumbers.length - 1;
   
   // Main state variables for the component
-  const [holeData, setHoleData] = useState(initialHoleState); // Tracks all data for all holes
+  // Tracks all data for all holes; shot edits are recorded for undo/redo
+  const {
+    state: holeData,
+    setState: setHoleData,
+    replaceState: replaceHoleData,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    undoMeta,
+    redoMeta
+  } = useUndoableState(() => buildInitialHoleState(holeNumbers));
   const [round, setRound] = useState(null);                    // Current round data
   const [activeColumn, setActiveColumn] = useState("On Target"); // Currently selected outcome column
   const [loading, setLoading] = useState(false);                // Loading state for async operations
   const [course, setCourse] = useState(null);                   // Current course data
   const [courseDetails, setCourseDetails] = useState(null);     // Detailed course data from database
+  const [activePlayerKey, setActivePlayerKey] = useState(SCORER_KEY); // Player whose shots are being recorded
+  const [entryMode, setEntryMode] = useState("table");         // "table" for the ShotTable, "list" for the shot editor
+  const [detailsShotIndex, setDetailsShotIndex] = useState(null); // Shot whose details are being entered
+  
+  // Everyone in the round - just the user unless this is a group round
+  const players = getRoundPlayers(round);
+  const isGroup = players.length > 1;
+  
+  // Match play against one partner
+  const matchOpponent = isMatchPlayFormat(round?.scoring_format)
+    ? players.find(player => player.key === round?.match_settings?.opponent_key)
+    : null;
+  const closedOutAlertShown = useRef(false);
+  
+  // Holes uploaded or edited this round - these are uploaded even when empty,
+  // so clearing a hole's shots clears them on the server too
+  const touchedHolesRef = useRef(new Set());
 
   // Add this effect to handle hardware back button on Android
   useEffect(() => {
@@ -101,7 +148,9 @@ export default function TrackerScreen({ navigation }) {
   }, []);
 
   /**
-   * Save the current hole data to AsyncStorage
+   * Save the current hole data to AsyncStorage and queue its upload
+   * Uploading each hole as it's played keeps the shots table in step with
+   * the live round, so it can be resumed from another device.
    */
   const saveCurrentHoleToStorage = useCallback(async () => {
     if (!round) return;
@@ -117,10 +166,24 @@ export default function TrackerScreen({ navigation }) {
       // Save back to AsyncStorage
       await AsyncStorage.setItem(`round_${round.id}_holes`, JSON.stringify(existingData));
       console.log(`Saved hole ${currentHole} data to AsyncStorage`);
+      
+      // Queue the hole for upload (debounced so quick navigation doesn't spam the server)
+      const currentHoleInfo = holeData[currentHole];
+      if (holeHasShots(currentHoleInfo) || touchedHolesRef.current.has(currentHole)) {
+        touchedHolesRef.current.add(currentHole);
+        await queueSaveHoleData(
+          round.id,
+          currentHole,
+          buildHoleDataPayload(currentHoleInfo),
+          currentHoleInfo.shots.length,
+          { courseName: course?.name, date: round.created_at }
+        );
+        requestSync();
+      }
     } catch (error) {
       console.error("Error saving hole data to AsyncStorage:", error);
     }
-  }, [round, currentHole, holeData]);
+  }, [round, course, currentHole, holeData]);
 
   /**
    * Load hole data from AsyncStorage
@@ -134,7 +197,7 @@ export default function TrackerScreen({ navigation }) {
         const storedData = JSON.parse(storedDataStr);
         
         // Merge with current state (only update holes that have stored data)
-        setHoleData(prevData => {
+        replaceHoleData(prevData => {
           const newData = { ...prevData };
           
           // For each hole in stored data, update the state
@@ -150,19 +213,29 @@ export default function TrackerScreen({ navigation }) {
     } catch (error) {
       console.error("Error loading hole data from AsyncStorage:", error);
     }
-  }, [round]);
+  }, [round, replaceHoleData]);
+
+  /**
+   * Move to a hole, scoring the given player (the user by default)
+   * Each hole starts with the user, then the scorer moves on to partners
+   */
+  const goToHole = useCallback((holeNum, playerKey = SCORER_KEY) => {
+    setCurrentHole(holeNum);
+    setActivePlayerKey(playerKey);
+    setDetailsShotIndex(null);
+  }, []);
 
   /**
    * Function to navigate to the next hole
    * Saves current hole data before moving
    */
   const handleNextHole = useCallback(async () => {
-    if (currentHole < totalHoles) {
+    if (!isLastHole) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
-      // Move to the next hole
-      setCurrentHole(prev => prev + 1);
+      // Move to the next hole in the round
+      goToHole(holeNumbers[currentHoleIndex + 1]);
     } else {
       // If on the last hole, prompt to finish the round
       Alert.alert(
@@ -178,60 +251,51 @@ export default function TrackerScreen({ navigation }) {
         ]
       );
     }
-  }, [currentHole, totalHoles, saveCurrentHoleToStorage]);
+  }, [holeNumbers, currentHoleIndex, isLastHole, saveCurrentHoleToStorage, goToHole]);
 
   /**
    * Function to navigate to the previous hole
    * Saves current hole data before moving
    */
   const handlePreviousHole = useCallback(async () => {
-    if (currentHole > 1) {
+    if (currentHoleIndex > 0) {
       // Save current hole data to AsyncStorage
       await saveCurrentHoleToStorage();
       
-      // Move to the previous hole
-      setCurrentHole(prev => prev - 1);
+      // Move to the previous hole in the round
+      goToHole(holeNumbers[currentHoleIndex - 1]);
     }
-  }, [currentHole, saveCurrentHoleToStorage]);
+  }, [holeNumbers, currentHoleIndex, saveCurrentHoleToStorage, goToHole]);
 
   /**
    * Update hole information when courseDetails or currentHole changes
    */
   useEffect(() => {
-    // Update hole information when courseDetails is available
-    if (courseDetails && courseDetails.holes) {
+    // Update hole information when courseDetails is available - the course
+    // is normalized, so missing values are null and were shown as warnings
+    // before the round started
+    if (courseDetails) {
       // Find information for the current hole
-      const currentHoleInfo = courseDetails.holes.find(
-        hole => hole.number === currentHole
-      );
+      const currentHoleInfo = getCourseHole(courseDetails, currentHole);
       
       if (currentHoleInfo) {
-        // Get selected tee information
-        const selectedTeeName = round?.selected_tee_name?.toLowerCase() || course?.teeName?.toLowerCase();
-        
         // Get distance for selected tee
-        let distance = null;
-        if (currentHoleInfo.distances && selectedTeeName && currentHoleInfo.distances[selectedTeeName]) {
-          distance = currentHoleInfo.distances[selectedTeeName];
-        } else if (currentHoleInfo.distances) {
-          // Fallback to first available tee
-          const firstTee = Object.keys(currentHoleInfo.distances)[0];
-          if (firstTee) {
-            distance = currentHoleInfo.distances[firstTee];
-          }
-        }
+        const distance = getHoleDistance(currentHoleInfo, round?.selected_tee_name || course?.teeName);
+        
+        // Par and stroke index for the tee and category being played
+        const playedTee = getPlayedTee(courseDetails, round);
         
         // Update hole data with course information
-        setHoleData(prevData => {
+        replaceHoleData(prevData => {
           const newData = { ...prevData };
           
           // Only update if not already set
           if (!newData[currentHole].par) {
             newData[currentHole] = {
               ...newData[currentHole],
-              par: currentHoleInfo.par_men || null,
-              distance: distance || null,
-              index: currentHoleInfo.index_men || null,
+              par: getHoleParForTee(currentHoleInfo, playedTee),
+              distance,
+              index: getHoleIndexForTee(currentHoleInfo, playedTee),
               features: currentHoleInfo.features || []
             };
           }
@@ -240,7 +304,7 @@ export default function TrackerScreen({ navigation }) {
         });
       }
     }
-  }, [courseDetails, currentHole, round, course]);
+  }, [courseDetails, currentHole, round, course, replaceHoleData]);
 
   /**
    * Initialize round on component mount
@@ -268,69 +332,91 @@ export default function TrackerScreen({ navigation }) {
         
         // Check if there's an in-progress round in AsyncStorage
         const existingRoundStr = await AsyncStorage.getItem("currentRound");
+        const existingRound = existingRoundStr ? JSON.parse(existingRoundStr) : null;
         let roundData;
         
-        if (existingRoundStr) {
+        if (existingRound && existingRound.course_id === courseData.id) {
           // Use existing round
-          roundData = JSON.parse(existingRoundStr);
+          roundData = existingRound;
           console.log("Resuming existing round:", roundData);
           setRound(roundData);
         } else {
-          // Create a new round
-          roundData = await createRound(
-            user.id,
-            courseData.id,
-            courseData.teeId,
-            courseData.teeName
-          );
+          // Create a new round through the sync queue so it can start without signal
+          roundData = await queueCreateRound({
+            profileId: user.id,
+            courseId: courseData.id,
+            teeId: courseData.teeId,
+            teeName: courseData.teeName,
+            teeCategory: courseData.teeCategory,
+            holeNumbers: getRoundHoleNumbers({ hole_numbers: courseData.holeNumbers }),
+            scoringFormat: courseData.scoringFormat,
+            players: courseData.players || [],
+            matchSettings: courseData.matchSettings || null,
+            courseName: courseData.name
+          });
           
           console.log("New round created:", roundData);
           setRound(roundData);
           
           // Store the round in AsyncStorage
           await AsyncStorage.setItem("currentRound", JSON.stringify(roundData));
+          
+          // Try to sync the round now - it stays queued if we're offline
+          processQueue();
         }
         
-        // Get supabase from the service
-        const { supabase } = require("../services/supabase");
+        // Set up the holes being played in this round
+        const roundHoleNumbers = getRoundHoleNumbers(roundData);
+        setHoleNumbers(roundHoleNumbers);
+        goToHole(roundHoleNumbers[0]);
+        replaceHoleData(prevData => ({ ...buildInitialHoleState(roundHoleNumbers), ...prevData }));
         
-        // Get full course details from database
-        try {
-          const { data: fullCourseData, error } = await supabase
-            .from("courses")
-            .select("*")
-            .eq("id", courseData.id)
-            .single();
-            
-          if (error) {
-            console.error("Error fetching course details:", error);
-          } else if (fullCourseData) {
-            console.log("Found full course details:", fullCourseData.name);
-            setCourseDetails(fullCourseData);
-          }
-        } catch (error) {
-          console.error("Error fetching course details:", error);
+        // Get full course details - from the device's course cache when
+        // it has them, so the round starts without waiting for signal
+        const fullCourseData = await getCourseById(courseData.id, { onUpdate: setCourseDetails });
+        if (fullCourseData) {
+          console.log("Found full course details:", fullCourseData.name);
+          setCourseDetails(fullCourseData);
+        } else {
+          console.error("Course details unavailable for course:", courseData.id);
         }
         
-        // Load any existing hole data from AsyncStorage
+        // Load any existing hole data - from the server first (holes uploaded
+        // by another device), then AsyncStorage, which is newer on this device
         if (roundData) {
+          const syncedRoundId = await resolveRoundId(roundData.id);
+          const serverHoles = syncedRoundId ? await getRoundHoleData(syncedRoundId) : [];
+          
           const storedHolesStr = await AsyncStorage.getItem(`round_${roundData.id}_holes`);
-          if (storedHolesStr) {
-            const storedHoles = JSON.parse(storedHolesStr);
-            
+          const storedHoles = storedHolesStr ? JSON.parse(storedHolesStr) : {};
+          
+          if (serverHoles.length > 0 || storedHolesStr) {
             // Merge with initial state
-            setHoleData(prevData => {
+            replaceHoleData(prevData => {
               const newData = { ...prevData };
               
-              // Update each hole that has stored data
+              // Fill in holes recorded on the server
+              serverHoles.forEach(record => {
+                touchedHolesRef.current.add(record.hole_number);
+                if (record.hole_data?.shots) {
+                  newData[record.hole_number] = buildHoleStateFromRecord(record.hole_data);
+                }
+              });
+              
+              // Update each hole that has stored data - holes with shots
+              // were queued for upload when they were saved
               Object.keys(storedHoles).forEach(holeNum => {
                 newData[holeNum] = storedHoles[holeNum];
+                if (holeHasShots(storedHoles[holeNum])) {
+                  touchedHolesRef.current.add(Number(holeNum));
+                }
               });
               
               return newData;
             });
             
-            console.log("Loaded hole data from storage");
+            console.log("Loaded hole data:", serverHoles.length, "holes from server,",
+              Object.keys(storedHoles).length, "from storage");
           }
         }
       } catch (error) {
@@ -346,69 +432,98 @@ export default function TrackerScreen({ navigation }) {
   }, [user, navigation]);
 
   /**
-   * Function to add a shot of a specific type and outcome
+   * Apply an edit to the active player's shots on the current hole
+   * Recorded with the hole and player so undo/redo can return to it
+   *
+   * @param {Function} editShots - (shots) => new shots (the same array if nothing changed)
    */
-  const addShot = useCallback((type, outcome) => {
-    console.log(`Adding ${outcome} ${type} shot for hole ${currentHole}`);
-    
+  const editActiveShots = useCallback((editShots) => {
+    touchedHolesRef.current.add(currentHole);
     setHoleData(prevData => {
-      const newData = { ...prevData };
-      const currentHoleInfo = { ...newData[currentHole] };
-      
-      // Add to shots array
-      currentHoleInfo.shots.push({
-        type,
-        result: outcome,
-        timestamp: new Date().toISOString()
-      });
+      const playerHole = getPlayerHoleState(prevData[currentHole], activePlayerKey);
+      const shots = editShots(playerHole.shots);
       
-      // Update shot counts for ShotTable compatibility
-      currentHoleInfo.shotCounts[type][outcome] += 1;
-      
-      // Update hole data
-      newData[currentHole] = currentHoleInfo;
+      // Nothing changed - leave the history alone
+      if (shots === playerHole.shots) {
+        return prevData;
+      }
       
-      return newData;
-    });
-  }, [currentHole]);
+      return {
+        ...prevData,
+        [currentHole]: setPlayerHoleState(prevData[currentHole], activePlayerKey, { shots })
+      };
+    }, { hole: currentHole, playerKey: activePlayerKey });
+  }, [currentHole, activePlayerKey, setHoleData]);
+
+  /**
+   * Function to add a shot of a specific type and outcome
+   * Recorded for the active player (the user unless scoring a partner)
+   */
+  const addShot = useCallback((type, outcome) => {
+    console.log(`Adding ${outcome} ${type} shot for hole ${currentHole} (${activePlayerKey})`);
+    editActiveShots(shots => appendShot(shots, type, outcome));
+  }, [currentHole, activePlayerKey, editActiveShots]);
 
   /**
-   * Function to remove a shot of a specific type and outcome
+   * Function to remove the last shot of a specific type and outcome
+   * Removed from the active player's shots
    */
   const removeShot = useCallback((type, outcome) => {
-    console.log(`Removing ${outcome} ${type} shot for hole ${currentHole}`);
+    console.log(`Removing ${outcome} ${type} shot for hole ${currentHole} (${activePlayerKey})`);
+    editActiveShots(shots => removeLastShot(shots, type, outcome));
+  }, [currentHole, activePlayerKey, editActiveShots]);
+
+  /**
+   * Shot list edits - reorder, re-type/re-classify and delete
+   */
+  const handleMoveShot = useCallback((fromIndex, toIndex) => {
+    editActiveShots(shots => moveShot(shots, fromIndex, toIndex));
+  }, [editActiveShots]);
+
+  const handleUpdateShot = useCallback((index, changes) => {
+    editActiveShots(shots => updateShot(shots, index, changes));
+  }, [editActiveShots]);
+
+  const handleDeleteShot = useCallback((index) => {
+    editActiveShots(shots => deleteShot(shots, index));
+  }, [editActiveShots]);
+
+  /**
+   * Save club, lie and distances entered in the details sheet
+   */
+  const handleSaveShotDetails = useCallback((details) => {
+    const index = detailsShotIndex;
+    editActiveShots(shots => shots[index]
+      ? replaceShot(shots, index, applyShotDetails(shots[index], details))
+      : shots
+    );
+    setDetailsShotIndex(null);
+  }, [detailsShotIndex, editActiveShots]);
+
+  /**
+   * Undo or redo the last shot edit
+   * If the edit was on another hole or player, save this hole and go back
+   * to where the edit was made so the change is visible.
+   */
+  const applyHistoryStep = useCallback(async (meta, step) => {
+    if (!meta) return;
     
-    setHoleData(prevData => {
-      const newData = { ...prevData };
-      const currentHoleInfo = { ...newData[currentHole] };
-      
-      // Only proceed if there are shots to remove
-      if (currentHoleInfo.shotCounts[type][outcome] <= 0) {
-        return prevData;
-      }
-      
-      // Find the index of the last shot of this type and outcome
-      const shotIndex = [...currentHoleInfo.shots].reverse().findIndex(
-        shot => shot.type === type && shot.result === outcome
-      );
-      
-      if (shotIndex !== -1) {
-        // Convert the reversed index to the actual index
-        const actualIndex = currentHoleInfo.shots.length - 1 - shotIndex;
-        
-        // Remove the shot from the shots array
-        currentHoleInfo.shots.splice(actualIndex, 1);
-        
-        // Update the shot counts for ShotTable compatibility
-        currentHoleInfo.shotCounts[type][outcome] -= 1;
-        
-        // Update the hole data
-        newData[currentHole] = currentHoleInfo;
-      }
-      
-      return newData;
-    });
-  }, [currentHole]);
+    if (meta.hole !== currentHole) {
+      await saveCurrentHoleToStorage();
+    }
+    
+    touchedHolesRef.current.add(meta.hole);
+    step();
+    goToHole(meta.hole, meta.playerKey);
+  }, [currentHole, saveCurrentHoleToStorage, goToHole]);
+
+  const handleUndo = useCallback(() => {
+    applyHistoryStep(undoMeta, undo);
+  }, [applyHistoryStep, undoMeta, undo]);
+
+  const handleRedo = useCallback(() => {
+    applyHistoryStep(redoMeta, redo);
+  }, [applyHistoryStep, redoMeta, redo]);
 
   /**
    * Complete a hole and save data to AsyncStorage
@@ -421,8 +536,8 @@ export default function TrackerScreen({ navigation }) {
       await saveCurrentHoleToStorage();
       
       // Move to next hole if not on last hole
-      if (currentHole < totalHoles) {
-        setCurrentHole(prev => prev + 1);
+      if (!isLastHole) {
+        goToHole(holeNumbers[currentHoleIndex + 1]);
       }
       
       setLoading(false);
@@ -434,8 +549,9 @@ export default function TrackerScreen({ navigation }) {
   };
 
   /**
-   * Complete the round - save all hole data to database
-   * Enhanced to navigate directly to scorecard
+   * Complete the round - queue all hole data for upload
+   * Data is recorded locally first, so finishing a round works without signal.
+   * Navigates to the scorecard once synced, otherwise back home.
    */
   const finishRound = async () => {
     try {
@@ -452,46 +568,57 @@ export default function TrackerScreen({ navigation }) {
       }
       
       const storedHoleData = JSON.parse(storedDataStr);
+      const syncMeta = { courseName: course?.name, date: round.created_at };
       
-      // Save each hole to the database
-      for (let holeNum = 1; holeNum <= totalHoles; holeNum++) {
-        // Skip holes with no data
-        if (!storedHoleData[holeNum] || storedHoleData[holeNum].shots.length === 0) {
+      // Queue each hole played for upload, and any hole that was uploaded
+      // or edited before being cleared
+      for (const holeNum of holeNumbers) {
+        const holeInfo = storedHoleData[holeNum];
+        
+        // Skip holes nobody in the group has played or touched
+        if (!holeInfo || (!holeHasShots(holeInfo) && !touchedHolesRef.current.has(holeNum))) {
           continue;
         }
         
-        const holeInfo = storedHoleData[holeNum];
         const totalScore = holeInfo.shots.length;
         
-        // Save hole data to database
-        await saveHoleData(
+        await queueSaveHoleData(
           round.id,
           holeNum,
-          {
-            par: holeInfo.par,
-            distance: holeInfo.distance,
-            index: holeInfo.index,
-            features: holeInfo.features,
-            shots: holeInfo.shots
-          },
-          totalScore
+          buildHoleDataPayload(holeInfo),
+          totalScore,
+          syncMeta
         );
-        
-        console.log(`Hole ${holeNum} data saved to database`);
       }
       
-      // Complete the round
-      await completeRound(round.id);
-      console.log("Round completed successfully");
+      // Queue completion of the round
+      await queueCompleteRound(round.id, syncMeta);
       
-      // Clear AsyncStorage data for this round
+      // The queue now owns the round data, so clear the in-progress copy
       await AsyncStorage.removeItem(`round_${round.id}_holes`);
       await AsyncStorage.removeItem("currentRound");
       
+      // Attempt to sync immediately
+      await processQueue({ force: true });
+      const stillPending = await hasPendingOperations(round.id);
+      
+      if (stillPending) {
+        console.log("Round saved locally, waiting for connection to sync");
+        Alert.alert(
+          "Round Saved",
+          "You don't seem to have a connection. Your round is saved on this device and will sync automatically when you're back online."
+        );
+        navigation.dispatch(StackActions.popToTop());
+        return;
+      }
+      
+      console.log("Round completed successfully");
+      const syncedRoundId = await resolveRoundId(round.id);
+      
       // Navigate to scorecard with replace to prevent back navigation to the tracker
       // This creates a cleaner flow where completing a round leads directly to the scorecard
       navigation.replace("ScorecardScreen", { 
-        roundId: round.id,
+        roundId: syncedRoundId,
         fromTracker: true // Add flag to indicate we came from tracker
       });
     } catch (error) {
@@ -504,8 +631,47 @@ export default function TrackerScreen({ navigation }) {
     }
   };
 
-  // Calculate total score for current hole
-  const currentHoleScore = holeData[currentHole]?.shots?.length || 0;
+  // Match status from the holes both players have finished - the hole
+  // being played isn't counted until the players move on from it
+  const matchState = matchOpponent
+    ? scoreMatch(
+        round.match_settings,
+        holeNumbers,
+        (playerKey, holeNum) => holeNum === currentHole
+          ? 0
+          : getPlayerShots(holeData[holeNum], playerKey).length,
+        findRoundTee(courseDetails, round),
+        buildHandicapHoles(
+          holeNumbers.map(holeNum => ({ hole_number: holeNum, hole_data: holeData[holeNum] })),
+          courseDetails?.holes,
+          holeNumbers,
+          getPlayedTee(courseDetails, round)
+        )
+      )
+    : null;
+  const matchStatusText = matchState
+    ? describeMatchStatus(matchState.status, players[0].name, matchOpponent.name)
+    : null;
+  
+  /**
+   * Let the scorer know once the match has been decided
+   * The round can carry on - only the match result is fixed
+   */
+  useEffect(() => {
+    if (matchState?.status.isClosedOut && !closedOutAlertShown.current) {
+      closedOutAlertShown.current = true;
+      Alert.alert(
+        "Match Over",
+        `${matchStatusText}. You can keep playing - the rest of the round still counts for stroke scores.`
+      );
+    }
+  }, [matchState?.status.isClosedOut, matchStatusText]);
+
+  // Calculate total score for current hole (for the player being scored)
+  const activePlayerHole = getPlayerHoleState(holeData[currentHole], activePlayerKey);
+  const activePlayer = players.find(player => player.key === activePlayerKey) || players[0];
+  const currentHoleScore = activePlayerHole.shots.length;
+  const lastShot = activePlayerHole.shots[currentHoleScore - 1];
   const currentHolePar = holeData[currentHole]?.par || 0;
   const scoreRelativeToPar = currentHoleScore - currentHolePar;
   const scoreDisplay = scoreRelativeToPar === 0 
@@ -525,9 +691,27 @@ export default function TrackerScreen({ navigation }) {
             onPreviousHole={handlePreviousHole}
             onNextHole={handleNextHole}
             totalHoles={totalHoles}
+            holeNumbers={holeNumbers}
+            status={matchStatusText}
+            statusHighlight={matchState?.status.isDormie || matchState?.status.isClosedOut}
           />
         </View>
         
+        {/* Player switcher - group rounds only */}
+        {isGroup && (
+          <View style={styles.playerSwitcherContainer}>
+            <PlayerSwitcher
+              players={players}
+              activePlayerKey={activePlayerKey}
+              onSelectPlayer={setActivePlayerKey}
+              holeScores={Object.fromEntries(players.map(player => [
+                player.key,
+                getPlayerShots(holeData[currentHole], player.key).length
+              ]))}
+            />
+          </View>
+        )}
+        
         {/* Par and Yardage information */}
         <View style={styles.holeInfoContainer}>
           <AppText variant="body" style={styles.holeInfoText}>
@@ -546,7 +730,9 @@ export default function TrackerScreen({ navigation }) {
             {/* Current score display */}
             <View style={styles.scoreContainer}>
               <View style={styles.scoreBox}>
-                <AppText variant="subtitle" style={styles.scoreLabel}>Current Score</AppText>
+                <AppText variant="subtitle" style={styles.scoreLabel}>
+                  {isGroup ? `${activePlayer.name} Score` : "Current Score"}
+                </AppText>
                 <AppText variant="title" style={styles.scoreValue}>{currentHoleScore}</AppText>
                 {currentHolePar > 0 && (
                   <AppText 
@@ -564,32 +750,192 @@ export default function TrackerScreen({ navigation }) {
               </View>
             </View>
             
-            {/* Shot tracking table */}
+            {/* Entry mode toggle and undo/redo */}
+            <View style={styles.editToolbar}>
+              <View style={styles.modeToggle}>
+                {[["table", "Table"], ["list", "Shot List"]].map(([mode, label]) => (
+                  <TouchableOpacity
+                    key={mode}
+                    style={[styles.modeOption, entryMode === mode && styles.activeModeOption]}
+                    onPress={() => setEntryMode(mode)}
+                  >
+                    <Text style={[styles.modeText, entryMode === mode && styles.activeModeText]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.historyButtons}>
+                <TouchableOpacity style={styles.historyButton} onPress={handleUndo} disabled={!canUndo}>
+                  <Ionicons name="arrow-undo" size={20} color={canUndo ? theme.colors.primary : "#ccc"} />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.historyButton} onPress={handleRedo} disabled={!canRedo}>
+                  <Ionicons name="arrow-redo" size={20} color={canRedo ? theme.colors.primary : "#ccc"} />
+                </TouchableOpacity>
+              </View>
+            </View>
+            
+            {/* Shot tracking table, or the shot sequence for editing */}
             <View style={styles.tableContainer}>
-              <ShotTable
-                shotCounts={holeData[currentHole].shotCounts}
-                activeColumn={activeColumn}
-                setActiveColumn={setActiveColumn}
-                addShot={addShot}
-                removeShot={removeShot}
-              />
+              {entryMode === "table" ? (
+                <ShotTable
+                  shotCounts={deriveShotCounts(activePlayerHole.shots)}
+                  activeColumn={activeColumn}
+                  setActiveColumn={setActiveColumn}
+                  addShot={addShot}
+                  removeShot={removeShot}
+                />
+              ) : (
+                <ShotSequenceEditor
+                  shots={activePlayerHole.shots}
+                  onMoveShot={handleMoveShot}
+                  onUpdateShot={handleUpdateShot}
+                  onDeleteShot={handleDeleteShot}
+                  onEditDetails={setDetailsShotIndex}
+                />
+              )}
             </View>
             
+            {/* Optional details for the shot just recorded - never required */}
+            {entryMode === "table" && lastShot && (
+              <TouchableOpacity
+                style={styles.lastShotRow}
+                onPress={() => setDetailsShotIndex(currentHoleScore - 1)}
+              >
+                <Text style={styles.lastShotText} numberOfLines={1}>
+                  Shot {currentHoleScore}: {lastShot.type}
+                  {formatShotDetails(lastShot) ? ` • ${formatShotDetails(lastShot)}` : ""}
+                </Text>
+                <Text style={styles.lastShotAction}>
+                  {formatShotDetails(lastShot) ? "Edit details" : "Add details"}
+                </Text>
+              </TouchableOpacity>
+            )}
+            
             {/* Button to complete current hole or the entire round */}
             <View style={styles.buttonContainer}>
               <Button 
-                title={currentHole === totalHoles ? "Complete Round" : "Complete Hole"} 
-                onPress={currentHole === totalHoles ? finishRound : completeHole}
+                title={isLastHole ? "Complete Round" : "Complete Hole"} 
+                onPress={isLastHole ? finishRound : completeHole}
                 color={theme.colors.primary} 
               />
             </View>
           </View>
         )}
       </ScrollView>
+      
+      {/* Quick entry for a shot's club, lie and distances */}
+      <ShotDetailsSheet
+        visible={detailsShotIndex !== null && !!activePlayerHole.shots[detailsShotIndex]}
+        shot={activePlayerHole.shots[detailsShotIndex] || null}
+        shotNumber={detailsShotIndex + 1}
+        onSave={handleSaveShotDetails}
+        onClose={() => setDetailsShotIndex(null)}
+      />
     </SafeAreaView>
   );
 }
 
+/**
+ * Create empty hole state for each hole being played
+ */
+function buildInitialHoleState(holeNumbers) {
+  const holeState = {};
+  holeNumbers.forEach(holeNumber => {
+    holeState[holeNumber] = {
+      // Hole characteristics (will be filled from course data)
+      par: null,
+      distance: null,
+      index: null,
+      features: [],
+      
+      // Shot data - ShotTable counts are derived from this sequence
+      shots: [], // Array of { type, result, timestamp } plus optional details (see shotModel)
+      
+      // Partners' shots in a group round, keyed by player: { shots }
+      players: {}
+    };
+  });
+  return holeState;
+}
+
+/**
+ * Get one player's shots from local hole state
+ * The user's shots live at the top level; partners' under players
+ */
+function getPlayerHoleState(holeInfo, playerKey) {
+  return { shots: getPlayerShots(holeInfo, playerKey) };
+}
+
+/**
+ * Return a copy of local hole state with one player's shots replaced
+ */
+function setPlayerHoleState(holeInfo, playerKey, playerHole) {
+  if (playerKey === SCORER_KEY) {
+    return { ...holeInfo, ...playerHole };
+  }
+  
+  return {
+    ...holeInfo,
+    players: { ...(holeInfo.players || {}), [playerKey]: playerHole }
+  };
+}
+
+/**
+ * Check whether anyone in the group has recorded a shot on a hole
+ */
+function holeHasShots(holeInfo) {
+  if (!holeInfo) return false;
+  if (holeInfo.shots?.length > 0) return true;
+  return Object.values(holeInfo.players || {}).some(playerHole => playerHole.shots?.length > 0);
+}
+
+/**
+ * Build the hole_data payload saved to the shots table
+ */
+function buildHoleDataPayload(holeInfo) {
+  const payload = {
+    par: holeInfo.par,
+    distance: holeInfo.distance,
+    index: holeInfo.index,
+    features: holeInfo.features,
+    shots: holeInfo.shots
+  };
+  
+  // Partners' shots, only for partners who have played the hole
+  const partnerShots = {};
+  Object.entries(holeInfo.players || {}).forEach(([playerKey, playerHole]) => {
+    if (playerHole.shots?.length > 0) {
+      partnerShots[playerKey] = { shots: playerHole.shots };
+    }
+  });
+  
+  if (Object.keys(partnerShots).length > 0) {
+    payload.players = partnerShots;
+  }
+  
+  return payload;
+}
+
+/**
+ * Rebuild local hole state from saved hole_data
+ */
+function buildHoleStateFromRecord(savedHoleData) {
+  const players = {};
+  Object.keys(savedHoleData.players || {}).forEach(playerKey => {
+    players[playerKey] = { shots: getPlayerShots(savedHoleData, playerKey) };
+  });
+  
+  return {
+    par: savedHoleData.par || null,
+    distance: savedHoleData.distance || null,
+    index: savedHoleData.index || null,
+    features: savedHoleData.features || [],
+    shots: savedHoleData.shots || [],
+    players
+  };
+}
+
 const styles = StyleSheet.create({
   safeArea: {
     flex: 1,
@@ -605,6 +951,9 @@ const styles = StyleSheet.create({
     marginBottom: 6,
     alignItems: 'center',
   },
+  playerSwitcherContainer: {
+    marginBottom: 8,
+  },
   holeInfoContainer: {
     alignItems: 'center',
     marginBottom: 12,
@@ -661,10 +1010,66 @@ const styles = StyleSheet.create({
     flex: 1,
     justifyContent: "space-between",
   },
+  editToolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  modeToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#f0f0f0',
+    borderRadius: 8,
+    padding: 2,
+  },
+  modeOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 6,
+  },
+  activeModeOption: {
+    backgroundColor: '#fff',
+  },
+  modeText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  activeModeText: {
+    color: theme.colors.primary,
+    fontWeight: '600',
+  },
+  historyButtons: {
+    flexDirection: 'row',
+  },
+  historyButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
   tableContainer: {
     width: '100%',
     marginBottom: 12,
   },
+  lastShotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#f8f8f8',
+    borderRadius: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 12,
+  },
+  lastShotText: {
+    flex: 1,
+    color: '#444',
+    fontSize: 14,
+  },
+  lastShotAction: {
+    marginLeft: 8,
+    color: theme.colors.primary,
+    fontSize: 14,
+    fontWeight: '600',
+  },
   buttonContainer: {
     marginBottom: 8,
     paddingHorizontal: 8,
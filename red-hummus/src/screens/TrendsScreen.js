@@ -0,0 +1,295 @@
+// src/screens/TrendsScreen.js
+
+import React, { useContext, useEffect, useState, useCallback } from "react";
+import {
+  View,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Dimensions,
+  StyleSheet
+} from "react-native";
+import { useNavigation } from "@react-navigation/native";
+import { LineChart } from "react-native-chart-kit";
+import { AuthContext } from "../context/AuthContext";
+import Layout from "../ui/Layout";
+import theme from "../ui/theme";
+import Typography from "../ui/components/Typography";
+import Card from "../ui/components/Card";
+import { getTrendData, filterTrendRounds, TREND_DATE_RANGES } from "../services/trendsService";
+import { SHOT_TYPES } from "../utils/shotSequence";
+
+// Width available to each chart inside its card
+const chartWidth = Dimensions.get("window").width - 64;
+
+// Colours for each outcome line, matching the ShotTable columns
+const OUTCOME_LINES = [
+  { outcome: "On Target", color: "56, 142, 60" },
+  { outcome: "Slightly Off", color: "249, 168, 37" },
+  { outcome: "Recovery Needed", color: "211, 47, 47" }
+];
+
+const chartConfig = {
+  backgroundGradientFrom: "#fff",
+  backgroundGradientTo: "#fff",
+  decimalPlaces: 0,
+  color: (opacity = 1) => `rgba(0, 122, 255, ${opacity})`,
+  labelColor: (opacity = 1) => `rgba(102, 102, 102, ${opacity})`,
+  propsForDots: {
+    r: "3",
+  },
+};
+
+/**
+ * Short date label for a chart's x axis
+ */
+const formatChartDate = (date) => {
+  const value = new Date(date);
+  return `${value.getMonth() + 1}/${value.getDate()}`;
+};
+
+/**
+ * Thin out x-axis labels so they don't overlap on long date ranges
+ */
+const buildLabels = (rounds) => {
+  const step = Math.ceil(rounds.length / 6);
+  return rounds.map((round, index) => index % step === 0 ? formatChartDate(round.date) : "");
+};
+
+/**
+ * TrendsScreen Component
+ *
+ * Charts the user's completed rounds over time: score to par, gross
+ * score, putts per round and the outcome mix for each shot type.
+ * Rounds can be filtered by date range and course.
+ */
+export default function TrendsScreen() {
+  const navigation = useNavigation();
+  const { user } = useContext(AuthContext);
+  const [trendData, setTrendData] = useState({ rounds: [], courses: [] });
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  const [dateRange, setDateRange] = useState("all");
+  const [courseId, setCourseId] = useState(null);
+  const [shotType, setShotType] = useState(SHOT_TYPES[0]);
+
+  const loadTrends = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const data = await getTrendData(user.id);
+      setTrendData(data);
+      setError(null);
+    } catch (err) {
+      // Keep showing whatever loaded last time
+      console.error("Error loading trends:", err);
+      setError("Your trends couldn't be loaded. Pull down to try again.");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [user]);
+
+  // Refresh whenever the screen comes into focus, so new rounds are included
+  useEffect(() => {
+    loadTrends();
+    const unsubscribe = navigation.addListener("focus", loadTrends);
+    return unsubscribe;
+  }, [navigation, loadTrends]);
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadTrends();
+  };
+
+  const rounds = filterTrendRounds(trendData.rounds, { dateRange, courseId });
+
+  const renderFilterChip = (key, label, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isSelected && styles.selectedChip]}
+      onPress={onPress}
+    >
+      <Typography variant="caption" color={isSelected ? "#fff" : theme.colors.text}>
+        {label}
+      </Typography>
+    </TouchableOpacity>
+  );
+
+  /**
+   * Render a single-line chart of one number per round
+   * Rounds where the number isn't known are left out of that chart.
+   */
+  const renderLineChart = (title, getValue, caption) => {
+    const points = rounds.filter(round => getValue(round) !== null && getValue(round) !== undefined);
+
+    return (
+      <Card style={styles.chartCard}>
+        <Typography variant="subtitle">{title}</Typography>
+        {caption && <Typography variant="caption">{caption}</Typography>}
+        {points.length < 2 ? (
+          <Typography variant="secondary" italic style={styles.notEnoughText}>
+            Play at least two rounds in this range to see a trend.
+          </Typography>
+        ) : (
+          <LineChart
+            data={{
+              labels: buildLabels(points),
+              datasets: [{ data: points.map(getValue) }],
+            }}
+            width={chartWidth}
+            height={180}
+            chartConfig={chartConfig}
+            bezier
+            style={styles.chart}
+          />
+        )}
+      </Card>
+    );
+  };
+
+  const renderOutcomeMixChart = () => {
+    const points = rounds.filter(round => round.outcomeMix[shotType]?.total > 0);
+
+    return (
+      <Card style={styles.chartCard}>
+        <Typography variant="subtitle">Outcome Mix</Typography>
+        <Typography variant="caption">Share of each round's shots by outcome (%)</Typography>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          {SHOT_TYPES.map(type => renderFilterChip(type, type, type === shotType, () => setShotType(type)))}
+        </ScrollView>
+        {points.length < 2 ? (
+          <Typography variant="secondary" italic style={styles.notEnoughText}>
+            Not enough {shotType.toLowerCase()} recorded in this range to see a trend.
+          </Typography>
+        ) : (
+          <LineChart
+            data={{
+              labels: buildLabels(points),
+              datasets: OUTCOME_LINES.map(line => ({
+                data: points.map(round => round.outcomeMix[shotType][line.outcome]),
+                color: (opacity = 1) => `rgba(${line.color}, ${opacity})`,
+              })),
+              legend: OUTCOME_LINES.map(line => line.outcome),
+            }}
+            width={chartWidth}
+            height={200}
+            chartConfig={chartConfig}
+            fromZero
+            yAxisSuffix="%"
+            style={styles.chart}
+          />
+        )}
+      </Card>
+    );
+  };
+
+  if (loading) {
+    return (
+      <Layout>
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <ScrollView
+        contentContainerStyle={styles.container}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} colors={[theme.colors.primary]} />
+        }
+      >
+        {/* Filters */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+          {TREND_DATE_RANGES.map(range =>
+            renderFilterChip(range.key, range.label, range.key === dateRange, () => setDateRange(range.key))
+          )}
+        </ScrollView>
+        {trendData.courses.length > 1 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+            {renderFilterChip("all", "All Courses", courseId === null, () => setCourseId(null))}
+            {trendData.courses.map(course =>
+              renderFilterChip(course.id, course.name, course.id === courseId, () => setCourseId(course.id))
+            )}
+          </ScrollView>
+        )}
+
+        {error ? (
+          <Typography variant="body" color={theme.colors.error} align="center" style={styles.errorText}>
+            {error}
+          </Typography>
+        ) : null}
+
+        {rounds.length === 0 ? (
+          error ? null : (
+            <View style={styles.centerContainer}>
+              <Typography variant="secondary" italic align="center">
+                {trendData.rounds.length === 0
+                  ? "Complete a few rounds to see how your game is trending."
+                  : "No rounds match these filters."}
+              </Typography>
+            </View>
+          )
+        ) : (
+          <>
+            <Typography variant="caption" style={styles.roundCount}>
+              {rounds.length} round{rounds.length === 1 ? "" : "s"}
+            </Typography>
+            {renderLineChart("Score to Par", round => round.scoreToPar)}
+            {renderLineChart("Gross Score", round => round.grossShots, "Includes nine-hole and partial rounds")}
+            {renderLineChart("Putts per Round", round => round.putts)}
+            {renderOutcomeMixChart()}
+          </>
+        )}
+      </ScrollView>
+    </Layout>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    padding: theme.spacing.medium,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 40,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginBottom: theme.spacing.small,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#f0f0f0",
+    marginRight: 6,
+  },
+  selectedChip: {
+    backgroundColor: theme.colors.primary,
+  },
+  roundCount: {
+    marginBottom: theme.spacing.small,
+  },
+  chartCard: {
+    marginBottom: theme.spacing.medium,
+  },
+  chart: {
+    marginTop: theme.spacing.small,
+    borderRadius: 8,
+  },
+  notEnoughText: {
+    marginTop: theme.spacing.small,
+  },
+  errorText: {
+    marginBottom: theme.spacing.small,
+  },
+});
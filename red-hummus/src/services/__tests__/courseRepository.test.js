@@ -0,0 +1,131 @@
+// src/services/__tests__/courseRepository.test.js
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+jest.mock("../supabase", () => ({
+  supabase: { from: jest.fn() }
+}));
+
+let courseRepository;
+let supabase;
+let AsyncStorage;
+let respond;
+
+// A chainable stand-in for a Supabase query, answered by respond(query)
+const createQuery = (table) => {
+  const query = { table, calls: {} };
+  ["select", "order", "range", "or", "limit", "in", "eq"].forEach(method => {
+    query[method] = (...args) => {
+      query.calls[method] = args;
+      return query;
+    };
+  });
+  query.then = (resolve, reject) => Promise.resolve().then(() => respond(query)).then(resolve, reject);
+  return query;
+};
+
+const course = (id, name = `Course ${String(id).padStart(4, "0")}`) => ({ id, name, club_name: null, location: null, tees: [] });
+
+beforeEach(async () => {
+  jest.resetModules();
+  AsyncStorage = require("@react-native-async-storage/async-storage");
+  await AsyncStorage.clear();
+  supabase = require("../supabase").supabase;
+  supabase.from.mockImplementation(createQuery);
+  courseRepository = require("../courseRepository");
+  respond = () => ({ data: [], error: null });
+});
+
+describe("getAllCourses", () => {
+  it("pages through the whole course list", async () => {
+    const courses = Array.from({ length: 1200 }, (_, index) => course(index + 1));
+    respond = (query) => {
+      const [from, to] = query.calls.range;
+      return { data: courses.slice(from, to + 1), count: courses.length, error: null };
+    };
+
+    const result = await courseRepository.getAllCourses();
+
+    expect(result).toHaveLength(1200);
+    expect(result[0].name).toBe("Course 0001");
+    expect(supabase.from).toHaveBeenCalledTimes(3);
+  });
+
+  it("keeps a partial list but fetches it again next time", async () => {
+    respond = (query) => (query.calls.range[0] === 0
+      ? { data: [course(1)], count: 2, error: null }
+      : { data: [], count: 2, error: null });
+
+    expect(await courseRepository.getAllCourses()).toHaveLength(1);
+
+    respond = () => ({ data: [course(1), course(2)], count: 2, error: null });
+    expect(await courseRepository.getAllCourses()).toHaveLength(2);
+  });
+});
+
+describe("searchCourses", () => {
+  it("needs at least three characters", async () => {
+    expect(await courseRepository.searchCourses("pe")).toEqual([]);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it("searches cached courses when the online search fails", async () => {
+    respond = (query) => query.calls.or
+      ? { data: null, error: new Error("Network request failed") }
+      : { data: [course(1, "Pebble Beach"), course(2, "Spyglass Hill")], count: 2, error: null };
+
+    await courseRepository.getAllCourses();
+    const result = await courseRepository.searchCourses("pebble");
+
+    expect(result.map(found => found.name)).toEqual(["Pebble Beach"]);
+  });
+});
+
+describe("favourite courses", () => {
+  it("keeps favourites per user and fetches a pinned course's full record", async () => {
+    respond = () => ({ data: [{ ...course(7, "Riverside"), holes: [] }], error: null });
+
+    const isCached = await courseRepository.setFavouriteCourse("user-1", course(7, "Riverside"), true);
+
+    expect(isCached).toBe(true);
+    expect(await courseRepository.getFavouriteCourseIds("user-1")).toEqual([7]);
+    expect(await courseRepository.getFavouriteCourseIds("user-2")).toEqual([]);
+    expect((await courseRepository.getFavouriteCourses("user-1")).map(found => found.name)).toEqual(["Riverside"]);
+
+    await courseRepository.setFavouriteCourse("user-1", course(7, "Riverside"), false);
+    expect(await courseRepository.getFavouriteCourseIds("user-1")).toEqual([]);
+  });
+
+  it("stays pinned when the course can't be fetched", async () => {
+    respond = () => ({ data: null, error: new Error("Network request failed") });
+
+    const isCached = await courseRepository.setFavouriteCourse("user-1", course(7), true);
+
+    expect(isCached).toBe(false);
+    expect(await courseRepository.getFavouriteCourseIds("user-1")).toEqual([7]);
+  });
+
+  it("drops favourites saved before they were kept per user", async () => {
+    await AsyncStorage.setItem("@GolfApp:favouriteCourses", JSON.stringify([7, 8]));
+
+    expect(await courseRepository.getFavouriteCourseIds("user-1")).toEqual([]);
+  });
+});
+
+describe("getCourseById", () => {
+  it("returns null when the course isn't cached and can't be fetched", async () => {
+    respond = () => ({ data: null, error: new Error("Network request failed") });
+
+    expect(await courseRepository.getCourseById(7)).toBeNull();
+  });
+
+  it("serves a fetched course from the cache", async () => {
+    respond = () => ({ data: [{ ...course(7, "Riverside"), holes: [] }], error: null });
+
+    expect((await courseRepository.getCourseById(7)).name).toBe("Riverside");
+    expect((await courseRepository.getCourseById(7)).name).toBe("Riverside");
+    expect(supabase.from).toHaveBeenCalledTimes(1);
+  });
+});
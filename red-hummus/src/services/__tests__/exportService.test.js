@@ -0,0 +1,66 @@
+// src/services/__tests__/exportService.test.js
+
+jest.mock("../supabase", () => ({ supabase: { from: jest.fn() } }));
+
+jest.mock("../roundservice", () => ({
+  getHoleDataForRounds: jest.fn()
+}));
+
+import { supabase } from "../supabase";
+import { getHoleDataForRounds } from "../roundservice";
+import { getAllRoundExports } from "../exportService";
+
+// A chainable stand-in for a Supabase query, answered by respond(query)
+const createQuery = (respond) => (table) => {
+  const query = { table, calls: {} };
+  ["select", "eq", "in", "order", "range"].forEach(method => {
+    query[method] = (...args) => {
+      query.calls[method] = args;
+      return query;
+    };
+  });
+  query.then = (resolve, reject) => Promise.resolve().then(() => respond(query)).then(resolve, reject);
+  return query;
+};
+
+const COURSE = { id: 7, name: "Pebble Beach", tees: [], holes: [{ number: 1, par_men: 4 }] };
+
+describe("getAllRoundExports", () => {
+  beforeEach(() => {
+    getHoleDataForRounds.mockResolvedValue([]);
+  });
+
+  it("exports every round, paging past the server's row limit", async () => {
+    const rounds = Array.from({ length: 1200 }, (_, index) => ({
+      id: index + 1,
+      course_id: 7,
+      created_at: new Date(2024, 0, 1, 0, index).toISOString(),
+      is_complete: true,
+      hole_numbers: [1]
+    }));
+
+    supabase.from.mockImplementation(createQuery(query => {
+      if (query.table === "courses") {
+        return { data: [COURSE], error: null };
+      }
+      const [from, to] = query.calls.range;
+      return { data: rounds.slice(from, Math.min(to + 1, from + 1000)), count: rounds.length, error: null };
+    }));
+
+    const roundExports = await getAllRoundExports("user-1", "Alex");
+
+    expect(roundExports).toHaveLength(1200);
+    expect(roundExports[1199]).toMatchObject({ id: 1200, course: { name: "Pebble Beach" } });
+    expect(getHoleDataForRounds).toHaveBeenCalledWith(rounds.map(round => round.id));
+  });
+
+  it("fails rather than exporting part of the history", async () => {
+    supabase.from.mockImplementation(createQuery(query =>
+      query.calls.range[0] === 0
+        ? { data: [{ id: 1, course_id: 7, created_at: "2024-01-01T00:00:00.000Z" }], count: 2, error: null }
+        : { data: [], count: 2, error: null }
+    ));
+
+    await expect(getAllRoundExports("user-1", "Alex")).rejects.toThrow("Only 1 of 2 rounds were loaded");
+  });
+});
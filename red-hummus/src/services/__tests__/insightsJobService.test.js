@@ -0,0 +1,95 @@
+// src/services/__tests__/insightsJobService.test.js
+
+jest.mock("../supabase", () => ({
+  supabase: { channel: jest.fn(), removeChannel: jest.fn() }
+}));
+
+import { supabase } from "../supabase";
+import { JOB_STATUS, isJobActive, isJobFailed, subscribeToInsightsJobs } from "../insightsJobService";
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe("isJobActive", () => {
+  it("is active while pending or running", () => {
+    expect(isJobActive({ status: JOB_STATUS.PENDING, created_at: minutesAgo(1) })).toBe(true);
+    expect(isJobActive({ status: JOB_STATUS.RUNNING, created_at: minutesAgo(10), updated_at: minutesAgo(1) })).toBe(true);
+  });
+
+  it("stops being active once finished or abandoned", () => {
+    expect(isJobActive({ status: JOB_STATUS.SUCCEEDED, created_at: minutesAgo(1) })).toBe(false);
+    expect(isJobActive({ status: JOB_STATUS.RUNNING, created_at: minutesAgo(10), updated_at: minutesAgo(6) })).toBe(false);
+    expect(isJobActive(null)).toBe(false);
+  });
+});
+
+describe("isJobFailed", () => {
+  it("counts abandoned jobs as failed", () => {
+    expect(isJobFailed({ status: JOB_STATUS.FAILED, created_at: minutesAgo(1) })).toBe(true);
+    expect(isJobFailed({ status: JOB_STATUS.PENDING, created_at: minutesAgo(6) })).toBe(true);
+    expect(isJobFailed({ status: JOB_STATUS.PENDING, created_at: minutesAgo(1) })).toBe(false);
+    expect(isJobFailed({ status: JOB_STATUS.SUCCEEDED, created_at: minutesAgo(60) })).toBe(false);
+    expect(isJobFailed(null)).toBe(false);
+  });
+});
+
+describe("subscribeToInsightsJobs", () => {
+  let channels;
+
+  beforeEach(() => {
+    channels = [];
+    supabase.channel.mockReset().mockImplementation(topic => {
+      const channel = { topic };
+      channel.on = jest.fn((type, filter, handler) => {
+        channel.handler = handler;
+        return channel;
+      });
+      channel.subscribe = jest.fn(() => channel);
+      channels.push(channel);
+      return channel;
+    });
+    supabase.removeChannel.mockReset();
+  });
+
+  it("shares one channel between screens following the same user", () => {
+    const home = jest.fn();
+    const insights = jest.fn();
+
+    const unsubscribeHome = subscribeToInsightsJobs("user-1", home);
+    const unsubscribeInsights = subscribeToInsightsJobs("user-1", insights);
+
+    expect(supabase.channel).toHaveBeenCalledTimes(1);
+    channels[0].handler({ new: { id: "job-1" } });
+    expect(home).toHaveBeenCalledWith({ id: "job-1" });
+    expect(insights).toHaveBeenCalledWith({ id: "job-1" });
+
+    // Leaving one screen keeps the other's updates coming
+    unsubscribeHome();
+    expect(supabase.removeChannel).not.toHaveBeenCalled();
+    channels[0].handler({ new: { id: "job-2" } });
+    expect(home).toHaveBeenCalledTimes(1);
+    expect(insights).toHaveBeenLastCalledWith({ id: "job-2" });
+
+    unsubscribeInsights();
+    expect(supabase.removeChannel).toHaveBeenCalledWith(channels[0]);
+  });
+
+  it("opens a new channel once the last subscriber has left", () => {
+    subscribeToInsightsJobs("user-1", jest.fn())();
+    subscribeToInsightsJobs("user-1", jest.fn());
+
+    expect(supabase.channel).toHaveBeenCalledTimes(2);
+    expect(supabase.removeChannel).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps both subscriptions when the same listener subscribes twice", () => {
+    const listener = jest.fn();
+    const unsubscribeFirst = subscribeToInsightsJobs("user-2", listener);
+    subscribeToInsightsJobs("user-2", listener);
+
+    unsubscribeFirst();
+    channels[0].handler({ new: { id: "job-1" } });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(supabase.removeChannel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,43 @@
+// src/services/__tests__/roundservice.test.js
+
+jest.mock("../supabase", () => ({
+  supabase: { from: jest.fn() }
+}));
+
+import { supabase } from "../supabase";
+import { deleteRound } from "../roundservice";
+
+// Answer a delete query with result, recording the calls made on it
+const mockDelete = (result) => {
+  const query = {
+    delete: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    select: jest.fn(() => Promise.resolve(result))
+  };
+  supabase.from.mockReturnValue(query);
+  return query;
+};
+
+describe("deleteRound", () => {
+  it("deletes the round and asks for the deleted row back", async () => {
+    const query = mockDelete({ data: [{ id: 12 }], error: null });
+
+    await expect(deleteRound(12)).resolves.toBe(true);
+    expect(supabase.from).toHaveBeenCalledWith("rounds");
+    expect(query.eq).toHaveBeenCalledWith("id", 12);
+    expect(query.select).toHaveBeenCalledWith("id");
+  });
+
+  it("throws when no round was deleted", async () => {
+    mockDelete({ data: [], error: null });
+
+    await expect(deleteRound(12)).rejects.toThrow("The round couldn't be deleted");
+  });
+
+  it("throws the database error", async () => {
+    const error = new Error("permission denied");
+    mockDelete({ data: null, error });
+
+    await expect(deleteRound(12)).rejects.toBe(error);
+  });
+});
@@ -0,0 +1,233 @@
+// src/services/__tests__/syncQueue.test.js
+
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+
+jest.mock("../roundservice", () => ({
+  createRound: jest.fn(),
+  saveHoleData: jest.fn(),
+  completeRound: jest.fn()
+}));
+
+let syncQueue;
+let roundservice;
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.useFakeTimers();
+  syncQueue = require("../syncQueue");
+  roundservice = require("../roundservice");
+  await require("@react-native-async-storage/async-storage").clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const queueRound = async () => {
+  const round = await syncQueue.queueCreateRound({
+    profileId: "user-1",
+    courseId: 7,
+    teeId: "white",
+    teeName: "White",
+    courseName: "Test Links"
+  });
+  await syncQueue.queueSaveHoleData(round.id, 1, { par: 4, shots: [] }, 5);
+  await syncQueue.queueCompleteRound(round.id);
+  return round;
+};
+
+describe("isLocalRoundId", () => {
+  it("recognises locally generated round IDs", () => {
+    expect(syncQueue.isLocalRoundId("local-123-abc")).toBe(true);
+    expect(syncQueue.isLocalRoundId(42)).toBe(false);
+    expect(syncQueue.isLocalRoundId("42")).toBe(false);
+  });
+});
+
+describe("isRetryableError", () => {
+  it("retries network failures and server hiccups", () => {
+    expect(syncQueue.isRetryableError(new Error("Network request failed"))).toBe(true);
+    expect(syncQueue.isRetryableError({ code: "", message: "TypeError: Network request failed" })).toBe(true);
+    expect(syncQueue.isRetryableError({ code: "PGRST000", message: "Could not connect" })).toBe(true);
+    expect(syncQueue.isRetryableError({ code: "40001", message: "could not serialize access" })).toBe(true);
+    expect(syncQueue.isRetryableError({ status: 429, message: "Too many requests" })).toBe(true);
+    expect(syncQueue.isRetryableError({ status: 503, message: "Service unavailable" })).toBe(true);
+  });
+
+  it("doesn't retry requests the server rejected", () => {
+    expect(syncQueue.isRetryableError({ status: 400, message: "Bad request" })).toBe(false);
+    expect(syncQueue.isRetryableError({ code: "PGRST116", message: "JSON object requested, multiple rows returned" })).toBe(false);
+    expect(syncQueue.isRetryableError({ code: "23505", message: "duplicate key value" })).toBe(false);
+    expect(syncQueue.isRetryableError({ code: "42501", message: "permission denied" })).toBe(false);
+    expect(syncQueue.isRetryableError({ code: "P0001", message: "raised exception" })).toBe(false);
+  });
+});
+
+describe("processQueue", () => {
+  it("replays operations in order with the local round ID swapped for the database ID", async () => {
+    const calls = [];
+    roundservice.createRound.mockImplementation(async () => {
+      calls.push("createRound");
+      return { id: 99 };
+    });
+    roundservice.saveHoleData.mockImplementation(async (roundId) => calls.push(["saveHoleData", roundId]));
+    roundservice.completeRound.mockImplementation(async (roundId) => calls.push(["completeRound", roundId]));
+
+    const round = await queueRound();
+    const remaining = await syncQueue.processQueue();
+
+    expect(remaining).toBe(0);
+    expect(calls).toEqual(["createRound", ["saveHoleData", 99], ["completeRound", 99]]);
+    expect(await syncQueue.resolveRoundId(round.id)).toBe(99);
+    expect(await syncQueue.hasPendingOperations(round.id)).toBe(false);
+  });
+
+  it("stops at a failure so later operations don't run ahead of it", async () => {
+    roundservice.createRound.mockRejectedValueOnce(new Error("Network request failed"));
+
+    const round = await queueRound();
+    const remaining = await syncQueue.processQueue();
+
+    expect(remaining).toBe(3);
+    expect(roundservice.saveHoleData).not.toHaveBeenCalled();
+    expect(await syncQueue.resolveRoundId(round.id)).toBeNull();
+
+    const status = await syncQueue.getSyncStatus();
+    expect(status.lastError).toBe("Network request failed");
+    expect(status.pendingRounds).toHaveLength(1);
+    expect(status.pendingRounds[0]).toMatchObject({ courseName: "Test Links", grossShots: 5, score: 1, isComplete: true });
+  });
+
+  it("keeps syncing other rounds while one is waiting to retry", async () => {
+    roundservice.createRound.mockRejectedValueOnce(new Error("Network request failed"));
+
+    await queueRound();
+    await syncQueue.queueSaveHoleData(12, 1, { par: 4, shots: [] }, 5);
+
+    expect(await syncQueue.processQueue()).toBe(3);
+    expect(roundservice.saveHoleData).toHaveBeenCalledTimes(1);
+    expect(roundservice.saveHoleData).toHaveBeenCalledWith(12, 1, { par: 4, shots: [] }, 5);
+  });
+
+  it("sets aside an operation the server rejects and holds back the rest of its round", async () => {
+    roundservice.createRound.mockRejectedValueOnce({ code: "23503", message: "violates foreign key constraint" });
+
+    const round = await queueRound();
+    await syncQueue.queueSaveHoleData(12, 1, { par: 4, shots: [] }, 5);
+
+    expect(await syncQueue.processQueue({ force: true })).toBe(2);
+    expect(await syncQueue.processQueue({ force: true })).toBe(2);
+    expect(roundservice.createRound).toHaveBeenCalledTimes(1);
+    expect(roundservice.saveHoleData).toHaveBeenCalledTimes(1);
+    expect(await syncQueue.hasPendingOperations(round.id)).toBe(true);
+
+    const status = await syncQueue.getSyncStatus();
+    expect(status.failedOperations).toBe(1);
+    expect(status.pendingRounds.find(pending => pending.id === round.id)).toMatchObject({
+      syncFailed: true,
+      syncError: "violates foreign key constraint",
+      isComplete: true
+    });
+  });
+
+  it("sets an operation aside after too many server errors, but not for network failures", async () => {
+    roundservice.saveHoleData.mockRejectedValue({ code: "57014", message: "canceling statement due to statement timeout" });
+    await syncQueue.queueSaveHoleData(12, 1, { par: 4, shots: [] }, 5);
+
+    for (let attempt = 1; attempt < 8; attempt++) {
+      expect(await syncQueue.processQueue({ force: true })).toBe(1);
+    }
+    expect(await syncQueue.processQueue({ force: true })).toBe(0);
+    expect((await syncQueue.getSyncStatus()).failedOperations).toBe(1);
+
+    roundservice.saveHoleData.mockRejectedValue(new Error("Network request failed"));
+    await syncQueue.queueSaveHoleData(13, 1, { par: 4, shots: [] }, 5);
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      await syncQueue.processQueue({ force: true });
+    }
+    expect((await syncQueue.getSyncStatus()).pendingOperations).toBe(1);
+  });
+
+  it("sends failed operations again, ahead of the rest of their round", async () => {
+    roundservice.createRound
+      .mockRejectedValueOnce({ code: "42501", message: "new row violates row-level security policy" })
+      .mockResolvedValue({ id: 99 });
+
+    const round = await queueRound();
+    await syncQueue.processQueue();
+
+    expect(await syncQueue.retryFailedOperations(round.id)).toBe(1);
+    expect(await syncQueue.processQueue()).toBe(0);
+    expect(roundservice.completeRound).toHaveBeenCalledWith(99);
+    expect(await syncQueue.hasPendingOperations(round.id)).toBe(false);
+  });
+
+  it("discards a round's failed operations along with its queued ones", async () => {
+    roundservice.createRound.mockRejectedValueOnce({ code: "PGRST204", message: "Could not find the column" });
+
+    const round = await queueRound();
+    await syncQueue.processQueue();
+
+    expect(await syncQueue.discardRoundOperations(round.id)).toBe(3);
+    expect(await syncQueue.getSyncStatus()).toMatchObject({ pendingOperations: 0, failedOperations: 0 });
+  });
+
+  it("waits out the backoff unless forced", async () => {
+    roundservice.createRound
+      .mockRejectedValueOnce(new Error("Network request failed"))
+      .mockResolvedValue({ id: 5 });
+
+    await queueRound();
+    await syncQueue.processQueue();
+
+    expect(await syncQueue.processQueue()).toBe(3);
+    expect(roundservice.createRound).toHaveBeenCalledTimes(1);
+
+    expect(await syncQueue.processQueue({ force: true })).toBe(0);
+    expect(roundservice.createRound).toHaveBeenCalledTimes(2);
+  });
+
+  it("replaces a queued upload for the same hole rather than adding another", async () => {
+    await syncQueue.queueSaveHoleData(12, 3, { par: 4, shots: [] }, 4);
+    await syncQueue.queueSaveHoleData(12, 3, { par: 4, shots: [] }, 6);
+    await syncQueue.queueSaveHoleData(12, 4, { par: 3, shots: [] }, 3);
+
+    expect((await syncQueue.getSyncStatus()).pendingOperations).toBe(2);
+
+    await syncQueue.processQueue();
+    expect(roundservice.saveHoleData).toHaveBeenCalledTimes(2);
+    expect(roundservice.saveHoleData).toHaveBeenCalledWith(12, 3, { par: 4, shots: [] }, 6);
+  });
+
+  it("collapses repeated sync requests into one pass", async () => {
+    await syncQueue.queueSaveHoleData(12, 1, { par: 4, shots: [] }, 5);
+
+    syncQueue.requestSync(1000);
+    syncQueue.requestSync(1000);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(roundservice.saveHoleData).toHaveBeenCalledTimes(1);
+  });
+
+  it("discards a deleted round's operations and keeps other rounds'", async () => {
+    const round = await queueRound();
+    await syncQueue.queueSaveHoleData(12, 1, { par: 4, shots: [] }, 5);
+
+    expect(await syncQueue.discardRoundOperations(round.id)).toBe(3);
+    expect(await syncQueue.hasPendingOperations(round.id)).toBe(false);
+    expect(await syncQueue.hasPendingOperations(12)).toBe(true);
+  });
+
+  it("tells subscribers when the queue changes", async () => {
+    const listener = jest.fn();
+    const unsubscribe = syncQueue.subscribeToSyncQueue(listener);
+
+    await syncQueue.queueCompleteRound(12);
+
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ pendingOperations: 1 }));
+    unsubscribe();
+  });
+});
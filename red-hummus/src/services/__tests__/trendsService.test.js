@@ -0,0 +1,120 @@
+// src/services/__tests__/trendsService.test.js
+
+jest.mock("../supabase", () => ({ supabase: { from: jest.fn() } }));
+
+jest.mock("../roundservice", () => ({
+  getHoleDataForRounds: jest.fn()
+}));
+
+import { supabase } from "../supabase";
+import { getHoleDataForRounds } from "../roundservice";
+import { getTrendData, filterTrendRounds, summarizeTrends } from "../trendsService";
+
+// A chainable stand-in for a Supabase query, answered by respond(query)
+const createQuery = (respond) => (table) => {
+  const query = { table, calls: {} };
+  ["select", "eq", "in", "order", "range"].forEach(method => {
+    query[method] = (...args) => {
+      query.calls[method] = args;
+      return query;
+    };
+  });
+  query.then = (resolve, reject) => Promise.resolve().then(() => respond(query)).then(resolve, reject);
+  return query;
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const trendRound = (daysAgo, { courseId = 1, scoreToPar = 10, putts = 36, holesPlayed = 18, onTarget = 50 } = {}) => ({
+  date: new Date(Date.now() - daysAgo * DAY).toISOString(),
+  courseId,
+  scoreToPar,
+  putts,
+  holesPlayed,
+  outcomeMix: { All: { "On Target": onTarget } }
+});
+
+describe("getTrendData", () => {
+  const COURSE = { id: 1, name: "Riverside", tees: [], holes: [{ number: 1, par_men: 4 }] };
+
+  it("pages through more rounds than the server returns in one request", async () => {
+    const rounds = Array.from({ length: 1500 }, (_, index) => ({
+      id: index + 1,
+      course_id: 1,
+      created_at: new Date(2024, 0, 1, 0, index).toISOString(),
+      hole_numbers: [1]
+    }));
+
+    supabase.from.mockImplementation(createQuery(query => {
+      if (query.table === "courses") {
+        return { data: [COURSE], error: null };
+      }
+      const [from, to] = query.calls.range;
+      return { data: rounds.slice(from, Math.min(to + 1, from + 1000)), count: rounds.length, error: null };
+    }));
+    getHoleDataForRounds.mockImplementation(async (roundIds) => roundIds.map(roundId => ({
+      round_id: roundId,
+      hole_number: 1,
+      hole_data: { shots: [{ type: "Tee Shot" }, { type: "Putts" }, { type: "Putts" }, { type: "Putts" }] },
+      total_score: 4
+    })));
+
+    const { rounds: trendRounds, courses } = await getTrendData("user-1");
+
+    expect(trendRounds).toHaveLength(1500);
+    expect(trendRounds[1499]).toMatchObject({ roundId: 1500, scoreToPar: 0, courseName: "Riverside" });
+    expect(courses).toEqual([{ id: 1, name: "Riverside" }]);
+  });
+
+  it("passes on errors instead of returning empty trends", async () => {
+    supabase.from.mockImplementation(createQuery(() => ({ data: null, error: new Error("Network request failed") })));
+
+    await expect(getTrendData("user-1")).rejects.toThrow("Network request failed");
+  });
+
+  it("fails rather than returning part of the history", async () => {
+    supabase.from.mockImplementation(createQuery(query =>
+      query.calls.range[0] === 0
+        ? { data: [{ id: 1, course_id: 1, created_at: "2024-01-01T00:00:00.000Z" }], count: 2, error: null }
+        : { data: [], count: 2, error: null }
+    ));
+
+    await expect(getTrendData("user-1")).rejects.toThrow("Only 1 of 2 rounds were loaded");
+  });
+});
+
+describe("filterTrendRounds", () => {
+  const rounds = [trendRound(200), trendRound(60, { courseId: 2 }), trendRound(10)];
+
+  it("filters by date range and course", () => {
+    expect(filterTrendRounds(rounds, { dateRange: "90d" })).toHaveLength(2);
+    expect(filterTrendRounds(rounds, { dateRange: "30d" })).toHaveLength(1);
+    expect(filterTrendRounds(rounds, { courseId: 2 })).toHaveLength(1);
+    expect(filterTrendRounds(rounds)).toHaveLength(3);
+  });
+});
+
+describe("summarizeTrends", () => {
+  it("compares recent rounds with the ones before", () => {
+    const rounds = [
+      trendRound(40, { scoreToPar: 20, putts: 38, onTarget: 40 }),
+      trendRound(30, { scoreToPar: 18, putts: 36, onTarget: 50 }),
+      trendRound(20, { scoreToPar: 14, putts: 34, onTarget: 60 }),
+      trendRound(10, { scoreToPar: 12, putts: 32, onTarget: 70 })
+    ];
+
+    expect(summarizeTrends(rounds, 2)).toEqual({
+      roundsCounted: 2,
+      scoreToPar: { recent: 13, previous: 19, change: -6 },
+      putts: { recent: 33, previous: 37, change: -4 },
+      onTarget: { recent: 65, previous: 45, change: 20 }
+    });
+  });
+
+  it("scales partial rounds to 18 holes", () => {
+    const summary = summarizeTrends([trendRound(10, { scoreToPar: 6, putts: 16, holesPlayed: 9 })]);
+
+    expect(summary.scoreToPar).toEqual({ recent: 12, previous: null, change: null });
+    expect(summary.putts.recent).toBe(32);
+  });
+});
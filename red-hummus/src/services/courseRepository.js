@@ -0,0 +1,548 @@
+// src/services/courseRepository.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { AppState } from "react-native";
+import { supabase } from "./supabase";
+import { normalizeCourse } from "../utils/courseSchema";
+
+/**
+ * Course Repository
+ *
+ * A device cache of courses, so choosing a course and starting a round
+ * work with poor or no signal. Course rows are kept as they come from
+ * Supabase and normalized by utils/courseSchema when read.
+ *
+ * Reads answer from the cache straight away when it has what's asked for,
+ * and refresh it in the background once it's older than its max age.
+ * Only when nothing is cached do they wait for the network, and then
+ * only for NETWORK_TIMEOUT_MS before giving up.
+ *
+ * The course list (names, locations and tees) is cached for every course,
+ * which is what search falls back on offline. Full records with hole data
+ * are cached for courses the player opens, has played recently or has
+ * pinned as a favourite. Favourites and recent courses are kept per user,
+ * like the rest of a player's data. The favourites of everyone who has
+ * signed in on the device are refreshed on launch and never dropped.
+ */
+
+const COURSE_CACHE_STORAGE_KEY = "@GolfApp:courseCache";
+const FAVOURITE_COURSES_STORAGE_KEY = "@GolfApp:favouriteCourses";
+const RECENT_COURSES_STORAGE_KEY = "@GolfApp:recentCourses";
+
+// How old cached data can get before it's refreshed in the background
+const COURSE_LIST_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+const COURSE_DETAILS_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const RECENT_COURSES_MAX_AGE_MS = 60 * 60 * 1000;
+
+// How long to wait for Supabase when there's nothing cached to fall back on
+const NETWORK_TIMEOUT_MS = 8000;
+
+// Search has the cached list to fall back on, so it gives up sooner
+const SEARCH_TIMEOUT_MS = 3000;
+
+// Full records kept for courses that aren't favourites - older ones go back to list details
+const MAX_CACHED_COURSE_DETAILS = 30;
+
+const COURSE_LIST_COLUMNS = "id, name, club_name, location, tees";
+const COURSE_LIST_PAGE_SIZE = 500;
+const SEARCH_RESULTS_LIMIT = 15;
+
+// In-memory copies of the stored cache, loaded once
+let cache = null;          // { listFetchedAt, courses: { [id]: { record, listedAt, detailsAt } } }
+let favouriteIds = null;   // { [userId]: course IDs, in the order they were pinned }
+let recentCourses = null;  // { [userId]: { courseIds, fetchedAt } }
+let loadPromise = null;
+const refreshes = new Map();
+
+/**
+ * Load the cache, favourites and recent courses from AsyncStorage (once)
+ */
+const loadState = async () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const [[, cacheStr], [, favouritesStr], [, recentStr]] = await AsyncStorage.multiGet([
+          COURSE_CACHE_STORAGE_KEY,
+          FAVOURITE_COURSES_STORAGE_KEY,
+          RECENT_COURSES_STORAGE_KEY
+        ]);
+        cache = cacheStr ? JSON.parse(cacheStr) : { listFetchedAt: null, courses: {} };
+        // Favourites saved before they were kept per user can't be attributed to anyone
+        const storedFavourites = favouritesStr ? JSON.parse(favouritesStr) : {};
+        favouriteIds = Array.isArray(storedFavourites) ? {} : storedFavourites;
+        recentCourses = recentStr ? JSON.parse(recentStr) : {};
+      } catch (error) {
+        console.error("[courseRepository] Error loading course cache:", error);
+        cache = { listFetchedAt: null, courses: {} };
+        favouriteIds = {};
+        recentCourses = {};
+      }
+    })();
+  }
+
+  await loadPromise;
+};
+
+/**
+ * Persist the cache, favourites and recent courses to AsyncStorage
+ */
+const persistState = async () => {
+  try {
+    await AsyncStorage.multiSet([
+      [COURSE_CACHE_STORAGE_KEY, JSON.stringify(cache)],
+      [FAVOURITE_COURSES_STORAGE_KEY, JSON.stringify(favouriteIds)],
+      [RECENT_COURSES_STORAGE_KEY, JSON.stringify(recentCourses)]
+    ]);
+  } catch (error) {
+    console.error("[courseRepository] Error persisting course cache:", error);
+  }
+};
+
+/**
+ * Check whether a cached timestamp is missing or older than maxAge
+ */
+const isStale = (timestamp, maxAge) => !timestamp || Date.now() - new Date(timestamp).getTime() > maxAge;
+
+/**
+ * Reject if a request takes longer than timeoutMs
+ */
+const withTimeout = (promise, timeoutMs = NETWORK_TIMEOUT_MS) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Request timed out")), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run a refresh once at a time per key, sharing the promise with any other caller
+ */
+const runRefresh = (key, refresh) => {
+  if (!refreshes.has(key)) {
+    refreshes.set(key, refresh().finally(() => refreshes.delete(key)));
+  }
+  return refreshes.get(key);
+};
+
+/**
+ * Refresh in the background, handing the new result to onUpdate when it arrives
+ */
+const refreshInBackground = (key, refresh, onUpdate = null) => {
+  runRefresh(key, refresh)
+    .then(() => onUpdate?.())
+    .catch(error => console.log(`[courseRepository] Background refresh of ${key} failed:`, error?.message));
+};
+
+/**
+ * Store course rows from Supabase
+ *
+ * @param {Array<Object>} rows - Course rows
+ * @param {boolean} withDetails - Whether the rows are full records with hole data
+ */
+const storeCourses = (rows, withDetails) => {
+  const now = new Date().toISOString();
+  (rows || []).forEach(row => {
+    const existing = cache.courses[row.id];
+    cache.courses[row.id] = {
+      // A list row updates the list fields of a full record without losing its holes
+      record: existing && !withDetails ? { ...existing.record, ...row } : row,
+      listedAt: now,
+      detailsAt: withDetails ? now : existing?.detailsAt || null
+    };
+  });
+};
+
+/**
+ * Every user's favourite course IDs, without duplicates
+ */
+const getAllFavouriteIds = () => [...new Set(Object.values(favouriteIds).flat())];
+
+/**
+ * Drop hole data from the least recently fetched courses that aren't favourites
+ */
+const pruneCourseDetails = () => {
+  const keep = new Set(getAllFavouriteIds().map(String));
+  Object.values(recentCourses).forEach(recent => recent.courseIds.forEach(id => keep.add(String(id))));
+
+  Object.entries(cache.courses)
+    .filter(([id, entry]) => entry.detailsAt && !keep.has(String(id)))
+    .sort(([, a], [, b]) => new Date(b.detailsAt) - new Date(a.detailsAt))
+    .slice(MAX_CACHED_COURSE_DETAILS)
+    .forEach(([id, entry]) => {
+      const { id: courseId, name, club_name, location, tees } = entry.record;
+      cache.courses[id] = {
+        ...entry,
+        record: { id: courseId, name, club_name, location, tees },
+        detailsAt: null
+      };
+    });
+};
+
+/**
+ * Cached courses, normalized and sorted by name
+ */
+const getCachedCourseList = () =>
+  Object.values(cache.courses)
+    .map(entry => normalizeCourse(entry.record))
+    .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+
+/**
+ * Find a cached course by ID, which may be stored as a number or a string
+ */
+const getCachedEntry = (courseId) => cache.courses[courseId] || null;
+
+/**
+ * Fetch every course's list details
+ *
+ * Paged until every course the count reports has arrived, so the list
+ * isn't cut off at the server's maximum rows per request.
+ */
+const refreshCourseList = async () => {
+  console.log("[courseRepository] Refreshing course list");
+
+  let total = null;
+  let fetched = 0;
+  while (total === null || fetched < total) {
+    const { data, count, error } = await withTimeout(
+      supabase
+        .from("courses")
+        .select(COURSE_LIST_COLUMNS, { count: "exact" })
+        .order("id")
+        .range(fetched, fetched + COURSE_LIST_PAGE_SIZE - 1)
+    );
+    if (error) throw error;
+
+    const rows = data || [];
+    storeCourses(rows, false);
+    fetched += rows.length;
+    total = count ?? fetched;
+    if (rows.length === 0) break;
+  }
+
+  // A partial list is kept but not marked fresh, so it's fetched again next time
+  if (fetched < total) {
+    await persistState();
+    throw new Error(`Only ${fetched} of ${total} courses were loaded`);
+  }
+
+  cache.listFetchedAt = new Date().toISOString();
+  await persistState();
+};
+
+/**
+ * Fetch full records for courses
+ *
+ * @param {Array<string|number>} courseIds - Courses to fetch
+ */
+const refreshCourseDetails = async (courseIds) => {
+  if (courseIds.length === 0) return;
+
+  console.log(`[courseRepository] Fetching details for ${courseIds.length} courses`);
+
+  const { data, error } = await withTimeout(
+    supabase.from("courses").select("*").in("id", courseIds)
+  );
+  if (error) throw error;
+
+  storeCourses(data, true);
+  pruneCourseDetails();
+  await persistState();
+};
+
+/**
+ * Fetch the courses a player has played most recently
+ */
+const refreshRecentCourses = async (userId, limit) => {
+  const { data: rounds, error } = await withTimeout(
+    supabase
+      .from("rounds")
+      .select("course_id, created_at")
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .order("created_at", { ascending: false })
+  );
+  if (error) throw error;
+
+  const courseIds = [...new Set((rounds || []).map(round => round.course_id))].slice(0, limit);
+  const missingIds = courseIds.filter(id => !getCachedEntry(id));
+  if (missingIds.length > 0) {
+    const { data, error: coursesError } = await withTimeout(
+      supabase.from("courses").select(COURSE_LIST_COLUMNS).in("id", missingIds)
+    );
+    if (coursesError) throw coursesError;
+    storeCourses(data, false);
+  }
+
+  recentCourses[userId] = { courseIds, fetchedAt: new Date().toISOString() };
+  await persistState();
+};
+
+/**
+ * Fetch full records for courses that don't have them or whose records are stale
+ *
+ * @param {Array<string|number>} courseIds - Courses to make available offline
+ */
+const prefetchCourseDetails = (courseIds) => {
+  const staleIds = courseIds.filter(id => isStale(getCachedEntry(id)?.detailsAt, COURSE_DETAILS_MAX_AGE_MS));
+  if (staleIds.length === 0) return Promise.resolve();
+  return runRefresh(`details:${[...staleIds].sort().join(",")}`, () => refreshCourseDetails(staleIds));
+};
+
+/**
+ * Get every course with its list details (no hole data)
+ *
+ * @param {Object} options
+ * @param {Function} options.onUpdate - Called with the refreshed list after a background refresh
+ * @returns {Promise<Array<Object>>} Normalized courses sorted by name
+ */
+export const getAllCourses = async ({ onUpdate = null } = {}) => {
+  await loadState();
+
+  if (cache.listFetchedAt) {
+    if (isStale(cache.listFetchedAt, COURSE_LIST_MAX_AGE_MS)) {
+      refreshInBackground("list", refreshCourseList, onUpdate && (() => onUpdate(getCachedCourseList())));
+    }
+    return getCachedCourseList();
+  }
+
+  try {
+    await runRefresh("list", refreshCourseList);
+  } catch (error) {
+    console.log("[courseRepository] Couldn't fetch course list, using cached courses:", error?.message);
+  }
+  return getCachedCourseList();
+};
+
+/**
+ * Search courses by name, club name or location
+ *
+ * Searches Supabase and caches what it finds, so new courses show up
+ * straight away. Offline, or when the search fails, searches the cached
+ * list instead.
+ *
+ * @param {string} searchTerm - At least three characters
+ * @returns {Promise<Array<Object>>} Normalized courses sorted by name
+ */
+export const searchCourses = async (searchTerm) => {
+  const term = searchTerm?.trim().toLowerCase() || "";
+  if (term.length < 3) {
+    return [];
+  }
+
+  await loadState();
+
+  if (isStale(cache.listFetchedAt, COURSE_LIST_MAX_AGE_MS)) {
+    refreshInBackground("list", refreshCourseList);
+  }
+
+  try {
+    const pattern = term.replace(/[%_\\,()]/g, "");
+    const { data, error } = await withTimeout(
+      supabase
+        .from("courses")
+        .select(COURSE_LIST_COLUMNS)
+        .or(`name.ilike.%${pattern}%,location.ilike.%${pattern}%,club_name.ilike.%${pattern}%`)
+        .order("name")
+        .limit(SEARCH_RESULTS_LIMIT),
+      SEARCH_TIMEOUT_MS
+    );
+    if (error) throw error;
+
+    storeCourses(data, false);
+    await persistState();
+    return (data || []).map(normalizeCourse);
+  } catch (error) {
+    console.log("[courseRepository] Couldn't search courses online, searching cached courses:", error?.message);
+  }
+
+  return getCachedCourseList()
+    .filter(course => [course.name, course.club_name, course.location]
+      .some(value => value && value.toLowerCase().includes(term)))
+    .slice(0, SEARCH_RESULTS_LIMIT);
+};
+
+/**
+ * Get the courses a player has played most recently, most recent first
+ *
+ * Full records for these courses are fetched in the background, since
+ * they're the ones most likely to be played next.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {number} limit - Most courses to return
+ * @param {Object} options
+ * @param {Function} options.onUpdate - Called with the refreshed courses after a background refresh
+ * @returns {Promise<Array<Object>>} Normalized courses
+ */
+export const getRecentCourses = async (userId, limit = 5, { onUpdate = null } = {}) => {
+  if (!userId) {
+    return [];
+  }
+
+  await loadState();
+
+  const getCachedRecentCourses = () => (recentCourses[userId]?.courseIds || [])
+    .map(getCachedEntry)
+    .filter(Boolean)
+    .map(entry => normalizeCourse(entry.record));
+
+  const cached = recentCourses[userId];
+  if (cached) {
+    if (isStale(cached.fetchedAt, RECENT_COURSES_MAX_AGE_MS)) {
+      refreshInBackground(`recent:${userId}`, () => refreshRecentCourses(userId, limit), () => {
+        onUpdate?.(getCachedRecentCourses());
+        prefetchCourseDetails(recentCourses[userId].courseIds).catch(() => {});
+      });
+    } else {
+      prefetchCourseDetails(cached.courseIds).catch(() => {});
+    }
+    return getCachedRecentCourses();
+  }
+
+  try {
+    await runRefresh(`recent:${userId}`, () => refreshRecentCourses(userId, limit));
+    prefetchCourseDetails(recentCourses[userId].courseIds).catch(() => {});
+  } catch (error) {
+    console.log("[courseRepository] Couldn't fetch recent courses:", error?.message);
+  }
+  return getCachedRecentCourses();
+};
+
+/**
+ * Get a course's full record, including hole data
+ *
+ * @param {string|number} courseId - The course ID
+ * @param {Object} options
+ * @param {Function} options.onUpdate - Called with the refreshed course after a background refresh
+ * @returns {Promise<Object|null>} The normalized course, or null if it isn't cached and can't be fetched
+ */
+export const getCourseById = async (courseId, { onUpdate = null } = {}) => {
+  await loadState();
+
+  const entry = getCachedEntry(courseId);
+  if (entry?.detailsAt) {
+    if (isStale(entry.detailsAt, COURSE_DETAILS_MAX_AGE_MS)) {
+      refreshInBackground(`details:${courseId}`, () => refreshCourseDetails([courseId]),
+        onUpdate && (() => onUpdate(normalizeCourse(getCachedEntry(courseId).record))));
+    }
+    return normalizeCourse(entry.record);
+  }
+
+  try {
+    await runRefresh(`details:${courseId}`, () => refreshCourseDetails([courseId]));
+  } catch (error) {
+    console.log(`[courseRepository] Couldn't fetch course ${courseId}:`, error?.message);
+  }
+
+  const fetched = getCachedEntry(courseId);
+  return fetched?.detailsAt ? normalizeCourse(fetched.record) : null;
+};
+
+/**
+ * Get the IDs of the player's favourite courses
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array<string|number>>} Course IDs, in the order they were pinned
+ */
+export const getFavouriteCourseIds = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+
+  await loadState();
+  return [...(favouriteIds[userId] || [])];
+};
+
+/**
+ * Get the player's favourite courses from the cache
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array<Object>>} Normalized courses, in the order they were pinned
+ */
+export const getFavouriteCourses = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+
+  await loadState();
+  return (favouriteIds[userId] || [])
+    .map(getCachedEntry)
+    .filter(Boolean)
+    .map(entry => normalizeCourse(entry.record));
+};
+
+/**
+ * Pin or unpin a favourite course
+ *
+ * Pinning fetches the course's full record straight away so it's ready
+ * offline. The course stays pinned if that fails - it's fetched again
+ * the next time the app has signal.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {Object} course - The course, with at least its list details
+ * @param {boolean} isFavourite - Whether to pin it
+ * @returns {Promise<boolean>} Whether the course's full record is cached
+ */
+export const setFavouriteCourse = async (userId, course, isFavourite) => {
+  await loadState();
+
+  const userFavouriteIds = (favouriteIds[userId] || []).filter(id => String(id) !== String(course.id));
+  if (isFavourite) {
+    userFavouriteIds.push(course.id);
+    if (!getCachedEntry(course.id)) {
+      const { id, name, club_name, location, tees } = course;
+      storeCourses([{ id, name, club_name, location, tees }], false);
+    }
+  }
+  favouriteIds[userId] = userFavouriteIds;
+  await persistState();
+
+  if (!isFavourite) {
+    return Boolean(getCachedEntry(course.id)?.detailsAt);
+  }
+
+  try {
+    await prefetchCourseDetails([course.id]);
+  } catch (error) {
+    console.log(`[courseRepository] Couldn't fetch favourite course ${course.id}:`, error?.message);
+  }
+  return Boolean(getCachedEntry(course.id)?.detailsAt);
+};
+
+/**
+ * Bring the course list and favourite courses up to date when they're stale
+ *
+ * @returns {Promise<void>}
+ */
+export const refreshCourseCache = async () => {
+  await loadState();
+
+  const refreshesDue = [prefetchCourseDetails(getAllFavouriteIds())];
+  if (isStale(cache.listFetchedAt, COURSE_LIST_MAX_AGE_MS)) {
+    refreshesDue.push(runRefresh("list", refreshCourseList));
+  }
+
+  const results = await Promise.allSettled(refreshesDue);
+  results
+    .filter(result => result.status === "rejected")
+    .forEach(result => console.log("[courseRepository] Course cache refresh failed:", result.reason?.message));
+};
+
+/**
+ * Start keeping the course cache fresh
+ *
+ * Refreshes on launch and whenever the app returns to the foreground,
+ * so favourites are ready before the player reaches the course.
+ *
+ * @returns {Function} Cleanup function that stops the refreshes
+ */
+export const startCourseRepository = () => {
+  refreshCourseCache();
+
+  const subscription = AppState.addEventListener("change", (nextState) => {
+    if (nextState === "active") {
+      refreshCourseCache();
+    }
+  });
+
+  return () => subscription.remove();
+};
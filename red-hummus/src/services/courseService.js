@@ -1,12 +1,19 @@
 // src/services/courseService.js
 
 import { supabase } from './supabase';
+import { normalizeCourse } from '../utils/courseSchema';
 
 /**
  * Course Service
  * 
  * This service handles all interactions with the courses table in the database.
  * It provides functions for searching courses and getting course details.
+ * Courses are returned normalized by utils/courseSchema, with a warnings
+ * list describing any gaps in their hole and tee data.
+ *
+ * These always query Supabase. Screens used on the course (selecting a
+ * course, tracking a round) read through courseRepository instead, which
+ * caches courses on the device.
  */
 
 /**
@@ -34,13 +41,8 @@ export const getAllCourses = async () => {
     
     console.log('[courseService] Found courses:', data?.length);
     
-    // Add flags for tee data availability
-    const enhancedData = data?.map(course => ({
-      ...course,
-      has_tee_data: course.tees !== null && Array.isArray(course.tees) && course.tees.length > 0
-    })) || [];
-    
-    return enhancedData;
+    // Normalize tees and flag courses without tee data
+    return (data || []).map(normalizeCourse);
   } catch (error) {
     console.error('[courseService] Exception in getAllCourses:', error);
     return [];
@@ -78,13 +80,8 @@ export const searchCourses = async (searchTerm) => {
     
     console.log('[courseService] Found courses:', data?.length);
     
-    // Add flags for tee data availability
-    const enhancedData = data?.map(course => ({
-      ...course,
-      has_tee_data: course.tees !== null && Array.isArray(course.tees) && course.tees.length > 0
-    })) || [];
-    
-    return enhancedData;
+    // Normalize tees and flag courses without tee data
+    return (data || []).map(normalizeCourse);
   } catch (error) {
     console.error('[courseService] Exception in searchCourses:', error);
     return [];
@@ -161,17 +158,14 @@ export const getRecentCourses = async (userId, limit = 5) => {
     
     console.log('[courseService] Found recent courses:', courses?.length);
     
-    // Add flags for tee data availability and maintain the order from the rounds query
+    // Normalize and maintain the order from the rounds query
     const enhancedAndOrderedCourses = [];
     
     // Preserve the order of uniqueCourseIds (most recently played first)
     for (const courseId of uniqueCourseIds) {
       const course = courses.find(c => c.id === courseId);
       if (course) {
-        enhancedAndOrderedCourses.push({
-          ...course,
-          has_tee_data: course.tees !== null && Array.isArray(course.tees) && course.tees.length > 0
-        });
+        enhancedAndOrderedCourses.push(normalizeCourse(course));
       }
     }
     
@@ -186,7 +180,7 @@ export const getRecentCourses = async (userId, limit = 5) => {
  * Get full course details by ID
  * 
  * @param {string} courseId - The course ID to fetch
- * @return {Promise<Object|null>} - The course object or null if not found
+ * @return {Promise<Object|null>} - The normalized course, with warnings, or null if not found
  */
 export const getCourseById = async (courseId) => {
   try {
@@ -203,7 +197,7 @@ export const getCourseById = async (courseId) => {
       throw error;
     }
     
-    return data;
+    return normalizeCourse(data);
   } catch (error) {
     console.error('[courseService] Exception in getCourseById:', error);
     return null;
@@ -0,0 +1,144 @@
+// src/services/courseSubmissionService.js
+
+import { supabase } from "./supabase";
+import { validateCourseDraft, buildCourseRecord } from "../utils/courseEditor";
+
+/**
+ * Course Submission Service
+ *
+ * Stores courses created or completed by players in course_submissions.
+ * A submission is only visible to the player who made it until it's
+ * reviewed - approved submissions are copied into the courses table
+ * (a new course, or the course in course_id) by a reviewer, outside
+ * the app. See docs/course-submissions.md.
+ */
+
+export const SUBMISSION_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected"
+};
+
+const SUBMISSION_COLUMNS = "id, course_id, status, name, club_name, location, par, holes, tees, review_notes, created_at, updated_at";
+
+/**
+ * Get the player's course submissions, newest first
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array<Object>>} Submission records
+ */
+export const getMyCourseSubmissions = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("course_submissions")
+      .select(SUBMISSION_COLUMNS)
+      .eq("profile_id", userId)
+      .order("updated_at", { ascending: false });
+
+    if (error) {
+      console.error("[courseSubmissionService] Error fetching submissions:", error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error("[courseSubmissionService] Exception in getMyCourseSubmissions:", error);
+    return [];
+  }
+};
+
+/**
+ * Get a single course submission
+ *
+ * @param {string} submissionId - The submission's ID
+ * @returns {Promise<Object|null>} The submission, or null if not found
+ */
+export const getCourseSubmission = async (submissionId) => {
+  try {
+    const { data, error } = await supabase
+      .from("course_submissions")
+      .select(SUBMISSION_COLUMNS)
+      .eq("id", submissionId)
+      .single();
+
+    if (error) {
+      console.error("[courseSubmissionService] Error fetching submission:", error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error("[courseSubmissionService] Exception in getCourseSubmission:", error);
+    return null;
+  }
+};
+
+/**
+ * Submit a course for review
+ *
+ * Creates a new submission, or updates one the player already has
+ * waiting for review. The draft is validated again here so nothing
+ * incomplete reaches a reviewer.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {Object} draft - Course draft from the editor
+ * @param {Object} options
+ * @param {string|null} options.courseId - The existing course being filled in, if any
+ * @param {string|null} options.submissionId - A pending submission to update, if any
+ * @returns {Promise<Object>} The saved submission
+ */
+export const submitCourse = async (userId, draft, { courseId = null, submissionId = null } = {}) => {
+  const { errors } = validateCourseDraft(draft);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  const record = {
+    ...buildCourseRecord(draft),
+    course_id: courseId,
+    status: SUBMISSION_STATUS.PENDING,
+    updated_at: new Date().toISOString()
+  };
+
+  console.log(`[courseSubmissionService] ${submissionId ? "Updating" : "Creating"} submission for ${record.name}`);
+
+  const query = submissionId
+    ? supabase
+      .from("course_submissions")
+      .update(record)
+      .eq("id", submissionId)
+      .eq("profile_id", userId)
+      .eq("status", SUBMISSION_STATUS.PENDING)
+    : supabase
+      .from("course_submissions")
+      .insert({ ...record, profile_id: userId });
+
+  const { data, error } = await query.select(SUBMISSION_COLUMNS).single();
+
+  if (error) {
+    console.error("[courseSubmissionService] Error saving submission:", error);
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Withdraw a submission that hasn't been reviewed yet
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} submissionId - The submission's ID
+ */
+export const withdrawCourseSubmission = async (userId, submissionId) => {
+  const { error } = await supabase
+    .from("course_submissions")
+    .delete()
+    .eq("id", submissionId)
+    .eq("profile_id", userId)
+    .eq("status", SUBMISSION_STATUS.PENDING);
+
+  if (error) {
+    console.error("[courseSubmissionService] Error withdrawing submission:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,204 @@
+// src/services/exportService.js
+
+import * as FileSystem from "expo-file-system";
+import * as Print from "expo-print";
+import * as Sharing from "expo-sharing";
+import { supabase } from "./supabase";
+import { getHoleDataForRounds } from "./roundservice";
+import { normalizeCourse } from "../utils/courseSchema";
+import {
+  EXPORT_FORMATS,
+  buildRoundExport,
+  buildExportJson,
+  buildExportCsv,
+  buildScorecardHtml,
+  buildExportFileName
+} from "../utils/roundExport";
+
+/**
+ * Export Service
+ *
+ * Loads rounds with their course and shots, serializes them with
+ * utils/roundExport and hands the file to the system share sheet, so
+ * it can be saved, mailed or opened in a spreadsheet app.
+ */
+
+const ROUND_COLUMNS = `
+  id,
+  profile_id,
+  course_id,
+  created_at,
+  is_complete,
+  is_imported,
+  selected_tee_id,
+  selected_tee_name,
+  hole_numbers,
+  scoring_format,
+  players
+`;
+
+// Rounds per request, within the server's maximum rows per request
+const ROUNDS_PAGE_SIZE = 1000;
+
+/**
+ * Load courses and shots for round records and build their exports
+ */
+const buildExports = async (rounds, scorerName) => {
+  if (!rounds || rounds.length === 0) return [];
+
+  const courseIds = [...new Set(rounds.map(round => round.course_id))];
+  const roundIds = rounds.map(round => round.id);
+
+  // Every round's shots must arrive - a partial export would look complete
+  const [{ data: courses, error: coursesError }, holes] = await Promise.all([
+    supabase.from("courses").select("id, name, holes, tees").in("id", courseIds),
+    getHoleDataForRounds(roundIds)
+  ]);
+
+  if (coursesError) throw coursesError;
+
+  return rounds.map(round => buildRoundExport({
+    round,
+    course: normalizeCourse((courses || []).find(course => course.id === round.course_id)),
+    holeRecords: (holes || [])
+      .filter(hole => hole.round_id === round.id)
+      .sort((a, b) => a.hole_number - b.hole_number),
+    scorerName
+  }));
+};
+
+/**
+ * Get the export for a single round
+ *
+ * @param {string} roundId - The round to export
+ * @param {string} scorerName - Name to export for the player who scored the round
+ * @returns {Promise<Array<Object>>} The round export, in an array
+ */
+export const getRoundExports = async (roundId, scorerName) => {
+  const { data: round, error } = await supabase
+    .from("rounds")
+    .select(ROUND_COLUMNS)
+    .eq("id", roundId)
+    .single();
+
+  if (error) {
+    console.error("[exportService] Error fetching round:", error);
+    throw error;
+  }
+
+  return buildExports([round], scorerName);
+};
+
+/**
+ * Get exports for all of a player's completed rounds, oldest first
+ *
+ * Rounds are paged until every round the count reports has arrived, so
+ * long histories export in full rather than stopping at the server's
+ * maximum rows per request.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} scorerName - Name to export for the player
+ * @returns {Promise<Array<Object>>} Round exports
+ */
+export const getAllRoundExports = async (userId, scorerName) => {
+  const rounds = [];
+  let total = null;
+
+  while (total === null || rounds.length < total) {
+    const { data, count, error } = await supabase
+      .from("rounds")
+      .select(ROUND_COLUMNS, { count: "exact" })
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+      .range(rounds.length, rounds.length + ROUNDS_PAGE_SIZE - 1);
+
+    if (error) {
+      console.error("[exportService] Error fetching rounds:", error);
+      throw error;
+    }
+
+    const rows = data || [];
+    rounds.push(...rows);
+    total = count ?? rounds.length;
+
+    // Stop rather than loop if the count and rows ever disagree
+    if (rows.length === 0) break;
+  }
+
+  // A partial export would look complete
+  if (rounds.length < total) {
+    throw new Error(`Only ${rounds.length} of ${total} rounds were loaded`);
+  }
+
+  return buildExports(rounds, scorerName);
+};
+
+/**
+ * Write round exports to a file in the chosen format and open the share sheet
+ *
+ * @param {Array<Object>} roundExports - From getRoundExports / getAllRoundExports
+ * @param {string} formatKey - "csv", "json" or "pdf"
+ * @returns {Promise<string>} The exported file's URI
+ */
+export const shareRoundExports = async (roundExports, formatKey) => {
+  const format = EXPORT_FORMATS.find(option => option.key === formatKey);
+  if (!format) {
+    throw new Error(`Unknown export format: ${formatKey}`);
+  }
+  if (!roundExports || roundExports.length === 0) {
+    throw new Error("There are no rounds to export");
+  }
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing isn't available on this device");
+  }
+
+  console.log(`[exportService] Exporting ${roundExports.length} round(s) as ${format.key}`);
+
+  const fileUri = `${FileSystem.cacheDirectory}${buildExportFileName(roundExports)}.${format.extension}`;
+
+  if (format.key === "pdf") {
+    // Print renders to a temporary file - move it so the shared file has a sensible name
+    const { uri } = await Print.printToFileAsync({ html: buildScorecardHtml(roundExports) });
+    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+    await FileSystem.moveAsync({ from: uri, to: fileUri });
+  } else {
+    const contents = format.key === "csv"
+      ? buildExportCsv(roundExports)
+      : buildExportJson(roundExports);
+    await FileSystem.writeAsStringAsync(fileUri, contents, { encoding: FileSystem.EncodingType.UTF8 });
+  }
+
+  await Sharing.shareAsync(fileUri, {
+    mimeType: format.mimeType,
+    UTI: format.uti,
+    dialogTitle: `Export ${roundExports.length === 1 ? "Round" : "Rounds"}`
+  });
+
+  return fileUri;
+};
+
+/**
+ * Export a single round and share it
+ *
+ * @param {string} roundId - The round to export
+ * @param {string} formatKey - "csv", "json" or "pdf"
+ * @param {string} scorerName - Name to export for the player who scored the round
+ * @returns {Promise<string>} The exported file's URI
+ */
+export const exportRound = async (roundId, formatKey, scorerName) => {
+  return shareRoundExports(await getRoundExports(roundId, scorerName), formatKey);
+};
+
+/**
+ * Export all of a player's completed rounds and share them
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} formatKey - "csv", "json" or "pdf"
+ * @param {string} scorerName - Name to export for the player
+ * @returns {Promise<string>} The exported file's URI
+ */
+export const exportAllRounds = async (userId, formatKey, scorerName) => {
+  return shareRoundExports(await getAllRoundExports(userId, scorerName), formatKey);
+};
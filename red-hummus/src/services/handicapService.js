@@ -0,0 +1,159 @@
+// src/services/handicapService.js
+
+import { supabase } from "./supabase";
+import { normalizeCourse, getPlayedTee } from "../utils/courseSchema";
+import { isFullRound, getRoundHoleNumbers } from "../utils/holeRange";
+import {
+  MAX_SCORES_CONSIDERED,
+  getTeeRatings,
+  findRoundTee,
+  buildHandicapHoles,
+  getRoundHandicapStrokes,
+  calculateAdjustedGrossScore,
+  calculateScoreDifferential,
+  calculateHandicapIndex,
+  buildHandicapHistory
+} from "../utils/handicap";
+
+/**
+ * Handicap Service
+ *
+ * Calculates a player's handicap index from their completed rounds.
+ * Only full 18-hole rounds with every hole played, from a tee with a
+ * course rating and slope, produce a score differential. Imported rounds
+ * count like any other - their hole scores are real even without shots -
+ * but are flagged in the history.
+ */
+
+// Rounds fetched when building the history - enough for the index to
+// have moved through a full window of 20 scores
+const HANDICAP_ROUNDS_FETCHED = MAX_SCORES_CONSIDERED * 2;
+
+/**
+ * Get a player's current handicap index and how it got there
+ *
+ * Rounds are processed oldest first so each round's adjusted gross score
+ * uses the index the player held before that round was played.
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Object>} { index, history } where history is ordered oldest to newest
+ *   as { roundId, date, courseName, teeName, imported, adjustedGrossScore, differential, index }
+ */
+export const getHandicapSummary = async (userId) => {
+  try {
+    console.log(`[handicapService] Calculating handicap for user ${userId}`);
+
+    const { data: rounds, error } = await supabase
+      .from("rounds")
+      .select("id, course_id, created_at, selected_tee_id, selected_tee_name, tee_category, hole_numbers, is_imported")
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .order("created_at", { ascending: false })
+      .limit(HANDICAP_ROUNDS_FETCHED);
+
+    if (error) {
+      console.error("[handicapService] Error fetching rounds:", error);
+      throw error;
+    }
+
+    const eligibleRounds = (rounds || [])
+      .filter(round => isFullRound(getRoundHoleNumbers(round)))
+      .reverse();
+
+    if (eligibleRounds.length === 0) {
+      return { index: null, history: [] };
+    }
+
+    const courseIds = [...new Set(eligibleRounds.map(round => round.course_id))];
+    const roundIds = eligibleRounds.map(round => round.id);
+
+    const [{ data: courses, error: coursesError }, { data: holes, error: holesError }] = await Promise.all([
+      supabase.from("courses").select("id, name, tees, holes").in("id", courseIds),
+      supabase.from("shots").select("round_id, hole_number, hole_data, total_score").in("round_id", roundIds)
+    ]);
+
+    if (coursesError) throw coursesError;
+    if (holesError) throw holesError;
+
+    const coursesById = {};
+    (courses || []).forEach(course => {
+      coursesById[course.id] = normalizeCourse(course);
+    });
+
+    const holesByRound = {};
+    (holes || []).forEach(hole => {
+      if (!holesByRound[hole.round_id]) {
+        holesByRound[hole.round_id] = [];
+      }
+      holesByRound[hole.round_id].push(hole);
+    });
+
+    // Build differentials one round at a time, tracking the index as we go
+    const scores = [];
+    let currentIndex = null;
+
+    eligibleRounds.forEach(round => {
+      const course = coursesById[round.course_id];
+      const tee = findRoundTee(course, round);
+      const ratings = getTeeRatings(tee);
+
+      if (!ratings) {
+        return;
+      }
+
+      const handicapHoles = buildHandicapHoles(
+        holesByRound[round.id],
+        course?.holes,
+        getRoundHoleNumbers(round),
+        getPlayedTee(course, round)
+      );
+
+      // Every hole must have been played for the score to count
+      if (handicapHoles.some(hole => hole.score === 0)) {
+        return;
+      }
+
+      const { courseHandicap, strokes } = getRoundHandicapStrokes(currentIndex, tee, handicapHoles);
+      const adjustedGrossScore = calculateAdjustedGrossScore(
+        handicapHoles,
+        courseHandicap === null ? null : strokes
+      );
+
+      scores.push({
+        roundId: round.id,
+        date: round.created_at,
+        courseName: course?.name || "Unknown Course",
+        teeName: round.selected_tee_name,
+        imported: !!round.is_imported,
+        adjustedGrossScore,
+        differential: calculateScoreDifferential(adjustedGrossScore, ratings.courseRating, ratings.slopeRating)
+      });
+
+      currentIndex = calculateHandicapIndex(scores.map(score => score.differential));
+    });
+
+    const history = buildHandicapHistory(scores);
+    const index = history.length > 0 ? history[history.length - 1].index : null;
+
+    console.log(`[handicapService] ${history.length} scores counted, index:`, index);
+    return { index, history };
+  } catch (error) {
+    console.error("[handicapService] Exception in getHandicapSummary:", error);
+    return { index: null, history: [] };
+  }
+};
+
+/**
+ * Get the handicap index a player held when a round was played
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} roundDate - The round's created_at timestamp
+ * @returns {Promise<number|null>} The index before that round, or null if not established
+ */
+export const getHandicapIndexAtDate = async (userId, roundDate) => {
+  const { history } = await getHandicapSummary(userId);
+  const roundTime = new Date(roundDate).getTime();
+
+  const previous = history.filter(entry => new Date(entry.date).getTime() < roundTime);
+  return previous.length > 0 ? previous[previous.length - 1].index : null;
+};
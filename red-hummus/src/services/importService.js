@@ -0,0 +1,218 @@
+// src/services/importService.js
+
+import * as DocumentPicker from "expo-document-picker";
+import * as FileSystem from "expo-file-system";
+import { supabase } from "./supabase";
+import { searchCourses } from "./courseService";
+import { getDefaultTeeCategory } from "./profileService";
+import { calculateRoundScore } from "../utils/scoring";
+import { DEFAULT_SCORING_FORMAT } from "../utils/scoringFormats";
+import { normalizeCourse } from "../utils/courseSchema";
+import {
+  parseImportFile,
+  normalizeCourseName,
+  rankCourseMatches,
+  buildImportedHoleRecords,
+  getImportedHoleNumbers,
+  getImportedPlayedTee
+} from "../utils/roundImport";
+
+/**
+ * Import Service
+ *
+ * Brings round history in from CSV or JSON files: reads the file, finds
+ * the courses it mentions and saves the chosen rounds as completed rounds
+ * marked is_imported. Parsing and planning live in utils/roundImport.
+ */
+
+// File types offered in the picker - some apps label CSV as plain text
+const IMPORT_FILE_TYPES = ["text/csv", "text/comma-separated-values", "text/plain", "application/json"];
+
+/**
+ * Let the player choose a file and parse the rounds in it
+ *
+ * @returns {Promise<Object|null>} { fileName, rounds } (rounds from parseImportFile), or null if cancelled
+ */
+export const pickImportFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: IMPORT_FILE_TYPES,
+    copyToCacheDirectory: true
+  });
+
+  if (result.canceled || !result.assets?.[0]) {
+    return null;
+  }
+
+  const file = result.assets[0];
+  console.log(`[importService] Reading import file ${file.name}`);
+
+  const text = await FileSystem.readAsStringAsync(file.uri, { encoding: FileSystem.EncodingType.UTF8 });
+  return { fileName: file.name, rounds: parseImportFile(text, file.name) };
+};
+
+/**
+ * Search for the courses named in an import
+ *
+ * Each name is searched as written, then by its longest word if that
+ * finds nothing, since files often use a longer or shorter form of the
+ * name than ours.
+ *
+ * @param {Array<string>} courseNames - Course names from the file
+ * @returns {Promise<Object>} Keyed by course name: { candidates, selectedId }, where
+ *   candidates are course records with holes and tees, best match first
+ */
+export const matchImportCourses = async (courseNames) => {
+  const matches = {};
+
+  for (const name of [...new Set(courseNames.filter(Boolean))]) {
+    let results = await searchCourses(normalizeCourseName(name) || name);
+
+    if (results.length === 0) {
+      const longestWord = normalizeCourseName(name).split(" ").sort((a, b) => b.length - a.length)[0];
+      if (longestWord && longestWord.length >= 3) {
+        results = await searchCourses(longestWord);
+      }
+    }
+
+    matches[name] = rankCourseMatches(name, results);
+  }
+
+  // Search results don't include hole data, which is needed for par and yardages
+  const courseIds = [...new Set(Object.values(matches).flatMap(match => match.candidates.map(course => course.id)))];
+  if (courseIds.length > 0) {
+    const { data: courseHoles, error } = await supabase
+      .from("courses")
+      .select("id, holes")
+      .in("id", courseIds);
+
+    if (error) {
+      console.error("[importService] Error fetching course holes:", error);
+      throw error;
+    }
+
+    Object.values(matches).forEach(match => {
+      match.candidates = match.candidates.map(course => normalizeCourse({
+        ...course,
+        holes: (courseHoles || []).find(holes => holes.id === course.id)?.holes || null
+      }));
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Get the player's existing rounds, for spotting duplicates
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array<Object>>} Rounds as { course_id, created_at }
+ */
+export const getExistingRounds = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("rounds")
+      .select("course_id, created_at")
+      .eq("profile_id", userId);
+
+    if (error) {
+      console.error("[importService] Error fetching existing rounds:", error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error("[importService] Exception in getExistingRounds:", error);
+    return [];
+  }
+};
+
+/**
+ * Save one planned round and its holes
+ * Rounds whose file and tee don't give a tee category use the player's.
+ */
+const saveImportedRound = async (userId, plannedRound, defaultTeeCategory) => {
+  const round = {
+    ...plannedRound,
+    teeCategory: plannedRound.teeCategory || plannedRound.tee?.category || defaultTeeCategory
+  };
+  const holeRecords = buildImportedHoleRecords(round);
+  const holeNumbers = getImportedHoleNumbers(round);
+  const playedTee = getImportedPlayedTee(round);
+  const roundScore = calculateRoundScore(holeRecords, { courseHoles: round.course.holes, holeNumbers, playedTee });
+
+  const { data, error } = await supabase
+    .from("rounds")
+    .insert({
+      profile_id: userId,
+      course_id: round.course.id,
+      created_at: round.date,
+      is_complete: true,
+      is_imported: true,
+      import_source: round.source,
+      selected_tee_id: round.tee?.id ?? null,
+      selected_tee_name: round.tee?.name || round.teeName,
+      tee_category: playedTee.category,
+      hole_numbers: holeNumbers,
+      scoring_format: DEFAULT_SCORING_FORMAT,
+      gross_shots: roundScore.grossShots,
+      score: roundScore.scoreToPar,
+      holes_played: roundScore.holesPlayed
+    })
+    .select("id")
+    .single();
+
+  if (error) throw error;
+
+  const { error: holesError } = await supabase
+    .from("shots")
+    .insert(holeRecords.map(record => ({ ...record, round_id: data.id })));
+
+  if (holesError) {
+    // Don't leave a round behind without its scores
+    const { data: removed, error: rollbackError } = await supabase
+      .from("rounds")
+      .delete()
+      .eq("id", data.id)
+      .select("id");
+
+    if (rollbackError || !removed || removed.length === 0) {
+      console.error(`[importService] Couldn't remove round ${data.id} after its holes failed to save:`, rollbackError);
+      throw new Error(`${holesError.message} (the round was saved without its scores and couldn't be removed)`);
+    }
+    throw holesError;
+  }
+
+  return data.id;
+};
+
+/**
+ * Save planned rounds as completed, imported rounds
+ *
+ * Rounds are saved one at a time so a failure only loses that round.
+ * Imported rounds don't trigger insights generation.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {Array<Object>} rounds - Planned rounds from planImport, with a matched course
+ * @param {Function} onProgress - Called with (saved, total) after each round
+ * @returns {Promise<Object>} { importedIds, failed } - failed as [{ key, message }]
+ */
+export const importRounds = async (userId, rounds, onProgress = () => {}) => {
+  const importedIds = [];
+  const failed = [];
+
+  console.log(`[importService] Importing ${rounds.length} rounds`);
+  const defaultTeeCategory = await getDefaultTeeCategory(userId);
+
+  for (const round of rounds) {
+    try {
+      importedIds.push(await saveImportedRound(userId, round, defaultTeeCategory));
+    } catch (error) {
+      console.error(`[importService] Failed to import round ${round.key}:`, error);
+      failed.push({ key: round.key, message: error.message || "Unknown error" });
+    }
+    onProgress(importedIds.length + failed.length, rounds.length);
+  }
+
+  console.log(`[importService] Imported ${importedIds.length} rounds, ${failed.length} failed`);
+  return { importedIds, failed };
+};
@@ -0,0 +1,233 @@
+// src/services/insightsJobService.js
+
+import { supabase } from "./supabase";
+
+/**
+ * Insights Job Service
+ *
+ * Tracks each request to the analyze-golf-performance Edge Function as a
+ * row in insights_jobs, so the app can show when insights are being
+ * generated and when generation failed:
+ *
+ *   pending -> running -> succeeded | failed
+ *
+ * Jobs are created by the device that asks for insights (after completing
+ * a round, or from "Regenerate"), which then updates them with the Edge
+ * Function's outcome. Other screens follow along through Supabase realtime.
+ */
+
+export const JOB_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed"
+};
+
+// Recent rounds the Edge Function can be asked to analyze
+export const ROUND_WINDOWS = [
+  { value: 1, label: "Last Round" },
+  { value: 5, label: "Last 5" },
+  { value: 10, label: "Last 10" },
+  { value: 20, label: "Last 20" }
+];
+
+export const DEFAULT_ROUND_WINDOW = 5;
+
+// A job still pending or running after this long was abandoned (e.g. the app closed mid-request)
+const STALE_JOB_MINUTES = 5;
+
+// One realtime channel per user, shared by every screen following that user's jobs
+const jobSubscriptions = new Map(); // userId -> { channel, listeners }
+
+/**
+ * Check whether a job is still waiting on the Edge Function
+ *
+ * @param {object|null} job - An insights_jobs record
+ * @returns {boolean} True if pending or running and not stale
+ */
+export const isJobActive = (job) => {
+  if (!job || (job.status !== JOB_STATUS.PENDING && job.status !== JOB_STATUS.RUNNING)) {
+    return false;
+  }
+
+  const lastUpdate = new Date(job.updated_at || job.created_at).getTime();
+  return Date.now() - lastUpdate < STALE_JOB_MINUTES * 60 * 1000;
+};
+
+/**
+ * Check whether a job failed, counting abandoned jobs as failures
+ *
+ * @param {object|null} job - An insights_jobs record
+ * @returns {boolean} True if the job failed or went stale
+ */
+export const isJobFailed = (job) => {
+  if (!job) return false;
+  return job.status === JOB_STATUS.FAILED || (job.status !== JOB_STATUS.SUCCEEDED && !isJobActive(job));
+};
+
+/**
+ * Update a job's status
+ *
+ * @param {string} jobId - The insights_jobs record ID
+ * @param {object} changes - Columns to update
+ * @returns {Promise<Object|null>} The updated job, or null on error
+ */
+const updateJob = async (jobId, changes) => {
+  const { data, error } = await supabase
+    .from("insights_jobs")
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq("id", jobId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`[insightsJobService] Error updating job ${jobId}:`, error);
+    return null;
+  }
+
+  return data;
+};
+
+/**
+ * Ask the Edge Function for new insights and track the request as a job
+ *
+ * Resolves once the job has been created; the Edge Function call carries
+ * on in the background and moves the job to succeeded or failed.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {object} options
+ * @param {string|null} options.roundId - The round that prompted the request, if any
+ * @param {number} options.roundWindow - How many recent rounds to analyze
+ * @returns {Promise<Object|null>} The new job, or null if it couldn't be created
+ */
+export const requestInsights = async (userId, { roundId = null, roundWindow = DEFAULT_ROUND_WINDOW } = {}) => {
+  try {
+    console.log(`[insightsJobService] Requesting insights for user ${userId} (last ${roundWindow} rounds)`);
+
+    const { data: job, error } = await supabase
+      .from("insights_jobs")
+      .insert({
+        profile_id: userId,
+        round_id: roundId,
+        round_window: roundWindow,
+        status: JOB_STATUS.PENDING
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[insightsJobService] Error creating job:", error);
+      throw error;
+    }
+
+    runJob(job);
+    return job;
+  } catch (error) {
+    console.error("[insightsJobService] Exception in requestInsights:", error);
+    return null;
+  }
+};
+
+/**
+ * Call the Edge Function for a job and record the outcome
+ */
+const runJob = async (job) => {
+  await updateJob(job.id, { status: JOB_STATUS.RUNNING });
+
+  try {
+    const { data, error } = await supabase.functions.invoke("analyze-golf-performance", {
+      body: {
+        userId: job.profile_id,
+        roundId: job.round_id,
+        roundWindow: job.round_window,
+        jobId: job.id
+      }
+    });
+
+    if (error) throw error;
+
+    console.log(`[insightsJobService] Job ${job.id} succeeded:`, data?.message);
+    await updateJob(job.id, {
+      status: JOB_STATUS.SUCCEEDED,
+      error: null,
+      completed_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`[insightsJobService] Job ${job.id} failed:`, error);
+    await updateJob(job.id, {
+      status: JOB_STATUS.FAILED,
+      error: error?.message || "Insights generation failed",
+      completed_at: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Get a user's most recent insights job
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Object|null>} The latest job, or null if there are none
+ */
+export const getLatestInsightsJob = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("insights_jobs")
+      .select("*")
+      .eq("profile_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.error("[insightsJobService] Error fetching latest job:", error);
+      throw error;
+    }
+
+    return data?.[0] || null;
+  } catch (error) {
+    console.error("[insightsJobService] Exception in getLatestInsightsJob:", error);
+    return null;
+  }
+};
+
+/**
+ * Listen for changes to a user's insights jobs through Supabase realtime
+ *
+ * Supabase allows one channel per topic, so screens following the same
+ * user share a channel. It's removed when the last of them unsubscribes.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {Function} listener - Called with the changed job record
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToInsightsJobs = (userId, listener) => {
+  let subscription = jobSubscriptions.get(userId);
+
+  if (!subscription) {
+    const listeners = new Set();
+    const channel = supabase
+      .channel(`insights_jobs:${userId}`)
+      .on(
+        "postgres_changes",
+        { event: "*", schema: "public", table: "insights_jobs", filter: `profile_id=eq.${userId}` },
+        payload => {
+          if (payload.new?.id) listeners.forEach(notify => notify(payload.new));
+        }
+      )
+      .subscribe();
+
+    subscription = { channel, listeners };
+    jobSubscriptions.set(userId, subscription);
+  }
+
+  // Wrapped so the same function can subscribe twice and unsubscribe once
+  const entry = (job) => listener(job);
+  subscription.listeners.add(entry);
+
+  return () => {
+    subscription.listeners.delete(entry);
+    if (subscription.listeners.size === 0 && jobSubscriptions.get(userId) === subscription) {
+      jobSubscriptions.delete(userId);
+      supabase.removeChannel(subscription.channel);
+    }
+  };
+};
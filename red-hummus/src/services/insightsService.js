@@ -1,6 +1,10 @@
 // src/services/insightsService.js
 
 import { supabase } from "./supabase";
+import { normalizeFeedback, buildFeedback } from "../utils/insightFeedback";
+
+// Insight records per page of history
+const HISTORY_PAGE_SIZE = 10;
 
 /**
  * Get the latest insights for a user
@@ -119,35 +123,119 @@ export const getRoundInsights = async (roundId, fieldPath = null) => {
   }
 };
 
+/**
+ * Get a page of a user's past insights, newest first
+ * 
+ * Each record keeps its ID, round and creation date alongside the insights
+ * so two records can be compared.
+ * 
+ * @param {string} userId - The user's profile ID
+ * @param {object} options
+ * @param {number} options.page - Zero-based page number
+ * @param {number} options.pageSize - Records per page
+ * @returns {Promise<Object>} - { records: [{ id, roundId, createdAt, insights, feedback }], hasMore }
+ */
+export const getInsightsHistory = async (userId, { page = 0, pageSize = HISTORY_PAGE_SIZE } = {}) => {
+  try {
+    console.log(`[insightsService] Fetching insights history page ${page} for user ${userId}`);
+    
+    // Ask for one extra record to find out whether there's another page
+    const from = page * pageSize;
+    const { data, error } = await supabase
+      .from('insights')
+      .select('id, round_id, created_at, insights, feedback_rating')
+      .eq('profile_id', userId)
+      .order('created_at', { ascending: false })
+      .range(from, from + pageSize);
+    
+    if (error) {
+      console.error('[insightsService] Error fetching insights history:', error);
+      throw error;
+    }
+    
+    const rows = data || [];
+    const records = rows.slice(0, pageSize).map(row => ({
+      id: row.id,
+      roundId: row.round_id,
+      createdAt: row.created_at,
+      insights: row.insights,
+      feedback: normalizeFeedback(row.feedback_rating)
+    }));
+    
+    console.log(`[insightsService] Found ${records.length} insights records`);
+    return { records, hasMore: rows.length > pageSize };
+  } catch (error) {
+    console.error('[insightsService] Exception in getInsightsHistory:', error);
+    return { records: [], hasMore: false };
+  }
+};
+
+/**
+ * Get the feedback a user gave on an insight record
+ * 
+ * @param {string} insightId - The ID of the insight record
+ * @returns {Promise<Object|null>} - Structured feedback (see utils/insightFeedback) or null if none
+ */
+export const getInsightFeedback = async (insightId) => {
+  try {
+    console.log(`[insightsService] Fetching feedback for insight ${insightId}`);
+    
+    const { data, error } = await supabase
+      .from('insights')
+      .select('feedback_rating')
+      .eq('id', insightId)
+      .single();
+    
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      
+      console.error('[insightsService] Error fetching feedback:', error);
+      throw error;
+    }
+    
+    return normalizeFeedback(data?.feedback_rating);
+  } catch (error) {
+    console.error('[insightsService] Exception in getInsightFeedback:', error);
+    return null;
+  }
+};
+
 /**
  * Submit feedback on insights
  * 
  * This allows users to rate the helpfulness of insights they receive,
  * which can be used to improve the quality of future insights.
+ * Feedback is stored in feedback_rating as a structured object with a
+ * 1-5 rating, a thumbs up or down per section and an optional comment.
  * 
  * @param {string} insightId - The ID of the insight record to rate
- * @param {string} feedback - Feedback text from the user
- * @returns {Promise<boolean>} - Success flag
+ * @param {object} feedback - { rating, reactions, comment }
+ * @param {object|null} previous - Feedback already saved, to keep its creation time
+ * @returns {Promise<Object|null>} - The saved feedback, or null if it couldn't be saved
  */
-export const submitInsightFeedback = async (insightId, feedback) => {
+export const submitInsightFeedback = async (insightId, feedback, previous = null) => {
   try {
     console.log(`[insightsService] Submitting feedback for insight ${insightId}`);
     
+    const structuredFeedback = buildFeedback(feedback, previous);
+    
     // Update the insight record with the user's feedback
     const { error } = await supabase
       .from('insights')
-      .update({ feedback_rating: feedback })
+      .update({ feedback_rating: structuredFeedback })
       .eq('id', insightId);
     
     if (error) {
       console.error('[insightsService] Error submitting feedback:', error);
-      return false;
+      return null;
     }
     
     console.log('[insightsService] Feedback submitted successfully');
-    return true;
+    return structuredFeedback;
   } catch (error) {
     console.error('[insightsService] Exception in submitInsightFeedback:', error);
-    return false;
+    return null;
   }
 };
\ No newline at end of file
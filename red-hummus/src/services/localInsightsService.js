@@ -0,0 +1,100 @@
+// src/services/localInsightsService.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { supabase } from "./supabase";
+import { getRoundHoleNumbers } from "../utils/holeRange";
+import { generateLocalInsights, DEFAULT_LOCAL_ROUND_WINDOW } from "../utils/localInsights";
+
+/**
+ * Local Insights Service
+ *
+ * Feeds utils/localInsights with the player's recent rounds. Rounds are
+ * fetched from Supabase when online and cached on the device, so insights
+ * can still be worked out offline from the last rounds seen.
+ */
+
+const ROUNDS_CACHE_STORAGE_KEY = "@GolfApp:localInsightsRounds";
+
+// Most rounds kept in the cache - the largest window the generator is asked for
+const CACHED_ROUNDS = 20;
+
+/**
+ * Fetch recent completed rounds with their holes from Supabase
+ * Imported rounds are skipped - most have scores but no shots to analyze.
+ */
+const fetchRecentRounds = async (userId, limit) => {
+  const { data: rounds, error } = await supabase
+    .from("rounds")
+    .select("id, created_at, hole_numbers")
+    .eq("profile_id", userId)
+    .eq("is_complete", true)
+    .not("is_imported", "is", true) // Rounds tracked before imports existed have NULL
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  if (!rounds || rounds.length === 0) return [];
+
+  const { data: holes, error: holesError } = await supabase
+    .from("shots")
+    .select("round_id, hole_number, hole_data")
+    .in("round_id", rounds.map(round => round.id));
+
+  if (holesError) throw holesError;
+
+  return rounds.map(round => {
+    const holeNumbers = getRoundHoleNumbers(round);
+    return {
+      roundId: round.id,
+      date: round.created_at,
+      holes: (holes || [])
+        .filter(hole => hole.round_id === round.id && holeNumbers.includes(hole.hole_number))
+        .map(hole => ({ hole_number: hole.hole_number, hole_data: hole.hole_data }))
+    };
+  });
+};
+
+/**
+ * Get a player's recent rounds, from the server if possible or the device cache if not
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Object>} { rounds: [{ roundId, date, holes }], fromCache }
+ */
+export const getRecentRoundsForInsights = async (userId) => {
+  try {
+    const rounds = await fetchRecentRounds(userId, CACHED_ROUNDS);
+    await AsyncStorage.setItem(ROUNDS_CACHE_STORAGE_KEY, JSON.stringify({
+      userId,
+      rounds,
+      cachedAt: new Date().toISOString()
+    }));
+    return { rounds, fromCache: false };
+  } catch (error) {
+    console.log("[localInsightsService] Couldn't fetch rounds, using cached rounds:", error?.message);
+  }
+
+  try {
+    const cachedStr = await AsyncStorage.getItem(ROUNDS_CACHE_STORAGE_KEY);
+    const cached = cachedStr ? JSON.parse(cachedStr) : null;
+    return {
+      rounds: cached?.userId === userId ? cached.rounds : [],
+      fromCache: true
+    };
+  } catch (error) {
+    console.error("[localInsightsService] Exception reading cached rounds:", error);
+    return { rounds: [], fromCache: true };
+  }
+};
+
+/**
+ * Work out insights on the device from the player's recent rounds
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {number} roundWindow - Most recent rounds to analyze
+ * @returns {Promise<Object|null>} Insights from generateLocalInsights, or null if there's not enough data
+ */
+export const getLocalInsights = async (userId, roundWindow = DEFAULT_LOCAL_ROUND_WINDOW) => {
+  const { rounds, fromCache } = await getRecentRoundsForInsights(userId);
+  console.log(`[localInsightsService] Generating local insights from ${rounds.length} ${fromCache ? "cached " : ""}rounds`);
+  return generateLocalInsights(rounds, { roundWindow });
+};
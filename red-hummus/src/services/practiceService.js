@@ -0,0 +1,198 @@
+// src/services/practiceService.js
+
+import { supabase } from "./supabase";
+import { getDrill } from "../utils/drills";
+import { getWeekStart } from "../utils/practicePlan";
+
+/**
+ * Practice Service
+ *
+ * Stores weekly practice plans (practice_plans, one per player per week,
+ * with the plan from generatePracticePlan in a JSONB column) and logged
+ * practice sessions (practice_sessions, one row per drill performed).
+ */
+
+// Practice sessions fetched for the practice screen and correlation
+const SESSION_HISTORY_DAYS = 90;
+
+/**
+ * Shape a practice_sessions row for the app
+ */
+const formatSession = (row) => ({
+  id: row.id,
+  drillId: row.drill_id,
+  shotType: row.shot_type,
+  performedAt: row.performed_at,
+  attempts: row.attempts,
+  successes: row.successes,
+  minutes: row.minutes,
+  notes: row.notes
+});
+
+/**
+ * Get the player's practice plan for the current week
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {Date} now - Any date in the week
+ * @returns {Promise<Object|null>} The plan, or null if none has been generated this week
+ */
+export const getCurrentPracticePlan = async (userId, now = new Date()) => {
+  try {
+    const weekStart = getWeekStart(now);
+    console.log(`[practiceService] Fetching practice plan for week of ${weekStart}`);
+
+    const { data, error } = await supabase
+      .from("practice_plans")
+      .select("id, week_start, plan, created_at")
+      .eq("profile_id", userId)
+      .eq("week_start", weekStart)
+      .order("created_at", { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.error("[practiceService] Error fetching practice plan:", error);
+      throw error;
+    }
+
+    const row = data?.[0];
+    return row ? { id: row.id, ...row.plan, weekStart: row.week_start } : null;
+  } catch (error) {
+    console.error("[practiceService] Exception in getCurrentPracticePlan:", error);
+    return null;
+  }
+};
+
+/**
+ * Save a generated plan as the player's plan for its week
+ * Any earlier plan for the same week is replaced.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {object} plan - From generatePracticePlan
+ * @returns {Promise<Object|null>} The saved plan, or null on error
+ */
+export const savePracticePlan = async (userId, plan) => {
+  try {
+    console.log(`[practiceService] Saving practice plan for week of ${plan.weekStart}`);
+
+    const { error: deleteError } = await supabase
+      .from("practice_plans")
+      .delete()
+      .eq("profile_id", userId)
+      .eq("week_start", plan.weekStart);
+
+    if (deleteError) throw deleteError;
+
+    const { data, error } = await supabase
+      .from("practice_plans")
+      .insert({ profile_id: userId, week_start: plan.weekStart, plan })
+      .select("id")
+      .single();
+
+    if (error) {
+      console.error("[practiceService] Error saving practice plan:", error);
+      throw error;
+    }
+
+    return { id: data.id, ...plan };
+  } catch (error) {
+    console.error("[practiceService] Exception in savePracticePlan:", error);
+    return null;
+  }
+};
+
+/**
+ * Log a drill the player has practised
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {object} session
+ * @param {string} session.drillId - Drill from the library
+ * @param {number} session.attempts - Balls hit
+ * @param {number} session.successes - Attempts that met the drill's goal
+ * @param {number|null} session.minutes - Time spent
+ * @param {string|null} session.notes - Optional notes
+ * @param {Date} session.performedAt - When the drill was done
+ * @returns {Promise<Object>} The logged session
+ */
+export const logPracticeSession = async (userId, { drillId, attempts, successes, minutes = null, notes = null, performedAt = new Date() }) => {
+  const drill = getDrill(drillId);
+  if (!drill) {
+    throw new Error(`Unknown drill: ${drillId}`);
+  }
+  if (!(attempts > 0) || successes < 0 || successes > attempts) {
+    throw new Error("Successes must be between 0 and the number of attempts");
+  }
+
+  console.log(`[practiceService] Logging ${drill.name}: ${successes}/${attempts}`);
+
+  const { data, error } = await supabase
+    .from("practice_sessions")
+    .insert({
+      profile_id: userId,
+      drill_id: drillId,
+      shot_type: drill.shotType,
+      performed_at: performedAt.toISOString(),
+      attempts,
+      successes,
+      minutes: minutes ?? drill.minutes,
+      notes: notes?.trim() || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error("[practiceService] Error logging practice session:", error);
+    throw error;
+  }
+
+  return formatSession(data);
+};
+
+/**
+ * Get the player's recent practice sessions, newest first
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {number} days - How far back to look
+ * @returns {Promise<Array<Object>>} Sessions as { id, drillId, shotType, performedAt, attempts, successes, minutes, notes }
+ */
+export const getPracticeSessions = async (userId, days = SESSION_HISTORY_DAYS) => {
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from("practice_sessions")
+      .select("*")
+      .eq("profile_id", userId)
+      .gte("performed_at", since)
+      .order("performed_at", { ascending: false });
+
+    if (error) {
+      console.error("[practiceService] Error fetching practice sessions:", error);
+      throw error;
+    }
+
+    return (data || []).map(formatSession);
+  } catch (error) {
+    console.error("[practiceService] Exception in getPracticeSessions:", error);
+    return [];
+  }
+};
+
+/**
+ * Delete a logged practice session
+ *
+ * @param {string} sessionId - The practice_sessions record ID
+ * @returns {Promise<boolean>} Success flag
+ */
+export const deletePracticeSession = async (sessionId) => {
+  const { error } = await supabase
+    .from("practice_sessions")
+    .delete()
+    .eq("id", sessionId);
+
+  if (error) {
+    console.error("[practiceService] Error deleting practice session:", error);
+    return false;
+  }
+
+  return true;
+};
@@ -0,0 +1,101 @@
+// src/services/profileService.js
+
+import { supabase } from "./supabase";
+import { DEFAULT_TEE_CATEGORY, normalizeTeeCategory } from "../utils/courseSchema";
+
+/**
+ * Profile Service
+ *
+ * Looks up other registered golfers, e.g. when adding playing partners
+ * to a group round, and reads and saves the player's own settings.
+ */
+
+/**
+ * Find a registered user by email address
+ *
+ * Row level security only lets players read their own user row, so the
+ * lookup goes through the find_profile_by_email database function (see
+ * docs/group-rounds.md). It only returns exact (case-insensitive) matches
+ * so the app never exposes a browsable list of users.
+ *
+ * @param {string} email - The email address to look up
+ * @returns {Promise<Object|null>} Profile { id, email }, or null if not found
+ */
+export const findProfileByEmail = async (email) => {
+  try {
+    const trimmedEmail = email?.trim().toLowerCase();
+    if (!trimmedEmail) {
+      return null;
+    }
+
+    console.log("[profileService] Looking up profile by email");
+
+    const { data, error } = await supabase.rpc("find_profile_by_email", {
+      lookup_email: trimmedEmail
+    });
+
+    if (error) {
+      console.error("[profileService] Error looking up profile:", error);
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error("[profileService] Exception in findProfileByEmail:", error);
+    return null;
+  }
+};
+
+/**
+ * Get the tee category the player usually plays from
+ *
+ * Used for par and stroke index when a tee doesn't say who it's for.
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<string>} "men", "women" or "junior"
+ */
+export const getDefaultTeeCategory = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from("users")
+      .select("default_tee_category")
+      .eq("id", userId)
+      .single();
+
+    if (error) {
+      console.error("[profileService] Error fetching tee category:", error);
+      throw error;
+    }
+
+    return normalizeTeeCategory(data?.default_tee_category) || DEFAULT_TEE_CATEGORY;
+  } catch (error) {
+    console.error("[profileService] Exception in getDefaultTeeCategory:", error);
+    return DEFAULT_TEE_CATEGORY;
+  }
+};
+
+/**
+ * Save the tee category the player usually plays from
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} category - "men", "women" or "junior"
+ * @returns {Promise<string>} The saved category
+ */
+export const updateDefaultTeeCategory = async (userId, category) => {
+  const teeCategory = normalizeTeeCategory(category);
+  if (!teeCategory) {
+    throw new Error("Unknown tee category");
+  }
+
+  const { error } = await supabase
+    .from("users")
+    .update({ default_tee_category: teeCategory })
+    .eq("id", userId);
+
+  if (error) {
+    console.error("[profileService] Error saving tee category:", error);
+    throw error;
+  }
+
+  return teeCategory;
+};
@@ -1,6 +1,15 @@
 // src/services/roundservice.js
 
 import { supabase } from "./supabase";
+import { getRoundHoleNumbers } from "../utils/holeRange";
+import { calculateRoundScore } from "../utils/scoring";
+import { DEFAULT_SCORING_FORMAT, isPointsFormat, isMatchPlayFormat, calculateRoundPoints } from "../utils/scoringFormats";
+import { findRoundTee, buildHandicapHoles, getRoundHandicapStrokes } from "../utils/handicap";
+import { getHandicapIndexAtDate } from "./handicapService";
+import { getPlayerShots, getRoundPlayers, buildPlayerHoleRecords } from "../utils/groupRound";
+import { scoreMatch, buildMatchResult } from "../utils/matchPlay";
+import { requestInsights } from "./insightsJobService";
+import { normalizeCourse, getPlayedTee } from "../utils/courseSchema";
 
 /**
  * Create a new round record in Supabase.
@@ -9,14 +18,24 @@ import { supabase } from "./supabase";
  * @param {string} course_id - The ID of the course.
  * @param {string} tee_id - The ID of the selected tee.
  * @param {string} tee_name - The name of the selected tee.
+ * @param {Array<number>|null} hole_numbers - Holes being played (null for all 18).
+ * @param {string} scoring_format - Scoring format key (stroke, stableford, ...).
+ * @param {Array<object>} players - Playing partners in a group round ({ key, name, profile_id }).
+ * @param {object|null} match_settings - Opponent, allowance and handicaps for match play.
+ * @param {string|null} tee_category - Tee category played (men, women, junior), for par and stroke index.
  * @returns {object} The newly created round record.
  */
-export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
+export const createRound = async (profile_id, course_id, tee_id, tee_name, hole_numbers = null, scoring_format = DEFAULT_SCORING_FORMAT, players = [], match_settings = null, tee_category = null) => {
   console.log("[createRound] Attempting to create a new round", { 
     profile_id, 
     course_id,
     tee_id,
-    tee_name
+    tee_name,
+    tee_category,
+    hole_numbers,
+    scoring_format,
+    players,
+    match_settings
   });
   
   // Insert a new round record into the rounds table
@@ -27,7 +46,13 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
       course_id,
       is_complete: false, // New round is not complete
       selected_tee_id: tee_id,
-      selected_tee_name: tee_name
+      selected_tee_name: tee_name,
+      tee_category,
+      hole_numbers,
+      scoring_format,
+      players,
+      match_settings,
+      is_imported: false // Tracked in the app, not brought in from a file
     })
     .select(); // Returns the inserted record(s)
 
@@ -49,6 +74,7 @@ export const createRound = async (profile_id, course_id, tee_id, tee_name) => {
  * @param {string} round_id - The ID of the round
  * @param {number} hole_number - The hole number (1-18)
  * @param {object} hole_data - The hole data including par, distance, and shots
+ *   (and partners' shots under `players` for group rounds)
  * @param {number} total_score - The total number of shots for this hole
  * @returns {object} The saved record
  */
@@ -111,6 +137,59 @@ export const getRoundHoleData = async (round_id) => {
   }
 };
 
+// Rounds per shots request, keeping the round ID filter well within URL limits
+const HOLE_DATA_ROUND_BATCH = 50;
+
+/**
+ * Get the hole data records for many rounds
+ * 
+ * Rounds are requested in batches, and each batch is paged until every
+ * record its count reports has arrived, so long histories aren't cut off
+ * at the server's maximum rows per request.
+ * 
+ * @param {Array<string>} round_ids - The rounds to get hole data for
+ * @param {string} columns - Shots table columns to select
+ * @returns {Promise<Array>} Hole data records for all the rounds
+ */
+export const getHoleDataForRounds = async (round_ids, columns = "round_id, hole_number, hole_data, total_score") => {
+  const records = [];
+  
+  for (let start = 0; start < (round_ids || []).length; start += HOLE_DATA_ROUND_BATCH) {
+    const batchIds = round_ids.slice(start, start + HOLE_DATA_ROUND_BATCH);
+    let total = null;
+    let fetched = 0;
+    
+    while (total === null || fetched < total) {
+      const { data, count, error } = await supabase
+        .from("shots")
+        .select(columns, { count: "exact" })
+        .in("round_id", batchIds)
+        .order("id", { ascending: true })
+        .range(fetched, fetched + HOLE_DATA_ROUND_BATCH * 18 - 1);
+      
+      if (error) {
+        console.error("[getHoleDataForRounds] Error getting hole data:", error);
+        throw error;
+      }
+      
+      const rows = data || [];
+      records.push(...rows);
+      fetched += rows.length;
+      total = count ?? fetched;
+      
+      // Stop rather than loop if the count and rows ever disagree
+      if (rows.length === 0) break;
+    }
+    
+    if (total !== null && fetched < total) {
+      throw new Error(`Only ${fetched} of ${total} hole records were loaded`);
+    }
+  }
+  
+  console.log("[getHoleDataForRounds] Found", records.length, "holes for", round_ids?.length || 0, "rounds");
+  return records;
+};
+
 /**
  * Complete a round by updating its is_complete flag and calculating final statistics.
  * Works with the new shots data structure.
@@ -122,47 +201,84 @@ export const completeRound = async (round_id) => {
   try {
     console.log("[completeRound] Calculating final statistics for round:", round_id);
     
-    // 1. Get the course_id from the round
+    // 1. Get the course_id and holes played from the round
     const { data: roundData, error: roundError } = await supabase
       .from("rounds")
-      .select("course_id, profile_id, selected_tee_name") 
+      .select("course_id, profile_id, created_at, selected_tee_id, selected_tee_name, tee_category, hole_numbers, scoring_format, players, match_settings, group_round_id") 
       .eq("id", round_id)
       .single();
       
     if (roundError) throw roundError;
     
-    // 2. Get the par value for that course
-    const { data: courseData, error: courseError } = await supabase
+    // 2. Get the hole data for that course (fallback par for holes missing it)
+    const { data: rawCourseData, error: courseError } = await supabase
       .from("courses")
-      .select("par")
+      .select("holes, tees")
       .eq("id", roundData.course_id)
       .single();
       
     if (courseError) throw courseError;
-    
-    const coursePar = courseData.par || 72; // Default to 72 if par is not set
+    const courseData = normalizeCourse(rawCourseData);
+    const playedTee = getPlayedTee(courseData, roundData);
     
     // 3. Get all hole records for this round
     const { data: holeRecords, error: holesError } = await supabase
       .from("shots")
-      .select("total_score")
+      .select("hole_number, hole_data, total_score")
       .eq("round_id", round_id);
       
     if (holesError) throw holesError;
     
-    // 4. Calculate total gross shots by summing the total_score for each hole
-    let grossShots = 0;
-    holeRecords.forEach(hole => {
-      grossShots += hole.total_score || 0;
+    // 4. Calculate gross shots and score to par from the holes actually played
+    const roundScore = calculateRoundScore(holeRecords, {
+      courseHoles: courseData.holes,
+      holeNumbers: getRoundHoleNumbers(roundData),
+      playedTee
     });
+    const grossShots = roundScore.grossShots;
+    const score = roundScore.scoreToPar;
     
-    // 5. Calculate score relative to par
-    const score = grossShots - coursePar;
+    // 5. Calculate points for Stableford-style formats using the
+    // handicap index held before this round
+    let points = null;
+    if (isPointsFormat(roundData.scoring_format)) {
+      const handicapHoles = buildHandicapHoles(holeRecords, courseData.holes, getRoundHoleNumbers(roundData), playedTee);
+      const handicapIndex = await getHandicapIndexAtDate(roundData.profile_id, roundData.created_at);
+      const { strokes } = getRoundHandicapStrokes(handicapIndex, findRoundTee(courseData, roundData), handicapHoles);
+      points = calculateRoundPoints(roundData.scoring_format, handicapHoles, strokes).total;
+    }
+    
+    // Decide the match for match play rounds
+    let matchResult = null;
+    if (isMatchPlayFormat(roundData.scoring_format) && roundData.match_settings) {
+      const roundHoleNumbers = getRoundHoleNumbers(roundData);
+      const { status } = scoreMatch(
+        roundData.match_settings,
+        roundHoleNumbers,
+        (playerKey, holeNumber) => getPlayerShots(
+          holeRecords.find(record => record.hole_number === holeNumber)?.hole_data,
+          playerKey
+        ).length,
+        findRoundTee(courseData, roundData),
+        buildHandicapHoles(holeRecords, courseData.holes, roundHoleNumbers, playedTee)
+      );
+      const [scorer, ...partners] = getRoundPlayers(roundData);
+      const opponent = partners.find(player => player.key === roundData.match_settings.opponent_key);
+      
+      if (opponent) {
+        matchResult = buildMatchResult(status, scorer, opponent);
+      }
+    }
     
     console.log("[completeRound] Statistics calculated:", {
-      coursePar,
+      parPlayed: roundScore.parPlayed,
       grossShots,
-      score
+      score,
+      holesPlayed: roundScore.holesPlayed,
+      unplayedHoles: roundScore.unplayedHoles,
+      scoringFormat: roundData.scoring_format,
+      points,
+      matchResult
     });
     
     // 6. Update the round record with calculated values and mark as complete
@@ -171,7 +287,10 @@ export const completeRound = async (round_id) => {
       .update({ 
         is_complete: true,
         gross_shots: grossShots,
-        score: score
+        score: score,
+        holes_played: roundScore.holesPlayed,
+        points,
+        match_result: matchResult
       })
       .eq("id", round_id)
       .select();
@@ -183,25 +302,23 @@ export const completeRound = async (round_id) => {
 
     console.log("[completeRound] Round completed successfully:", data);
     
-    // 7. Trigger insights generation
+    // 7. Give registered partners in a group round their own copy of the round.
+    // Partner copies carry group_round_id, so they never create further copies.
+    // A failure leaves partner_rounds_shared_at empty, and the scorecard
+    // offers to try again rather than failing the whole round.
+    if (!roundData.group_round_id) {
+      try {
+        await createPartnerRounds(round_id, roundData, holeRecords, courseData);
+      } catch (partnerError) {
+        console.error("[completeRound] Failed to create partner rounds:", partnerError);
+      }
+    }
+    
+    // 8. Trigger insights generation - tracked as a job so the app can
+    // show progress and failures, without holding up completing the round
     try {
       console.log("[completeRound] Triggering insights generation Edge Function");
-      
-      supabase.functions.invoke('analyze-golf-performance', {
-        body: { 
-          userId: roundData.profile_id,
-          roundId: round_id
-        }
-      }).then(({ data: insightsData, error: insightsError }) => {
-        if (insightsError) {
-          console.error("[completeRound] Error from insights Edge Function:", insightsError);
-        } else {
-          console.log("[completeRound] Insights generated successfully:", insightsData);
-        }
-      }).catch(err => {
-        console.error("[completeRound] Exception calling insights Edge Function:", err);
-      });
-      
+      await requestInsights(roundData.profile_id, { roundId: round_id });
     } catch (insightsError) {
       console.error("[completeRound] Failed to trigger insights generation:", insightsError);
     }
@@ -211,4 +328,220 @@ export const completeRound = async (round_id) => {
     console.error("[completeRound] Error in complete round process:", error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Create a completed round for each registered partner in a group round
+ * 
+ * Each partner gets a round on their own profile, linked back to the
+ * scorer's round by group_round_id, with their shots at the top level of
+ * hole_data - so it shows in their history and counts for their handicap
+ * exactly like a round they tracked themselves.
+ * 
+ * Row level security only lets players write their own rounds, so the
+ * copies are saved by the create_partner_rounds database function (see
+ * docs/group-rounds.md). Scores are worked out here, with each
+ * partner's points using the handicap index the scorer entered for them.
+ * The function skips partners who already have a copy, and doesn't start
+ * insights for partners - they can generate them from their own history.
+ * 
+ * @param {string} round_id - The scorer's round ID
+ * @param {object} roundData - The scorer's round record (including players)
+ * @param {Array<object>} holeRecords - The round's shots table records
+ * @param {object} courseData - The normalized course
+ * @returns {Promise<Array>} IDs of the partner rounds created
+ */
+const createPartnerRounds = async (round_id, roundData, holeRecords, courseData) => {
+  const registeredPartners = (roundData.players || []).filter(player => player.profile_id);
+  
+  if (registeredPartners.length === 0) {
+    return [];
+  }
+  
+  const roundHoleNumbers = getRoundHoleNumbers(roundData);
+  const playedTee = getPlayedTee(courseData, roundData);
+  const tee = findRoundTee(courseData, roundData);
+  
+  const partnerRounds = registeredPartners
+    .map(partner => {
+      // Partners who didn't record a shot have nothing to save
+      const partnerHoles = buildPlayerHoleRecords(holeRecords, partner.key)
+        .filter(record => record.total_score > 0);
+      
+      const partnerScore = calculateRoundScore(partnerHoles, {
+        courseHoles: courseData.holes,
+        holeNumbers: roundHoleNumbers,
+        playedTee
+      });
+      
+      let points = null;
+      if (isPointsFormat(roundData.scoring_format)) {
+        const handicapHoles = buildHandicapHoles(partnerHoles, courseData.holes, roundHoleNumbers, playedTee);
+        const { strokes } = getRoundHandicapStrokes(partner.handicap_index ?? null, tee, handicapHoles);
+        points = calculateRoundPoints(roundData.scoring_format, handicapHoles, strokes).total;
+      }
+      
+      return {
+        profile_id: partner.profile_id,
+        gross_shots: partnerScore.grossShots,
+        score: partnerScore.scoreToPar,
+        holes_played: partnerScore.holesPlayed,
+        points,
+        holes: partnerHoles.map(({ hole_number, hole_data, total_score }) => ({ hole_number, hole_data, total_score }))
+      };
+    })
+    .filter(partnerRound => partnerRound.holes.length > 0);
+  
+  // Called even when no partner recorded a shot, so the round is marked as shared
+  console.log("[createPartnerRounds] Creating rounds for", partnerRounds.length, "partners");
+  
+  const { data: createdRoundIds, error } = await supabase.rpc("create_partner_rounds", {
+    source_round_id: round_id,
+    partner_rounds: partnerRounds
+  });
+  
+  if (error) throw error;
+  
+  console.log("[createPartnerRounds] Created", createdRoundIds?.length || 0, "partner rounds");
+  return createdRoundIds || [];
+};
+
+/**
+ * Try again to give registered partners their copies of a completed group round
+ * 
+ * Used from the scorecard when saving the copies failed while the round
+ * was being completed.
+ * 
+ * @param {string} round_id - The scorer's round ID
+ * @returns {Promise<Array>} IDs of the partner rounds created
+ */
+export const sharePartnerRounds = async (round_id) => {
+  const { data: roundData, error: roundError } = await supabase
+    .from("rounds")
+    .select("course_id, selected_tee_id, selected_tee_name, tee_category, hole_numbers, scoring_format, players, group_round_id")
+    .eq("id", round_id)
+    .single();
+    
+  if (roundError) throw roundError;
+  if (roundData.group_round_id) return [];
+  
+  const [{ data: rawCourseData, error: courseError }, { data: holeRecords, error: holesError }] = await Promise.all([
+    supabase.from("courses").select("holes, tees").eq("id", roundData.course_id).single(),
+    supabase.from("shots").select("hole_number, hole_data, total_score").eq("round_id", round_id)
+  ]);
+  
+  if (courseError) throw courseError;
+  if (holesError) throw holesError;
+  
+  return createPartnerRounds(round_id, roundData, holeRecords || [], normalizeCourse(rawCourseData));
+};
+
+/**
+ * Get a user's incomplete rounds with hole progress
+ * 
+ * Lists rounds that were started but never completed, along with the
+ * course name and how many holes have been uploaded, so they can be
+ * resumed, finished early or deleted.
+ * 
+ * @param {string} profile_id - The current user's profile ID
+ * @returns {Promise<Array>} Round records with course_name, holes_played and last_hole_played
+ */
+export const getIncompleteRounds = async (profile_id) => {
+  console.log("[getIncompleteRounds] Getting incomplete rounds for user", profile_id);
+  
+  try {
+    const { data: rounds, error } = await supabase
+      .from("rounds")
+      .select("id, profile_id, course_id, created_at, selected_tee_id, selected_tee_name, tee_category, hole_numbers, scoring_format, players, match_settings, is_complete")
+      .eq("profile_id", profile_id)
+      .eq("is_complete", false)
+      .order("created_at", { ascending: false });
+    
+    if (error) {
+      console.error("[getIncompleteRounds] Error getting rounds:", error);
+      throw error;
+    }
+    
+    if (!rounds || rounds.length === 0) {
+      return [];
+    }
+    
+    // Get course names and uploaded holes for these rounds
+    const courseIds = [...new Set(rounds.map(round => round.course_id))];
+    const roundIds = rounds.map(round => round.id);
+    
+    const [{ data: courses, error: coursesError }, { data: holes, error: holesError }] = await Promise.all([
+      supabase.from("courses").select("id, name").in("id", courseIds),
+      supabase.from("shots").select("round_id, hole_number").in("round_id", roundIds)
+    ]);
+    
+    if (coursesError) {
+      console.error("[getIncompleteRounds] Error getting courses:", coursesError);
+    }
+    if (holesError) {
+      console.error("[getIncompleteRounds] Error getting hole progress:", holesError);
+    }
+    
+    const coursesById = {};
+    (courses || []).forEach(course => {
+      coursesById[course.id] = course;
+    });
+    
+    const holeNumbersByRound = {};
+    (holes || []).forEach(hole => {
+      if (!holeNumbersByRound[hole.round_id]) {
+        holeNumbersByRound[hole.round_id] = [];
+      }
+      holeNumbersByRound[hole.round_id].push(hole.hole_number);
+    });
+    
+    const result = rounds.map(round => {
+      const holeNumbers = holeNumbersByRound[round.id] || [];
+      return {
+        ...round,
+        course_name: coursesById[round.course_id]?.name || "Unknown Course",
+        holes_played: holeNumbers.length,
+        last_hole_played: holeNumbers.length > 0 ? Math.max(...holeNumbers) : null
+      };
+    });
+    
+    console.log("[getIncompleteRounds] Found", result.length, "incomplete rounds");
+    return result;
+  } catch (error) {
+    console.error("[getIncompleteRounds] Exception in getIncompleteRounds:", error);
+    return [];
+  }
+};
+
+/**
+ * Delete a round and all of its hole data
+ * 
+ * Throws if no round was deleted - row level security turns a delete
+ * the player isn't allowed into one that matches no rows, not an error.
+ * 
+ * @param {string} round_id - The ID of the round to delete
+ * @returns {Promise<boolean>} Success flag
+ */
+export const deleteRound = async (round_id) => {
+  console.log("[deleteRound] Deleting round", round_id);
+  
+  // Hole data is removed by the ON DELETE CASCADE on shots.round_id
+  const { data, error } = await supabase
+    .from("rounds")
+    .delete()
+    .eq("id", round_id)
+    .select("id");
+  
+  if (error) {
+    console.error("[deleteRound] Error deleting round:", error);
+    throw error;
+  }
+  
+  if (!data || data.length === 0) {
+    console.error("[deleteRound] No round deleted for", round_id);
+    throw new Error("The round couldn't be deleted");
+  }
+  
+  console.log("[deleteRound] Round deleted successfully");
+  return true;
+};
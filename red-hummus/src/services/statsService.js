@@ -0,0 +1,90 @@
+// src/services/statsService.js
+
+import { supabase } from "./supabase";
+import { getRoundHoleNumbers } from "../utils/holeRange";
+import { calculateRoundStats } from "../utils/roundStats";
+import { getPlayedTee } from "../utils/courseSchema";
+
+/**
+ * Stats Service
+ *
+ * Rolls traditional stats (fairways, greens, putts, scrambling, sand
+ * saves, penalties) up per round from the shots table.
+ */
+
+// Rounds included in the stats view
+const STATS_ROUNDS = 20;
+
+/**
+ * Get traditional stats for each of a player's recent completed rounds
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {number} limit - Maximum number of recent rounds
+ * @returns {Promise<Array<Object>>} Rounds ordered newest first as
+ *   { roundId, date, courseName, grossShots, stats } (stats from calculateRoundStats)
+ */
+export const getRoundStatsHistory = async (userId, limit = STATS_ROUNDS) => {
+  try {
+    console.log(`[statsService] Fetching round stats for user ${userId}`);
+
+    const { data: rounds, error } = await supabase
+      .from("rounds")
+      .select("id, course_id, created_at, hole_numbers, gross_shots, selected_tee_id, selected_tee_name, tee_category")
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error("[statsService] Error fetching rounds:", error);
+      throw error;
+    }
+
+    if (!rounds || rounds.length === 0) {
+      return [];
+    }
+
+    const courseIds = [...new Set(rounds.map(round => round.course_id))];
+    const roundIds = rounds.map(round => round.id);
+
+    const [{ data: courses, error: coursesError }, { data: holes, error: holesError }] = await Promise.all([
+      supabase.from("courses").select("id, name, holes, tees").in("id", courseIds),
+      supabase.from("shots").select("round_id, hole_number, hole_data").in("round_id", roundIds)
+    ]);
+
+    if (coursesError) throw coursesError;
+    if (holesError) throw holesError;
+
+    const coursesById = {};
+    (courses || []).forEach(course => {
+      coursesById[course.id] = course;
+    });
+
+    const holesByRound = {};
+    (holes || []).forEach(hole => {
+      if (!holesByRound[hole.round_id]) {
+        holesByRound[hole.round_id] = [];
+      }
+      holesByRound[hole.round_id].push(hole);
+    });
+
+    return rounds.map(round => {
+      const course = coursesById[round.course_id];
+
+      return {
+        roundId: round.id,
+        date: round.created_at,
+        courseName: course?.name || "Unknown Course",
+        grossShots: round.gross_shots,
+        stats: calculateRoundStats(holesByRound[round.id], {
+          courseHoles: course?.holes,
+          holeNumbers: getRoundHoleNumbers(round),
+          playedTee: getPlayedTee(course, round)
+        })
+      };
+    });
+  } catch (error) {
+    console.error("[statsService] Exception in getRoundStatsHistory:", error);
+    return [];
+  }
+};
@@ -0,0 +1,98 @@
+// src/services/strokesGainedService.js
+
+import { supabase } from "./supabase";
+import { getRoundHoleNumbers } from "../utils/holeRange";
+import { calculateRoundStrokesGained, DEFAULT_SG_BASELINE } from "../utils/strokesGained";
+
+/**
+ * Strokes Gained Service
+ *
+ * Calculates strokes gained for a player's completed rounds. Everything is
+ * worked out on the device from the shots table, so changing the baseline
+ * doesn't need anything stored on the server.
+ */
+
+// Rounds included in the strokes gained history
+const STROKES_GAINED_ROUNDS = 20;
+
+/**
+ * Get strokes gained for each of a player's recent rounds
+ *
+ * Rounds with no measurable shots (no lie/distance details recorded)
+ * are left out, as are imported rounds so they don't take up the window.
+ *
+ * @param {string} userId - The user's profile ID
+ * @param {string} baselineKey - Baseline to compare against
+ * @param {number} limit - Maximum number of recent rounds to consider
+ * @returns {Promise<Array<Object>>} Rounds ordered oldest to newest as
+ *   { roundId, date, courseName, byCategory, total, shotsMeasured, holesMeasured }
+ */
+export const getStrokesGainedHistory = async (userId, baselineKey = DEFAULT_SG_BASELINE, limit = STROKES_GAINED_ROUNDS) => {
+  try {
+    console.log(`[strokesGainedService] Calculating strokes gained for user ${userId} (${baselineKey})`);
+
+    const { data: rounds, error } = await supabase
+      .from("rounds")
+      .select("id, course_id, created_at, hole_numbers")
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .not("is_imported", "is", true)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error("[strokesGainedService] Error fetching rounds:", error);
+      throw error;
+    }
+
+    if (!rounds || rounds.length === 0) {
+      return [];
+    }
+
+    const courseIds = [...new Set(rounds.map(round => round.course_id))];
+    const roundIds = rounds.map(round => round.id);
+
+    const [{ data: courses, error: coursesError }, { data: holes, error: holesError }] = await Promise.all([
+      supabase.from("courses").select("id, name, holes").in("id", courseIds),
+      supabase.from("shots").select("round_id, hole_number, hole_data").in("round_id", roundIds)
+    ]);
+
+    if (coursesError) throw coursesError;
+    if (holesError) throw holesError;
+
+    const coursesById = {};
+    (courses || []).forEach(course => {
+      coursesById[course.id] = course;
+    });
+
+    const holesByRound = {};
+    (holes || []).forEach(hole => {
+      if (!holesByRound[hole.round_id]) {
+        holesByRound[hole.round_id] = [];
+      }
+      holesByRound[hole.round_id].push(hole);
+    });
+
+    const history = [...rounds].reverse()
+      .map(round => {
+        const course = coursesById[round.course_id];
+        const roundHoleNumbers = getRoundHoleNumbers(round);
+        const roundHoles = (holesByRound[round.id] || [])
+          .filter(hole => roundHoleNumbers.includes(hole.hole_number));
+
+        return {
+          roundId: round.id,
+          date: round.created_at,
+          courseName: course?.name || "Unknown Course",
+          ...calculateRoundStrokesGained(roundHoles, course?.holes, baselineKey)
+        };
+      })
+      .filter(round => round.shotsMeasured > 0);
+
+    console.log(`[strokesGainedService] ${history.length} of ${rounds.length} rounds have measurable shots`);
+    return history;
+  } catch (error) {
+    console.error("[strokesGainedService] Exception in getStrokesGainedHistory:", error);
+    return [];
+  }
+};
@@ -0,0 +1,698 @@
+// src/services/syncQueue.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { AppState } from "react-native";
+import { createRound, saveHoleData, completeRound } from "./roundservice";
+import { calculateRoundScore } from "../utils/scoring";
+import { DEFAULT_SCORING_FORMAT } from "../utils/scoringFormats";
+
+/**
+ * Sync Queue
+ *
+ * A persistent outbound mutation queue for round data. Operations are
+ * recorded in AsyncStorage first and replayed in order against Supabase,
+ * so a round played without signal is never lost - it simply syncs later.
+ *
+ * Rounds created while offline get a local ID ("local-...") which is
+ * mapped to the real database ID once their createRound operation replays.
+ *
+ * Operations the server rejects outright are set aside in a failed list
+ * (with the rest of their round held back) until they are retried or
+ * discarded, so one bad round never stops other rounds from syncing.
+ */
+
+const QUEUE_STORAGE_KEY = "@GolfApp:syncQueue";
+const ROUND_ID_MAP_STORAGE_KEY = "@GolfApp:syncRoundIdMap";
+const FAILED_STORAGE_KEY = "@GolfApp:syncFailed";
+
+// Retry backoff: 5s, 10s, 20s ... capped at 5 minutes
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Server errors are retried this many times before the operation is set
+// aside. Network failures don't count - an offline round waits for signal.
+const MAX_ATTEMPTS = 8;
+
+// PostgreSQL error classes the server will return every time for the same
+// request: data exceptions, constraint violations, permission/syntax errors
+// and exceptions raised by database functions
+const NON_RETRYABLE_SQLSTATE_CLASSES = ["22", "23", "42", "P0"];
+
+// Delay before uploading after a hole is saved, so rapid hole
+// navigation produces one upload per hole rather than one per tap
+const SYNC_DEBOUNCE_MS = 2000;
+
+// Maps each operation type to the roundservice call that replays it
+const operationHandlers = {
+  createRound: (payload) => createRound(
+    payload.profile_id,
+    payload.course_id,
+    payload.tee_id,
+    payload.tee_name,
+    payload.hole_numbers,
+    payload.scoring_format,
+    payload.players,
+    payload.match_settings,
+    payload.tee_category
+  ),
+  saveHoleData: (payload) => saveHoleData(
+    payload.round_id,
+    payload.hole_number,
+    payload.hole_data,
+    payload.total_score
+  ),
+  completeRound: (payload) => completeRound(payload.round_id)
+};
+
+// In-memory copies of the persisted state (loaded lazily)
+let queue = null;
+let failedOperations = null;
+let roundIdMap = null;
+let loadPromise = null;
+let processPromise = null;
+let retryTimer = null;
+let debounceTimer = null;
+let inFlightOperationId = null;
+let lastError = null;
+const listeners = new Set();
+
+/**
+ * Check whether a round ID was generated locally (not yet synced)
+ *
+ * @param {string|number} roundId - The round ID to check
+ * @returns {boolean} True if the ID is a local placeholder
+ */
+export const isLocalRoundId = (roundId) => {
+  return typeof roundId === "string" && roundId.startsWith("local-");
+};
+
+/**
+ * Load the queue and round ID map from AsyncStorage (once)
+ */
+const loadState = async () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      try {
+        const [queueStr, failedStr, mapStr] = await Promise.all([
+          AsyncStorage.getItem(QUEUE_STORAGE_KEY),
+          AsyncStorage.getItem(FAILED_STORAGE_KEY),
+          AsyncStorage.getItem(ROUND_ID_MAP_STORAGE_KEY)
+        ]);
+        queue = queueStr ? JSON.parse(queueStr) : [];
+        failedOperations = failedStr ? JSON.parse(failedStr) : [];
+        roundIdMap = mapStr ? JSON.parse(mapStr) : {};
+      } catch (error) {
+        console.error("[syncQueue] Error loading queue from storage:", error);
+        queue = [];
+        failedOperations = [];
+        roundIdMap = {};
+      }
+    })();
+  }
+
+  await loadPromise;
+};
+
+/**
+ * Persist the queue, failed operations and round ID map to AsyncStorage
+ */
+const persistState = async () => {
+  try {
+    await AsyncStorage.multiSet([
+      [QUEUE_STORAGE_KEY, JSON.stringify(queue)],
+      [FAILED_STORAGE_KEY, JSON.stringify(failedOperations)],
+      [ROUND_ID_MAP_STORAGE_KEY, JSON.stringify(roundIdMap)]
+    ]);
+  } catch (error) {
+    console.error("[syncQueue] Error persisting queue:", error);
+  }
+};
+
+/**
+ * Notify all subscribers that the queue has changed
+ */
+const notifyListeners = () => {
+  const snapshot = getQueueSnapshot();
+  listeners.forEach(listener => {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      console.error("[syncQueue] Error in queue listener:", error);
+    }
+  });
+};
+
+/**
+ * Build a read-only summary of the queue for the UI
+ */
+const getQueueSnapshot = () => ({
+  pendingOperations: queue ? queue.length : 0,
+  failedOperations: failedOperations ? failedOperations.length : 0,
+  pendingRounds: queue ? buildPendingRounds() : [],
+  lastError
+});
+
+/**
+ * Resolve a (possibly local) round ID to its database ID
+ *
+ * @param {string|number} roundId - Local or database round ID
+ * @returns {string|number} The database ID if known, otherwise the input ID
+ */
+const mapRoundId = (roundId) => {
+  if (isLocalRoundId(roundId) && roundIdMap && roundIdMap[roundId]) {
+    return roundIdMap[roundId];
+  }
+  return roundId;
+};
+
+/**
+ * Check whether an operation belongs to a round
+ *
+ * @param {object} operation - A queued or failed operation
+ * @param {string|number} roundId - Local or database round ID
+ * @returns {boolean} True if the operation is for the round
+ */
+const belongsToRound = (operation, roundId) => {
+  return operation.roundKey === roundId || mapRoundId(operation.roundKey) === mapRoundId(roundId);
+};
+
+/**
+ * Group queued and failed operations by round to describe rounds waiting to sync
+ *
+ * Rounds with a failed operation are flagged with syncFailed and the
+ * server's error, so they can be retried or discarded.
+ */
+const buildPendingRounds = () => {
+  const roundsByKey = {};
+
+  // Failed operations were queued before anything still queued for their round
+  [...failedOperations, ...queue].forEach(operation => {
+    const key = operation.roundKey;
+    if (!roundsByKey[key]) {
+      roundsByKey[key] = {
+        id: key,
+        date: operation.createdAt,
+        courseName: "Unknown Course",
+        holes: {},
+        isComplete: false,
+        pendingSync: true,
+        syncFailed: false,
+        syncError: null
+      };
+    }
+
+    const pendingRound = roundsByKey[key];
+
+    if (operation.failedAt) {
+      pendingRound.syncFailed = true;
+      pendingRound.syncError = operation.lastError;
+    }
+
+    if (operation.meta) {
+      if (operation.meta.courseName) pendingRound.courseName = operation.meta.courseName;
+      if (operation.meta.date) pendingRound.date = operation.meta.date;
+    }
+
+    if (operation.type === "saveHoleData") {
+      pendingRound.holes[operation.payload.hole_number] = operation.payload;
+    } else if (operation.type === "completeRound") {
+      pendingRound.isComplete = true;
+    }
+  });
+
+  return Object.values(roundsByKey).map(({ holes, ...pendingRound }) => {
+    const roundScore = calculateRoundScore(Object.values(holes));
+
+    return {
+      ...pendingRound,
+      grossShots: roundScore.grossShots || null,
+      score: roundScore.scoreToPar,
+      holesPlayed: roundScore.holesPlayed
+    };
+  });
+};
+
+/**
+ * Add an operation to the end of the queue
+ *
+ * @param {string} type - One of createRound, saveHoleData, completeRound
+ * @param {object} payload - Arguments for the roundservice call
+ * @param {string|number} roundKey - The local or database ID of the round
+ * @param {object|null} meta - Display information (courseName, date)
+ */
+const enqueueOperation = async (type, payload, roundKey, meta = null) => {
+  await loadState();
+
+  const operation = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    payload,
+    roundKey,
+    meta,
+    attempts: 0,
+    nextAttemptAt: 0,
+    createdAt: new Date().toISOString()
+  };
+
+  queue.push(operation);
+  await persistState();
+  notifyListeners();
+
+  console.log(`[syncQueue] Queued ${type} for round ${roundKey}`);
+  return operation;
+};
+
+/**
+ * Queue creation of a new round
+ *
+ * The round is given a local ID immediately so tracking can start
+ * without waiting for the network.
+ *
+ * @param {object} params
+ * @param {string} params.profileId - The current user's profile ID
+ * @param {string} params.courseId - The ID of the course
+ * @param {string} params.teeId - The ID of the selected tee
+ * @param {string} params.teeName - The name of the selected tee
+ * @param {string|null} params.teeCategory - Tee category played (men, women, junior), for par and stroke index
+ * @param {Array<number>|null} params.holeNumbers - Holes being played (null for all 18)
+ * @param {string} params.scoringFormat - Scoring format key (stroke, stableford, ...)
+ * @param {Array<object>} params.players - Playing partners in a group round
+ * @param {object|null} params.matchSettings - Opponent and allowance for match play
+ * @param {string} params.courseName - Course name shown while the round is pending
+ * @returns {Promise<object>} A local round record
+ */
+export const queueCreateRound = async ({ profileId, courseId, teeId, teeName, teeCategory = null, holeNumbers = null, scoringFormat = DEFAULT_SCORING_FORMAT, players = [], matchSettings = null, courseName }) => {
+  const localId = `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const createdAt = new Date().toISOString();
+
+  await enqueueOperation(
+    "createRound",
+    {
+      local_id: localId,
+      profile_id: profileId,
+      course_id: courseId,
+      tee_id: teeId,
+      tee_name: teeName,
+      tee_category: teeCategory,
+      hole_numbers: holeNumbers,
+      scoring_format: scoringFormat,
+      players,
+      match_settings: matchSettings
+    },
+    localId,
+    { courseName, date: createdAt }
+  );
+
+  return {
+    id: localId,
+    profile_id: profileId,
+    course_id: courseId,
+    selected_tee_id: teeId,
+    selected_tee_name: teeName,
+    tee_category: teeCategory,
+    hole_numbers: holeNumbers,
+    scoring_format: scoringFormat,
+    players,
+    match_settings: matchSettings,
+    is_complete: false,
+    created_at: createdAt
+  };
+};
+
+/**
+ * Queue a hole data upsert
+ *
+ * Holes are saved repeatedly during a round, so a queued upsert for the
+ * same round and hole that hasn't started uploading is replaced in place
+ * rather than adding another operation.
+ *
+ * @param {string|number} roundId - Local or database round ID
+ * @param {number} holeNumber - The hole number
+ * @param {object} holeData - The hole data including par, distance, and shots
+ * @param {number} totalScore - The total number of shots for this hole
+ * @param {object|null} meta - Display information (courseName, date)
+ */
+export const queueSaveHoleData = async (roundId, holeNumber, holeData, totalScore, meta = null) => {
+  await loadState();
+
+  const payload = {
+    round_id: roundId,
+    hole_number: holeNumber,
+    hole_data: holeData,
+    total_score: totalScore
+  };
+
+  const existing = queue.find(operation =>
+    operation.type === "saveHoleData" &&
+    operation.roundKey === roundId &&
+    operation.payload.hole_number === holeNumber &&
+    operation.id !== inFlightOperationId
+  );
+
+  if (existing) {
+    existing.payload = payload;
+    existing.meta = meta || existing.meta;
+    await persistState();
+    notifyListeners();
+    return existing;
+  }
+
+  return enqueueOperation("saveHoleData", payload, roundId, meta);
+};
+
+/**
+ * Queue completion of a round
+ *
+ * @param {string|number} roundId - Local or database round ID
+ * @param {object|null} meta - Display information (courseName, date)
+ */
+export const queueCompleteRound = async (roundId, meta = null) => {
+  return enqueueOperation("completeRound", { round_id: roundId }, roundId, meta);
+};
+
+/**
+ * Check whether a failed operation could succeed if it is sent again
+ *
+ * Network failures and server hiccups are worth retrying. Requests the
+ * server rejected (4xx responses, constraint and permission errors) fail
+ * the same way every time.
+ *
+ * @param {Error|object} error - The error thrown by the roundservice call
+ * @returns {boolean} True if the operation should be retried
+ */
+export const isRetryableError = (error) => {
+  const status = Number(error?.status);
+  if (status >= 400 && status < 500) {
+    // Expired sessions, timeouts and rate limits clear up on their own
+    return [401, 408, 429].includes(status);
+  }
+
+  const code = typeof error?.code === "string" ? error.code : "";
+
+  // PostgREST request (PGRST1xx) and schema (PGRST2xx) errors are 4xx responses
+  if (/^PGRST[12]/.test(code)) {
+    return false;
+  }
+
+  return !NON_RETRYABLE_SQLSTATE_CLASSES.some(errorClass => code.startsWith(errorClass));
+};
+
+/**
+ * Check whether an error means the request never reached the server
+ */
+const isNetworkError = (error) => {
+  const message = error?.message || String(error);
+  return !error?.code && /network|fetch|timed? ?out|abort/i.test(message);
+};
+
+/**
+ * Get the key that groups an operation with the rest of its round
+ */
+const getRoundKey = (operation) => String(mapRoundId(operation.roundKey));
+
+/**
+ * Take an operation out of the queue
+ */
+const removeFromQueue = (operation) => {
+  queue = queue.filter(queued => queued !== operation);
+};
+
+/**
+ * Calculate the retry delay for an operation that has failed
+ */
+const getRetryDelay = (attempts) => {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Schedule another processing pass for when the next retry is due
+ */
+const scheduleRetry = (delay) => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+  }
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processQueue();
+  }, Math.max(delay, 0));
+};
+
+/**
+ * Replay queued operations in order
+ *
+ * A failure holds back the rest of that round's operations so they never
+ * run ahead of the ones they depend on (e.g. hole data before its round
+ * exists), while other rounds carry on syncing. The failed operation is
+ * retried with exponential backoff, or set aside as failed if the server
+ * rejected it or it has used up its attempts.
+ *
+ * @param {object} options
+ * @param {boolean} options.force - Ignore the backoff delay and retry now
+ * @returns {Promise<number>} Number of operations still pending
+ */
+export const processQueue = async ({ force = false } = {}) => {
+  // Only one processing pass at a time
+  if (processPromise) {
+    return processPromise;
+  }
+
+  processPromise = (async () => {
+    await loadState();
+
+    // Rounds held back behind a failed operation or one waiting to retry
+    const blockedRounds = new Set(failedOperations.map(getRoundKey));
+    const attempted = new Set();
+    let nextRetryAt = null;
+
+    // Operations queued during the pass are picked up too
+    const nextOperation = () => queue.find(queued =>
+      !attempted.has(queued.id) && !blockedRounds.has(getRoundKey(queued))
+    );
+
+    for (let operation = nextOperation(); operation; operation = nextOperation()) {
+      attempted.add(operation.id);
+      const roundKey = getRoundKey(operation);
+
+      // Respect backoff unless a retry was explicitly requested
+      if (!force && operation.nextAttemptAt > Date.now()) {
+        blockedRounds.add(roundKey);
+        nextRetryAt = Math.min(nextRetryAt ?? Infinity, operation.nextAttemptAt);
+        continue;
+      }
+
+      const handler = operationHandlers[operation.type];
+      if (!handler) {
+        console.error("[syncQueue] Dropping unknown operation type:", operation.type);
+        removeFromQueue(operation);
+        await persistState();
+        continue;
+      }
+
+      // Swap local round IDs for database IDs before replaying
+      const payload = { ...operation.payload };
+      if (payload.round_id !== undefined) {
+        payload.round_id = mapRoundId(payload.round_id);
+      }
+
+      try {
+        console.log(`[syncQueue] Replaying ${operation.type} (attempt ${operation.attempts + 1})`);
+        inFlightOperationId = operation.id;
+        const result = await handler(payload);
+
+        if (operation.type === "createRound" && result?.id) {
+          roundIdMap[payload.local_id] = result.id;
+        }
+
+        removeFromQueue(operation);
+        lastError = null;
+        await persistState();
+        notifyListeners();
+      } catch (error) {
+        operation.attempts += 1;
+        operation.lastError = error?.message || String(error);
+        lastError = operation.lastError;
+        blockedRounds.add(roundKey);
+
+        if (!isNetworkError(error)) {
+          operation.serverErrors = (operation.serverErrors || 0) + 1;
+        }
+
+        if (!isRetryableError(error) || operation.serverErrors >= MAX_ATTEMPTS) {
+          console.error(`[syncQueue] ${operation.type} failed, setting it aside:`, operation.lastError);
+          removeFromQueue(operation);
+          failedOperations.push({ ...operation, failedAt: new Date().toISOString() });
+        } else {
+          console.error(`[syncQueue] ${operation.type} failed, will retry:`, operation.lastError);
+          operation.nextAttemptAt = Date.now() + getRetryDelay(operation.attempts);
+          nextRetryAt = Math.min(nextRetryAt ?? Infinity, operation.nextAttemptAt);
+        }
+
+        await persistState();
+        notifyListeners();
+      } finally {
+        inFlightOperationId = null;
+      }
+    }
+
+    if (nextRetryAt !== null) {
+      scheduleRetry(nextRetryAt - Date.now());
+    }
+
+    return queue.length;
+  })();
+
+  try {
+    return await processPromise;
+  } finally {
+    processPromise = null;
+  }
+};
+
+/**
+ * Request a sync after a short delay
+ *
+ * Repeated calls within the delay collapse into a single processing pass.
+ *
+ * @param {number} delay - Milliseconds to wait before syncing
+ */
+export const requestSync = (delay = SYNC_DEBOUNCE_MS) => {
+  if (debounceTimer) {
+    clearTimeout(debounceTimer);
+  }
+
+  debounceTimer = setTimeout(() => {
+    debounceTimer = null;
+    processQueue();
+  }, delay);
+};
+
+/**
+ * Resolve a round ID to its database ID, if the round has synced
+ *
+ * @param {string|number} roundId - Local or database round ID
+ * @returns {Promise<string|number|null>} Database ID, or null if not yet synced
+ */
+export const resolveRoundId = async (roundId) => {
+  await loadState();
+  const mappedId = mapRoundId(roundId);
+  return isLocalRoundId(mappedId) ? null : mappedId;
+};
+
+/**
+ * Check whether a round still has operations waiting to sync
+ *
+ * @param {string|number} roundId - Local or database round ID
+ * @returns {Promise<boolean>} True if any operations for the round are queued or failed
+ */
+export const hasPendingOperations = async (roundId) => {
+  await loadState();
+  return [...queue, ...failedOperations].some(operation => belongsToRound(operation, roundId));
+};
+
+/**
+ * Send a round's failed operations again
+ *
+ * They go back to the front of the queue, ahead of the round's later
+ * operations, with their attempts reset. Call processQueue to send them.
+ *
+ * @param {string|number} roundId - Local or database round ID
+ * @returns {Promise<number>} Number of operations put back in the queue
+ */
+export const retryFailedOperations = async (roundId) => {
+  await loadState();
+
+  const retrying = failedOperations
+    .filter(operation => belongsToRound(operation, roundId))
+    .map(({ failedAt, ...operation }) => ({ ...operation, attempts: 0, serverErrors: 0, nextAttemptAt: 0 }));
+
+  if (retrying.length > 0) {
+    failedOperations = failedOperations.filter(operation => !belongsToRound(operation, roundId));
+    queue = [...retrying, ...queue];
+    await persistState();
+    notifyListeners();
+    console.log(`[syncQueue] Retrying ${retrying.length} failed operations for round ${roundId}`);
+  }
+
+  return retrying.length;
+};
+
+/**
+ * Discard all queued and failed operations for a round
+ *
+ * Used when a round is deleted so its pending uploads don't recreate it.
+ * An operation that is currently uploading is left to finish.
+ *
+ * @param {string|number} roundId - Local or database round ID
+ * @returns {Promise<number>} Number of operations discarded
+ */
+export const discardRoundOperations = async (roundId) => {
+  await loadState();
+
+  const before = queue.length + failedOperations.length;
+
+  queue = queue.filter(operation =>
+    operation.id === inFlightOperationId || !belongsToRound(operation, roundId)
+  );
+  failedOperations = failedOperations.filter(operation => !belongsToRound(operation, roundId));
+
+  const discarded = before - queue.length - failedOperations.length;
+  if (discarded > 0) {
+    await persistState();
+    notifyListeners();
+    console.log(`[syncQueue] Discarded ${discarded} operations for round ${roundId}`);
+  }
+
+  return discarded;
+};
+
+/**
+ * Get the current queue summary
+ *
+ * @returns {Promise<object>} { pendingOperations, failedOperations, pendingRounds, lastError }
+ */
+export const getSyncStatus = async () => {
+  await loadState();
+  return getQueueSnapshot();
+};
+
+/**
+ * Subscribe to queue changes
+ *
+ * @param {Function} listener - Called with the queue summary on every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSyncQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Start background syncing
+ *
+ * Replays the queue on launch and whenever the app returns to the
+ * foreground, which is typically when signal comes back after a round.
+ *
+ * @returns {Function} Cleanup function that stops background syncing
+ */
+export const startSyncQueue = () => {
+  processQueue({ force: true });
+
+  const subscription = AppState.addEventListener("change", (nextState) => {
+    if (nextState === "active") {
+      processQueue({ force: true });
+    }
+  });
+
+  return () => {
+    subscription.remove();
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+      debounceTimer = null;
+    }
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  };
+};
@@ -0,0 +1,268 @@
+// src/services/trendsService.js
+
+import { supabase } from "./supabase";
+import { getHoleDataForRounds } from "./roundservice";
+import { getRoundHoleNumbers } from "../utils/holeRange";
+import { calculateRoundScore } from "../utils/scoring";
+import { getPlayedTee } from "../utils/courseSchema";
+import { calculateRoundStats } from "../utils/roundStats";
+import { normalizeShot } from "../utils/shotModel";
+import { SHOT_TYPES, SHOT_OUTCOMES } from "../utils/shotSequence";
+
+/**
+ * Trends Service
+ *
+ * Aggregates a player's completed rounds into per-round numbers for
+ * charting over time - score to par, gross score, putts and the mix of
+ * shot outcomes for each shot type - plus a short summary for cards.
+ *
+ * Rounds are fetched once and filtered on the device, so changing the
+ * date range or course doesn't need another request.
+ */
+
+// Date range filters offered on the trends screen
+export const TREND_DATE_RANGES = [
+  { key: "30d", label: "30 Days", days: 30 },
+  { key: "90d", label: "90 Days", days: 90 },
+  { key: "1y", label: "1 Year", days: 365 },
+  { key: "all", label: "All Time", days: null }
+];
+
+// Rounds compared in each half of a trend summary
+const SUMMARY_WINDOW = 5;
+
+// Rounds per request, within the server's maximum rows per request
+const ROUNDS_PAGE_SIZE = 1000;
+
+/**
+ * Get all of a player's completed rounds, oldest first
+ *
+ * Rounds are paged until every round the count reports has arrived,
+ * so long histories aren't cut off at the server's maximum rows per request.
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Array<object>>} Rounds table records
+ */
+const getCompletedRounds = async (userId) => {
+  const rounds = [];
+  let total = null;
+
+  while (total === null || rounds.length < total) {
+    const { data, count, error } = await supabase
+      .from("rounds")
+      .select("id, course_id, created_at, hole_numbers, selected_tee_id, selected_tee_name, tee_category", { count: "exact" })
+      .eq("profile_id", userId)
+      .eq("is_complete", true)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+      .range(rounds.length, rounds.length + ROUNDS_PAGE_SIZE - 1);
+
+    if (error) {
+      console.error("[trendsService] Error fetching rounds:", error);
+      throw error;
+    }
+
+    const rows = data || [];
+    rounds.push(...rows);
+    total = count ?? rounds.length;
+
+    // Stop rather than loop if the count and rows ever disagree
+    if (rows.length === 0) break;
+  }
+
+  if (rounds.length < total) {
+    throw new Error(`Only ${rounds.length} of ${total} rounds were loaded`);
+  }
+
+  return rounds;
+};
+
+/**
+ * Work out each outcome's share of the shots of each type
+ *
+ * @param {Array<object>} holes - Shots table records for a round
+ * @returns {object} Keyed by shot type (plus "All"), each
+ *   { total, "On Target": %, "Slightly Off": %, "Recovery Needed": % }
+ */
+const calculateOutcomeMix = (holes) => {
+  const counts = {};
+  [...SHOT_TYPES, "All"].forEach(type => {
+    counts[type] = { total: 0 };
+    SHOT_OUTCOMES.forEach(outcome => {
+      counts[type][outcome] = 0;
+    });
+  });
+
+  (holes || []).forEach(hole => {
+    (hole.hole_data?.shots || []).map(normalizeShot).forEach(shot => {
+      if (!counts[shot.type] || counts[shot.type][shot.result] === undefined) return;
+      counts[shot.type][shot.result] += 1;
+      counts[shot.type].total += 1;
+      counts.All[shot.result] += 1;
+      counts.All.total += 1;
+    });
+  });
+
+  const mix = {};
+  Object.entries(counts).forEach(([type, typeCounts]) => {
+    mix[type] = { total: typeCounts.total };
+    SHOT_OUTCOMES.forEach(outcome => {
+      mix[type][outcome] = typeCounts.total > 0
+        ? Math.round((typeCounts[outcome] / typeCounts.total) * 100)
+        : null;
+    });
+  });
+
+  return mix;
+};
+
+/**
+ * Get trend data for all of a player's completed rounds
+ *
+ * Errors are passed on rather than returned as empty trends, so screens
+ * can tell a player with no rounds from trends that failed to load.
+ *
+ * @param {string} userId - The user's profile ID
+ * @returns {Promise<Object>} {
+ *   rounds,   // Oldest to newest as { roundId, date, courseId, courseName, grossShots,
+ *             //   scoreToPar, holesPlayed, putts, outcomeMix }
+ *   courses   // Courses played as { id, name }, for the course filter
+ * }
+ */
+export const getTrendData = async (userId) => {
+  try {
+    console.log(`[trendsService] Fetching trend data for user ${userId}`);
+
+    const rounds = await getCompletedRounds(userId);
+
+    if (rounds.length === 0) {
+      return { rounds: [], courses: [] };
+    }
+
+    const courseIds = [...new Set(rounds.map(round => round.course_id))];
+    const roundIds = rounds.map(round => round.id);
+
+    const [{ data: courses, error: coursesError }, holes] = await Promise.all([
+      supabase.from("courses").select("id, name, holes, tees").in("id", courseIds),
+      getHoleDataForRounds(roundIds)
+    ]);
+
+    if (coursesError) throw coursesError;
+
+    const coursesById = {};
+    (courses || []).forEach(course => {
+      coursesById[course.id] = course;
+    });
+
+    const holesByRound = {};
+    (holes || []).forEach(hole => {
+      if (!holesByRound[hole.round_id]) {
+        holesByRound[hole.round_id] = [];
+      }
+      holesByRound[hole.round_id].push(hole);
+    });
+
+    const trendRounds = rounds
+      .map(round => {
+        const course = coursesById[round.course_id];
+        const holeNumbers = getRoundHoleNumbers(round);
+        const roundHoles = (holesByRound[round.id] || [])
+          .filter(hole => holeNumbers.includes(hole.hole_number));
+        const playedTee = getPlayedTee(course, round);
+        const score = calculateRoundScore(roundHoles, { courseHoles: course?.holes, holeNumbers, playedTee });
+        const stats = calculateRoundStats(roundHoles, { courseHoles: course?.holes, holeNumbers, playedTee });
+
+        return {
+          roundId: round.id,
+          date: round.created_at,
+          courseId: round.course_id,
+          courseName: course?.name || "Unknown Course",
+          grossShots: score.grossShots,
+          scoreToPar: score.scoreToPar,
+          holesPlayed: score.holesPlayed,
+          putts: stats.putts,
+          outcomeMix: calculateOutcomeMix(roundHoles)
+        };
+      })
+      .filter(round => round.holesPlayed > 0);
+
+    const playedCourses = courseIds
+      .filter(id => coursesById[id])
+      .map(id => ({ id, name: coursesById[id].name }));
+
+    console.log(`[trendsService] ${trendRounds.length} rounds with shots across ${playedCourses.length} courses`);
+    return { rounds: trendRounds, courses: playedCourses };
+  } catch (error) {
+    console.error("[trendsService] Exception in getTrendData:", error);
+    throw error;
+  }
+};
+
+/**
+ * Filter trend rounds by date range and course
+ *
+ * @param {Array<object>} rounds - Rounds from getTrendData
+ * @param {object} filters
+ * @param {string} filters.dateRange - A TREND_DATE_RANGES key
+ * @param {string|null} filters.courseId - Only include rounds at this course
+ * @returns {Array<object>} Matching rounds, oldest to newest
+ */
+export const filterTrendRounds = (rounds, { dateRange = "all", courseId = null } = {}) => {
+  const range = TREND_DATE_RANGES.find(option => option.key === dateRange);
+  const since = range?.days ? Date.now() - range.days * 24 * 60 * 60 * 1000 : null;
+
+  return (rounds || []).filter(round =>
+    (!since || new Date(round.date).getTime() >= since) &&
+    (!courseId || round.courseId === courseId)
+  );
+};
+
+/**
+ * Average a numeric field over rounds, ignoring rounds where it's unknown
+ */
+const averageOf = (rounds, getValue) => {
+  const values = rounds.map(getValue).filter(value => value !== null && value !== undefined);
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((total, value) => total + value, 0) / values.length) * 10) / 10;
+};
+
+/**
+ * Summarize recent form against the rounds before it
+ *
+ * Nine-hole and partial rounds are scaled to 18 holes from the holes
+ * played, so score to par and putts compare fairly across round lengths.
+ *
+ * @param {Array<object>} rounds - Rounds from getTrendData, oldest to newest
+ * @param {number} windowSize - Rounds in each half of the comparison
+ * @returns {object} For scoreToPar, putts and onTarget:
+ *   { recent, previous, change } (values per 18 holes; onTarget as a percentage)
+ *   plus roundsCounted
+ */
+export const summarizeTrends = (rounds, windowSize = SUMMARY_WINDOW) => {
+  const recent = (rounds || []).slice(-windowSize);
+  const previous = (rounds || []).slice(-windowSize * 2, -windowSize);
+
+  const per18 = (getValue) => (round) => {
+    const value = getValue(round);
+    return value === null || !round.holesPlayed ? null : (value / round.holesPlayed) * 18;
+  };
+
+  const summarize = (getValue) => {
+    const recentValue = averageOf(recent, getValue);
+    const previousValue = averageOf(previous, getValue);
+    return {
+      recent: recentValue,
+      previous: previousValue,
+      change: recentValue !== null && previousValue !== null
+        ? Math.round((recentValue - previousValue) * 10) / 10
+        : null
+    };
+  };
+
+  return {
+    roundsCounted: recent.length,
+    scoreToPar: summarize(per18(round => round.scoreToPar)),
+    putts: summarize(per18(round => round.putts)),
+    onTarget: summarize(round => round.outcomeMix.All["On Target"])
+  };
+};
@@ -102,6 +102,9 @@ const createHomeStackConfig = () => {
       },
       ScorecardScreen: {
         options: getHeaderOptions("Scorecard")
+      },
+      CourseEditor: {
+        options: getHeaderOptions("Course Details")
       }
     }
   };
@@ -121,6 +124,9 @@ const createRoundsStackConfig = () => {
       },
       ScorecardScreen: {
         options: getHeaderOptions("Scorecard")
+      },
+      RoundStatsScreen: {
+        options: getHeaderOptions("Round Stats")
       }
     }
   };
@@ -137,6 +143,12 @@ const createInsightsStackConfig = () => {
     screenConfigs: {
       InsightsScreen: {
         options: getHeaderOptions("Golf Insights")
+      },
+      TrendsScreen: {
+        options: getHeaderOptions("Performance Trends")
+      },
+      PracticeScreen: {
+        options: getHeaderOptions("Practice Plan")
       }
     }
   };
@@ -153,6 +165,12 @@ const createProfileStackConfig = () => {
     screenConfigs: {
       ProfileScreen: {
         options: getHeaderOptions("Profile")
+      },
+      ImportRoundsScreen: {
+        options: getHeaderOptions("Import Rounds")
+      },
+      CourseEditor: {
+        options: getHeaderOptions("Course Details")
       }
     }
   };
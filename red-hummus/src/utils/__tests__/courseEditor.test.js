@@ -0,0 +1,232 @@
+// src/utils/__tests__/courseEditor.test.js
+
+import {
+  parseWholeNumber,
+  createTeeDraft,
+  createEmptyCourseDraft,
+  createCourseDraftFromCourse,
+  setDraftHoleCount,
+  sumDraftPar,
+  sumDraftDistance,
+  validateCourseDraft,
+  buildCourseRecord
+} from "../courseEditor";
+
+const NINE_PARS = [4, 4, 3, 5, 4, 4, 3, 5, 4];
+
+// A complete 9-hole draft with one rated White tee
+const completeDraft = () => {
+  const draft = createEmptyCourseDraft(9);
+  const tee = { ...draft.tees[0], name: "White", courseRating: "35.4", slopeRating: "121" };
+
+  return {
+    ...draft,
+    name: "Riverside",
+    clubName: "Riverside Golf Club",
+    location: "Springfield",
+    par: "36",
+    tees: [tee],
+    holes: draft.holes.map((hole, index) => ({
+      ...hole,
+      par: String(NINE_PARS[index]),
+      strokeIndex: String(index * 2 + 1),
+      distances: { [tee.key]: "350" }
+    }))
+  };
+};
+
+describe("parseWholeNumber", () => {
+  it("reads whole numbers and rejects anything else", () => {
+    expect(parseWholeNumber(" 42 ")).toBe(42);
+    expect(parseWholeNumber(7)).toBe(7);
+    expect(parseWholeNumber("4.5")).toBeNull();
+    expect(parseWholeNumber("-3")).toBeNull();
+    expect(parseWholeNumber("")).toBeNull();
+    expect(parseWholeNumber(null)).toBeNull();
+  });
+});
+
+describe("drafts", () => {
+  it("gives each tee its own key", () => {
+    expect(createTeeDraft().key).not.toBe(createTeeDraft().key);
+  });
+
+  it("keeps filled-in holes when the hole count changes", () => {
+    const draft = completeDraft();
+    const eighteen = setDraftHoleCount(draft, 18);
+
+    expect(eighteen.holes).toHaveLength(18);
+    expect(eighteen.holes[0].par).toBe("4");
+    expect(eighteen.holes[17]).toMatchObject({ number: 18, par: "" });
+    expect(setDraftHoleCount(eighteen, 9).holes).toEqual(draft.holes);
+  });
+
+  it("totals par and tee yardage, ignoring blanks", () => {
+    const draft = completeDraft();
+    draft.holes[0] = { ...draft.holes[0], par: "", distances: {} };
+
+    expect(sumDraftPar(draft)).toBe(32);
+    expect(sumDraftDistance(draft, draft.tees[0].key)).toBe(2800);
+  });
+});
+
+describe("createCourseDraftFromCourse", () => {
+  it("fills in the form from a course, keeping fields the editor doesn't show", () => {
+    const draft = createCourseDraftFromCourse({
+      name: "Riverside",
+      club_name: null,
+      par: 36,
+      tees: [{ id: "white", name: "White", color: "#FFFFFF", gender: "Ladies", course_rating: 35.4, slope_rating: 121, total_distance: 3150, notes: "Moved 2023" }],
+      holes: [{ number: 1, par_men: 4, index_men: 1, distances: { white: 350 }, par_women: 5 }]
+    });
+
+    expect(draft).toMatchObject({ name: "Riverside", clubName: "", par: "36" });
+    expect(draft.holes).toHaveLength(9);
+    expect(draft.tees[0]).toMatchObject({ id: "white", category: "women", courseRating: "35.4", slopeRating: "121", extra: { notes: "Moved 2023" } });
+    expect(draft.holes[0]).toMatchObject({ par: "4", strokeIndex: "1", extra: { par_women: 5 } });
+    expect(draft.holes[0].distances).toEqual({ [draft.tees[0].key]: "350" });
+    expect(draft.holes[1].par).toBe("");
+  });
+
+  it("starts an 18-hole draft for courses with more than nine holes, and adds a tee if there are none", () => {
+    const holes = Array.from({ length: 12 }, (_, index) => ({ number: index + 1, par_men: 4 }));
+    const draft = createCourseDraftFromCourse({ name: "Big", holes });
+
+    expect(draft.holes).toHaveLength(18);
+    expect(draft.holes[11].par).toBe("4");
+    expect(draft.tees).toHaveLength(1);
+  });
+});
+
+describe("validateCourseDraft", () => {
+  it("accepts a complete draft", () => {
+    expect(validateCourseDraft(completeDraft())).toEqual({ errors: [], warnings: [] });
+  });
+
+  it("lists every missing detail of an empty draft", () => {
+    const { errors, warnings } = validateCourseDraft(createEmptyCourseDraft(9));
+
+    expect(errors).toEqual([
+      "Enter the course name",
+      "Enter a par from 3 to 6 for holes 1, 2, 3, 4, 5, 6, 7, 8, 9",
+      "Enter the course par",
+      "Enter a stroke index from 1 to 18 for holes 1, 2, 3, 4, 5, 6, 7, 8, 9",
+      "Every tee needs a name",
+      "Unnamed tees: enter yards from 50 to 700 for holes 1, 2, 3, 4, 5, 6, 7, 8, 9"
+    ]);
+    expect(warnings).toEqual(["Unnamed tees have no rating, so rounds from them won't count towards a handicap"]);
+  });
+
+  it("checks the hole pars add up to the course par", () => {
+    const draft = { ...completeDraft(), par: "35" };
+    expect(validateCourseDraft(draft).errors).toEqual(["Hole pars add up to 36, but the course par is 35"]);
+  });
+
+  it("names the holes with an out-of-range par", () => {
+    const draft = completeDraft();
+    draft.holes[2] = { ...draft.holes[2], par: "7" };
+    expect(validateCourseDraft(draft).errors).toEqual(["Enter a par from 3 to 6 for hole 3"]);
+  });
+
+  it("needs a different stroke index on each hole", () => {
+    const draft = completeDraft();
+    draft.holes[1] = { ...draft.holes[1], strokeIndex: "1" };
+    expect(validateCourseDraft(draft).errors).toEqual(["Each hole needs a different stroke index"]);
+  });
+
+  it("allows stroke indexes up to 18 on nine holes but not above the hole count on eighteen", () => {
+    const nine = completeDraft();
+    nine.holes[8] = { ...nine.holes[8], strokeIndex: "18" };
+    expect(validateCourseDraft(nine).errors).toEqual([]);
+
+    const eighteen = setDraftHoleCount(completeDraft(), 18);
+    const teeKey = eighteen.tees[0].key;
+    eighteen.par = "72";
+    eighteen.holes = eighteen.holes.map((hole, index) => ({
+      ...hole,
+      par: String(NINE_PARS[index % 9]),
+      strokeIndex: String(index + 1),
+      distances: { [teeKey]: "350" }
+    }));
+    expect(validateCourseDraft(eighteen).errors).toEqual([]);
+
+    eighteen.holes[0] = { ...eighteen.holes[0], strokeIndex: "19" };
+    expect(validateCourseDraft(eighteen).errors).toEqual(["Enter a stroke index from 1 to 18 for hole 1"]);
+  });
+
+  it("needs distinct tee names, ignoring case", () => {
+    const draft = completeDraft();
+    const second = { ...createTeeDraft("white"), courseRating: "34.0", slopeRating: "118" };
+    draft.tees = [...draft.tees, second];
+    draft.holes = draft.holes.map(hole => ({ ...hole, distances: { ...hole.distances, [second.key]: "300" } }));
+
+    expect(validateCourseDraft(draft).errors).toEqual(["Each tee needs a different name"]);
+  });
+
+  it("checks rating ranges and that both ratings are given together", () => {
+    const outOfRange = completeDraft();
+    outOfRange.tees[0] = { ...outOfRange.tees[0], courseRating: "95", slopeRating: "160" };
+    expect(validateCourseDraft(outOfRange).errors).toEqual([
+      "White tees: course rating must be from 25 to 90",
+      "White tees: slope rating must be from 55 to 155"
+    ]);
+
+    const halfRated = completeDraft();
+    halfRated.tees[0] = { ...halfRated.tees[0], slopeRating: "" };
+    expect(validateCourseDraft(halfRated).errors).toEqual(["White tees: enter both the course and slope rating, or neither"]);
+
+    const tooPrecise = completeDraft();
+    tooPrecise.tees[0] = { ...tooPrecise.tees[0], courseRating: "35.45" };
+    expect(validateCourseDraft(tooPrecise).errors).toEqual(["White tees: course rating must be from 25 to 90"]);
+  });
+
+  it("warns rather than blocks when a tee has no rating", () => {
+    const draft = completeDraft();
+    draft.tees[0] = { ...draft.tees[0], courseRating: "", slopeRating: "" };
+
+    expect(validateCourseDraft(draft)).toEqual({
+      errors: [],
+      warnings: ["White tees have no rating, so rounds from them won't count towards a handicap"]
+    });
+  });
+
+  it("rejects drafts without 9 or 18 holes or without tees", () => {
+    const draft = { ...completeDraft(), tees: [] };
+    draft.holes = draft.holes.slice(0, 8);
+
+    const { errors } = validateCourseDraft(draft);
+    expect(errors).toContain("A course must have 9 or 18 holes");
+    expect(errors).toContain("Add at least one tee");
+  });
+});
+
+describe("buildCourseRecord", () => {
+  it("builds the courses table's holes and tees JSON", () => {
+    const draft = completeDraft();
+    const record = buildCourseRecord(draft);
+
+    expect(record).toMatchObject({ name: "Riverside", club_name: "Riverside Golf Club", location: "Springfield", par: 36 });
+    expect(record.tees).toEqual([
+      { id: "white", name: "White", color: "#FFFFFF", category: null, course_rating: 35.4, slope_rating: 121, total_distance: 3150 }
+    ]);
+    expect(record.holes[0]).toEqual({ number: 1, par_men: 4, index_men: 1, distances: { white: 350 } });
+  });
+
+  it("keeps existing tee IDs and extra fields, and makes new IDs unique", () => {
+    const draft = createCourseDraftFromCourse({
+      name: "Riverside",
+      par: 36,
+      tees: [{ id: "blue", name: "Blue", color: "#1E5AA8", category: "men", notes: "Moved 2023" }],
+      holes: [{ number: 1, par_men: 4, index_men: 1, distances: { blue: 400 }, par_women: 5 }]
+    });
+    draft.tees = [...draft.tees, createTeeDraft("Blue!"), createTeeDraft("")];
+
+    const record = buildCourseRecord(draft);
+
+    expect(record.tees.map(tee => tee.id)).toEqual(["blue", "blue-2", "tee"]);
+    expect(record.tees[0]).toMatchObject({ category: "men", notes: "Moved 2023" });
+    expect(record.holes[0].par_women).toBe(5);
+    expect(record.club_name).toBeNull();
+    expect(record.location).toBeNull();
+  });
+});
@@ -0,0 +1,293 @@
+// src/utils/__tests__/courseSchema.test.js
+
+import {
+  COURSE_WARNING,
+  toCourseInteger,
+  getTeeKey,
+  normalizeTeeCategory,
+  normalizeCourse,
+  getCourseHole,
+  getHoleDistance,
+  getPlayedTee,
+  getHoleParForTee,
+  getHoleIndexForTee,
+  getCourseWarnings
+} from "../courseSchema";
+
+const NINE_PARS = [4, 4, 3, 5, 4, 4, 3, 5, 4];
+
+// A clean 9-hole course with one rated tee
+const nineHoleCourse = (overrides = {}) => ({
+  id: 3,
+  name: "Riverside",
+  par: 36,
+  tees: [{ id: "white", name: "White", color: "#FFFFFF", course_rating: 35.4, slope_rating: 121 }],
+  holes: NINE_PARS.map((par, index) => ({
+    number: index + 1,
+    par_men: par,
+    index_men: index * 2 + 1,
+    distances: { white: 350 }
+  })),
+  ...overrides
+});
+
+const warningCodes = (course) => normalizeCourse(course).warnings.map(warning => warning.code);
+
+describe("toCourseInteger", () => {
+  it("reads positive numbers and numeric strings", () => {
+    expect(toCourseInteger(4)).toBe(4);
+    expect(toCourseInteger(" 18 ")).toBe(18);
+    expect(toCourseInteger(4.6)).toBe(5);
+  });
+
+  it("returns null for anything else", () => {
+    expect([0, -3, "", "four", null, undefined, NaN, {}].map(toCourseInteger)).toEqual(
+      [null, null, null, null, null, null, null, null]
+    );
+  });
+});
+
+describe("getTeeKey", () => {
+  it("trims and lowercases tee names", () => {
+    expect(getTeeKey(" Blue ")).toBe("blue");
+    expect(getTeeKey(null)).toBe("");
+  });
+});
+
+describe("normalizeTeeCategory", () => {
+  it("reads the ways categories and genders are written", () => {
+    expect(["Men", "gents", "M"].map(normalizeTeeCategory)).toEqual(["men", "men", "men"]);
+    expect(["Ladies", "women's", "F"].map(normalizeTeeCategory)).toEqual(["women", "women", "women"]);
+    expect(["Jr.", "Youth"].map(normalizeTeeCategory)).toEqual(["junior", "junior"]);
+    expect(["", null, "seniors"].map(normalizeTeeCategory)).toEqual([null, null, null]);
+  });
+});
+
+describe("normalizeCourse", () => {
+  it("returns null without a course", () => {
+    expect(normalizeCourse(null)).toBeNull();
+  });
+
+  it("leaves a clean course without warnings, totalling tee yardage", () => {
+    const course = normalizeCourse(nineHoleCourse());
+
+    expect(course.warnings).toEqual([]);
+    expect(course.has_tee_data).toBe(true);
+    expect(course.tees[0].total_distance).toBe(3150);
+    expect(course.holes[0]).toEqual({
+      number: 1,
+      par_men: 4,
+      index_men: 1,
+      par_women: null,
+      index_women: null,
+      par_junior: null,
+      index_junior: null,
+      par_by_tee: {},
+      index_by_tee: {},
+      distances: { white: 350 }
+    });
+    expect(course.tees[0].category).toBeNull();
+  });
+
+  it("reads holes stored as an object, with string values and old field names", () => {
+    const course = normalizeCourse({
+      name: "Old Format",
+      holes: {
+        2: { number: "2", par: "3", index: "9", distances: { " White ": "160" } },
+        1: { number: 1, par: 4, index: 1, distances: { White: 380, Blue: 0 } }
+      },
+      tees: [{ name: " White ", rating: "34.76", slope: "118" }]
+    });
+
+    expect(course.holes.map(hole => [hole.number, hole.par_men, hole.index_men])).toEqual([[1, 4, 1], [2, 3, 9]]);
+    expect(course.holes[1].distances).toEqual({ white: 160 });
+    expect(course.tees[0]).toMatchObject({ id: "white", name: "White", course_rating: 34.8, slope_rating: 118, total_distance: 540 });
+    expect(course.par).toBe(7);
+  });
+
+  it("keeps fields it doesn't know about", () => {
+    const raw = nineHoleCourse({ location: "Springfield" });
+    raw.holes[0] = { ...raw.holes[0], notes: "Dogleg left" };
+    raw.tees[0] = { ...raw.tees[0], gender: "men" };
+
+    const course = normalizeCourse(raw);
+    expect(course.location).toBe("Springfield");
+    expect(course.holes[0].notes).toBe("Dogleg left");
+    expect(course.tees[0].gender).toBe("men");
+  });
+
+  it("warns about missing, duplicate and out-of-range holes", () => {
+    const raw = nineHoleCourse();
+    raw.holes = [raw.holes[0], { ...raw.holes[0], par_men: 5 }, ...raw.holes.slice(3)];
+
+    const course = normalizeCourse(raw);
+    expect(course.holes[0].par_men).toBe(4);
+    expect(course.warnings.slice(0, 2)).toEqual([
+      { code: COURSE_WARNING.MISSING_HOLES, message: "No information for holes 2, 3", holes: [2, 3] },
+      { code: COURSE_WARNING.DUPLICATE_HOLES, message: "More than one entry for hole 1 - the first is used", holes: [1] }
+    ]);
+
+    expect(warningCodes({ ...raw, holes: [{ number: 21, par_men: 4, index_men: 1 }] })).toContain(COURSE_WARNING.HOLE_COUNT);
+    expect(warningCodes({ ...raw, holes: [] })).toContain(COURSE_WARNING.NO_HOLES);
+  });
+
+  it("uses the given par and warns when the hole pars disagree", () => {
+    const course = normalizeCourse(nineHoleCourse({ par: 35 }));
+
+    expect(course.par).toBe(35);
+    expect(course.warnings).toEqual([
+      { code: COURSE_WARNING.PAR_MISMATCH, message: "Hole pars add up to 36, but the course par is 35" }
+    ]);
+  });
+
+  it("leaves par unknown when a hole has none", () => {
+    const raw = nineHoleCourse({ par: null });
+    raw.holes[4] = { ...raw.holes[4], par_men: null };
+
+    const course = normalizeCourse(raw);
+    expect(course.par).toBeNull();
+    expect(course.warnings.map(warning => warning.code)).toEqual([COURSE_WARNING.MISSING_PAR]);
+    expect(course.warnings[0].holes).toEqual([5]);
+  });
+
+  it("warns about missing and shared stroke indexes", () => {
+    const missing = nineHoleCourse();
+    missing.holes[0] = { ...missing.holes[0], index_men: null };
+    expect(warningCodes(missing)).toEqual([COURSE_WARNING.MISSING_INDEX]);
+
+    const shared = nineHoleCourse();
+    shared.holes[1] = { ...shared.holes[1], index_men: 1 };
+    expect(warningCodes(shared)).toEqual([COURSE_WARNING.DUPLICATE_INDEX]);
+  });
+
+  it("warns when only some holes have women's values", () => {
+    const raw = nineHoleCourse();
+    raw.holes[0] = { ...raw.holes[0], par_women: 5 };
+
+    const [warning] = normalizeCourse(raw).warnings;
+    expect(warning.code).toBe(COURSE_WARNING.PARTIAL_WOMENS_DATA);
+    expect(warning.holes).toEqual([2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it("warns about tee problems against the tee they belong to", () => {
+    const raw = nineHoleCourse({
+      tees: [
+        { id: "white", name: "White", course_rating: 35.4, slope_rating: 121 },
+        { id: "red", name: "Red" },
+        { name: "" }
+      ]
+    });
+    raw.holes[0] = { ...raw.holes[0], distances: { white: 350, gold: 400 } };
+
+    const course = normalizeCourse(raw);
+    expect(course.tees.map(tee => tee.id)).toEqual(["white", "red"]);
+    expect(course.tees[1].total_distance).toBeNull();
+    expect(course.warnings).toEqual([
+      { code: COURSE_WARNING.UNNAMED_TEE, message: "A tee without a name was left out" },
+      {
+        code: COURSE_WARNING.MISSING_DISTANCES,
+        message: "Red tees have no yardage for holes 1, 2, 3, 4, 5, 6, 7, 8, 9",
+        teeId: "red",
+        holes: [1, 2, 3, 4, 5, 6, 7, 8, 9]
+      },
+      {
+        code: COURSE_WARNING.UNRATED_TEE,
+        message: "Red tees aren't rated, so rounds from them won't count towards your handicap",
+        teeId: "red"
+      },
+      { code: COURSE_WARNING.UNKNOWN_DISTANCES, message: "Yardages for gold don't match any tee and won't be used" }
+    ]);
+  });
+
+  it("reads tee categories and warns when a forward tee has no values of its own", () => {
+    const raw = nineHoleCourse({
+      tees: [
+        { id: "white", name: "White", course_rating: 35.4, slope_rating: 121 },
+        { id: "red", name: "Red", gender: "Ladies", course_rating: 36.1, slope_rating: 125 },
+        { id: "green", name: "Green", category: "junior", course_rating: 33.0, slope_rating: 110 }
+      ]
+    });
+    raw.holes = raw.holes.map(hole => ({
+      ...hole,
+      par_junior: hole.par_men,
+      distances: { white: 350, red: 300, green: 250 }
+    }));
+
+    const course = normalizeCourse(raw);
+    expect(course.tees.map(tee => tee.category)).toEqual([null, "women", "junior"]);
+    expect(course.warnings).toEqual([{
+      code: COURSE_WARNING.MISSING_CATEGORY_VALUES,
+      message: "Red tees are for women, but there's no women's par or stroke index - the men's values are used",
+      teeId: "red"
+    }]);
+  });
+
+  it("warns when a course has no tees", () => {
+    const course = normalizeCourse(nineHoleCourse({ tees: null }));
+
+    expect(course.has_tee_data).toBe(false);
+    expect(course.warnings.map(warning => warning.code)).toEqual([COURSE_WARNING.NO_TEES]);
+  });
+
+  it("skips hole warnings for list queries without holes", () => {
+    const course = normalizeCourse({ id: 3, name: "Riverside", tees: [{ name: "White", course_rating: 35.4, slope_rating: 121 }] });
+
+    expect(course.holes).toBeUndefined();
+    expect(course.warnings).toEqual([]);
+  });
+});
+
+describe("course lookups", () => {
+  const course = normalizeCourse(nineHoleCourse());
+
+  it("finds holes by number", () => {
+    expect(getCourseHole(course, 3).par_men).toBe(3);
+    expect(getCourseHole(course, 12)).toBeNull();
+    expect(getCourseHole(null, 1)).toBeNull();
+  });
+
+  it("finds a hole's yardage from a tee in any case", () => {
+    expect(getHoleDistance(getCourseHole(course, 1), "WHITE")).toBe(350);
+    expect(getHoleDistance(getCourseHole(course, 1), "Blue")).toBeNull();
+    expect(getHoleDistance(getCourseHole(course, 1), null)).toBeNull();
+  });
+
+  it("describes the played tee, preferring the round's category", () => {
+    const tees = { tees: [{ id: "red", name: "Red", category: "women" }] };
+
+    expect(getPlayedTee(tees, { selected_tee_id: "red", selected_tee_name: "Red" })).toEqual({ name: "Red", category: "women" });
+    expect(getPlayedTee(tees, { selected_tee_name: "red", tee_category: "junior" })).toEqual({ name: "red", category: "junior" });
+    expect(getPlayedTee(null, { selected_tee_name: "Blue" })).toEqual({ name: "Blue", category: "men" });
+  });
+
+  it("looks up par and stroke index for the tee played", () => {
+    const hole = {
+      par_men: 5,
+      index_men: 3,
+      par_women: 4,
+      index_women: "11",
+      par_by_tee: { Gold: 3 },
+      index_by_tee: { gold: 17 }
+    };
+
+    expect(getHoleParForTee(hole, { name: "gold", category: "women" })).toBe(3);
+    expect(getHoleIndexForTee(hole, { name: "Gold", category: "men" })).toBe(17);
+    expect(getHoleParForTee(hole, { name: "Red", category: "women" })).toBe(4);
+    expect(getHoleIndexForTee(hole, { name: "Red", category: "women" })).toBe(11);
+    expect(getHoleParForTee(hole, { name: "Green", category: "junior" })).toBe(5);
+    expect(getHoleIndexForTee(hole)).toBe(3);
+    expect(getHoleParForTee(null, { name: "Red", category: "women" })).toBeNull();
+  });
+
+  it("keeps course warnings and those for the tee being played", () => {
+    const warnings = [
+      { code: COURSE_WARNING.MISSING_PAR },
+      { code: COURSE_WARNING.UNRATED_TEE, teeId: "white" },
+      { code: COURSE_WARNING.UNRATED_TEE, teeId: "red" }
+    ];
+
+    expect(getCourseWarnings({ warnings }, "white")).toEqual(warnings.slice(0, 2));
+    expect(getCourseWarnings({ warnings })).toEqual(warnings.slice(0, 1));
+    expect(getCourseWarnings(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,33 @@
+// src/utils/__tests__/drills.test.js
+
+import { DRILLS, PRACTICE_SHOT_TYPES, PRACTICE_AREA_NAMES, getDrill, getDrillsForShotType } from "../drills";
+
+describe("drill library", () => {
+  it("has unique IDs", () => {
+    const ids = DRILLS.map(drill => drill.id);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it("has at least two drills and a name for every practice shot type", () => {
+    PRACTICE_SHOT_TYPES.forEach(shotType => {
+      expect(getDrillsForShotType(shotType).length).toBeGreaterThanOrEqual(2);
+      expect(PRACTICE_AREA_NAMES[shotType]).toBeTruthy();
+    });
+    expect(PRACTICE_SHOT_TYPES).not.toContain("Penalties");
+  });
+
+  it("scores every drill as successes out of attempts", () => {
+    DRILLS.forEach(drill => {
+      expect(drill.attempts).toBeGreaterThan(0);
+      expect(drill.minutes).toBeGreaterThan(0);
+      expect(drill.successLabel).toBeTruthy();
+    });
+  });
+});
+
+describe("getDrill", () => {
+  it("looks up drills by ID", () => {
+    expect(getDrill("fairway-gates").shotType).toBe("Tee Shot");
+    expect(getDrill("no-such-drill")).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+// src/utils/__tests__/groupRound.test.js
+
+import {
+  SCORER_KEY,
+  createGuestPlayer,
+  createRegisteredPlayer,
+  getRoundPlayers,
+  isGroupRound,
+  getPlayerShots,
+  buildPlayerHoleRecords
+} from "../groupRound";
+
+const holeData = {
+  par: 4,
+  shots: [{ type: "Drive" }, { type: "Putt" }],
+  players: { "guest-1": { shots: [{ type: "Drive" }, { type: "Approach" }, { type: "Putt" }] } }
+};
+
+describe("players", () => {
+  it("creates guests with a unique key and no profile", () => {
+    const guest = createGuestPlayer("  Sam ", 12.4);
+    expect(guest).toMatchObject({ name: "Sam", profile_id: null, handicap_index: 12.4 });
+    expect(guest.key).toMatch(/^guest-/);
+    expect(createGuestPlayer("Sam").key).not.toBe(guest.key);
+  });
+
+  it("keys registered players by profile ID", () => {
+    expect(createRegisteredPlayer({ id: "abc", email: "sam@example.com" })).toEqual({
+      key: "user-abc",
+      name: "sam@example.com",
+      profile_id: "abc",
+      handicap_index: null
+    });
+  });
+
+  it("lists the scorer first", () => {
+    const round = { profile_id: "me", players: [{ key: "guest-1", name: "Sam", profile_id: null }] };
+    expect(getRoundPlayers(round).map(player => player.key)).toEqual([SCORER_KEY, "guest-1"]);
+    expect(getRoundPlayers(round)[0]).toMatchObject({ name: "You", profile_id: "me" });
+    expect(getRoundPlayers(null)).toHaveLength(1);
+  });
+
+  it("is a group round only with partners", () => {
+    expect(isGroupRound({ players: [{ key: "guest-1" }] })).toBe(true);
+    expect(isGroupRound({ players: [] })).toBe(false);
+    expect(isGroupRound({})).toBe(false);
+  });
+});
+
+describe("getPlayerShots", () => {
+  it("reads the scorer from the top level and partners from players", () => {
+    expect(getPlayerShots(holeData, SCORER_KEY)).toHaveLength(2);
+    expect(getPlayerShots(holeData, "guest-1")).toHaveLength(3);
+    expect(getPlayerShots(holeData, "guest-2")).toEqual([]);
+    expect(getPlayerShots(null, SCORER_KEY)).toEqual([]);
+  });
+});
+
+describe("buildPlayerHoleRecords", () => {
+  it("moves a partner's shots to the top level", () => {
+    const [record] = buildPlayerHoleRecords([{ hole_number: 1, hole_data: holeData, total_score: 2 }], "guest-1");
+
+    expect(record.hole_number).toBe(1);
+    expect(record.total_score).toBe(3);
+    expect(record.hole_data.par).toBe(4);
+    expect(record.hole_data.shots).toHaveLength(3);
+    expect(record.hole_data.players).toBeUndefined();
+  });
+});
@@ -0,0 +1,178 @@
+// src/utils/__tests__/handicap.test.js
+
+import {
+  getTeeRatings,
+  calculateScoreDifferential,
+  calculateHandicapIndex,
+  calculateCourseHandicap,
+  allocateHandicapStrokes,
+  findRoundTee,
+  buildHandicapHoles,
+  getRoundHandicapStrokes,
+  calculateAdjustedGrossScore,
+  buildHandicapHistory,
+  formatHandicapIndex
+} from "../handicap";
+
+const RATINGS = { courseRating: 72, slopeRating: 113 };
+
+describe("getTeeRatings", () => {
+  it("reads either naming convention", () => {
+    expect(getTeeRatings({ course_rating: 71.2, slope_rating: 128 })).toEqual({ courseRating: 71.2, slopeRating: 128 });
+    expect(getTeeRatings({ rating: "69.5", slope: "120" })).toEqual({ courseRating: 69.5, slopeRating: 120 });
+  });
+
+  it("returns null for unrated tees", () => {
+    expect(getTeeRatings({ course_rating: 71.2 })).toBeNull();
+    expect(getTeeRatings(null)).toBeNull();
+  });
+});
+
+describe("calculateScoreDifferential", () => {
+  it("scales the score over the rating by slope", () => {
+    expect(calculateScoreDifferential(85, 72, 113)).toBe(13);
+    expect(calculateScoreDifferential(90, 71.5, 130)).toBe(16.1);
+  });
+});
+
+describe("calculateHandicapIndex", () => {
+  it("needs at least three scores", () => {
+    expect(calculateHandicapIndex([10, 12])).toBeNull();
+  });
+
+  it("applies the adjustment for few scores", () => {
+    expect(calculateHandicapIndex([10, 12, 14])).toBe(8);
+  });
+
+  it("averages the best 8 of the most recent 20", () => {
+    const differentials = [40, ...Array.from({ length: 20 }, (_, i) => i + 1)];
+    expect(calculateHandicapIndex(differentials)).toBe(4.5);
+  });
+
+  it("is capped at 54", () => {
+    expect(calculateHandicapIndex([70, 70, 70, 70, 70])).toBe(54);
+  });
+});
+
+describe("calculateCourseHandicap", () => {
+  it("adjusts the index for slope and rating over par", () => {
+    expect(calculateCourseHandicap(18, RATINGS, 72)).toBe(18);
+    expect(calculateCourseHandicap(10, { courseRating: 73.1, slopeRating: 130 }, 72)).toBe(13);
+  });
+
+  it("halves the index and rating for nine holes", () => {
+    expect(calculateCourseHandicap(18, RATINGS, 36, 9)).toBe(9);
+  });
+
+  it("scales custom hole ranges by the share of 18 holes played", () => {
+    expect(calculateCourseHandicap(18, RATINGS, 48, 12)).toBe(12);
+    expect(calculateCourseHandicap(18, RATINGS, 60, 15)).toBe(15);
+    expect(calculateCourseHandicap(18, RATINGS, 16, 4)).toBe(4);
+  });
+
+  it("returns null without an index, ratings or par", () => {
+    expect(calculateCourseHandicap(null, RATINGS, 72)).toBeNull();
+    expect(calculateCourseHandicap(10, null, 72)).toBeNull();
+    expect(calculateCourseHandicap(10, RATINGS, 0)).toBeNull();
+  });
+});
+
+describe("allocateHandicapStrokes", () => {
+  const holes = [
+    { number: 1, strokeIndex: 3 },
+    { number: 2, strokeIndex: 1 },
+    { number: 3, strokeIndex: 2 }
+  ];
+
+  it("gives strokes to the hardest holes first", () => {
+    expect(allocateHandicapStrokes(2, holes)).toEqual({ 1: 0, 2: 1, 3: 1 });
+  });
+
+  it("wraps round for handicaps larger than the holes played", () => {
+    expect(allocateHandicapStrokes(4, holes)).toEqual({ 1: 1, 2: 2, 3: 1 });
+  });
+
+  it("gives strokes back on the easiest holes for plus handicaps", () => {
+    expect(allocateHandicapStrokes(-1, holes)).toEqual({ 1: -1, 2: 0, 3: 0 });
+  });
+
+  it("puts holes without a stroke index last", () => {
+    expect(allocateHandicapStrokes(1, [{ number: 1 }, { number: 2, strokeIndex: 18 }])).toEqual({ 1: 0, 2: 1 });
+  });
+});
+
+describe("findRoundTee", () => {
+  const course = { tees: [{ id: "white", name: "White" }, { id: "red", name: "Red" }] };
+
+  it("matches by ID, then by name", () => {
+    expect(findRoundTee(course, { selected_tee_id: "red" }).name).toBe("Red");
+    expect(findRoundTee(course, { selected_tee_id: "old", selected_tee_name: "White" }).id).toBe("white");
+    expect(findRoundTee(course, { selected_tee_id: "blue" })).toBeNull();
+  });
+});
+
+describe("buildHandicapHoles", () => {
+  it("takes par and stroke index from the hole, then the course", () => {
+    const holes = buildHandicapHoles(
+      [{ hole_number: 1, hole_data: { par: 4, index: 7, shots: [{}, {}, {}, {}, {}] }, total_score: 5 }],
+      [{ number: 1, par_men: 5, index_men: 1 }, { number: 2, par_men: 3, index_men: 17 }],
+      [1, 2]
+    );
+
+    expect(holes).toEqual([
+      { number: 1, par: 4, strokeIndex: 7, score: 5 },
+      { number: 2, par: 3, strokeIndex: 17, score: 0 }
+    ]);
+  });
+});
+
+describe("getRoundHandicapStrokes", () => {
+  it("works out the course handicap and strokes for the holes played", () => {
+    const holes = Array.from({ length: 9 }, (_, i) => ({ number: i + 1, par: 4, strokeIndex: i + 1 }));
+    const { courseHandicap, strokes } = getRoundHandicapStrokes(10, { course_rating: 72, slope_rating: 113 }, holes);
+
+    expect(courseHandicap).toBe(5);
+    expect(Object.values(strokes).reduce((sum, value) => sum + value, 0)).toBe(5);
+    expect(strokes[1]).toBe(1);
+    expect(strokes[9]).toBe(0);
+  });
+
+  it("gives no strokes from an unrated tee", () => {
+    expect(getRoundHandicapStrokes(10, {}, [{ number: 1, par: 4 }])).toEqual({ courseHandicap: null, strokes: {} });
+  });
+});
+
+describe("calculateAdjustedGrossScore", () => {
+  const holes = [
+    { number: 1, par: 4, score: 9 },
+    { number: 2, par: 3, score: 4 }
+  ];
+
+  it("caps each hole at net double bogey", () => {
+    expect(calculateAdjustedGrossScore(holes, { 1: 1, 2: 0 })).toBe(11);
+  });
+
+  it("caps at par + 5 without a course handicap", () => {
+    expect(calculateAdjustedGrossScore(holes)).toBe(13);
+  });
+});
+
+describe("buildHandicapHistory", () => {
+  it("records the index after each score", () => {
+    const history = buildHandicapHistory([
+      { roundId: 1, differential: 10 },
+      { roundId: 2, differential: 12 },
+      { roundId: 3, differential: 14 }
+    ]);
+
+    expect(history.map(entry => entry.index)).toEqual([null, null, 8]);
+  });
+});
+
+describe("formatHandicapIndex", () => {
+  it("shows plus handicaps with a leading +", () => {
+    expect(formatHandicapIndex(12.44)).toBe("12.4");
+    expect(formatHandicapIndex(-1.2)).toBe("+1.2");
+    expect(formatHandicapIndex(null)).toBe("-");
+  });
+});
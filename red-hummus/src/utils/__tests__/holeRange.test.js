@@ -0,0 +1,73 @@
+// src/utils/__tests__/holeRange.test.js
+
+import {
+  getHoleNumbersForRange,
+  normalizeHoleNumbers,
+  getRoundHoleNumbers,
+  describeHoleNumbers,
+  isFullRound,
+  sumParForHoles
+} from "../holeRange";
+
+describe("getHoleNumbersForRange", () => {
+  it("returns the holes for each range choice", () => {
+    expect(getHoleNumbersForRange("full")).toHaveLength(18);
+    expect(getHoleNumbersForRange("front")).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(getHoleNumbersForRange("back")).toEqual([10, 11, 12, 13, 14, 15, 16, 17, 18]);
+    expect(getHoleNumbersForRange("custom", [7, 2, 7])).toEqual([2, 7]);
+  });
+});
+
+describe("normalizeHoleNumbers", () => {
+  it("sorts, de-duplicates and drops holes outside 1-18", () => {
+    expect(normalizeHoleNumbers([12, "3", 3, 0, 19, 4.5, 1])).toEqual([1, 3, 12]);
+  });
+
+  it("returns no holes for anything that isn't a list", () => {
+    expect(normalizeHoleNumbers(null)).toEqual([]);
+    expect(normalizeHoleNumbers("1,2")).toEqual([]);
+  });
+});
+
+describe("getRoundHoleNumbers", () => {
+  it("treats rounds without hole_numbers as full rounds", () => {
+    expect(getRoundHoleNumbers(null)).toHaveLength(18);
+    expect(getRoundHoleNumbers({ hole_numbers: [] })).toHaveLength(18);
+    expect(getRoundHoleNumbers({ hole_numbers: [10, 11] })).toEqual([10, 11]);
+  });
+});
+
+describe("describeHoleNumbers", () => {
+  it("names the standard ranges and lists custom holes", () => {
+    expect(describeHoleNumbers(getHoleNumbersForRange("full"))).toBe("18 Holes");
+    expect(describeHoleNumbers(getHoleNumbersForRange("front"))).toBe("Front 9");
+    expect(describeHoleNumbers(getHoleNumbersForRange("back"))).toBe("Back 9");
+    expect(describeHoleNumbers([4, 1, 7])).toBe("Holes 1, 4, 7");
+    expect(describeHoleNumbers([5])).toBe("Hole 5");
+  });
+});
+
+describe("isFullRound", () => {
+  it("is only true for all 18 holes", () => {
+    expect(isFullRound(getHoleNumbersForRange("full"))).toBe(true);
+    expect(isFullRound(getHoleNumbersForRange("front"))).toBe(false);
+  });
+});
+
+describe("sumParForHoles", () => {
+  const courseHoles = [
+    { number: 1, par_men: 4 },
+    { number: 2, par_men: 3 },
+    { number: 3 }
+  ];
+
+  it("adds up par for the holes played, skipping holes without par", () => {
+    expect(sumParForHoles(courseHoles, [1, 2, 3])).toBe(7);
+    expect(sumParForHoles(courseHoles, [2])).toBe(3);
+  });
+
+  it("returns null without par data", () => {
+    expect(sumParForHoles(null, [1])).toBeNull();
+    expect(sumParForHoles(courseHoles, [3])).toBeNull();
+  });
+});
@@ -0,0 +1,95 @@
+// src/utils/__tests__/insightFeedback.test.js
+
+import {
+  REACTION_UP,
+  REACTION_DOWN,
+  normalizeFeedback,
+  isFeedbackEmpty,
+  buildFeedback,
+  toggleReaction
+} from "../insightFeedback";
+
+describe("normalizeFeedback", () => {
+  it("returns null when there's no feedback", () => {
+    expect(normalizeFeedback(null)).toBeNull();
+    expect(normalizeFeedback("")).toBeNull();
+  });
+
+  it("reads a bare rating from before feedback was structured", () => {
+    expect(normalizeFeedback("4")).toMatchObject({ rating: 4, comment: null, reactions: {} });
+    expect(normalizeFeedback(5)).toMatchObject({ rating: 5 });
+  });
+
+  it("reads other bare values as a comment", () => {
+    expect(normalizeFeedback("Very helpful")).toMatchObject({ rating: null, comment: "Very helpful" });
+    expect(normalizeFeedback("9")).toMatchObject({ rating: null, comment: "9" });
+  });
+
+  it("parses feedback saved as JSON text while the column was text", () => {
+    const saved = JSON.stringify({ rating: 3, reactions: { reason: "down" }, comment: "Too long", createdAt: "2024-05-01T10:00:00.000Z" });
+
+    expect(normalizeFeedback(saved)).toEqual({
+      rating: 3,
+      reactions: { reason: "down" },
+      comment: "Too long",
+      createdAt: "2024-05-01T10:00:00.000Z",
+      updatedAt: "2024-05-01T10:00:00.000Z"
+    });
+  });
+
+  it("keeps comments that only look like JSON as comments", () => {
+    expect(normalizeFeedback("{not json")).toMatchObject({ comment: "{not json" });
+    expect(normalizeFeedback("[1, 2]")).toMatchObject({ rating: null, comment: "[1, 2]" });
+    expect(normalizeFeedback("null")).toMatchObject({ rating: null, comment: "null" });
+  });
+
+  it("drops invalid ratings and reactions", () => {
+    expect(normalizeFeedback({
+      rating: 7,
+      reactions: { primaryIssue: REACTION_UP, reason: "meh", unknownSection: REACTION_DOWN },
+      comment: "",
+      createdAt: "2024-05-01T00:00:00Z"
+    })).toEqual({
+      rating: null,
+      reactions: { primaryIssue: REACTION_UP },
+      comment: null,
+      createdAt: "2024-05-01T00:00:00Z",
+      updatedAt: "2024-05-01T00:00:00Z"
+    });
+  });
+});
+
+describe("isFeedbackEmpty", () => {
+  it("is empty without a rating, reaction or comment", () => {
+    expect(isFeedbackEmpty(null)).toBe(true);
+    expect(isFeedbackEmpty({ rating: null, reactions: {}, comment: "  " })).toBe(true);
+    expect(isFeedbackEmpty({ rating: null, reactions: { reason: REACTION_DOWN }, comment: null })).toBe(false);
+    expect(isFeedbackEmpty({ rating: 3, reactions: {}, comment: null })).toBe(false);
+  });
+});
+
+describe("buildFeedback", () => {
+  it("trims the comment and keeps the first submission time", () => {
+    const feedback = buildFeedback(
+      { rating: 4, reactions: {}, comment: "  Useful drills " },
+      { createdAt: "2024-05-01T00:00:00Z" }
+    );
+
+    expect(feedback).toMatchObject({ rating: 4, comment: "Useful drills", createdAt: "2024-05-01T00:00:00Z" });
+    expect(feedback.updatedAt).not.toBe("2024-05-01T00:00:00Z");
+  });
+
+  it("stamps new feedback with the same created and updated time", () => {
+    const feedback = buildFeedback({ rating: 2 });
+    expect(feedback.createdAt).toBe(feedback.updatedAt);
+  });
+});
+
+describe("toggleReaction", () => {
+  it("sets, switches and clears a section's reaction", () => {
+    const up = toggleReaction({}, "reason", REACTION_UP);
+    expect(up).toEqual({ reason: REACTION_UP });
+    expect(toggleReaction(up, "reason", REACTION_DOWN)).toEqual({ reason: REACTION_DOWN });
+    expect(toggleReaction(up, "reason", REACTION_UP)).toEqual({});
+  });
+});
@@ -0,0 +1,49 @@
+// src/utils/__tests__/insightsDiff.test.js
+
+import { diffWords, compareInsights, orderInsightRecords } from "../insightsDiff";
+
+describe("diffWords", () => {
+  it("marks words removed and added", () => {
+    expect(diffWords("Work on your short putts", "Work on your long putts")).toEqual([
+      { type: "same", text: "Work on your " },
+      { type: "removed", text: "short" },
+      { type: "added", text: "long" },
+      { type: "same", text: " putts" }
+    ]);
+  });
+
+  it("handles empty text on either side", () => {
+    expect(diffWords(null, "Chip more")).toEqual([{ type: "added", text: "Chip more" }]);
+    expect(diffWords("Chip more", "")).toEqual([{ type: "removed", text: "Chip more" }]);
+    expect(diffWords("", "")).toEqual([]);
+  });
+});
+
+describe("compareInsights", () => {
+  it("compares each advice field", () => {
+    const [primaryIssue, practiceFocus] = compareInsights(
+      { insights: { primaryIssue: "Tee shots drift right", practiceFocus: "Alignment drills" } },
+      { insights: { primaryIssue: "Tee shots drift right ", practiceFocus: "Tempo drills" } }
+    );
+
+    expect(primaryIssue).toMatchObject({ key: "primaryIssue", changed: false });
+    expect(primaryIssue.segments).toEqual([{ type: "same", text: "Tee shots drift right " }]);
+    expect(practiceFocus).toMatchObject({ label: "Practice Focus", before: "Alignment drills", after: "Tempo drills", changed: true });
+  });
+
+  it("treats missing fields as empty", () => {
+    const [primaryIssue] = compareInsights({ insights: {} }, { insights: { primaryIssue: "Putting" } });
+
+    expect(primaryIssue).toMatchObject({ before: null, changed: true });
+  });
+});
+
+describe("orderInsightRecords", () => {
+  it("puts the older record first", () => {
+    const older = { createdAt: "2024-04-01T00:00:00Z" };
+    const newer = { createdAt: "2024-05-01T00:00:00Z" };
+
+    expect(orderInsightRecords(newer, older)).toEqual([older, newer]);
+    expect(orderInsightRecords(older, newer)).toEqual([older, newer]);
+  });
+});
@@ -0,0 +1,78 @@
+// src/utils/__tests__/localInsights.test.js
+
+import { generateLocalInsights, isLocalInsights } from "../localInsights";
+
+const shot = (type, result = "On Target") => ({ type, result });
+
+const round = (date, shots) => ({ date, holes: [{ hole_number: 1, hole_data: { par: 4, shots } }] });
+
+const ROUNDS = [
+  round("2024-05-01T10:00:00Z", [
+    shot("Tee Shot"),
+    shot("Approach", "Recovery Needed"),
+    shot("Approach", "Recovery Needed"),
+    shot("Putts"),
+    shot("Penalties", "Recovery Needed")
+  ]),
+  round("2024-05-08T10:00:00Z", [
+    shot("Tee Shot"),
+    shot("Approach", "Recovery Needed"),
+    shot("Putts"),
+    shot("Putts")
+  ])
+];
+
+const NOW = new Date("2024-05-09T12:00:00Z");
+
+describe("generateLocalInsights", () => {
+  it("picks the shot type most in need of work", () => {
+    expect(generateLocalInsights(ROUNDS, { now: NOW })).toEqual({
+      summary: "Over your last 2 rounds, your approach shots cost you the most, and you averaged 1.5 putts per hole.",
+      primaryIssue: "Approach - 100% needed recovery",
+      reason: "3 of your 3 approach shots (100%) needed recovery over your last 2 rounds, compared with 0% of your other shots.",
+      practiceFocus: expect.stringContaining("approach shots"),
+      managementTip: expect.stringContaining("middle of the green"),
+      progress: "Your approach shots held steady in your latest round, with 100% that needed recovery.",
+      generatedAt: "2024-05-09T12:00:00.000Z",
+      source: "local",
+      roundsAnalyzed: 2
+    });
+  });
+
+  it("is deterministic", () => {
+    expect(generateLocalInsights([...ROUNDS].reverse(), { now: NOW })).toEqual(generateLocalInsights(ROUNDS, { now: NOW }));
+  });
+
+  it("switches the tip to course management when penalties pile up", () => {
+    const penaltyRound = round("2024-05-08T10:00:00Z", [
+      shot("Tee Shot", "Recovery Needed"),
+      shot("Penalties", "Recovery Needed"),
+      shot("Tee Shot", "Recovery Needed"),
+      shot("Penalties", "Recovery Needed"),
+      shot("Tee Shot", "Slightly Off")
+    ]);
+
+    const insights = generateLocalInsights([penaltyRound], { now: NOW });
+
+    expect(insights.primaryIssue).toBe("Tee Shot - 67% needed recovery");
+    expect(insights.managementTip).toMatch(/penalty strokes/);
+    expect(insights.progress).toBeNull();
+  });
+
+  it("only looks at the most recent rounds in the window", () => {
+    expect(generateLocalInsights(ROUNDS, { roundWindow: 1, now: NOW })).toBeNull();
+  });
+
+  it("returns null without enough misses to go on", () => {
+    expect(generateLocalInsights([], { now: NOW })).toBeNull();
+    expect(generateLocalInsights([round("2024-05-08T10:00:00Z", [shot("Putts"), shot("Putts"), shot("Putts")])], { now: NOW })).toBeNull();
+  });
+});
+
+describe("isLocalInsights", () => {
+  it("recognises insights generated on the device", () => {
+    expect(isLocalInsights({ source: "local" })).toBe(true);
+    expect(isLocalInsights({ summary: "From the server" })).toBe(false);
+    expect(isLocalInsights(null)).toBe(false);
+  });
+});
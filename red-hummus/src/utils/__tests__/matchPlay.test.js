@@ -0,0 +1,161 @@
+// src/utils/__tests__/matchPlay.test.js
+
+import {
+  HOLE_WON,
+  HOLE_HALVED,
+  HOLE_LOST,
+  getMatchStrokes,
+  getHoleResult,
+  calculateMatchStatus,
+  scoreMatch,
+  describeMatchStatus,
+  buildMatchResult,
+  formatHoleResult
+} from "../matchPlay";
+import { SCORER_KEY } from "../groupRound";
+
+const HOLE_NUMBERS = Array.from({ length: 18 }, (_, i) => i + 1);
+const HOLES = HOLE_NUMBERS.map(number => ({ number, par: 4, strokeIndex: number }));
+const TEE = { course_rating: 72, slope_rating: 113 };
+
+// Hole results for the first holes of an 18-hole match, the rest not yet played
+const results = (...played) => HOLE_NUMBERS.map((number, i) => ({
+  number,
+  result: i < played.length ? played[i] : null
+}));
+
+describe("getHoleResult", () => {
+  it("compares net scores from the scorer's side", () => {
+    expect(getHoleResult(4, 5)).toBe(HOLE_WON);
+    expect(getHoleResult(5, 4)).toBe(HOLE_LOST);
+    expect(getHoleResult(5, 4, 1)).toBe(HOLE_HALVED);
+    expect(getHoleResult(5, 5, 0, 1)).toBe(HOLE_LOST);
+  });
+
+  it("leaves a hole undecided until both players have a score", () => {
+    expect(getHoleResult(4, 0)).toBeNull();
+    expect(getHoleResult(0, 4)).toBeNull();
+  });
+});
+
+describe("calculateMatchStatus", () => {
+  it("tracks the lead and holes remaining", () => {
+    const status = calculateMatchStatus(results(HOLE_WON, HOLE_WON, HOLE_LOST));
+
+    expect(status).toMatchObject({ lead: 1, holesPlayed: 3, holesRemaining: 15, isComplete: false, isDormie: false });
+  });
+
+  it("closes the match out when the lead is more than the holes left", () => {
+    const status = calculateMatchStatus(results(...Array(4).fill(HOLE_WON), ...Array(11).fill(HOLE_HALVED)));
+
+    expect(status).toMatchObject({ lead: 4, holesRemaining: 3, isClosedOut: true, isComplete: true, decidedOnHole: 15 });
+  });
+
+  it("ignores holes played after the match was closed out", () => {
+    const played = [...Array(10).fill(HOLE_LOST), HOLE_WON, HOLE_WON];
+    const status = calculateMatchStatus(results(...played));
+
+    expect(status).toMatchObject({ lead: -10, holesPlayed: 10, decidedOnHole: 10, isClosedOut: true });
+  });
+
+  it("is dormie when the lead equals the holes left", () => {
+    const status = calculateMatchStatus(results(...Array(3).fill(HOLE_WON), ...Array(12).fill(HOLE_HALVED)));
+
+    expect(status).toMatchObject({ lead: 3, holesRemaining: 3, isDormie: true, isClosedOut: false, isComplete: false });
+  });
+
+  it("is not dormie when all square", () => {
+    const status = calculateMatchStatus(HOLE_NUMBERS.slice(0, 2).map(number => ({ number, result: number === 1 ? HOLE_WON : HOLE_LOST })));
+
+    expect(status).toMatchObject({ lead: 0, holesRemaining: 0, isDormie: false, isComplete: true });
+  });
+
+  it("completes a match that goes the distance", () => {
+    const status = calculateMatchStatus(results(HOLE_WON, ...Array(17).fill(HOLE_HALVED)));
+
+    expect(status).toMatchObject({ lead: 1, holesRemaining: 0, isComplete: true, decidedOnHole: 18 });
+  });
+});
+
+describe("getMatchStrokes", () => {
+  it("gives the higher handicap the difference on the hardest holes in a net match", () => {
+    const strokes = getMatchStrokes(
+      { opponent_key: "guest-1", allowance: "net", handicaps: { [SCORER_KEY]: 20, "guest-1": 10 } },
+      SCORER_KEY,
+      TEE,
+      HOLES
+    );
+
+    expect(Object.keys(strokes)).toEqual([SCORER_KEY]);
+    expect(strokes[SCORER_KEY][1]).toBe(1);
+    expect(strokes[SCORER_KEY][10]).toBe(1);
+    expect(strokes[SCORER_KEY][11]).toBe(0);
+  });
+
+  it("gives no strokes in a gross match or without both handicaps", () => {
+    expect(getMatchStrokes({ opponent_key: "guest-1", allowance: "gross", handicaps: { [SCORER_KEY]: 20, "guest-1": 10 } }, SCORER_KEY, TEE, HOLES)).toEqual({});
+    expect(getMatchStrokes({ opponent_key: "guest-1", allowance: "net", handicaps: { [SCORER_KEY]: 20 } }, SCORER_KEY, TEE, HOLES)).toEqual({});
+  });
+});
+
+describe("scoreMatch", () => {
+  it("scores holes net of the strokes received", () => {
+    const shots = { [SCORER_KEY]: { 1: 5, 2: 5 }, "guest-1": { 1: 5, 2: 4 } };
+    const settings = { opponent_key: "guest-1", allowance: "net", handicaps: { [SCORER_KEY]: 2, "guest-1": 1 } };
+
+    const { holeResults, status } = scoreMatch(
+      settings,
+      HOLE_NUMBERS,
+      (playerKey, holeNumber) => shots[playerKey][holeNumber] || 0,
+      TEE,
+      HOLES
+    );
+
+    expect(holeResults.slice(0, 3).map(hole => hole.result)).toEqual([HOLE_WON, HOLE_LOST, null]);
+    expect(status).toMatchObject({ lead: 0, holesPlayed: 2 });
+  });
+});
+
+describe("describeMatchStatus", () => {
+  const describe_ = (status) => describeMatchStatus(status, "You", "Sam");
+
+  it("describes matches in progress", () => {
+    expect(describe_(calculateMatchStatus(results()))).toBe("All Square");
+    expect(describe_(calculateMatchStatus(results(HOLE_WON, HOLE_LOST)))).toBe("All Square with 16 to play");
+    expect(describe_(calculateMatchStatus(results(HOLE_LOST, HOLE_LOST)))).toBe("Sam 2 UP with 16 to play");
+    expect(describe_(calculateMatchStatus(results(...Array(3).fill(HOLE_WON), ...Array(12).fill(HOLE_HALVED))))).toBe("You 3 UP - Dormie");
+  });
+
+  it("describes finished matches", () => {
+    expect(describe_(calculateMatchStatus(results(...Array(4).fill(HOLE_WON), ...Array(11).fill(HOLE_HALVED))))).toBe("You won 4 & 3");
+    expect(describe_(calculateMatchStatus(results(HOLE_LOST, ...Array(17).fill(HOLE_HALVED))))).toBe("Sam won 1 UP");
+    expect(describe_(calculateMatchStatus(results(...Array(18).fill(HOLE_HALVED))))).toBe("Match halved");
+  });
+});
+
+describe("buildMatchResult", () => {
+  const scorer = { key: SCORER_KEY, name: "You" };
+  const opponent = { key: "guest-1", name: "Sam" };
+
+  it("names the winner of a finished match", () => {
+    const status = calculateMatchStatus(results(...Array(10).fill(HOLE_LOST)));
+
+    expect(buildMatchResult(status, scorer, opponent)).toEqual({
+      winner_key: "guest-1",
+      margin: 10,
+      holes_remaining: 8,
+      is_complete: true,
+      description: "Sam won 10 & 8"
+    });
+  });
+
+  it("has no winner while the match is still going", () => {
+    expect(buildMatchResult(calculateMatchStatus(results(HOLE_WON)), scorer, opponent).winner_key).toBeNull();
+  });
+});
+
+describe("formatHoleResult", () => {
+  it("marks holes won, halved and lost", () => {
+    expect([HOLE_WON, HOLE_HALVED, HOLE_LOST, null].map(formatHoleResult)).toEqual(["W", "H", "L", "-"]);
+  });
+});
@@ -0,0 +1,132 @@
+// src/utils/__tests__/practicePlan.test.js
+
+import {
+  getWeekStart,
+  findShotTypeInText,
+  combineOutcomes,
+  rankShotTypesForPractice,
+  generatePracticePlan,
+  correlatePracticeWithOutcomes,
+  describePracticeCorrelation,
+  isPlanValid
+} from "../practicePlan";
+
+const trendRound = (date, outcomeMix) => ({ date, outcomeMix });
+
+describe("getWeekStart", () => {
+  it("returns the Monday of the week", () => {
+    expect(getWeekStart(new Date(2024, 4, 9))).toBe("2024-05-06");
+    expect(getWeekStart(new Date(2024, 4, 12))).toBe("2024-05-06");
+    expect(getWeekStart(new Date(2024, 4, 6))).toBe("2024-05-06");
+    expect(getWeekStart(new Date(2024, 0, 3))).toBe("2024-01-01");
+  });
+});
+
+describe("findShotTypeInText", () => {
+  it("uses the first shot type mentioned", () => {
+    expect(findShotTypeInText("Putting under pressure")).toBe("Putts");
+    expect(findShotTypeInText("Approach shots from the fairway")).toBe("Approach");
+    expect(findShotTypeInText("Missing fairways off the tee")).toBe("Tee Shot");
+    expect(findShotTypeInText("Course management")).toBeNull();
+    expect(findShotTypeInText(null)).toBeNull();
+  });
+});
+
+describe("combineOutcomes", () => {
+  it("weights each round's percentages by its shots", () => {
+    const outcomes = combineOutcomes([
+      trendRound("2024-05-01", { Putts: { total: 10, "On Target": 50, "Recovery Needed": 10 } }),
+      trendRound("2024-05-08", { Putts: { total: 30, "On Target": 70, "Recovery Needed": 20 } }),
+      trendRound("2024-05-15", {})
+    ], "Putts");
+
+    expect(outcomes.total).toBe(40);
+    expect(outcomes.onTarget).toBeCloseTo(0.65);
+    expect(outcomes.recovery).toBeCloseTo(0.175);
+    expect(combineOutcomes([], "Putts")).toEqual({ total: 0, onTarget: null, recovery: null });
+  });
+});
+
+describe("rankShotTypesForPractice", () => {
+  const rounds = [trendRound("2024-05-01", {
+    Sand: { total: 4, "On Target": 25, "Recovery Needed": 50 },
+    Chip: { total: 8, "On Target": 50, "Recovery Needed": 25 }
+  })];
+
+  it("puts the shot type from the insights first", () => {
+    expect(rankShotTypesForPractice({ primaryIssue: "Lag putting" }, rounds).slice(0, 3)).toEqual(["Putts", "Sand", "Chip"]);
+  });
+
+  it("otherwise ranks by how often recovery was needed", () => {
+    expect(rankShotTypesForPractice(null, rounds).slice(0, 2)).toEqual(["Sand", "Chip"]);
+  });
+});
+
+describe("generatePracticePlan", () => {
+  const now = new Date(2024, 4, 9);
+
+  it("plans a balanced week when there's nothing to go on", () => {
+    const plan = generatePracticePlan({ now });
+
+    expect(plan.weekStart).toBe("2024-05-06");
+    expect(plan.focusShotTypes).toEqual(["Tee Shot", "Long Shot"]);
+    expect(plan.reason).toMatch(/^Track a few rounds/);
+    expect(plan.sessions.map(session => session.dayName)).toEqual(["Monday", "Wednesday", "Friday"]);
+    plan.sessions.forEach(session => {
+      expect(new Set(session.drills).size).toBe(session.drills.length);
+    });
+    expect(isPlanValid(plan)).toBe(true);
+  });
+
+  it("focuses on the shot type the insights point to", () => {
+    const plan = generatePracticePlan({ insights: { primaryIssue: "Bunker shots" }, now, sessionsPerWeek: 4 });
+
+    expect(plan.focusShotTypes[0]).toBe("Sand");
+    expect(plan.reason).toBe("Your latest insights point to bunker play as the area to work on.");
+    expect(plan.sessions.map(session => session.day)).toEqual([0, 2, 4, 5]);
+  });
+
+  it("explains a focus chosen from recent rounds", () => {
+    const plan = generatePracticePlan({
+      rounds: [trendRound("2024-05-01", { Chip: { total: 10, "On Target": 40, "Recovery Needed": 30 } })],
+      now
+    });
+
+    expect(plan.reason).toBe("Your chipping needed recovery on 30% of shots over your recent rounds.");
+  });
+});
+
+describe("correlatePracticeWithOutcomes", () => {
+  const now = new Date("2024-05-29T12:00:00Z");
+  const rounds = [
+    trendRound("2024-04-20T10:00:00Z", { Putts: { total: 10, "On Target": 50, "Recovery Needed": 0 } }),
+    trendRound("2024-05-20T10:00:00Z", { Putts: { total: 10, "On Target": 60, "Recovery Needed": 0 } })
+  ];
+  const sessions = [
+    { shotType: "Putts", performedAt: "2024-05-10T10:00:00Z", minutes: 20 },
+    { shotType: "Putts", performedAt: "2024-05-12T10:00:00Z", minutes: 15 },
+    { shotType: "Chip", performedAt: "2024-05-14T10:00:00Z", minutes: 10 },
+    { shotType: "Sand", performedAt: "2024-04-01T10:00:00Z", minutes: 30 }
+  ];
+
+  it("compares on-course results before and since the practice", () => {
+    const entries = correlatePracticeWithOutcomes(sessions, rounds, { now });
+
+    expect(entries).toEqual([
+      { shotType: "Putts", sessions: 2, minutes: 35, before: 50, after: 60, change: 10 },
+      { shotType: "Chip", sessions: 1, minutes: 10, before: null, after: null, change: null }
+    ]);
+    expect(entries.map(describePracticeCorrelation)).toEqual([
+      "2 putting sessions (35 min) - On Target up from 50% to 60%.",
+      "1 chipping session (10 min) - play a round to see the effect on the course."
+    ]);
+  });
+});
+
+describe("isPlanValid", () => {
+  it("rejects plans with drills missing from the library", () => {
+    expect(isPlanValid({ sessions: [{ drills: ["fairway-gates"] }] })).toBe(true);
+    expect(isPlanValid({ sessions: [{ drills: ["retired-drill"] }] })).toBe(false);
+    expect(isPlanValid(null)).toBe(false);
+  });
+});
@@ -0,0 +1,192 @@
+// src/utils/__tests__/roundExport.test.js
+
+import {
+  CSV_COLUMNS,
+  EXPORT_SCHEMA,
+  EXPORT_SCHEMA_VERSION,
+  buildRoundExport,
+  buildExportJson,
+  buildExportCsv,
+  buildScorecardHtml,
+  buildExportFileName,
+  escapeCsvValue
+} from "../roundExport";
+
+const COURSE = {
+  id: 7,
+  name: "Pebble Beach",
+  tees: [{ id: "white", name: "White", course_rating: 71.2, slope_rating: 128 }],
+  holes: [
+    { number: 1, par_men: 4, index_men: 7, distances: { white: 380 } },
+    { number: 2, par_men: 3, index_men: 15, distances: { white: 165 } }
+  ]
+};
+
+const ROUND = {
+  id: 12,
+  created_at: "2024-05-01T15:30:00.000Z",
+  is_complete: true,
+  course_id: 7,
+  selected_tee_id: "white",
+  selected_tee_name: "White",
+  hole_numbers: [1, 2],
+  scoring_format: "stroke"
+};
+
+const HOLE_RECORDS = [
+  {
+    hole_number: 1,
+    hole_data: {
+      par: 4,
+      shots: [
+        { type: "Tee Shot", result: "On Target", club: "driver" },
+        { type: "Approach", result: "Slightly Off" },
+        { type: "Putts", result: "On Target", putt_length: 12 },
+        { type: "Putts", result: "On Target" },
+        { type: "Putts", result: "On Target" }
+      ]
+    },
+    total_score: 5
+  }
+];
+
+const buildExport = (overrides = {}) => buildRoundExport({
+  round: ROUND,
+  course: COURSE,
+  holeRecords: HOLE_RECORDS,
+  ...overrides
+});
+
+describe("buildRoundExport", () => {
+  it("exports course, tee ratings and per-hole shots", () => {
+    const roundExport = buildExport();
+
+    expect(roundExport).toMatchObject({
+      id: 12,
+      isComplete: true,
+      scoringFormat: "stroke",
+      course: { id: 7, name: "Pebble Beach" },
+      tee: { id: "white", name: "White", courseRating: 71.2, slopeRating: 128 },
+      holeNumbers: [1, 2]
+    });
+
+    const [player] = roundExport.players;
+    expect(player.name).toBe("You");
+    expect(player.holes[0]).toMatchObject({ number: 1, par: 4, distance: 380, strokeIndex: 7, score: 5 });
+    expect(player.holes[0].shots[0]).toMatchObject({ number: 1, type: "Tee Shot", club: "driver" });
+    expect(player.holes[0].shots[2].puttLength).toBe(12);
+    expect(player.holes[1]).toMatchObject({ number: 2, par: 3, distance: 165, score: 0, shots: [] });
+  });
+
+  it("falls back to the round's tee name and an unknown course without course data", () => {
+    const roundExport = buildExport({ course: null });
+
+    expect(roundExport.course).toEqual({ id: 7, name: "Unknown Course" });
+    expect(roundExport.tee).toEqual({ id: "white", name: "White", category: "men", courseRating: null, slopeRating: null });
+  });
+
+  it("exports each playing partner as a player", () => {
+    const roundExport = buildExport({
+      round: { ...ROUND, players: [{ key: "p1", name: "Sam" }] },
+      holeRecords: [{
+        hole_number: 1,
+        hole_data: {
+          par: 4,
+          shots: [{ type: "Tee Shot" }],
+          players: { p1: { shots: [{ type: "Tee Shot" }, { type: "Putts" }] } }
+        },
+        total_score: 1
+      }],
+      scorerName: "Alex"
+    });
+
+    expect(roundExport.players.map(player => player.name)).toEqual(["Alex", "Sam"]);
+    expect(roundExport.players[1].holes[0].score).toBe(2);
+  });
+});
+
+describe("buildExportJson", () => {
+  it("wraps rounds with the schema and export time", () => {
+    const json = JSON.parse(buildExportJson([buildExport()], new Date("2024-06-01T00:00:00.000Z")));
+
+    expect(json.schema).toBe(EXPORT_SCHEMA);
+    expect(json.schemaVersion).toBe(EXPORT_SCHEMA_VERSION);
+    expect(json.exportedAt).toBe("2024-06-01T00:00:00.000Z");
+    expect(json.rounds).toHaveLength(1);
+  });
+});
+
+describe("escapeCsvValue", () => {
+  it("leaves plain values alone and blanks missing ones", () => {
+    expect(escapeCsvValue("Pebble Beach")).toBe("Pebble Beach");
+    expect(escapeCsvValue(4)).toBe("4");
+    expect(escapeCsvValue(null)).toBe("");
+    expect(escapeCsvValue(undefined)).toBe("");
+  });
+
+  it("quotes commas, quotes and line breaks", () => {
+    expect(escapeCsvValue("Links, The")).toBe('"Links, The"');
+    expect(escapeCsvValue('The "Old" Course')).toBe('"The ""Old"" Course"');
+    expect(escapeCsvValue("Line\nBreak")).toBe('"Line\nBreak"');
+  });
+});
+
+describe("buildExportCsv", () => {
+  it("writes a header and one row per shot, with a blank-shot row for unplayed holes", () => {
+    const lines = buildExportCsv([buildExport()]).split("\r\n");
+
+    expect(lines[0]).toBe(CSV_COLUMNS.join(","));
+    // Header, five shots on hole 1, one row for hole 2, trailing line break
+    expect(lines).toHaveLength(8);
+    expect(lines[1].split(",").slice(0, 12)).toEqual([
+      "12", "2024-05-01T15:30:00.000Z", "Pebble Beach", "White", "stroke", "You", "1", "4", "380", "7", "5", "1"
+    ]);
+    expect(lines[6].split(",")).toHaveLength(CSV_COLUMNS.length);
+    expect(lines[6].split(",").slice(6, 12)).toEqual(["2", "3", "165", "15", "", ""]);
+    expect(lines[7]).toBe("");
+  });
+
+  it("quotes course names that contain commas", () => {
+    const csv = buildExportCsv([buildExport({ course: { ...COURSE, name: "Links, The" } })]);
+    expect(csv.split("\r\n")[1]).toContain('"Links, The"');
+  });
+
+  it("writes only the header with no rounds", () => {
+    expect(buildExportCsv([])).toBe(CSV_COLUMNS.join(",") + "\r\n");
+  });
+});
+
+describe("buildScorecardHtml", () => {
+  it("renders each round with escaped course names", () => {
+    const html = buildScorecardHtml([buildExport({ course: { ...COURSE, name: "Smith & <Sons>" } })]);
+
+    expect(html).toContain("Smith &amp; &lt;Sons&gt;");
+    expect(html).toContain("White tees");
+    expect(html).toContain("Rating 71.2 / Slope 128");
+    expect(html.match(/<section class="round">/g)).toHaveLength(1);
+  });
+
+  it("adds Out and In subtotals only when both nines were played", () => {
+    const nine = buildScorecardHtml([buildExport()]);
+    expect(nine).not.toContain(">Out<");
+
+    const split = buildScorecardHtml([buildExport({ round: { ...ROUND, hole_numbers: [9, 10] } })]);
+    expect(split).toContain(">Out<");
+    expect(split).toContain(">In<");
+  });
+});
+
+describe("buildExportFileName", () => {
+  it("names a single round after its date and course", () => {
+    expect(buildExportFileName([buildExport()])).toBe("round-2024-05-01-pebble-beach");
+  });
+
+  it("falls back to a generic slug for names with no letters or digits", () => {
+    expect(buildExportFileName([buildExport({ course: { ...COURSE, name: "***" } })])).toBe("round-2024-05-01-course");
+  });
+
+  it("names several rounds after the export date", () => {
+    const roundExport = buildExport();
+    expect(buildExportFileName([roundExport, roundExport], new Date("2024-06-01T12:00:00.000Z"))).toBe("rounds-2024-06-01");
+  });
+});
@@ -0,0 +1,354 @@
+// src/utils/__tests__/roundImport.test.js
+
+import {
+  parseCsv,
+  parseFairway,
+  parseImportDate,
+  parseRoundsCsv,
+  parseRoundsJson,
+  parseImportFile,
+  normalizeCourseName,
+  scoreCourseMatch,
+  rankCourseMatches,
+  planImport,
+  buildImportedHoleRecords,
+  getImportedHoleNumbers
+} from "../roundImport";
+import { buildRoundExport, buildExportCsv, buildExportJson } from "../roundExport";
+
+const middayOn = (year, month, day) => new Date(year, month - 1, day, 12).toISOString();
+
+const COURSE = {
+  id: 7,
+  name: "Pebble Beach Golf Links",
+  club_name: "Pebble Beach",
+  tees: [{ id: "white", name: "White" }],
+  holes: [
+    { number: 1, par_men: 4, distances: { white: 380 } },
+    { number: 2, par_men: 3, distances: { white: 165 } }
+  ]
+};
+
+describe("parseCsv", () => {
+  it("splits rows and cells with CRLF or LF line endings", () => {
+    expect(parseCsv("a,b\r\n1,2\n3,4")).toEqual([["a", "b"], ["1", "2"], ["3", "4"]]);
+  });
+
+  it("reads quoted cells with commas, escaped quotes and line breaks", () => {
+    expect(parseCsv('name,notes\n"Links, The","Said ""hi""\nthen left"')).toEqual([
+      ["name", "notes"],
+      ["Links, The", 'Said "hi"\nthen left']
+    ]);
+  });
+
+  it("drops a byte order mark and blank lines", () => {
+    expect(parseCsv("﻿date,course\n\n ,\n2024-05-01,Pebble\n")).toEqual([
+      ["date", "course"],
+      ["2024-05-01", "Pebble"]
+    ]);
+  });
+
+  it("keeps empty trailing cells", () => {
+    expect(parseCsv("a,b,\n1,,")).toEqual([["a", "b", ""], ["1", "", ""]]);
+  });
+
+  it("returns no rows for empty text", () => {
+    expect(parseCsv("")).toEqual([]);
+    expect(parseCsv(null)).toEqual([]);
+  });
+});
+
+describe("parseFairway", () => {
+  it("reads hits, misses and blanks", () => {
+    expect(["Y", "yes", "1", "HIT", "x", true].map(parseFairway)).toEqual([true, true, true, true, true, true]);
+    expect(["n", "miss", "L", "right", "0", false].map(parseFairway)).toEqual([false, false, false, false, false, false]);
+    expect(["", "n/a", null].map(parseFairway)).toEqual([null, null, null]);
+  });
+});
+
+describe("parseImportDate", () => {
+  it("reads date-only values as midday local time", () => {
+    expect(parseImportDate("2024-05-01")).toBe(middayOn(2024, 5, 1));
+    expect(parseImportDate("5/1/2024")).toBe(middayOn(2024, 5, 1));
+    expect(parseImportDate("05/01/24")).toBe(middayOn(2024, 5, 1));
+  });
+
+  it("keeps full timestamps", () => {
+    expect(parseImportDate("2024-05-01T15:30:00.000Z")).toBe("2024-05-01T15:30:00.000Z");
+  });
+
+  it("returns null for blank or unreadable dates", () => {
+    expect(parseImportDate("")).toBeNull();
+    expect(parseImportDate("sometime in May")).toBeNull();
+  });
+});
+
+describe("parseRoundsCsv", () => {
+  it("groups one-row-per-hole files into rounds by date, course and tee", () => {
+    const rounds = parseRoundsCsv([
+      "Date,Course Name,Tee,Hole #,Par,Strokes,Putts,FIR",
+      "2024-05-01,Pebble Beach,White,2,3,3,1,",
+      "2024-05-01,Pebble Beach,White,1,4,5,2,Y",
+      "2024-05-08,Spyglass Hill,Blue,1,5,6,3,N"
+    ].join("\n"));
+
+    expect(rounds).toHaveLength(2);
+    expect(rounds[0]).toMatchObject({
+      date: middayOn(2024, 5, 1),
+      courseName: "Pebble Beach",
+      teeName: "White",
+      source: "csv",
+      errors: []
+    });
+    // Holes come back in order
+    expect(rounds[0].holes).toEqual([
+      { number: 1, par: 4, score: 5, putts: 2, fairwayHit: true, shots: null },
+      { number: 2, par: 3, score: 3, putts: 1, fairwayHit: null, shots: null }
+    ]);
+    expect(rounds[1].holes[0]).toMatchObject({ number: 1, score: 6, fairwayHit: false });
+  });
+
+  it("reads one-row-per-round files with a column per hole, skipping blanks and dashes", () => {
+    const rounds = parseRoundsCsv([
+      "date,course,tee,H1,hole2,Hole 3,4",
+      "2024-05-01,Pebble Beach,,5,3,-,",
+      "2024-05-08,Spyglass Hill,Blue,6,4,5,4"
+    ].join("\r\n"));
+
+    expect(rounds).toHaveLength(2);
+    expect(rounds[0].teeName).toBeNull();
+    expect(rounds[0].holes.map(hole => [hole.number, hole.score])).toEqual([[1, 5], [2, 3]]);
+    expect(rounds[1].holes.map(hole => hole.number)).toEqual([1, 2, 3, 4]);
+  });
+
+  it("flags rounds it can't import rather than dropping them", () => {
+    const [round] = parseRoundsCsv([
+      "date,course,hole,score,putts",
+      "not a date,,1,5,6",
+      "not a date,,1,4,",
+      "not a date,,19,25,"
+    ].join("\n"));
+
+    expect(round.errors).toEqual([
+      "Missing or unreadable date",
+      "Missing course name",
+      "The same hole appears more than once",
+      "Hole numbers must be between 1 and 18",
+      "Hole scores must be between 1 and 20",
+      "A hole has more putts than strokes"
+    ]);
+  });
+
+  it("skips holes without a readable score, like unplayed holes in an export", () => {
+    const [round] = parseRoundsCsv("date,course,hole,score\n2024-05-01,Pebble,1,five\n2024-05-01,Pebble,2,4");
+    expect(round.holes.map(hole => hole.number)).toEqual([2]);
+    expect(round.errors).toEqual([]);
+  });
+
+  it("flags a round with no scores", () => {
+    const [round] = parseRoundsCsv("date,course,H1,H2\n2024-05-01,Pebble,,-");
+    expect(round.errors).toEqual(["No hole scores found"]);
+  });
+
+  it("rejects files without the columns it needs", () => {
+    expect(() => parseRoundsCsv("")).toThrow("The file is empty");
+    expect(() => parseRoundsCsv("course,hole,score\nPebble,1,4")).toThrow("The CSV needs date and course columns");
+    expect(() => parseRoundsCsv("date,course,notes\n2024-05-01,Pebble,windy")).toThrow("hole and score columns");
+  });
+
+  it("reads back our own CSV export with its shots, keeping only the scorer", () => {
+    const roundExport = buildRoundExport({
+      round: {
+        id: 12,
+        created_at: "2024-05-01T15:30:00.000Z",
+        selected_tee_name: "White",
+        hole_numbers: [1, 2],
+        players: [{ key: "p1", name: "Sam" }]
+      },
+      course: COURSE,
+      holeRecords: [{
+        hole_number: 1,
+        hole_data: {
+          par: 4,
+          shots: [
+            { type: "Tee Shot", result: "On Target", club: "driver" },
+            { type: "Approach", result: "Slightly Off", distance_to_target: 150 },
+            { type: "Putts", result: "On Target" },
+            { type: "Putts", result: "On Target" }
+          ],
+          players: { p1: { shots: [{ type: "Tee Shot", result: "On Target" }] } }
+        },
+        total_score: 4
+      }]
+    });
+
+    const [round] = parseRoundsCsv(buildExportCsv([roundExport]));
+
+    expect(round).toMatchObject({ key: "12", courseName: COURSE.name, teeName: "White", errors: [] });
+    // Hole 2 wasn't played, so it isn't imported
+    expect(round.holes).toHaveLength(1);
+    expect(round.holes[0]).toMatchObject({ number: 1, par: 4, score: 4, putts: 2 });
+    expect(round.holes[0].shots[0]).toEqual({ type: "Tee Shot", result: "On Target", timestamp: null, club: "driver" });
+    expect(round.holes[0].shots[1].distance_to_target).toBe(150);
+  });
+
+  it("keeps the hole score but drops shot sequences with unknown shot types", () => {
+    const [round] = parseRoundsCsv([
+      "date,course,hole,hole_score,shot_type,result",
+      "2024-05-01,Pebble,1,3,Tee Shot,On Target",
+      "2024-05-01,Pebble,1,3,Laser,On Target"
+    ].join("\n"));
+
+    expect(round.holes[0]).toMatchObject({ number: 1, score: 3, shots: null });
+  });
+});
+
+describe("parseRoundsJson", () => {
+  it("reads our export schema, skipping unplayed holes", () => {
+    const roundExport = buildRoundExport({
+      round: { id: 12, created_at: "2024-05-01T15:30:00.000Z", selected_tee_name: "White", hole_numbers: [1, 2] },
+      course: COURSE,
+      holeRecords: [{
+        hole_number: 1,
+        hole_data: { par: 4, shots: [{ type: "Tee Shot", result: "On Target" }, { type: "Putts", result: "On Target" }] },
+        total_score: 2
+      }]
+    });
+
+    const [round] = parseRoundsJson(buildExportJson([roundExport]));
+
+    expect(round).toMatchObject({ key: "12", courseName: COURSE.name, teeName: "White", source: "json", errors: [] });
+    expect(round.holes).toHaveLength(1);
+    expect(round.holes[0]).toMatchObject({ number: 1, score: 2, putts: 1 });
+  });
+
+  it("reads a plain array of rounds", () => {
+    const [round] = parseRoundsJson(JSON.stringify([{
+      date: "2024-05-01",
+      course: "Pebble Beach",
+      holes: [{ hole: 1, par: 4, score: 5, putts: 2, fairway: "Y" }]
+    }]));
+
+    expect(round.key).toBe("round-1");
+    expect(round.teeName).toBeNull();
+    expect(round.holes[0]).toEqual({ number: 1, par: 4, score: 5, putts: 2, fairwayHit: true, shots: null });
+  });
+
+  it("rejects invalid JSON and other schemas", () => {
+    expect(() => parseRoundsJson("{nope")).toThrow("The file isn't valid JSON");
+    expect(() => parseRoundsJson(JSON.stringify({ schema: "other.app", rounds: [] }))).toThrow("Unrecognised export format: other.app");
+    expect(() => parseRoundsJson(JSON.stringify({ rounds: "none" }))).toThrow("The JSON needs a list of rounds");
+  });
+});
+
+describe("parseImportFile", () => {
+  it("chooses the format from the extension or contents", () => {
+    const json = JSON.stringify([{ date: "2024-05-01", course: "Pebble", holes: [{ number: 1, score: 4 }] }]);
+
+    expect(parseImportFile(json, "rounds.txt")[0].source).toBe("json");
+    expect(parseImportFile("date,course,hole,score\n2024-05-01,Pebble,1,4", "rounds.csv")[0].source).toBe("csv");
+  });
+});
+
+describe("course matching", () => {
+  it("ignores case, punctuation and words like golf club", () => {
+    expect(normalizeCourseName("The Pebble Beach Golf Links")).toBe("pebble beach");
+    expect(normalizeCourseName("Smith & Sons G.C.")).toBe("smith sons g c");
+  });
+
+  it("scores exact, partial and word matches", () => {
+    expect(scoreCourseMatch("Pebble Beach", COURSE)).toBe(1);
+    expect(scoreCourseMatch("Pebble", COURSE)).toBe(0.8);
+    expect(scoreCourseMatch("Pebble Hills", { name: "Pebble Creek" })).toBeCloseTo(0.3);
+    expect(scoreCourseMatch("", COURSE)).toBe(0);
+  });
+
+  it("selects the best match only when it is clear", () => {
+    const creek = { id: 8, name: "Pebble Creek" };
+
+    expect(rankCourseMatches("Pebble Beach", [creek, COURSE])).toMatchObject({ selectedId: 7 });
+    expect(rankCourseMatches("Pebble", [creek, COURSE]).selectedId).toBeNull();
+    expect(rankCourseMatches("Augusta", [creek, COURSE])).toEqual({ candidates: [], selectedId: null });
+  });
+});
+
+describe("planImport", () => {
+  const parsedRound = (overrides = {}) => ({
+    key: "r1",
+    date: middayOn(2024, 5, 1),
+    courseName: "Pebble Beach",
+    teeName: "white",
+    source: "csv",
+    holes: [{ number: 1, par: 5, score: 5, putts: 2, fairwayHit: true, shots: null }],
+    errors: [],
+    ...overrides
+  });
+  const courseMatches = { "Pebble Beach": { candidates: [COURSE], selectedId: 7 } };
+
+  it("marks matched rounds ready, matching the tee by name and noting par differences", () => {
+    const [round] = planImport([parsedRound()], { courseMatches });
+
+    expect(round.status).toBe("ready");
+    expect(round.tee).toEqual(COURSE.tees[0]);
+    expect(round.warnings).toEqual(["Par differs from the course on hole 1 - the file's par will be used"]);
+  });
+
+  it("warns when the tee is missing or unknown", () => {
+    const [noTee, unknownTee] = planImport(
+      [parsedRound({ teeName: null }), parsedRound({ teeName: "Gold", date: middayOn(2024, 5, 2) })],
+      { courseMatches }
+    );
+
+    expect(noTee.warnings[0]).toMatch(/^No tee given/);
+    expect(unknownTee.warnings[0]).toMatch(/^Tee "Gold" isn't on this course/);
+  });
+
+  it("sorts out invalid, unmatched and duplicate rounds", () => {
+    const planned = planImport([
+      parsedRound({ errors: ["Missing course name"] }),
+      parsedRound({ courseName: "Augusta" }),
+      parsedRound(),
+      parsedRound({ key: "r2" }),
+      parsedRound({ date: middayOn(2024, 5, 3) })
+    ], {
+      courseMatches,
+      existingRounds: [{ course_id: 7, created_at: middayOn(2024, 5, 3) }]
+    });
+
+    expect(planned.map(round => round.status)).toEqual(["invalid", "unmatched", "ready", "duplicate", "duplicate"]);
+  });
+});
+
+describe("buildImportedHoleRecords", () => {
+  it("stores score-only holes under imported with no shots", () => {
+    const [record] = buildImportedHoleRecords({
+      course: COURSE,
+      tee: COURSE.tees[0],
+      holes: [{ number: 1, par: null, score: 5, putts: 2, fairwayHit: false, shots: null }]
+    });
+
+    expect(record).toEqual({
+      hole_number: 1,
+      hole_data: { par: 4, distance: 380, shots: [], imported: { score: 5, putts: 2, fairway_hit: false } },
+      total_score: 5
+    });
+  });
+
+  it("keeps shot sequences as they are", () => {
+    const shots = [{ type: "Tee Shot", result: "On Target", timestamp: null }];
+    const [record] = buildImportedHoleRecords({
+      course: null,
+      tee: null,
+      teeName: null,
+      holes: [{ number: 2, par: 3, score: 1, putts: 0, fairwayHit: null, shots }]
+    });
+
+    expect(record).toEqual({ hole_number: 2, hole_data: { par: 3, distance: null, shots }, total_score: 1 });
+  });
+});
+
+describe("getImportedHoleNumbers", () => {
+  it("returns the sorted hole numbers played", () => {
+    expect(getImportedHoleNumbers({ holes: [{ number: 10 }, { number: 2 }] })).toEqual([2, 10]);
+  });
+});
@@ -0,0 +1,143 @@
+// src/utils/__tests__/roundStats.test.js
+
+import {
+  calculateHoleStats,
+  calculateRoundStats,
+  combineRoundStats,
+  formatStatRatio,
+  formatStatPercentage
+} from "../roundStats";
+
+const shot = (type, result = "On Target", details = {}) => ({ type, result, ...details });
+
+// Par 4: fairway, green in two, two putts
+const REGULATION_PAR = [shot("Tee Shot"), shot("Approach"), shot("Putts"), shot("Putts")];
+
+// Par 4: missed fairway, missed green, chip and one putt
+const SCRAMBLED_PAR = [shot("Tee Shot", "Slightly Off"), shot("Approach", "Slightly Off"), shot("Chip"), shot("Putts")];
+
+// Par 4: tee shot, penalty, approach into a greenside bunker, out and two putts
+const BUNKER_BOGEY = [
+  shot("Tee Shot", "Recovery Needed"),
+  shot("Penalties", "Recovery Needed"),
+  shot("Approach", "Slightly Off"),
+  shot("Sand", "On Target", { distance_to_target: 15 }),
+  shot("Putts"),
+  shot("Putts")
+];
+
+describe("calculateHoleStats", () => {
+  it("scores a regulation par", () => {
+    expect(calculateHoleStats(REGULATION_PAR, 4)).toEqual({
+      score: 4,
+      putts: 2,
+      penalties: 0,
+      fairwayHit: true,
+      gir: true,
+      scrambled: null,
+      upAndDown: null,
+      sandSave: null
+    });
+  });
+
+  it("credits a scramble and an up and down", () => {
+    expect(calculateHoleStats(SCRAMBLED_PAR, 4)).toMatchObject({
+      fairwayHit: false,
+      gir: false,
+      scrambled: true,
+      upAndDown: true,
+      sandSave: null
+    });
+  });
+
+  it("counts penalties towards the green and misses a sand save in three", () => {
+    expect(calculateHoleStats(BUNKER_BOGEY, 4)).toMatchObject({
+      score: 6,
+      penalties: 1,
+      gir: false,
+      scrambled: false,
+      upAndDown: false,
+      sandSave: false
+    });
+  });
+
+  it("treats fairway bunker shots as approaches", () => {
+    const stats = calculateHoleStats([shot("Tee Shot"), shot("Sand", "On Target", { distance_to_target: 120 }), shot("Putts")], 4);
+
+    expect(stats.sandSave).toBeNull();
+    expect(stats.upAndDown).toBeNull();
+  });
+
+  it("counts a chip-in as on the green in every stroke taken", () => {
+    expect(calculateHoleStats([shot("Tee Shot"), shot("Chip")], 3)).toMatchObject({
+      fairwayHit: null,
+      gir: false,
+      scrambled: true,
+      upAndDown: true,
+      putts: 0
+    });
+  });
+
+  it("leaves par-based stats empty without a par", () => {
+    expect(calculateHoleStats(REGULATION_PAR, null)).toMatchObject({ fairwayHit: null, gir: null, scrambled: null });
+  });
+
+  it("skips unplayed holes", () => {
+    expect(calculateHoleStats([], 4)).toBeNull();
+  });
+});
+
+describe("calculateRoundStats", () => {
+  const holes = [
+    { hole_number: 1, hole_data: { par: 4, shots: REGULATION_PAR } },
+    { hole_number: 2, hole_data: { shots: SCRAMBLED_PAR } },
+    { hole_number: 3, hole_data: { par: 4, shots: BUNKER_BOGEY } },
+    { hole_number: 4, hole_data: { par: 3, shots: [] } }
+  ];
+
+  it("totals the holes played", () => {
+    const stats = calculateRoundStats(holes, { courseHoles: [{ number: 2, par_men: 4 }] });
+
+    expect(stats).toMatchObject({
+      holesPlayed: 3,
+      fairways: { made: 1, attempts: 3 },
+      greens: { made: 1, attempts: 3 },
+      putts: 5,
+      puttsPerHole: 1.67,
+      scrambling: { made: 1, attempts: 2 },
+      upAndDowns: { made: 1, attempts: 2 },
+      sandSaves: { made: 0, attempts: 1 },
+      penalties: 1
+    });
+    expect(Object.keys(stats.byHole)).toEqual(["1", "2", "3"]);
+  });
+
+  it("ignores holes outside the round's range", () => {
+    expect(calculateRoundStats(holes, { holeNumbers: [1] }).holesPlayed).toBe(1);
+  });
+});
+
+describe("combineRoundStats", () => {
+  it("adds rounds together and averages per round", () => {
+    const round = calculateRoundStats([{ hole_number: 1, hole_data: { par: 4, shots: BUNKER_BOGEY } }]);
+    const combined = combineRoundStats([round, round, calculateRoundStats([])]);
+
+    expect(combined).toMatchObject({
+      rounds: 2,
+      holesPlayed: 2,
+      putts: 4,
+      puttsPerRound: 2,
+      sandSaves: { made: 0, attempts: 2 },
+      penaltiesPerRound: 1
+    });
+  });
+});
+
+describe("formatting", () => {
+  it("shows ratios and percentages", () => {
+    expect(formatStatRatio({ made: 7, attempts: 14 })).toBe("7/14 (50%)");
+    expect(formatStatRatio({ made: 7, attempts: 14 }, false)).toBe("7/14");
+    expect(formatStatRatio({ made: 0, attempts: 0 })).toBe("-");
+    expect(formatStatPercentage({ made: 2, attempts: 3 })).toBe("67%");
+  });
+});
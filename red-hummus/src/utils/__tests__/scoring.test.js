@@ -0,0 +1,85 @@
+// src/utils/__tests__/scoring.test.js
+
+import {
+  getHoleShotCount,
+  getHolePar,
+  calculateRoundScore,
+  formatScoreToPar,
+  describeHolesPlayed
+} from "../scoring";
+
+const hole = (number, shots, par) => ({
+  hole_number: number,
+  hole_data: { par, shots: Array(shots).fill({ type: "Drive", result: "On Target" }) },
+  total_score: shots
+});
+
+describe("getHoleShotCount", () => {
+  it("uses total_score, falling back to the shots recorded", () => {
+    expect(getHoleShotCount({ total_score: 5 })).toBe(5);
+    expect(getHoleShotCount({ total_score: 0, hole_data: { shots: [{}, {}] } })).toBe(2);
+    expect(getHoleShotCount(null)).toBe(0);
+  });
+});
+
+describe("getHolePar", () => {
+  it("prefers the par saved with the hole, then the course's", () => {
+    const courseHoles = [{ number: 2, par_men: 5 }];
+    expect(getHolePar(hole(2, 4, 3), courseHoles)).toBe(3);
+    expect(getHolePar({ hole_number: 2, hole_data: {} }, courseHoles)).toBe(5);
+    expect(getHolePar({ hole_number: 3, hole_data: {} }, courseHoles)).toBeNull();
+  });
+
+  it("uses the course's par for the tee played", () => {
+    const courseHoles = [{ number: 2, par_men: 5, par_women: 4 }];
+    expect(getHolePar({ hole_number: 2, hole_data: {} }, courseHoles, { name: "Red", category: "women" })).toBe(4);
+    expect(getHolePar({ hole_number: 2, hole_data: {} }, courseHoles, { name: "Green", category: "junior" })).toBe(5);
+  });
+});
+
+describe("calculateRoundScore", () => {
+  it("scores an abandoned round against the par of the holes played", () => {
+    const score = calculateRoundScore(
+      [hole(1, 5, 4), hole(2, 3, 3), hole(3, 0, 5)],
+      { holeNumbers: [1, 2, 3, 4] }
+    );
+
+    expect(score).toEqual({
+      grossShots: 8,
+      parPlayed: 7,
+      scoreToPar: 1,
+      holesPlayed: 2,
+      unplayedHoles: [3, 4],
+      holesMissingPar: []
+    });
+  });
+
+  it("counts holes without par in the gross but not the score to par", () => {
+    const score = calculateRoundScore([hole(1, 5, 4), { hole_number: 2, hole_data: { shots: [{}, {}, {}] }, total_score: 3 }]);
+
+    expect(score.grossShots).toBe(8);
+    expect(score.scoreToPar).toBe(1);
+    expect(score.holesMissingPar).toEqual([2]);
+  });
+
+  it("has no score to par when nothing was played", () => {
+    expect(calculateRoundScore([]).scoreToPar).toBeNull();
+  });
+});
+
+describe("formatScoreToPar", () => {
+  it("formats over, under and level par", () => {
+    expect(formatScoreToPar(3)).toBe("+3");
+    expect(formatScoreToPar(-2)).toBe("-2");
+    expect(formatScoreToPar(0)).toBe("E");
+    expect(formatScoreToPar(null)).toBe("-");
+  });
+});
+
+describe("describeHolesPlayed", () => {
+  it("only describes unfinished rounds", () => {
+    expect(describeHolesPlayed(12, 18)).toBe("Thru 12");
+    expect(describeHolesPlayed(18, 18)).toBeNull();
+    expect(describeHolesPlayed(0, 18)).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+// src/utils/__tests__/scoringFormats.test.js
+
+import {
+  getScoringFormat,
+  isPointsFormat,
+  isMatchPlayFormat,
+  calculateHolePoints,
+  calculateRoundPoints,
+  formatPoints,
+  formatHolePoints
+} from "../scoringFormats";
+
+describe("getScoringFormat", () => {
+  it("falls back to stroke play for unknown formats", () => {
+    expect(getScoringFormat("stableford").label).toBe("Stableford");
+    expect(getScoringFormat("skins").key).toBe("stroke");
+    expect(getScoringFormat(undefined).key).toBe("stroke");
+  });
+
+  it("scores only the Stableford and par/bogey formats in points", () => {
+    expect(isPointsFormat("stroke")).toBe(false);
+    expect(isPointsFormat("stableford")).toBe(true);
+    expect(isPointsFormat("par_bogey")).toBe(true);
+    expect(isPointsFormat("match_play")).toBe(false);
+  });
+
+  it("recognises match play", () => {
+    expect(isMatchPlayFormat("match_play")).toBe(true);
+    expect(isMatchPlayFormat("stableford")).toBe(false);
+  });
+});
+
+describe("calculateHolePoints", () => {
+  it("scores Stableford from net score to par", () => {
+    expect(calculateHolePoints("stableford", { par: 4, score: 4 })).toBe(2);
+    expect(calculateHolePoints("stableford", { par: 4, score: 3 })).toBe(3);
+    expect(calculateHolePoints("stableford", { par: 4, score: 5, strokes: 1 })).toBe(2);
+    expect(calculateHolePoints("stableford", { par: 4, score: 8 })).toBe(0);
+  });
+
+  it("scores modified Stableford on its points table", () => {
+    expect(calculateHolePoints("modified_stableford", { par: 5, score: 1 })).toBe(8);
+    expect(calculateHolePoints("modified_stableford", { par: 5, score: 3 })).toBe(5);
+    expect(calculateHolePoints("modified_stableford", { par: 4, score: 3 })).toBe(2);
+    expect(calculateHolePoints("modified_stableford", { par: 4, score: 4 })).toBe(0);
+    expect(calculateHolePoints("modified_stableford", { par: 4, score: 5 })).toBe(-1);
+    expect(calculateHolePoints("modified_stableford", { par: 4, score: 7 })).toBe(-3);
+  });
+
+  it("scores par/bogey as won, halved or lost", () => {
+    expect(calculateHolePoints("par_bogey", { par: 4, score: 3 })).toBe(1);
+    expect(calculateHolePoints("par_bogey", { par: 4, score: 5, strokes: 1 })).toBe(0);
+    expect(calculateHolePoints("par_bogey", { par: 4, score: 5 })).toBe(-1);
+  });
+
+  it("scores unplayed holes as nothing, or lost in par/bogey", () => {
+    expect(calculateHolePoints("stableford", { par: 4, score: 0 })).toBe(0);
+    expect(calculateHolePoints("par_bogey", { par: 4, score: 0 })).toBe(-1);
+  });
+
+  it("returns null for stroke play or an unknown par", () => {
+    expect(calculateHolePoints("stroke", { par: 4, score: 4 })).toBeNull();
+    expect(calculateHolePoints("match_play", { par: 4, score: 4 })).toBeNull();
+    expect(calculateHolePoints("stableford", { par: null, score: 4 })).toBeNull();
+  });
+});
+
+describe("calculateRoundPoints", () => {
+  const holes = [
+    { number: 1, par: 4, score: 5 },
+    { number: 2, par: 3, score: 3 },
+    { number: 3, par: null, score: 4 }
+  ];
+
+  it("totals points with handicap strokes by hole", () => {
+    expect(calculateRoundPoints("stableford", holes, { 1: 1 })).toEqual({
+      total: 4,
+      byHole: { 1: 2, 2: 2, 3: null }
+    });
+  });
+
+  it("has no total for stroke play", () => {
+    expect(calculateRoundPoints("stroke", holes)).toEqual({ total: null, byHole: {} });
+  });
+});
+
+describe("formatPoints", () => {
+  it("shows par/bogey as a running tally", () => {
+    expect(formatPoints("par_bogey", 2)).toBe("2 up");
+    expect(formatPoints("par_bogey", -1)).toBe("1 down");
+    expect(formatPoints("par_bogey", 0)).toBe("All square");
+  });
+
+  it("shows Stableford as points", () => {
+    expect(formatPoints("stableford", 36)).toBe("36 pts");
+    expect(formatPoints("stableford", null)).toBe("-");
+  });
+});
+
+describe("formatHolePoints", () => {
+  it("formats scorecard cells for each format", () => {
+    expect(formatHolePoints("par_bogey", 1)).toBe("+");
+    expect(formatHolePoints("par_bogey", -1)).toBe("−");
+    expect(formatHolePoints("modified_stableford", 2)).toBe("+2");
+    expect(formatHolePoints("stableford", 3)).toBe("3");
+    expect(formatHolePoints("stableford", null)).toBe("-");
+  });
+});
@@ -0,0 +1,81 @@
+// src/utils/__tests__/shotModel.test.js
+
+import {
+  normalizeShot,
+  hasShotDetails,
+  suggestLie,
+  buildShotDetails,
+  applyShotDetails,
+  formatShotDetails
+} from "../shotModel";
+
+const OLD_SHOT = { type: "Approach", result: "On Target", timestamp: "2024-05-01T10:00:00.000Z" };
+
+describe("normalizeShot", () => {
+  it("fills missing details on older shots with null", () => {
+    expect(normalizeShot(OLD_SHOT)).toEqual({
+      ...OLD_SHOT,
+      club: null,
+      lie: null,
+      distance_to_target: null,
+      distance_remaining: null,
+      putt_length: null
+    });
+  });
+
+  it("drops unknown clubs and lies and reads numeric strings", () => {
+    const shot = normalizeShot({ ...OLD_SHOT, club: "2i", lie: "cart path", distance_to_target: "150", distance_remaining: -4, putt_length: "abc" });
+
+    expect(shot).toMatchObject({ club: null, lie: null, distance_to_target: 150, distance_remaining: null, putt_length: null });
+  });
+
+  it("handles a missing shot", () => {
+    expect(normalizeShot(null)).toMatchObject({ type: null, result: null, club: null });
+  });
+});
+
+describe("hasShotDetails", () => {
+  it("is true once any detail is set", () => {
+    expect(hasShotDetails(OLD_SHOT)).toBe(false);
+    expect(hasShotDetails({ ...OLD_SHOT, distance_remaining: 0 })).toBe(true);
+  });
+});
+
+describe("suggestLie", () => {
+  it("keeps a recorded lie, otherwise suggests one from the shot type", () => {
+    expect(suggestLie({ type: "Tee Shot", lie: "fairway" })).toBe("fairway");
+    expect(suggestLie({ type: "Putts" })).toBe("green");
+    expect(suggestLie({ type: "Approach" })).toBeNull();
+  });
+});
+
+describe("buildShotDetails", () => {
+  it("keeps only valid values", () => {
+    expect(buildShotDetails({ club: "7i", lie: "", distance_to_target: "150", distance_remaining: "" })).toEqual({
+      club: "7i",
+      distance_to_target: 150
+    });
+  });
+});
+
+describe("applyShotDetails", () => {
+  it("replaces the details and keeps type, outcome and timestamp", () => {
+    const shot = applyShotDetails({ ...OLD_SHOT, club: "8i", putt_length: 6 }, { club: "7i" });
+
+    expect(shot).toEqual({ ...OLD_SHOT, club: "7i" });
+  });
+
+  it("leaves an unedited shot in its original shape", () => {
+    expect(applyShotDetails(OLD_SHOT, {})).toEqual(OLD_SHOT);
+  });
+});
+
+describe("formatShotDetails", () => {
+  it("describes the details in one line", () => {
+    expect(formatShotDetails({ ...OLD_SHOT, club: "7i", lie: "fairway", distance_to_target: 150, distance_remaining: 12 }))
+      .toBe("7 Iron • Fairway • 150 → 12 yds");
+    expect(formatShotDetails({ type: "Putts", club: "putter", putt_length: 18 })).toBe("Putter • 18 ft");
+    expect(formatShotDetails({ ...OLD_SHOT, distance_remaining: 40 })).toBe("40 yds left");
+    expect(formatShotDetails(OLD_SHOT)).toBe("");
+  });
+});
@@ -0,0 +1,109 @@
+// src/utils/__tests__/shotSequence.test.js
+
+import {
+  deriveShotCounts,
+  appendShot,
+  removeLastShot,
+  moveShot,
+  updateShot,
+  replaceShot,
+  deleteShot
+} from "../shotSequence";
+
+const shot = (type, result = "On Target") => ({ type, result, timestamp: "2024-05-01T10:00:00.000Z" });
+
+const SHOTS = [
+  shot("Tee Shot"),
+  shot("Approach", "Slightly Off"),
+  shot("Putts"),
+  shot("Putts")
+];
+
+describe("deriveShotCounts", () => {
+  it("counts shots by type and outcome", () => {
+    const counts = deriveShotCounts(SHOTS);
+
+    expect(counts["Putts"]["On Target"]).toBe(2);
+    expect(counts["Approach"]["Slightly Off"]).toBe(1);
+    expect(counts["Sand"]["Recovery Needed"]).toBe(0);
+  });
+
+  it("ignores unknown types and outcomes", () => {
+    const counts = deriveShotCounts([shot("Drive"), shot("Putts", "Holed")]);
+
+    expect(counts["Drive"]).toBeUndefined();
+    expect(counts["Putts"]["On Target"]).toBe(0);
+  });
+});
+
+describe("appendShot", () => {
+  it("adds a timestamped shot without changing the input", () => {
+    const shots = appendShot(SHOTS, "Chip", "Recovery Needed");
+
+    expect(shots).toHaveLength(5);
+    expect(shots[4]).toMatchObject({ type: "Chip", result: "Recovery Needed" });
+    expect(typeof shots[4].timestamp).toBe("string");
+    expect(SHOTS).toHaveLength(4);
+    expect(appendShot(null, "Tee Shot", "On Target")).toHaveLength(1);
+  });
+});
+
+describe("removeLastShot", () => {
+  it("removes the most recent matching shot", () => {
+    const shots = removeLastShot([shot("Putts"), shot("Chip"), shot("Putts")], "Putts", "On Target");
+
+    expect(shots.map(s => s.type)).toEqual(["Putts", "Chip"]);
+  });
+
+  it("returns the same array when there's no such shot", () => {
+    expect(removeLastShot(SHOTS, "Sand", "On Target")).toBe(SHOTS);
+  });
+});
+
+describe("moveShot", () => {
+  it("moves a shot to a new position", () => {
+    expect(moveShot(SHOTS, 0, 2).map(s => s.type)).toEqual(["Approach", "Putts", "Tee Shot", "Putts"]);
+    expect(moveShot(SHOTS, 3, 0).map(s => s.type)).toEqual(["Putts", "Tee Shot", "Approach", "Putts"]);
+  });
+
+  it("returns the same array for no-op or out of range moves", () => {
+    expect(moveShot(SHOTS, 1, 1)).toBe(SHOTS);
+    expect(moveShot(SHOTS, -1, 2)).toBe(SHOTS);
+    expect(moveShot(SHOTS, 0, 4)).toBe(SHOTS);
+  });
+});
+
+describe("updateShot", () => {
+  it("changes a shot's type or outcome", () => {
+    const shots = updateShot(SHOTS, 1, { result: "On Target" });
+
+    expect(shots[1]).toMatchObject({ type: "Approach", result: "On Target" });
+    expect(SHOTS[1].result).toBe("Slightly Off");
+  });
+
+  it("returns the same array when nothing changes", () => {
+    expect(updateShot(SHOTS, 0, { type: "Tee Shot" })).toBe(SHOTS);
+    expect(updateShot(SHOTS, 9, { type: "Chip" })).toBe(SHOTS);
+  });
+});
+
+describe("replaceShot", () => {
+  it("swaps in a shot with different details", () => {
+    const shots = replaceShot(SHOTS, 0, { ...SHOTS[0], club: "driver" });
+
+    expect(shots[0].club).toBe("driver");
+    expect(SHOTS[0].club).toBeUndefined();
+  });
+
+  it("returns the same array when the shot is unchanged", () => {
+    expect(replaceShot(SHOTS, 0, { ...SHOTS[0] })).toBe(SHOTS);
+    expect(replaceShot(SHOTS, 9, shot("Chip"))).toBe(SHOTS);
+  });
+});
+
+describe("deleteShot", () => {
+  it("removes the shot at a position", () => {
+    expect(deleteShot(SHOTS, 0).map(s => s.type)).toEqual(["Approach", "Putts", "Putts"]);
+    expect(deleteShot(SHOTS, 4)).toBe(SHOTS);
+  });
+});
@@ -0,0 +1,145 @@
+// src/utils/__tests__/strokesGained.test.js
+
+import {
+  getBaseline,
+  getBaselineForHandicap,
+  getExpectedStrokes,
+  categorizeShot,
+  calculateHoleStrokesGained,
+  calculateRoundStrokesGained,
+  averageStrokesGained,
+  formatStrokesGained
+} from "../strokesGained";
+
+// A par 4 of 400 yards: drive, approach from 150 in the fairway, two putts
+const PAR_4_SHOTS = [
+  { type: "Tee Shot", result: "On Target" },
+  { type: "Approach", result: "On Target", lie: "fairway", distance_to_target: 150 },
+  { type: "Putts", result: "On Target", putt_length: 20 },
+  { type: "Putts", result: "On Target", putt_length: 3 }
+];
+
+describe("baselines", () => {
+  it("falls back to scratch for unknown baselines", () => {
+    expect(getBaseline("hcp_10").label).toBe("10 Handicap");
+    expect(getBaseline("tour").key).toBe("scratch");
+  });
+
+  it("picks the nearest handicap bracket", () => {
+    expect(getBaselineForHandicap(null)).toBe("scratch");
+    expect(getBaselineForHandicap(1.2)).toBe("scratch");
+    expect(getBaselineForHandicap(11)).toBe("hcp_10");
+    expect(getBaselineForHandicap(36)).toBe("hcp_25");
+  });
+});
+
+describe("getExpectedStrokes", () => {
+  it("interpolates between table rows", () => {
+    expect(getExpectedStrokes("tee", 400)).toBeCloseTo(3.99);
+    expect(getExpectedStrokes("fairway", 150)).toBeCloseTo(2.945);
+    expect(getExpectedStrokes("green", 700)).toBeCloseTo(2.40);
+  });
+
+  it("scales strokes beyond holing out for handicap baselines", () => {
+    expect(getExpectedStrokes("fairway", 100, "hcp_10")).toBeCloseTo(1 + 1.8 * 1.13);
+    expect(getExpectedStrokes("green", 0, "hcp_25")).toBe(1);
+  });
+
+  it("returns null for an unknown lie or distance", () => {
+    expect(getExpectedStrokes("cart path", 100)).toBeNull();
+    expect(getExpectedStrokes("fairway", null)).toBeNull();
+  });
+});
+
+describe("categorizeShot", () => {
+  it("puts shots in the standard categories", () => {
+    expect(categorizeShot({ lie: "tee", distance: 400 }, 4)).toBe("off_the_tee");
+    expect(categorizeShot({ lie: "tee", distance: 160 }, 3)).toBe("approach");
+    expect(categorizeShot({ lie: "rough", distance: 25 }, 4)).toBe("around_the_green");
+    expect(categorizeShot({ lie: "green", distance: 10 }, 4)).toBe("putting");
+  });
+});
+
+describe("calculateHoleStrokesGained", () => {
+  it("measures each shot from where it started to where the next one did", () => {
+    const hole = calculateHoleStrokesGained(PAR_4_SHOTS, { par: 4, distance: 400 });
+
+    expect(hole.shotsMeasured).toBe(4);
+    expect(hole.byCategory.off_the_tee).toBeCloseTo(0.045);
+    expect(hole.byCategory.approach).toBeCloseTo(0.075);
+    expect(hole.byCategory.putting).toBeCloseTo(-0.13);
+    expect(hole.total).toBeCloseTo(-0.01);
+  });
+
+  it("charges penalty strokes to the shot before them", () => {
+    const hole = calculateHoleStrokesGained([
+      { type: "Tee Shot", result: "Recovery Needed" },
+      { type: "Penalties", result: "Recovery Needed" },
+      { type: "Long Shot", result: "On Target", lie: "fairway", distance_to_target: 150 }
+    ], { par: 4, distance: 400 });
+
+    expect(hole.shots[0]).toMatchObject({ index: 0, category: "off_the_tee" });
+    expect(hole.shots[0].strokesGained).toBeCloseTo(-0.955);
+  });
+
+  it("uses the distance left when the next shot has no details, in feet on the green", () => {
+    const hole = calculateHoleStrokesGained([
+      { type: "Approach", result: "On Target", lie: "fairway", distance_to_target: 150, distance_remaining: 10 },
+      { type: "Putts", result: "On Target" }
+    ], { par: 4 });
+
+    expect(hole.shots[0].strokesGained).toBeCloseTo(2.945 - 1.98 - 1);
+  });
+
+  it("skips shots that can't be placed", () => {
+    const hole = calculateHoleStrokesGained([
+      { type: "Tee Shot", result: "On Target" },
+      { type: "Approach", result: "On Target" }
+    ], { par: 4 });
+
+    expect(hole).toMatchObject({ shotsMeasured: 0, total: 0 });
+  });
+});
+
+describe("calculateRoundStrokesGained", () => {
+  it("sums measured holes and leaves unmeasured categories empty", () => {
+    const round = calculateRoundStrokesGained([
+      { hole_number: 1, hole_data: { par: 4, distance: 400, shots: PAR_4_SHOTS } },
+      { hole_number: 2, hole_data: { par: 3, shots: [{ type: "Tee Shot", result: "On Target" }] } }
+    ]);
+
+    expect(round.holesMeasured).toBe(1);
+    expect(round.byCategory.around_the_green).toBeNull();
+    expect(round.byCategory.putting).toBe(-0.13);
+    expect(round.total).toBe(-0.01);
+  });
+
+  it("has no total when nothing was measured", () => {
+    expect(calculateRoundStrokesGained([]).total).toBeNull();
+  });
+});
+
+describe("averageStrokesGained", () => {
+  it("averages each category over the rounds that measured it", () => {
+    const average = averageStrokesGained([
+      { byCategory: { off_the_tee: 1, approach: null, around_the_green: null, putting: -1 }, total: 0, shotsMeasured: 10 },
+      { byCategory: { off_the_tee: 0, approach: 2, around_the_green: null, putting: -2 }, total: 0, shotsMeasured: 12 },
+      { byCategory: { off_the_tee: null, approach: null, around_the_green: null, putting: null }, total: null, shotsMeasured: 0 }
+    ]);
+
+    expect(average).toEqual({
+      byCategory: { off_the_tee: 0.5, approach: 2, around_the_green: null, putting: -1.5 },
+      total: 0,
+      roundsMeasured: 2
+    });
+  });
+});
+
+describe("formatStrokesGained", () => {
+  it("signs gains and avoids negative zero", () => {
+    expect(formatStrokesGained(1.254)).toBe("+1.25");
+    expect(formatStrokesGained(-0.4)).toBe("-0.40");
+    expect(formatStrokesGained(-0.001)).toBe("0.00");
+    expect(formatStrokesGained(null)).toBe("-");
+  });
+});
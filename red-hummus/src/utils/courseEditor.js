@@ -0,0 +1,360 @@
+// src/utils/courseEditor.js
+
+/**
+ * Course Editor Utilities
+ *
+ * Drafts and validation for courses submitted by players. A draft keeps
+ * form values as typed (strings) so half-finished inputs survive editing;
+ * buildCourseRecord turns a valid draft into the same holes/tees JSON the
+ * courses table uses:
+ *
+ *   holes: [{ number, par_men, index_men, distances: { [tee name, lowercase]: yards } }]
+ *   tees:  [{ id, name, color, category, course_rating, slope_rating, total_distance }]
+ */
+
+import { normalizeTeeCategory } from "./courseSchema";
+
+// Hole counts a submitted course can have
+export const COURSE_HOLE_COUNTS = [9, 18];
+
+// Tee colours offered in the editor
+export const TEE_COLORS = [
+  { name: "Black", color: "#000000" },
+  { name: "Blue", color: "#1E5AA8" },
+  { name: "White", color: "#FFFFFF" },
+  { name: "Yellow", color: "#F2C500" },
+  { name: "Red", color: "#D32F2F" },
+  { name: "Green", color: "#2E7D32" },
+  { name: "Gold", color: "#C9A227" }
+];
+
+// Accepted ranges for hole and tee values
+const MIN_HOLE_PAR = 3;
+const MAX_HOLE_PAR = 6;
+const MIN_HOLE_YARDS = 50;
+const MAX_HOLE_YARDS = 700;
+const MIN_COURSE_RATING = 25;
+const MAX_COURSE_RATING = 90;
+const MIN_SLOPE_RATING = 55;
+const MAX_SLOPE_RATING = 155;
+
+// Highest stroke index - 9-hole courses often use odd or even numbers from 1-18
+const MAX_STROKE_INDEX = 18;
+
+let nextTeeKey = 1;
+
+/**
+ * Read a whole number typed into the form
+ *
+ * @param {string|number} value - Form value
+ * @returns {number|null} The number, or null if blank or not a whole number
+ */
+export const parseWholeNumber = (value) => {
+  const text = String(value ?? "").trim();
+  if (!/^\d+$/.test(text)) return null;
+  return parseInt(text, 10);
+};
+
+/**
+ * Read a rating typed into the form, allowing one decimal place
+ */
+const parseRating = (value) => {
+  const text = String(value ?? "").trim();
+  if (!/^\d+(\.\d)?$/.test(text)) return null;
+  return parseFloat(text);
+};
+
+/**
+ * Keep a number as a form value
+ */
+const toFormValue = (value) => (value === null || value === undefined ? "" : String(value));
+
+/**
+ * List hole numbers for a validation message, e.g. "holes 3, 7"
+ */
+const describeHoles = (holes) =>
+  `${holes.length === 1 ? "hole" : "holes"} ${holes.map(hole => hole.number).join(", ")}`;
+
+/**
+ * Create an empty tee for the editor
+ *
+ * @param {string} name - Tee name
+ * @param {string} color - Tee colour
+ * @returns {Object} Tee draft
+ */
+export const createTeeDraft = (name = "", color = TEE_COLORS[2].color) => ({
+  key: `tee-${nextTeeKey++}`,
+  id: null,
+  name,
+  color,
+  category: null,
+  courseRating: "",
+  slopeRating: "",
+  extra: {}
+});
+
+/**
+ * Create empty hole drafts
+ *
+ * @param {number} holeCount - 9 or 18
+ * @returns {Array<Object>} Hole drafts numbered from 1
+ */
+export const createHoleDrafts = (holeCount) =>
+  Array.from({ length: holeCount }, (_, index) => ({
+    number: index + 1,
+    par: "",
+    strokeIndex: "",
+    distances: {},
+    extra: {}
+  }));
+
+/**
+ * Create a draft for a new course
+ *
+ * @param {number} holeCount - 9 or 18
+ * @returns {Object} Course draft
+ */
+export const createEmptyCourseDraft = (holeCount = 18) => ({
+  name: "",
+  clubName: "",
+  location: "",
+  par: "",
+  tees: [createTeeDraft()],
+  holes: createHoleDrafts(holeCount)
+});
+
+/**
+ * Create a draft from an existing course or submission, so missing details can be filled in
+ * Hole and tee fields the editor doesn't show are kept in `extra` and saved back unchanged.
+ *
+ * @param {Object} course - Course record or submission with name, club_name, location, par, holes and tees
+ * @returns {Object} Course draft
+ */
+export const createCourseDraftFromCourse = (course) => {
+  const tees = (Array.isArray(course?.tees) ? course.tees : []).map(tee => {
+    const { id, name, color, category, gender, course_rating, slope_rating, total_distance, ...extra } = tee;
+    return {
+      ...createTeeDraft(name || "", color || TEE_COLORS[2].color),
+      id: id ?? null,
+      category: normalizeTeeCategory(category ?? gender),
+      courseRating: toFormValue(course_rating),
+      slopeRating: toFormValue(slope_rating),
+      extra
+    };
+  });
+
+  const courseHoles = Array.isArray(course?.holes) ? course.holes : [];
+  const holeCount = courseHoles.length > COURSE_HOLE_COUNTS[0] ? COURSE_HOLE_COUNTS[1] : COURSE_HOLE_COUNTS[0];
+
+  const holes = createHoleDrafts(holeCount).map(draft => {
+    const courseHole = courseHoles.find(hole => hole.number === draft.number);
+    if (!courseHole) return draft;
+
+    const { number, par_men, index_men, distances, ...extra } = courseHole;
+    const holeDistances = {};
+    tees.forEach(tee => {
+      const yards = distances?.[tee.name.toLowerCase()] ?? distances?.[tee.name];
+      if (yards) holeDistances[tee.key] = toFormValue(yards);
+    });
+
+    return {
+      ...draft,
+      par: toFormValue(par_men),
+      strokeIndex: toFormValue(index_men),
+      distances: holeDistances,
+      extra
+    };
+  });
+
+  return {
+    name: course?.name || "",
+    clubName: course?.club_name || "",
+    location: course?.location || "",
+    par: toFormValue(course?.par),
+    tees: tees.length > 0 ? tees : [createTeeDraft()],
+    holes
+  };
+};
+
+/**
+ * Change the number of holes in a draft, keeping holes already filled in
+ *
+ * @param {Object} draft - Course draft
+ * @param {number} holeCount - 9 or 18
+ * @returns {Object} Updated draft
+ */
+export const setDraftHoleCount = (draft, holeCount) => ({
+  ...draft,
+  holes: createHoleDrafts(holeCount).map(hole =>
+    draft.holes.find(existing => existing.number === hole.number) || hole
+  )
+});
+
+/**
+ * Total the pars entered so far
+ *
+ * @param {Object} draft - Course draft
+ * @returns {number} Sum of the valid hole pars
+ */
+export const sumDraftPar = (draft) =>
+  draft.holes.reduce((total, hole) => total + (parseWholeNumber(hole.par) || 0), 0);
+
+/**
+ * Total a tee's yardage
+ *
+ * @param {Object} draft - Course draft
+ * @param {string} teeKey - The tee draft's key
+ * @returns {number} Sum of the tee's hole distances
+ */
+export const sumDraftDistance = (draft, teeKey) =>
+  draft.holes.reduce((total, hole) => total + (parseWholeNumber(hole.distances[teeKey]) || 0), 0);
+
+/**
+ * Check a draft is complete and consistent enough to submit
+ *
+ * @param {Object} draft - Course draft
+ * @returns {Object} { errors, warnings } - lists of messages; the draft can be submitted when errors is empty
+ */
+export const validateCourseDraft = (draft) => {
+  const errors = [];
+  const warnings = [];
+  const holes = draft.holes || [];
+  const holeCount = holes.length;
+
+  if (!draft.name?.trim()) {
+    errors.push("Enter the course name");
+  }
+
+  if (!COURSE_HOLE_COUNTS.includes(holeCount)) {
+    errors.push("A course must have 9 or 18 holes");
+  }
+
+  // Par
+  const badPar = holes.filter(hole => {
+    const par = parseWholeNumber(hole.par);
+    return par === null || par < MIN_HOLE_PAR || par > MAX_HOLE_PAR;
+  });
+  if (badPar.length > 0) {
+    errors.push(`Enter a par from ${MIN_HOLE_PAR} to ${MAX_HOLE_PAR} for ${describeHoles(badPar)}`);
+  }
+
+  const coursePar = parseWholeNumber(draft.par);
+  if (coursePar === null) {
+    errors.push("Enter the course par");
+  } else if (badPar.length === 0 && sumDraftPar(draft) !== coursePar) {
+    errors.push(`Hole pars add up to ${sumDraftPar(draft)}, but the course par is ${coursePar}`);
+  }
+
+  // Stroke index - each hole needs a different one
+  const indexes = holes.map(hole => parseWholeNumber(hole.strokeIndex));
+  const badIndex = holes.filter((_, i) => indexes[i] === null || indexes[i] < 1 || indexes[i] > MAX_STROKE_INDEX);
+  if (badIndex.length > 0) {
+    errors.push(`Enter a stroke index from 1 to ${MAX_STROKE_INDEX} for ${describeHoles(badIndex)}`);
+  } else if (new Set(indexes).size !== indexes.length) {
+    errors.push("Each hole needs a different stroke index");
+  } else if (holeCount === MAX_STROKE_INDEX && indexes.some(index => index > holeCount)) {
+    errors.push(`Stroke indexes must run from 1 to ${holeCount}`);
+  }
+
+  // Tees
+  const tees = draft.tees || [];
+  if (tees.length === 0) {
+    errors.push("Add at least one tee");
+  }
+
+  const teeNames = tees.map(tee => tee.name.trim().toLowerCase());
+  if (teeNames.some(name => !name)) {
+    errors.push("Every tee needs a name");
+  } else if (new Set(teeNames).size !== teeNames.length) {
+    errors.push("Each tee needs a different name");
+  }
+
+  tees.forEach(tee => {
+    const label = tee.name.trim() ? `${tee.name.trim()} tees` : "Unnamed tees";
+
+    const badDistance = holes.filter(hole => {
+      const yards = parseWholeNumber(hole.distances[tee.key]);
+      return yards === null || yards < MIN_HOLE_YARDS || yards > MAX_HOLE_YARDS;
+    });
+    if (badDistance.length > 0) {
+      errors.push(`${label}: enter yards from ${MIN_HOLE_YARDS} to ${MAX_HOLE_YARDS} for ${describeHoles(badDistance)}`);
+    }
+
+    const hasCourseRating = String(tee.courseRating).trim() !== "";
+    const hasSlopeRating = String(tee.slopeRating).trim() !== "";
+    const courseRating = parseRating(tee.courseRating);
+    const slopeRating = parseWholeNumber(tee.slopeRating);
+
+    if (hasCourseRating && (courseRating === null || courseRating < MIN_COURSE_RATING || courseRating > MAX_COURSE_RATING)) {
+      errors.push(`${label}: course rating must be from ${MIN_COURSE_RATING} to ${MAX_COURSE_RATING}`);
+    }
+    if (hasSlopeRating && (slopeRating === null || slopeRating < MIN_SLOPE_RATING || slopeRating > MAX_SLOPE_RATING)) {
+      errors.push(`${label}: slope rating must be from ${MIN_SLOPE_RATING} to ${MAX_SLOPE_RATING}`);
+    }
+    if (hasCourseRating !== hasSlopeRating) {
+      errors.push(`${label}: enter both the course and slope rating, or neither`);
+    } else if (!hasCourseRating) {
+      warnings.push(`${label} have no rating, so rounds from them won't count towards a handicap`);
+    }
+  });
+
+  return { errors, warnings };
+};
+
+/**
+ * Make a tee ID from its name, unique within the course
+ */
+const createTeeId = (name, usedIds) => {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "tee";
+  let id = base;
+  for (let suffix = 2; usedIds.has(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  usedIds.add(id);
+  return id;
+};
+
+/**
+ * Turn a validated draft into course fields in the courses table's shape
+ *
+ * @param {Object} draft - Course draft that passed validateCourseDraft
+ * @returns {Object} { name, club_name, location, par, holes, tees }
+ */
+export const buildCourseRecord = (draft) => {
+  const usedIds = new Set(draft.tees.filter(tee => tee.id !== null).map(tee => String(tee.id)));
+
+  const tees = draft.tees.map(tee => ({
+    ...tee.extra,
+    id: tee.id ?? createTeeId(tee.name, usedIds),
+    name: tee.name.trim(),
+    color: tee.color,
+    category: tee.category,
+    course_rating: parseRating(tee.courseRating),
+    slope_rating: parseWholeNumber(tee.slopeRating),
+    total_distance: sumDraftDistance(draft, tee.key)
+  }));
+
+  const holes = draft.holes.map(hole => {
+    const distances = {};
+    draft.tees.forEach(tee => {
+      distances[tee.name.trim().toLowerCase()] = parseWholeNumber(hole.distances[tee.key]);
+    });
+
+    return {
+      ...hole.extra,
+      number: hole.number,
+      par_men: parseWholeNumber(hole.par),
+      index_men: parseWholeNumber(hole.strokeIndex),
+      distances
+    };
+  });
+
+  return {
+    name: draft.name.trim(),
+    club_name: draft.clubName.trim() || null,
+    location: draft.location.trim() || null,
+    par: parseWholeNumber(draft.par),
+    holes,
+    tees
+  };
+};
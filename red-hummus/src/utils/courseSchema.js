@@ -0,0 +1,453 @@
+// src/utils/courseSchema.js
+
+/**
+ * Course Schema Utilities
+ *
+ * Course records come from several sources (bulk imports, player
+ * submissions, hand edits) so their holes and tees JSON isn't always
+ * consistent. normalizeCourse cleans a courses row into one predictable
+ * shape and lists what it couldn't fix as warnings, so screens can rely
+ * on the data and tell the player what's missing before a round starts.
+ *
+ * A normalized course keeps the courses table's field names:
+ *   par    - course par, or the sum of the hole pars when not given
+ *   holes  - sorted by number, one per hole:
+ *            { number, par_men, index_men, par_women, index_women,
+ *              par_junior, index_junior,
+ *              par_by_tee: { [tee key]: par }, index_by_tee: { [tee key]: index },
+ *              distances: { [tee key]: yards } }
+ *            Values are whole numbers or null when unknown. Tee keys are
+ *            lowercase tee names.
+ *   tees   - { id, name, color, category, course_rating, slope_rating, total_distance }
+ *            with ratings as numbers or null for unrated tees, and category
+ *            "men", "women", "junior" or null when not known.
+ *   warnings - [{ code, message, teeId?, holes? }], see COURSE_WARNING
+ *
+ * Any other fields on the course, holes and tees are kept as they are.
+ * Par and stroke index for a hole depend on the tee played - see
+ * getHoleParForTee and getHoleIndexForTee.
+ */
+
+// Hole counts a complete course can have
+const COURSE_HOLE_COUNTS = [9, 18];
+
+// Who a tee is set up for - each has its own par and stroke index fields on holes
+export const TEE_CATEGORIES = [
+  { key: "men", label: "Men" },
+  { key: "women", label: "Women" },
+  { key: "junior", label: "Junior" }
+];
+
+export const DEFAULT_TEE_CATEGORY = "men";
+
+// Other ways categories are written in course data
+const TEE_CATEGORY_ALIASES = {
+  men: ["men", "mens", "man", "male", "m", "gents"],
+  women: ["women", "womens", "woman", "female", "f", "w", "ladies", "lady"],
+  junior: ["junior", "juniors", "jr", "youth"]
+};
+
+// Warning codes, for screens that treat some warnings differently
+export const COURSE_WARNING = {
+  NO_HOLES: "no_holes",
+  HOLE_COUNT: "hole_count",
+  MISSING_HOLES: "missing_holes",
+  DUPLICATE_HOLES: "duplicate_holes",
+  MISSING_PAR: "missing_par",
+  PAR_MISMATCH: "par_mismatch",
+  MISSING_INDEX: "missing_index",
+  DUPLICATE_INDEX: "duplicate_index",
+  PARTIAL_WOMENS_DATA: "partial_womens_data",
+  NO_TEES: "no_tees",
+  UNNAMED_TEE: "unnamed_tee",
+  MISSING_DISTANCES: "missing_distances",
+  UNKNOWN_DISTANCES: "unknown_distances",
+  UNRATED_TEE: "unrated_tee",
+  MISSING_CATEGORY_VALUES: "missing_category_values"
+};
+
+/**
+ * Read a positive whole number from course JSON, which may hold numbers or numeric strings
+ *
+ * @param {*} value - Raw value
+ * @returns {number|null} The number, or null if missing or not positive
+ */
+export const toCourseInteger = (value) => {
+  const number = typeof value === "string" ? Number(value.trim()) : value;
+  if (typeof number !== "number" || !Number.isFinite(number) || number <= 0) return null;
+  return Math.round(number);
+};
+
+/**
+ * Read a course rating, keeping one decimal place
+ */
+const toRating = (value) => {
+  const number = typeof value === "string" ? Number(value.trim()) : value;
+  if (typeof number !== "number" || !Number.isFinite(number) || number <= 0) return null;
+  return Math.round(number * 10) / 10;
+};
+
+/**
+ * Key used for a tee in hole distances
+ *
+ * @param {string} teeName - Tee name as shown
+ * @returns {string} Trimmed, lowercase name
+ */
+export const getTeeKey = (teeName) => String(teeName || "").trim().toLowerCase();
+
+/**
+ * Read a tee category
+ *
+ * @param {string} value - Category or gender as stored, e.g. "Ladies"
+ * @returns {string|null} "men", "women", "junior", or null if not recognised
+ */
+export const normalizeTeeCategory = (value) => {
+  const text = String(value ?? "").trim().toLowerCase().replace(/[^a-z]/g, "");
+  if (!text) return null;
+  return Object.keys(TEE_CATEGORY_ALIASES).find(category => TEE_CATEGORY_ALIASES[category].includes(text)) || null;
+};
+
+/**
+ * Read per-tee hole values into an object keyed by tee key
+ */
+const normalizeTeeValues = (values) => {
+  const normalized = {};
+  Object.entries(values && typeof values === "object" ? values : {}).forEach(([teeName, value]) => {
+    const key = getTeeKey(teeName);
+    const number = toCourseInteger(value);
+    if (key && number && !normalized[key]) {
+      normalized[key] = number;
+    }
+  });
+  return normalized;
+};
+
+/**
+ * List hole numbers for a warning, e.g. "holes 3, 7"
+ */
+const describeHoles = (holeNumbers) =>
+  `${holeNumbers.length === 1 ? "hole" : "holes"} ${holeNumbers.join(", ")}`;
+
+/**
+ * Normalize one hole's JSON
+ */
+const normalizeHole = (hole) => {
+  return {
+    ...hole,
+    number: toCourseInteger(hole.number),
+    par_men: toCourseInteger(hole.par_men ?? hole.par),
+    index_men: toCourseInteger(hole.index_men ?? hole.index),
+    par_women: toCourseInteger(hole.par_women),
+    index_women: toCourseInteger(hole.index_women),
+    par_junior: toCourseInteger(hole.par_junior),
+    index_junior: toCourseInteger(hole.index_junior),
+    par_by_tee: normalizeTeeValues(hole.par_by_tee),
+    index_by_tee: normalizeTeeValues(hole.index_by_tee),
+    distances: normalizeTeeValues(hole.distances)
+  };
+};
+
+/**
+ * Make a tee ID from its name, for tees stored without one
+ */
+const createTeeId = (name) => getTeeKey(name).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+/**
+ * Clean a courses row into a normalized course and list its problems
+ *
+ * @param {Object} rawCourse - A courses row; list queries without holes are fine
+ * @returns {Object|null} The normalized course with a warnings array, or null if no course was given
+ */
+export const normalizeCourse = (rawCourse) => {
+  if (!rawCourse) return null;
+
+  const warnings = [];
+  const hasHoleData = rawCourse.holes !== undefined;
+
+  // Holes - some rows store them as an object keyed by number
+  const rawHoles = Array.isArray(rawCourse.holes)
+    ? rawCourse.holes
+    : Object.values(rawCourse.holes && typeof rawCourse.holes === "object" ? rawCourse.holes : {});
+
+  const holes = [];
+  const duplicateHoles = [];
+  rawHoles
+    .filter(hole => hole && typeof hole === "object")
+    .map(normalizeHole)
+    .filter(hole => hole.number !== null)
+    .sort((a, b) => a.number - b.number)
+    .forEach(hole => {
+      if (holes.some(existing => existing.number === hole.number)) {
+        duplicateHoles.push(hole.number);
+      } else {
+        holes.push(hole);
+      }
+    });
+
+  // Tees
+  const rawTees = Array.isArray(rawCourse.tees) ? rawCourse.tees : [];
+  const tees = rawTees
+    .filter(tee => tee && typeof tee === "object")
+    .filter(tee => {
+      if (getTeeKey(tee.name)) return true;
+      warnings.push({ code: COURSE_WARNING.UNNAMED_TEE, message: "A tee without a name was left out" });
+      return false;
+    })
+    .map(tee => {
+      const name = String(tee.name).trim();
+      const key = getTeeKey(name);
+      const teeDistances = holes.map(hole => hole.distances[key]).filter(Boolean);
+      const summedDistance = holes.length > 0 && teeDistances.length === holes.length
+        ? teeDistances.reduce((total, yards) => total + yards, 0)
+        : null;
+
+      return {
+        ...tee,
+        id: tee.id ?? createTeeId(name),
+        name,
+        color: tee.color || null,
+        category: normalizeTeeCategory(tee.category ?? tee.gender),
+        course_rating: toRating(tee.course_rating ?? tee.rating),
+        slope_rating: toCourseInteger(tee.slope_rating ?? tee.slope),
+        total_distance: toCourseInteger(tee.total_distance) ?? summedDistance
+      };
+    });
+
+  // Course par - the hole pars are the more reliable when both are known
+  const holesMissingPar = holes.filter(hole => hole.par_men === null).map(hole => hole.number);
+  const holeParTotal = holes.reduce((total, hole) => total + (hole.par_men || 0), 0);
+  const givenPar = toCourseInteger(rawCourse.par);
+  const par = givenPar ?? (holes.length > 0 && holesMissingPar.length === 0 ? holeParTotal : null);
+
+  if (hasHoleData) {
+    if (holes.length === 0) {
+      warnings.push({
+        code: COURSE_WARNING.NO_HOLES,
+        message: "No hole information for this course - par and yardages won't be filled in"
+      });
+    } else {
+      const expectedCount = COURSE_HOLE_COUNTS.find(count => count >= holes[holes.length - 1].number);
+      const missingHoles = expectedCount
+        ? Array.from({ length: expectedCount }, (_, i) => i + 1)
+          .filter(number => !holes.some(hole => hole.number === number))
+        : [];
+
+      if (!expectedCount) {
+        warnings.push({
+          code: COURSE_WARNING.HOLE_COUNT,
+          message: `Hole information runs to hole ${holes[holes.length - 1].number}, so some holes may be wrong`
+        });
+      } else if (missingHoles.length > 0) {
+        warnings.push({
+          code: COURSE_WARNING.MISSING_HOLES,
+          message: `No information for ${describeHoles(missingHoles)}`,
+          holes: missingHoles
+        });
+      }
+    }
+
+    if (duplicateHoles.length > 0) {
+      warnings.push({
+        code: COURSE_WARNING.DUPLICATE_HOLES,
+        message: `More than one entry for ${describeHoles([...new Set(duplicateHoles)])} - the first is used`,
+        holes: [...new Set(duplicateHoles)]
+      });
+    }
+
+    if (holesMissingPar.length > 0) {
+      warnings.push({
+        code: COURSE_WARNING.MISSING_PAR,
+        message: `No par for ${describeHoles(holesMissingPar)} - score to par will leave them out`,
+        holes: holesMissingPar
+      });
+    } else if (givenPar !== null && holes.length > 0 && COURSE_HOLE_COUNTS.includes(holes.length) && holeParTotal !== givenPar) {
+      warnings.push({
+        code: COURSE_WARNING.PAR_MISMATCH,
+        message: `Hole pars add up to ${holeParTotal}, but the course par is ${givenPar}`
+      });
+    }
+
+    const holesMissingIndex = holes.filter(hole => hole.index_men === null).map(hole => hole.number);
+    const indexes = holes.map(hole => hole.index_men).filter(index => index !== null);
+    if (holesMissingIndex.length > 0) {
+      warnings.push({
+        code: COURSE_WARNING.MISSING_INDEX,
+        message: `No stroke index for ${describeHoles(holesMissingIndex)} - handicap strokes there will be estimated`,
+        holes: holesMissingIndex
+      });
+    } else if (new Set(indexes).size !== indexes.length) {
+      warnings.push({
+        code: COURSE_WARNING.DUPLICATE_INDEX,
+        message: "Some holes share a stroke index, so handicap strokes may be given on the wrong holes"
+      });
+    }
+
+    const holesWithWomensData = holes.filter(hole => hole.par_women !== null || hole.index_women !== null);
+    if (holesWithWomensData.length > 0 && holesWithWomensData.length < holes.length) {
+      const missing = holes.filter(hole => !holesWithWomensData.includes(hole)).map(hole => hole.number);
+      warnings.push({
+        code: COURSE_WARNING.PARTIAL_WOMENS_DATA,
+        message: `No women's par or stroke index for ${describeHoles(missing)} - the men's values are used there`,
+        holes: missing
+      });
+    }
+  }
+
+  if (tees.length === 0) {
+    warnings.push({ code: COURSE_WARNING.NO_TEES, message: "No tee information for this course" });
+  }
+
+  tees.forEach(tee => {
+    const key = getTeeKey(tee.name);
+
+    if (hasHoleData && holes.length > 0) {
+      const holesMissingDistance = holes.filter(hole => !hole.distances[key]).map(hole => hole.number);
+      if (holesMissingDistance.length > 0) {
+        warnings.push({
+          code: COURSE_WARNING.MISSING_DISTANCES,
+          message: `${tee.name} tees have no yardage for ${describeHoles(holesMissingDistance)}`,
+          teeId: tee.id,
+          holes: holesMissingDistance
+        });
+      }
+    }
+
+    // Forward tees need their own par and stroke index, or the men's values are used
+    const hasCategoryValues = holes.some(hole =>
+      hole.par_by_tee[key] || hole.index_by_tee[key] ||
+      (tee.category && tee.category !== DEFAULT_TEE_CATEGORY &&
+        (hole[`par_${tee.category}`] !== null || hole[`index_${tee.category}`] !== null))
+    );
+    if (hasHoleData && holes.length > 0 && tee.category && tee.category !== DEFAULT_TEE_CATEGORY && !hasCategoryValues) {
+      const label = TEE_CATEGORIES.find(category => category.key === tee.category).label.toLowerCase();
+      warnings.push({
+        code: COURSE_WARNING.MISSING_CATEGORY_VALUES,
+        message: `${tee.name} tees are for ${label}, but there's no ${label}'s par or stroke index - the men's values are used`,
+        teeId: tee.id
+      });
+    }
+
+    if (tee.course_rating === null || tee.slope_rating === null) {
+      warnings.push({
+        code: COURSE_WARNING.UNRATED_TEE,
+        message: `${tee.name} tees aren't rated, so rounds from them won't count towards your handicap`,
+        teeId: tee.id
+      });
+    }
+  });
+
+  // Yardages stored under a name that isn't one of the tees
+  const teeKeys = tees.map(tee => getTeeKey(tee.name));
+  const unknownKeys = [...new Set(holes.flatMap(hole => Object.keys(hole.distances)))]
+    .filter(key => !teeKeys.includes(key));
+  if (tees.length > 0 && unknownKeys.length > 0) {
+    warnings.push({
+      code: COURSE_WARNING.UNKNOWN_DISTANCES,
+      message: `Yardages for ${unknownKeys.join(", ")} don't match any tee and won't be used`
+    });
+  }
+
+  return {
+    ...rawCourse,
+    par,
+    holes: hasHoleData ? holes : rawCourse.holes,
+    tees,
+    has_tee_data: tees.length > 0,
+    warnings
+  };
+};
+
+/**
+ * Get a normalized course's hole by number
+ *
+ * @param {Object} course - Normalized course
+ * @param {number} holeNumber - Hole number
+ * @returns {Object|null} The hole, or null if the course has no information for it
+ */
+export const getCourseHole = (course, holeNumber) =>
+  (Array.isArray(course?.holes) ? course.holes : []).find(hole => hole.number === holeNumber) || null;
+
+/**
+ * Get a hole's yardage from a tee
+ *
+ * @param {Object} hole - Hole from a normalized course
+ * @param {string} teeName - Tee name, in any case
+ * @returns {number|null} Yards, or null if the tee has no yardage for the hole
+ */
+export const getHoleDistance = (hole, teeName) => {
+  if (!hole?.distances || !teeName) return null;
+  return hole.distances[getTeeKey(teeName)] ?? null;
+};
+
+/**
+ * Describe the tee a round is played from, for par and stroke index lookups
+ * The round's saved category wins, then the tee's own, then the default.
+ *
+ * @param {Object|null} course - Course with tees
+ * @param {Object} round - Round record (selected_tee_id, selected_tee_name, tee_category)
+ * @returns {Object} { name, category }
+ */
+export const getPlayedTee = (course, round) => {
+  const tees = Array.isArray(course?.tees) ? course.tees : [];
+  const tee = tees.find(candidate => candidate.id === round?.selected_tee_id)
+    || tees.find(candidate => getTeeKey(candidate.name) === getTeeKey(round?.selected_tee_name))
+    || null;
+
+  return {
+    name: round?.selected_tee_name || tee?.name || null,
+    category: normalizeTeeCategory(round?.tee_category) || normalizeTeeCategory(tee?.category ?? tee?.gender) || DEFAULT_TEE_CATEGORY
+  };
+};
+
+/**
+ * Look up a hole value for the tee played: the tee's own value, then the
+ * category's, then the men's
+ */
+const getHoleValueForTee = (hole, playedTee, field) => {
+  if (!hole) return null;
+
+  const key = getTeeKey(playedTee?.name);
+  const byTee = hole[`${field}_by_tee`];
+  const teeValue = key && byTee && typeof byTee === "object"
+    ? toCourseInteger(byTee[key] ?? Object.entries(byTee).find(([name]) => getTeeKey(name) === key)?.[1])
+    : null;
+  if (teeValue) return teeValue;
+
+  const category = normalizeTeeCategory(playedTee?.category);
+  if (category && category !== DEFAULT_TEE_CATEGORY) {
+    const categoryValue = toCourseInteger(hole[`${field}_${category}`]);
+    if (categoryValue) return categoryValue;
+  }
+
+  return toCourseInteger(hole[`${field}_men`]);
+};
+
+/**
+ * Get a hole's par for the tee played
+ * Works on raw course JSON as well as normalized courses.
+ *
+ * @param {Object} hole - Hole from the course's holes JSON
+ * @param {Object|null} playedTee - { name, category } from getPlayedTee; null for men's values
+ * @returns {number|null} Par, or null if unknown
+ */
+export const getHoleParForTee = (hole, playedTee = null) => getHoleValueForTee(hole, playedTee, "par");
+
+/**
+ * Get a hole's stroke index for the tee played
+ *
+ * @param {Object} hole - Hole from the course's holes JSON
+ * @param {Object|null} playedTee - { name, category } from getPlayedTee; null for men's values
+ * @returns {number|null} Stroke index, or null if unknown
+ */
+export const getHoleIndexForTee = (hole, playedTee = null) => getHoleValueForTee(hole, playedTee, "index");
+
+/**
+ * Get the warnings that matter for playing a course from one tee
+ * Warnings about other tees are left out.
+ *
+ * @param {Object} course - Normalized course
+ * @param {string|null} teeId - The tee being played, if chosen
+ * @returns {Array<Object>} Warnings
+ */
+export const getCourseWarnings = (course, teeId = null) =>
+  (course?.warnings || []).filter(warning => !warning.teeId || warning.teeId === teeId);
@@ -0,0 +1,158 @@
+// src/utils/drills.js
+
+/**
+ * Drill Library
+ *
+ * Practice drills keyed by the same shot types as the ShotTable, so a
+ * weak shot type on the course maps straight to drills for it. Each drill
+ * is scored as successes out of attempts, which is what the practice
+ * session logger records.
+ */
+
+import { SHOT_TYPES } from "./shotSequence";
+
+// Shot types drills are written for - penalties aren't practised directly
+export const PRACTICE_SHOT_TYPES = SHOT_TYPES.filter(type => type !== "Penalties");
+
+// What practising each shot type is called
+export const PRACTICE_AREA_NAMES = {
+  "Tee Shot": "driving",
+  "Long Shot": "long game",
+  "Approach": "approach play",
+  "Chip": "chipping",
+  "Putts": "putting",
+  "Sand": "bunker play"
+};
+
+export const DRILLS = [
+  // Tee Shot
+  {
+    id: "fairway-gates",
+    shotType: "Tee Shot",
+    name: "Fairway Gates",
+    description: "Pick two targets about 30 yards apart as the edges of a fairway. Hit drivers and count how many finish between them.",
+    attempts: 10,
+    successLabel: "in the fairway",
+    minutes: 15
+  },
+  {
+    id: "tee-shot-shape",
+    shotType: "Tee Shot",
+    name: "Call Your Shape",
+    description: "Before each tee shot, call a fade or draw and a target. Count the shots that start and curve the way you called.",
+    attempts: 10,
+    successLabel: "shaped as called",
+    minutes: 15
+  },
+  // Long Shot
+  {
+    id: "long-iron-ladder",
+    shotType: "Long Shot",
+    name: "Long Iron Ladder",
+    description: "Hit a long iron or hybrid to targets at 170, 185 and 200 yards in turn. Count shots finishing within 20 yards of the target.",
+    attempts: 9,
+    successLabel: "within 20 yards",
+    minutes: 15
+  },
+  {
+    id: "layup-zone",
+    shotType: "Long Shot",
+    name: "Layup Zone",
+    description: "Choose a layup yardage that leaves your favourite full wedge. Count the shots that stop within 10 yards of that spot.",
+    attempts: 10,
+    successLabel: "in the zone",
+    minutes: 10
+  },
+  // Approach
+  {
+    id: "green-in-regulation",
+    shotType: "Approach",
+    name: "Green In Regulation",
+    description: "Alternate between three approach yardages and count the shots that would finish on a green-sized target.",
+    attempts: 12,
+    successLabel: "on the green",
+    minutes: 20
+  },
+  {
+    id: "wedge-clock",
+    shotType: "Approach",
+    name: "Wedge Clock",
+    description: "Hit wedges with half, three-quarter and full swings, noting each carry. Count shots landing within 5 yards of the carry you planned.",
+    attempts: 12,
+    successLabel: "within 5 yards",
+    minutes: 15
+  },
+  // Chip
+  {
+    id: "up-and-down-circuit",
+    shotType: "Chip",
+    name: "Up & Down Circuit",
+    description: "Drop a ball at six spots around the practice green and play each out with one chip and one putt. Count the up and downs.",
+    attempts: 6,
+    successLabel: "up and downs",
+    minutes: 15
+  },
+  {
+    id: "landing-towel",
+    shotType: "Chip",
+    name: "Landing Towel",
+    description: "Lay a towel where your chips should land. Count the chips that pitch on the towel and release to the hole.",
+    attempts: 10,
+    successLabel: "on the towel",
+    minutes: 10
+  },
+  // Putts
+  {
+    id: "lag-circle",
+    shotType: "Putts",
+    name: "Lag Circle",
+    description: "Putt from 20, 30 and 40 feet. Count the putts that stop inside a three-foot circle around the hole.",
+    attempts: 9,
+    successLabel: "inside three feet",
+    minutes: 15
+  },
+  {
+    id: "clock-drill",
+    shotType: "Putts",
+    name: "Clock Drill",
+    description: "Place balls three feet from the hole at every hour of a clock face and hole them in turn. Count how many drop.",
+    attempts: 12,
+    successLabel: "holed",
+    minutes: 10
+  },
+  // Sand
+  {
+    id: "line-in-the-sand",
+    shotType: "Sand",
+    name: "Line In The Sand",
+    description: "Draw a line in the bunker and try to strike the sand just behind it each time. Count the shots that enter at the line.",
+    attempts: 10,
+    successLabel: "struck at the line",
+    minutes: 10
+  },
+  {
+    id: "bunker-to-green",
+    shotType: "Sand",
+    name: "Out And On",
+    description: "Play greenside bunker shots to a flag. Count the shots that get out and finish on the green.",
+    attempts: 10,
+    successLabel: "out and on the green",
+    minutes: 15
+  }
+];
+
+/**
+ * Look up a drill by ID
+ *
+ * @param {string} drillId - Drill ID
+ * @returns {object|null} The drill, or null if it isn't in the library
+ */
+export const getDrill = (drillId) => DRILLS.find(drill => drill.id === drillId) || null;
+
+/**
+ * Get the drills for a shot type
+ *
+ * @param {string} shotType - A ShotTable shot type
+ * @returns {Array<object>} Drills in library order
+ */
+export const getDrillsForShotType = (shotType) => DRILLS.filter(drill => drill.shotType === shotType);
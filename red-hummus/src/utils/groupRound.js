@@ -0,0 +1,112 @@
+// src/utils/groupRound.js
+
+/**
+ * Group Round Utilities
+ *
+ * A group round is tracked by one scorer for up to three playing partners.
+ * Partners are stored on the round record as `players`:
+ *   [{ key, name, profile_id, handicap_index }]  (profile_id is null for guests)
+ *
+ * The scorer's shots stay at the top level of each hole's hole_data, so
+ * every existing consumer of the shots table keeps working. Partner shots
+ * are stored alongside them, keyed by player:
+ *   hole_data.players = { [key]: { shots: [...] } }
+ */
+
+export const MAX_PARTNERS = 3;
+
+// Key used for the scorer (the round's owner) in player lists
+export const SCORER_KEY = "scorer";
+
+/**
+ * Create a guest partner (not a registered user)
+ *
+ * @param {string} name - The guest's name
+ * @param {number|null} handicapIndex - The guest's handicap index, if known
+ * @returns {object} Player record { key, name, profile_id, handicap_index }
+ */
+export const createGuestPlayer = (name, handicapIndex = null) => ({
+  key: `guest-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+  profile_id: null,
+  handicap_index: handicapIndex
+});
+
+/**
+ * Create a partner from a registered user's profile
+ *
+ * @param {object} profile - Profile record { id, email }
+ * @param {number|null} handicapIndex - The user's handicap index, if known
+ * @returns {object} Player record { key, name, profile_id, handicap_index }
+ */
+export const createRegisteredPlayer = (profile, handicapIndex = null) => ({
+  key: `user-${profile.id}`,
+  name: profile.email,
+  profile_id: profile.id,
+  handicap_index: handicapIndex
+});
+
+/**
+ * Get everyone playing in a round, scorer first
+ *
+ * @param {object} round - Round record (may include players)
+ * @param {string} scorerName - Display name for the scorer
+ * @returns {Array<object>} Players as { key, name, profile_id }
+ */
+export const getRoundPlayers = (round, scorerName = "You") => {
+  const partners = Array.isArray(round?.players) ? round.players : [];
+  return [
+    { key: SCORER_KEY, name: scorerName, profile_id: round?.profile_id || null },
+    ...partners
+  ];
+};
+
+/**
+ * Check whether a round is a group round
+ *
+ * @param {object} round - Round record (may include players)
+ * @returns {boolean} True if the round has playing partners
+ */
+export const isGroupRound = (round) => {
+  return Array.isArray(round?.players) && round.players.length > 0;
+};
+
+/**
+ * Get one player's shots from a hole's hole_data
+ *
+ * @param {object} holeData - hole_data from the shots table (or local hole state)
+ * @param {string} playerKey - The player's key
+ * @returns {Array<object>} The player's shots
+ */
+export const getPlayerShots = (holeData, playerKey) => {
+  if (!holeData) return [];
+
+  const shots = playerKey === SCORER_KEY
+    ? holeData.shots
+    : holeData.players?.[playerKey]?.shots;
+
+  return Array.isArray(shots) ? shots : [];
+};
+
+/**
+ * Build shots table style records for one player
+ *
+ * The result has the player's shots at the top level of hole_data, so
+ * it can be passed to the scoring and handicap utilities unchanged.
+ *
+ * @param {Array<object>} holeRecords - Shots table records ({ hole_number, hole_data, total_score })
+ * @param {string} playerKey - The player's key
+ * @returns {Array<object>} Records for that player
+ */
+export const buildPlayerHoleRecords = (holeRecords, playerKey) => {
+  return (holeRecords || []).map(record => {
+    const shots = getPlayerShots(record.hole_data, playerKey);
+    const { players, ...holeDetails } = record.hole_data || {};
+
+    return {
+      ...record,
+      hole_data: { ...holeDetails, shots },
+      total_score: shots.length
+    };
+  });
+};
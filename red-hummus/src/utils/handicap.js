@@ -0,0 +1,299 @@
+// src/utils/handicap.js
+
+/**
+ * Handicap Utilities
+ *
+ * World Handicap System style calculations:
+ * - Score differentials from adjusted gross score, course rating and slope
+ * - Handicap index from the best differentials of the most recent 20
+ * - Course handicap and per-hole strokes received from hole stroke index
+ *
+ * These functions are pure so they can be shared by the handicap service,
+ * the scorecard and the scoring formats without touching the network.
+ */
+
+import { getHolePar, getHoleShotCount } from "./scoring";
+import { getHoleIndexForTee } from "./courseSchema";
+
+// Slope of a course of standard difficulty
+export const STANDARD_SLOPE = 113;
+
+// Most recent scores considered for the handicap index
+export const MAX_SCORES_CONSIDERED = 20;
+
+// Maximum handicap index allowed
+export const MAX_HANDICAP_INDEX = 54.0;
+
+// Net double bogey for players without an index is capped at par + 5
+const NO_INDEX_MAX_OVER_PAR = 5;
+
+// How many of the lowest differentials to average (and any adjustment),
+// keyed by the number of differentials available
+const DIFFERENTIALS_USED = {
+  3: { count: 1, adjustment: -2.0 },
+  4: { count: 1, adjustment: -1.0 },
+  5: { count: 1, adjustment: 0 },
+  6: { count: 2, adjustment: -1.0 },
+  7: { count: 2, adjustment: 0 },
+  8: { count: 2, adjustment: 0 },
+  9: { count: 3, adjustment: 0 },
+  10: { count: 3, adjustment: 0 },
+  11: { count: 3, adjustment: 0 },
+  12: { count: 4, adjustment: 0 },
+  13: { count: 4, adjustment: 0 },
+  14: { count: 4, adjustment: 0 },
+  15: { count: 5, adjustment: 0 },
+  16: { count: 5, adjustment: 0 },
+  17: { count: 6, adjustment: 0 },
+  18: { count: 6, adjustment: 0 },
+  19: { count: 7, adjustment: 0 },
+  20: { count: 8, adjustment: 0 }
+};
+
+/**
+ * Round a number to one decimal place
+ */
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Read course rating and slope from a tee record
+ *
+ * Tee JSON from the courses table may use either naming convention.
+ *
+ * @param {object} tee - A tee from courses.tees
+ * @returns {object|null} { courseRating, slopeRating } or null if not rated
+ */
+export const getTeeRatings = (tee) => {
+  if (!tee) return null;
+
+  const courseRating = Number(tee.course_rating ?? tee.rating);
+  const slopeRating = Number(tee.slope_rating ?? tee.slope);
+
+  if (!courseRating || !slopeRating) {
+    return null;
+  }
+
+  return { courseRating, slopeRating };
+};
+
+/**
+ * Calculate a score differential
+ *
+ * @param {number} adjustedGrossScore - Gross score after net double bogey adjustment
+ * @param {number} courseRating - Course rating of the tee played
+ * @param {number} slopeRating - Slope rating of the tee played
+ * @param {number} pcc - Playing conditions calculation adjustment (usually 0)
+ * @returns {number} The score differential, to one decimal place
+ */
+export const calculateScoreDifferential = (adjustedGrossScore, courseRating, slopeRating, pcc = 0) => {
+  return roundToTenth((STANDARD_SLOPE / slopeRating) * (adjustedGrossScore - courseRating - pcc));
+};
+
+/**
+ * Calculate a handicap index from score differentials
+ *
+ * @param {Array<number>} differentials - Differentials ordered oldest to newest
+ * @returns {number|null} The handicap index, or null with fewer than 3 scores
+ */
+export const calculateHandicapIndex = (differentials) => {
+  const recent = (differentials || []).slice(-MAX_SCORES_CONSIDERED);
+  const rule = DIFFERENTIALS_USED[recent.length];
+
+  if (!rule) {
+    return null;
+  }
+
+  const lowest = [...recent].sort((a, b) => a - b).slice(0, rule.count);
+  const average = lowest.reduce((sum, value) => sum + value, 0) / lowest.length;
+
+  return Math.min(roundToTenth(average + rule.adjustment), MAX_HANDICAP_INDEX);
+};
+
+/**
+ * Calculate a course handicap
+ *
+ * For rounds shorter than 18 holes the index and course rating are
+ * scaled by the share of 18 holes played (halved for nine holes), so
+ * custom hole ranges get strokes in proportion to their length.
+ *
+ * @param {number} handicapIndex - The player's handicap index
+ * @param {object} ratings - { courseRating, slopeRating } for the tee played
+ * @param {number} par - Par of the holes being played
+ * @param {number} holeCount - Number of holes in the round
+ * @returns {number|null} The course handicap, or null if it can't be calculated
+ */
+export const calculateCourseHandicap = (handicapIndex, ratings, par, holeCount = 18) => {
+  if (handicapIndex === null || handicapIndex === undefined || !ratings || !par) {
+    return null;
+  }
+
+  const scale = Math.min(holeCount, 18) / 18;
+  const index = handicapIndex * scale;
+  const courseRating = ratings.courseRating * scale;
+
+  return Math.round(index * (ratings.slopeRating / STANDARD_SLOPE) + (courseRating - par));
+};
+
+/**
+ * Allocate handicap strokes across holes by stroke index
+ *
+ * Strokes go to the hardest holes first (lowest stroke index), wrapping
+ * round for handicaps larger than the number of holes. Plus handicaps
+ * give strokes back on the easiest holes.
+ *
+ * @param {number} courseHandicap - The player's course handicap
+ * @param {Array<object>} holes - Holes being played as { number, strokeIndex }
+ * @returns {object} Strokes received keyed by hole number
+ */
+export const allocateHandicapStrokes = (courseHandicap, holes) => {
+  const strokes = {};
+  (holes || []).forEach(hole => {
+    strokes[hole.number] = 0;
+  });
+
+  if (!courseHandicap || !holes || holes.length === 0) {
+    return strokes;
+  }
+
+  // Hardest first; holes without a stroke index go last in hole order
+  const ordered = [...holes].sort((a, b) => {
+    const aIndex = a.strokeIndex || Number.MAX_SAFE_INTEGER;
+    const bIndex = b.strokeIndex || Number.MAX_SAFE_INTEGER;
+    return aIndex !== bIndex ? aIndex - bIndex : a.number - b.number;
+  });
+
+  if (courseHandicap > 0) {
+    for (let i = 0; i < courseHandicap; i++) {
+      strokes[ordered[i % ordered.length].number] += 1;
+    }
+  } else {
+    const reversed = [...ordered].reverse();
+    for (let i = 0; i < Math.abs(courseHandicap); i++) {
+      strokes[reversed[i % reversed.length].number] -= 1;
+    }
+  }
+
+  return strokes;
+};
+
+/**
+ * Find the tee a round was played from
+ *
+ * @param {object} course - Course record with a tees array
+ * @param {object} round - Round record with selected_tee_id / selected_tee_name
+ * @returns {object|null} The tee, or null if it can't be found
+ */
+export const findRoundTee = (course, round) => {
+  if (!Array.isArray(course?.tees)) return null;
+
+  return course.tees.find(tee => tee.id === round?.selected_tee_id)
+    || course.tees.find(tee => tee.name === round?.selected_tee_name)
+    || null;
+};
+
+/**
+ * Build the per-hole data used for handicap calculations
+ *
+ * Par and stroke index come from hole_data where the tracker saved them,
+ * falling back to the course's holes JSON for the tee played.
+ *
+ * @param {Array<object>} holeRecords - Shots table records ({ hole_number, hole_data, total_score })
+ * @param {Array<object>|null} courseHoles - The course's holes JSON
+ * @param {Array<number>} holeNumbers - Holes in the round's range
+ * @param {object|null} playedTee - { name, category } from getPlayedTee; null for men's values
+ * @returns {Array<object>} Holes as { number, par, strokeIndex, score }
+ */
+export const buildHandicapHoles = (holeRecords, courseHoles, holeNumbers, playedTee = null) => {
+  return (holeNumbers || []).map(holeNumber => {
+    const record = (holeRecords || []).find(hole => hole.hole_number === holeNumber)
+      || { hole_number: holeNumber };
+    const courseHole = Array.isArray(courseHoles)
+      ? courseHoles.find(hole => hole.number === holeNumber)
+      : null;
+
+    return {
+      number: holeNumber,
+      par: getHolePar(record, courseHoles, playedTee),
+      strokeIndex: record.hole_data?.index || getHoleIndexForTee(courseHole, playedTee),
+      score: getHoleShotCount(record)
+    };
+  });
+};
+
+/**
+ * Work out a player's handicap strokes for a round
+ *
+ * @param {number|null} handicapIndex - The player's handicap index
+ * @param {object} tee - The tee played, from courses.tees
+ * @param {Array<object>} holes - Holes being played as { number, par, strokeIndex }
+ * @returns {object} { courseHandicap, strokes } where strokes is keyed by hole number
+ *   (courseHandicap is null and strokes empty when it can't be calculated)
+ */
+export const getRoundHandicapStrokes = (handicapIndex, tee, holes) => {
+  const par = (holes || []).reduce((total, hole) => total + (hole.par || 0), 0);
+  const courseHandicap = calculateCourseHandicap(handicapIndex, getTeeRatings(tee), par, (holes || []).length);
+
+  if (courseHandicap === null) {
+    return { courseHandicap: null, strokes: {} };
+  }
+
+  return {
+    courseHandicap,
+    strokes: allocateHandicapStrokes(courseHandicap, holes)
+  };
+};
+
+/**
+ * Calculate adjusted gross score using net double bogey
+ *
+ * Each hole is capped at par + 2 + strokes received. Without a
+ * course handicap the cap is par + 5.
+ *
+ * @param {Array<object>} holes - Holes played as { number, par, score }
+ * @param {object} strokesReceived - Strokes keyed by hole number (or null)
+ * @returns {number} Adjusted gross score
+ */
+export const calculateAdjustedGrossScore = (holes, strokesReceived = null) => {
+  return (holes || []).reduce((total, hole) => {
+    if (!hole.par) {
+      return total + (hole.score || 0);
+    }
+
+    const maxScore = strokesReceived
+      ? hole.par + 2 + (strokesReceived[hole.number] || 0)
+      : hole.par + NO_INDEX_MAX_OVER_PAR;
+
+    return total + Math.min(hole.score || 0, maxScore);
+  }, 0);
+};
+
+/**
+ * Build a handicap index history from score differentials
+ *
+ * @param {Array<object>} scores - Scores ordered oldest to newest as { roundId, date, differential }
+ * @returns {Array<object>} Entries with the index after each score: { roundId, date, differential, index }
+ */
+export const buildHandicapHistory = (scores) => {
+  const differentials = [];
+
+  return (scores || []).map(score => {
+    differentials.push(score.differential);
+    return {
+      ...score,
+      index: calculateHandicapIndex(differentials)
+    };
+  });
+};
+
+/**
+ * Format a handicap index for display
+ *
+ * Plus handicaps (better than scratch) are shown with a leading "+".
+ *
+ * @param {number|null} index - Handicap index
+ * @returns {string} e.g. "12.4", "+1.2", or "-" when not established
+ */
+export const formatHandicapIndex = (index) => {
+  if (index === null || index === undefined) return "-";
+  return index < 0 ? `+${Math.abs(index).toFixed(1)}` : index.toFixed(1);
+};
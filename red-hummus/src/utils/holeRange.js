@@ -0,0 +1,129 @@
+// src/utils/holeRange.js
+
+/**
+ * Hole Range Utilities
+ *
+ * A round can cover all 18 holes, the front or back nine, or an arbitrary
+ * subset of holes. The holes being played are stored on the round record
+ * as `hole_numbers`; rounds without it are treated as full 18-hole rounds.
+ */
+
+import { getHoleParForTee } from "./courseSchema";
+
+export const FULL_ROUND_HOLE_COUNT = 18;
+
+// Hole range choices offered when starting a round
+export const HOLE_RANGE_OPTIONS = [
+  { key: "full", label: "18 Holes" },
+  { key: "front", label: "Front 9" },
+  { key: "back", label: "Back 9" },
+  { key: "custom", label: "Custom" }
+];
+
+/**
+ * Build an inclusive list of hole numbers
+ */
+const range = (start, end) => {
+  const holes = [];
+  for (let i = start; i <= end; i++) {
+    holes.push(i);
+  }
+  return holes;
+};
+
+/**
+ * Get the hole numbers for a hole range choice
+ *
+ * @param {string} rangeKey - One of full, front, back, custom
+ * @param {Array<number>} customHoles - Holes picked for a custom range
+ * @returns {Array<number>} Sorted hole numbers
+ */
+export const getHoleNumbersForRange = (rangeKey, customHoles = []) => {
+  switch (rangeKey) {
+    case "front":
+      return range(1, 9);
+    case "back":
+      return range(10, 18);
+    case "custom":
+      return normalizeHoleNumbers(customHoles);
+    case "full":
+    default:
+      return range(1, FULL_ROUND_HOLE_COUNT);
+  }
+};
+
+/**
+ * Sort, de-duplicate and validate a list of hole numbers
+ *
+ * @param {Array<number>} holeNumbers - Hole numbers in any order
+ * @returns {Array<number>} Sorted unique hole numbers between 1 and 18
+ */
+export const normalizeHoleNumbers = (holeNumbers) => {
+  if (!Array.isArray(holeNumbers)) {
+    return [];
+  }
+
+  return [...new Set(holeNumbers.map(Number))]
+    .filter(hole => Number.isInteger(hole) && hole >= 1 && hole <= FULL_ROUND_HOLE_COUNT)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Get the hole numbers being played in a round
+ *
+ * @param {object} round - Round record (may include hole_numbers)
+ * @returns {Array<number>} Hole numbers, defaulting to all 18
+ */
+export const getRoundHoleNumbers = (round) => {
+  const holeNumbers = normalizeHoleNumbers(round?.hole_numbers);
+  return holeNumbers.length > 0 ? holeNumbers : range(1, FULL_ROUND_HOLE_COUNT);
+};
+
+/**
+ * Describe a set of hole numbers for display
+ *
+ * @param {Array<number>} holeNumbers - Hole numbers in the round
+ * @returns {string} e.g. "18 Holes", "Front 9", "Back 9", "Holes 1, 4, 7"
+ */
+export const describeHoleNumbers = (holeNumbers) => {
+  const holes = normalizeHoleNumbers(holeNumbers);
+  const key = holes.join(",");
+
+  if (holes.length === 0 || key === range(1, 18).join(",")) return "18 Holes";
+  if (key === range(1, 9).join(",")) return "Front 9";
+  if (key === range(10, 18).join(",")) return "Back 9";
+
+  return `${holes.length === 1 ? "Hole" : "Holes"} ${holes.join(", ")}`;
+};
+
+/**
+ * Check whether a set of hole numbers is a full 18-hole round
+ *
+ * @param {Array<number>} holeNumbers - Hole numbers in the round
+ * @returns {boolean} True for a full round
+ */
+export const isFullRound = (holeNumbers) => {
+  return normalizeHoleNumbers(holeNumbers).length === FULL_ROUND_HOLE_COUNT;
+};
+
+/**
+ * Sum the par for a set of holes from course hole data
+ *
+ * @param {Array<object>} courseHoles - The course's holes JSON (number, par_men, ...)
+ * @param {Array<number>} holeNumbers - Holes to include
+ * @param {object|null} playedTee - { name, category } from getPlayedTee, for forward tees' par
+ * @returns {number|null} Total par, or null if no par data is available
+ */
+export const sumParForHoles = (courseHoles, holeNumbers, playedTee = null) => {
+  if (!Array.isArray(courseHoles)) {
+    return null;
+  }
+
+  let totalPar = 0;
+  holeNumbers.forEach(holeNumber => {
+    const hole = courseHoles.find(h => h.number === holeNumber);
+    totalPar += getHoleParForTee(hole, playedTee) || 0;
+  });
+
+  return totalPar || null;
+};
@@ -0,0 +1,148 @@
+// src/utils/insightFeedback.js
+
+/**
+ * Insight Feedback Utilities
+ *
+ * Feedback on an insight record is stored as a single object:
+ *   {
+ *     rating,      // Helpfulness from 1 to 5, or null
+ *     reactions,   // { [section key]: "up" | "down" } for sections the user reacted to
+ *     comment,     // Optional free text, or null
+ *     createdAt,   // ISO timestamp of the first submission
+ *     updatedAt    // ISO timestamp of the latest submission
+ *   }
+ *
+ * Older records may hold a bare value from before feedback was structured;
+ * normalizeFeedback reads those as a rating or a comment. Records saved
+ * while feedback_rating was still a text column hold the object as JSON
+ * text, which is parsed first.
+ */
+
+// Insight sections that can be given a thumbs up or down
+export const FEEDBACK_SECTIONS = [
+  { key: "primaryIssue", label: "Primary Issue" },
+  { key: "reason", label: "Reason" },
+  { key: "practiceFocus", label: "Practice Focus" },
+  { key: "managementTip", label: "Management Tip" },
+  { key: "progress", label: "Progress" }
+];
+
+export const REACTION_UP = "up";
+export const REACTION_DOWN = "down";
+
+export const MIN_RATING = 1;
+export const MAX_RATING = 5;
+
+/**
+ * An empty feedback draft
+ */
+export const createEmptyFeedback = () => ({
+  rating: null,
+  reactions: {},
+  comment: null,
+  createdAt: null,
+  updatedAt: null
+});
+
+/**
+ * Parse feedback saved as JSON text, leaving anything else as it is
+ */
+const parseStoredFeedback = (stored) => {
+  if (typeof stored !== "string") return stored;
+
+  try {
+    const parsed = JSON.parse(stored);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : stored;
+  } catch (error) {
+    return stored;
+  }
+};
+
+/**
+ * Read stored feedback into the structured shape
+ *
+ * @param {object|string|number|null} storedValue - The stored feedback value
+ * @returns {object|null} Feedback object, or null if there is none
+ */
+export const normalizeFeedback = (storedValue) => {
+  if (storedValue === null || storedValue === undefined || storedValue === "") return null;
+
+  const stored = parseStoredFeedback(storedValue);
+
+  // Bare values from before feedback was structured
+  if (typeof stored !== "object") {
+    const rating = Number(stored);
+    const isRating = Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING;
+    return {
+      ...createEmptyFeedback(),
+      rating: isRating ? rating : null,
+      comment: isRating ? null : String(stored)
+    };
+  }
+
+  const reactions = {};
+  FEEDBACK_SECTIONS.forEach(({ key }) => {
+    const reaction = stored.reactions?.[key];
+    if (reaction === REACTION_UP || reaction === REACTION_DOWN) {
+      reactions[key] = reaction;
+    }
+  });
+
+  const rating = Number(stored.rating);
+
+  return {
+    rating: Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING ? rating : null,
+    reactions,
+    comment: stored.comment ? String(stored.comment) : null,
+    createdAt: stored.createdAt || null,
+    updatedAt: stored.updatedAt || stored.createdAt || null
+  };
+};
+
+/**
+ * Check whether feedback has anything in it worth saving
+ *
+ * @param {object|null} feedback - Feedback object
+ * @returns {boolean} True if there's no rating, reaction or comment
+ */
+export const isFeedbackEmpty = (feedback) => {
+  return !feedback ||
+    (!feedback.rating && Object.keys(feedback.reactions || {}).length === 0 && !feedback.comment?.trim());
+};
+
+/**
+ * Prepare a feedback draft for saving, stamping when it was given
+ *
+ * @param {object} draft - { rating, reactions, comment }
+ * @param {object|null} previous - Feedback already saved for this record
+ * @returns {object} Feedback object ready to store
+ */
+export const buildFeedback = (draft, previous = null) => {
+  const now = new Date().toISOString();
+  const normalized = normalizeFeedback(draft) || createEmptyFeedback();
+
+  return {
+    ...normalized,
+    comment: normalized.comment?.trim() || null,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now
+  };
+};
+
+/**
+ * Toggle a section's reaction, clearing it when the same reaction is chosen again
+ *
+ * @param {object} reactions - Current reactions by section key
+ * @param {string} sectionKey - A FEEDBACK_SECTIONS key
+ * @param {string} reaction - REACTION_UP or REACTION_DOWN
+ * @returns {object} New reactions object
+ */
+export const toggleReaction = (reactions, sectionKey, reaction) => {
+  const next = { ...(reactions || {}) };
+  if (next[sectionKey] === reaction) {
+    delete next[sectionKey];
+  } else {
+    next[sectionKey] = reaction;
+  }
+  return next;
+};
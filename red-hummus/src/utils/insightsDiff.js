@@ -0,0 +1,110 @@
+// src/utils/insightsDiff.js
+
+/**
+ * Insights Comparison Utilities
+ *
+ * Compares the advice in two insight records so coaches can see whether
+ * it changed after a practice block. Text is compared word by word.
+ */
+
+// Insight fields compared between two records
+export const INSIGHT_COMPARE_FIELDS = [
+  { key: "primaryIssue", label: "Primary Issue" },
+  { key: "practiceFocus", label: "Practice Focus" }
+];
+
+/**
+ * Split text into words, keeping the whitespace between them
+ */
+const tokenize = (text) => (text || "").split(/(\s+)/).filter(token => token.length > 0);
+
+/**
+ * Compare two strings word by word
+ *
+ * @param {string|null} before - Older text
+ * @param {string|null} after - Newer text
+ * @returns {Array<object>} Segments in reading order as
+ *   { type: "same" | "removed" | "added", text }
+ */
+export const diffWords = (before, after) => {
+  const oldTokens = tokenize(before);
+  const newTokens = tokenize(after);
+
+  // Longest common subsequence lengths, built from the end of both token lists
+  const lengths = Array.from({ length: oldTokens.length + 1 }, () => new Array(newTokens.length + 1).fill(0));
+  for (let i = oldTokens.length - 1; i >= 0; i--) {
+    for (let j = newTokens.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldTokens[i] === newTokens[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      segments.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < oldTokens.length && j < newTokens.length) {
+    if (oldTokens[i] === newTokens[j]) {
+      push("same", oldTokens[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", oldTokens[i]);
+      i++;
+    } else {
+      push("added", newTokens[j]);
+      j++;
+    }
+  }
+  oldTokens.slice(i).forEach(token => push("removed", token));
+  newTokens.slice(j).forEach(token => push("added", token));
+
+  return segments;
+};
+
+/**
+ * Compare the advice in two insight records
+ *
+ * @param {object} older - Earlier record ({ insights, createdAt })
+ * @param {object} newer - Later record ({ insights, createdAt })
+ * @returns {Array<object>} One entry per INSIGHT_COMPARE_FIELDS field as
+ *   { key, label, before, after, changed, segments }
+ */
+export const compareInsights = (older, newer) => {
+  return INSIGHT_COMPARE_FIELDS.map(({ key, label }) => {
+    const before = older?.insights?.[key] || null;
+    const after = newer?.insights?.[key] || null;
+    const changed = (before || "").trim() !== (after || "").trim();
+
+    return {
+      key,
+      label,
+      before,
+      after,
+      changed,
+      segments: changed ? diffWords(before, after) : [{ type: "same", text: after || "" }]
+    };
+  });
+};
+
+/**
+ * Order two insight records oldest first
+ *
+ * @param {object} first - An insight record with createdAt
+ * @param {object} second - Another insight record with createdAt
+ * @returns {Array<object>} [older, newer]
+ */
+export const orderInsightRecords = (first, second) => {
+  return new Date(first.createdAt) <= new Date(second.createdAt)
+    ? [first, second]
+    : [second, first];
+};
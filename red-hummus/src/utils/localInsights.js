@@ -0,0 +1,215 @@
+// src/utils/localInsights.js
+
+/**
+ * Local Insights Generator
+ *
+ * Rules-based insights worked out on the device from recent rounds'
+ * hole_data, used when the analyze-golf-performance Edge Function fails or
+ * the user is offline. The result has the same shape as server insights
+ * (summary, primaryIssue, reason, practiceFocus, managementTip, progress)
+ * plus source: "local" so the app can label it.
+ *
+ * The generator is deterministic and makes no network calls: the same
+ * rounds always give the same insights.
+ */
+
+import { normalizeShot } from "./shotModel";
+import { SHOT_TYPES } from "./shotSequence";
+
+export const LOCAL_INSIGHTS_SOURCE = "local";
+
+// Rounds analyzed when no window is given
+export const DEFAULT_LOCAL_ROUND_WINDOW = 5;
+
+// Shot types need this many shots before their rates are trusted
+const MIN_SHOTS_PER_TYPE = 3;
+
+// Penalty strokes per round above which course management becomes the tip
+const PENALTY_TIP_THRESHOLD = 2;
+
+// Shot types that can be the primary issue - penalties are a consequence, not a shot
+const RATED_SHOT_TYPES = SHOT_TYPES.filter(type => type !== "Penalties");
+
+// Practice advice for each shot type
+const PRACTICE_FOCUS = {
+  "Tee Shot": "Spend part of each range session hitting drivers to a fairway-width target, and count how many of ten finish inside it.",
+  "Long Shot": "Work on solid contact with long irons and hybrids - pick a target, hit ten balls and track how many finish within 20 yards of it.",
+  "Approach": "Practise approach shots to specific yardages, aiming to land ten balls in a row on a green-sized target.",
+  "Chip": "Chip to a hole from different lies around the practice green and keep going until five in a row finish within a club length.",
+  "Putts": "Do a lag putting drill from 20-40 feet, trying to stop every putt inside a three-foot circle, then finish with ten three-footers.",
+  "Sand": "Spend time in the practice bunker drawing a line in the sand and hitting just behind it, until you splash out onto the green every time."
+};
+
+// Course management advice for each shot type
+const MANAGEMENT_TIPS = {
+  "Tee Shot": "On tight holes, tee off with the club you hit straightest, even if it leaves a longer approach.",
+  "Long Shot": "When a long shot has trouble near the green, lay up to your favourite full-swing yardage instead of going for it.",
+  "Approach": "Aim approaches at the middle of the green rather than the flag unless you have a short iron in hand.",
+  "Chip": "Around the green, putt when you can and chip when you must - choose the shot with the least airtime.",
+  "Putts": "On long putts, focus on speed and aim to leave the ball below the hole for an easier second putt.",
+  "Sand": "Play away from greenside bunkers when the flag is tucked behind them - a longer putt beats a bunker shot."
+};
+
+const PENALTY_TIP = "You're averaging several penalty strokes per round - when there's water or out of bounds in play, take the club that keeps you safely away from it.";
+
+/**
+ * Count outcomes per shot type across a set of rounds
+ */
+const countOutcomes = (rounds) => {
+  const counts = {};
+  RATED_SHOT_TYPES.forEach(type => {
+    counts[type] = { total: 0, "On Target": 0, "Slightly Off": 0, "Recovery Needed": 0 };
+  });
+  let penalties = 0;
+  let putts = 0;
+  let holesPlayed = 0;
+
+  rounds.forEach(round => {
+    (round.holes || []).forEach(hole => {
+      const shots = (hole.hole_data?.shots || []).map(normalizeShot);
+      if (shots.length === 0) return;
+      holesPlayed += 1;
+
+      shots.forEach(shot => {
+        if (shot.type === "Penalties") {
+          penalties += 1;
+          return;
+        }
+        if (shot.type === "Putts") {
+          putts += 1;
+        }
+        const typeCounts = counts[shot.type];
+        if (!typeCounts || typeCounts[shot.result] === undefined) return;
+        typeCounts[shot.result] += 1;
+        typeCounts.total += 1;
+      });
+    });
+  });
+
+  return { counts, penalties, putts, holesPlayed };
+};
+
+/**
+ * Share of a shot type's shots with the given outcome
+ */
+const outcomeRate = (typeCounts, outcome) => {
+  return typeCounts && typeCounts.total > 0 ? typeCounts[outcome] / typeCounts.total : 0;
+};
+
+const asPercent = (rate) => Math.round(rate * 100);
+
+/**
+ * Find the shot type most in need of work
+ * The highest Recovery Needed rate wins, then the highest Slightly Off rate;
+ * ties go to the type with more shots, then to SHOT_TYPES order.
+ */
+const findPrimaryIssue = (counts) => {
+  const candidates = RATED_SHOT_TYPES.filter(type => counts[type].total >= MIN_SHOTS_PER_TYPE);
+  if (candidates.length === 0) return null;
+
+  const ranked = [...candidates].sort((a, b) =>
+    outcomeRate(counts[b], "Recovery Needed") - outcomeRate(counts[a], "Recovery Needed") ||
+    outcomeRate(counts[b], "Slightly Off") - outcomeRate(counts[a], "Slightly Off") ||
+    counts[b].total - counts[a].total ||
+    RATED_SHOT_TYPES.indexOf(a) - RATED_SHOT_TYPES.indexOf(b)
+  );
+
+  const type = ranked[0];
+  const outcome = counts[type]["Recovery Needed"] > 0 ? "Recovery Needed" : "Slightly Off";
+  return { type, outcome, rate: outcomeRate(counts[type], outcome) };
+};
+
+// How each shot type reads mid-sentence
+const SHOT_TYPE_NAMES = {
+  "Tee Shot": "tee shots",
+  "Long Shot": "long shots",
+  "Approach": "approach shots",
+  "Chip": "chips",
+  "Putts": "putts",
+  "Sand": "bunker shots"
+};
+
+/**
+ * Generate insights from recent rounds
+ *
+ * @param {Array<object>} rounds - Rounds as { date, holes }, where holes are
+ *   shots table records ({ hole_number, hole_data })
+ * @param {object} options
+ * @param {number} options.roundWindow - Most recent rounds to analyze
+ * @param {Date} options.now - Time to stamp the insights with
+ * @returns {object|null} {
+ *   summary, primaryIssue, reason, practiceFocus, managementTip, progress,
+ *   generatedAt, source: "local", roundsAnalyzed
+ * } or null if there aren't enough shots, or none of them missed
+ */
+export const generateLocalInsights = (rounds, { roundWindow = DEFAULT_LOCAL_ROUND_WINDOW, now = new Date() } = {}) => {
+  const recentRounds = [...(rounds || [])]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, roundWindow);
+
+  const { counts, penalties, putts, holesPlayed } = countOutcomes(recentRounds);
+  const issue = findPrimaryIssue(counts);
+
+  if (!issue || issue.rate === 0 || holesPlayed === 0) {
+    return null;
+  }
+
+  const typeCounts = counts[issue.type];
+  const roundCount = recentRounds.length;
+  const roundLabel = roundCount === 1 ? "round" : `${roundCount} rounds`;
+  const issueLabel = SHOT_TYPE_NAMES[issue.type];
+
+  // Compare against every other rated shot
+  const otherCounts = RATED_SHOT_TYPES
+    .filter(type => type !== issue.type)
+    .reduce((totals, type) => ({
+      total: totals.total + counts[type].total,
+      outcome: totals.outcome + counts[type][issue.outcome]
+    }), { total: 0, outcome: 0 });
+  const otherRate = otherCounts.total > 0 ? otherCounts.outcome / otherCounts.total : null;
+
+  const outcomeText = issue.outcome === "Recovery Needed" ? "needed recovery" : "finished slightly off target";
+  const reason = `${typeCounts[issue.outcome]} of your ${typeCounts.total} ${issueLabel} (${asPercent(issue.rate)}%) ${outcomeText} over your last ${roundLabel}` +
+    (otherRate !== null ? `, compared with ${asPercent(otherRate)}% of your other shots.` : ".");
+
+  const puttsPerHole = (putts / holesPlayed).toFixed(1);
+  const penaltiesPerRound = penalties / roundCount;
+
+  // Progress compares the latest round with the earlier rounds in the window
+  let progress = null;
+  if (roundCount >= 2) {
+    const latest = countOutcomes(recentRounds.slice(0, 1)).counts[issue.type];
+    const earlier = countOutcomes(recentRounds.slice(1)).counts[issue.type];
+    if (latest.total > 0 && earlier.total > 0) {
+      const latestRate = asPercent(outcomeRate(latest, issue.outcome));
+      const earlierRate = asPercent(outcomeRate(earlier, issue.outcome));
+      if (latestRate < earlierRate) {
+        progress = `Your latest round was better: ${latestRate}% of ${issueLabel} ${outcomeText}, down from ${earlierRate}% before.`;
+      } else if (latestRate > earlierRate) {
+        progress = `Your latest round was tougher: ${latestRate}% of ${issueLabel} ${outcomeText}, up from ${earlierRate}% before.`;
+      } else {
+        progress = `Your ${issueLabel} held steady in your latest round, with ${latestRate}% that ${outcomeText}.`;
+      }
+    }
+  }
+
+  return {
+    summary: `Over your last ${roundLabel}, your ${issueLabel} cost you the most, and you averaged ${puttsPerHole} putts per hole.`,
+    primaryIssue: `${issue.type} - ${asPercent(issue.rate)}% ${outcomeText}`,
+    reason,
+    practiceFocus: PRACTICE_FOCUS[issue.type],
+    managementTip: penaltiesPerRound >= PENALTY_TIP_THRESHOLD ? PENALTY_TIP : MANAGEMENT_TIPS[issue.type],
+    progress,
+    generatedAt: now.toISOString(),
+    source: LOCAL_INSIGHTS_SOURCE,
+    roundsAnalyzed: roundCount
+  };
+};
+
+/**
+ * Check whether insights were generated on the device
+ *
+ * @param {object|null} insights - Insights object
+ * @returns {boolean} True for locally generated insights
+ */
+export const isLocalInsights = (insights) => insights?.source === LOCAL_INSIGHTS_SOURCE;
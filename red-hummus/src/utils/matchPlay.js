@@ -0,0 +1,252 @@
+// src/utils/matchPlay.js
+
+/**
+ * Match Play Utilities
+ *
+ * A match is played between the scorer and one partner in a group round.
+ * Match settings are stored on the round record as `match_settings`:
+ *   { opponent_key, allowance: "gross" | "net", handicaps: { [playerKey]: index } }
+ *
+ * In a net match the higher handicap player receives the difference in
+ * course handicaps, allocated by hole stroke index. Each hole is won,
+ * halved or lost, and the match ends when one player is more holes up
+ * than there are holes left to play.
+ *
+ * Results are always expressed from the scorer's side: a positive lead
+ * means the scorer is up.
+ */
+
+import { getRoundHandicapStrokes, allocateHandicapStrokes } from "./handicap";
+import { SCORER_KEY } from "./groupRound";
+
+export const MATCH_ALLOWANCES = [
+  { key: "gross", label: "Gross" },
+  { key: "net", label: "Net" }
+];
+
+// Hole results from the scorer's side
+export const HOLE_WON = 1;
+export const HOLE_HALVED = 0;
+export const HOLE_LOST = -1;
+
+/**
+ * Work out handicap strokes each player receives in a net match
+ *
+ * @param {object} matchSettings - The round's match_settings
+ * @param {string} scorerKey - The scorer's player key
+ * @param {object} tee - The tee played, from courses.tees
+ * @param {Array<object>} holes - Holes in the round as { number, par, strokeIndex }
+ * @returns {object} Strokes keyed by player key, then by hole number
+ *   (empty for gross matches or when handicaps aren't known)
+ */
+export const getMatchStrokes = (matchSettings, scorerKey, tee, holes) => {
+  if (!matchSettings || matchSettings.allowance !== "net") {
+    return {};
+  }
+
+  const opponentKey = matchSettings.opponent_key;
+  const handicaps = matchSettings.handicaps || {};
+  const scorerHandicap = getRoundHandicapStrokes(handicaps[scorerKey] ?? null, tee, holes).courseHandicap;
+  const opponentHandicap = getRoundHandicapStrokes(handicaps[opponentKey] ?? null, tee, holes).courseHandicap;
+
+  if (scorerHandicap === null || opponentHandicap === null) {
+    return {};
+  }
+
+  // The lower handicap plays off scratch; the other gets the difference
+  const difference = Math.abs(scorerHandicap - opponentHandicap);
+  const receiverKey = scorerHandicap > opponentHandicap ? scorerKey : opponentKey;
+
+  return {
+    [receiverKey]: allocateHandicapStrokes(difference, holes)
+  };
+};
+
+/**
+ * Decide a single hole
+ *
+ * @param {number} scorerShots - Scorer's gross shots (0 if not played)
+ * @param {number} opponentShots - Opponent's gross shots (0 if not played)
+ * @param {number} scorerStrokes - Strokes the scorer receives on the hole
+ * @param {number} opponentStrokes - Strokes the opponent receives on the hole
+ * @returns {number|null} HOLE_WON, HOLE_HALVED, HOLE_LOST, or null if not decided
+ */
+export const getHoleResult = (scorerShots, opponentShots, scorerStrokes = 0, opponentStrokes = 0) => {
+  if (!scorerShots || !opponentShots) {
+    return null;
+  }
+
+  const scorerNet = scorerShots - scorerStrokes;
+  const opponentNet = opponentShots - opponentStrokes;
+
+  if (scorerNet < opponentNet) return HOLE_WON;
+  if (scorerNet > opponentNet) return HOLE_LOST;
+  return HOLE_HALVED;
+};
+
+/**
+ * Decide every hole in a match
+ *
+ * @param {Array<number>} holeNumbers - Holes in the round, in playing order
+ * @param {Function} getShots - (playerKey, holeNumber) => gross shots on the hole
+ * @param {object} matchSettings - The round's match_settings
+ * @param {string} scorerKey - The scorer's player key
+ * @param {object} matchStrokes - From getMatchStrokes
+ * @returns {Array<object>} Holes in playing order as { number, result }
+ */
+export const buildMatchHoleResults = (holeNumbers, getShots, matchSettings, scorerKey, matchStrokes = {}) => {
+  const opponentKey = matchSettings?.opponent_key;
+
+  return (holeNumbers || []).map(number => ({
+    number,
+    result: opponentKey
+      ? getHoleResult(
+          getShots(scorerKey, number),
+          getShots(opponentKey, number),
+          matchStrokes[scorerKey]?.[number] || 0,
+          matchStrokes[opponentKey]?.[number] || 0
+        )
+      : null
+  }));
+};
+
+/**
+ * Calculate the state of a match from hole results
+ *
+ * Holes are taken in playing order; the match stops counting once it is
+ * closed out, so holes played afterwards don't change the result.
+ *
+ * @param {Array<object>} holeResults - Holes in playing order as { number, result }
+ *   (result null for holes not yet decided)
+ * @returns {object} {
+ *   lead,            // Holes up from the scorer's side (negative when down)
+ *   holesPlayed,     // Holes decided
+ *   holesRemaining,  // Holes left to play
+ *   isDormie,        // Leader is as many up as holes remaining
+ *   isClosedOut,     // Leader is more up than holes remaining
+ *   isComplete,      // Closed out, or all holes decided
+ *   decidedOnHole    // Hole number where the match was closed out (or null)
+ * }
+ */
+export const calculateMatchStatus = (holeResults) => {
+  let lead = 0;
+  let holesPlayed = 0;
+  let decidedOnHole = null;
+  const totalHoles = (holeResults || []).length;
+
+  for (const hole of holeResults || []) {
+    if (hole.result === null || hole.result === undefined) {
+      continue;
+    }
+
+    lead += hole.result;
+    holesPlayed += 1;
+
+    if (Math.abs(lead) > totalHoles - holesPlayed) {
+      decidedOnHole = hole.number;
+      break;
+    }
+  }
+
+  const holesRemaining = totalHoles - holesPlayed;
+  const isClosedOut = decidedOnHole !== null;
+
+  return {
+    lead,
+    holesPlayed,
+    holesRemaining,
+    isDormie: !isClosedOut && lead !== 0 && Math.abs(lead) === holesRemaining,
+    isClosedOut,
+    isComplete: isClosedOut || holesRemaining === 0,
+    decidedOnHole
+  };
+};
+
+/**
+ * Score a match from the players' shots
+ *
+ * @param {object} matchSettings - The round's match_settings
+ * @param {Array<number>} holeNumbers - Holes in the round, in playing order
+ * @param {Function} getShots - (playerKey, holeNumber) => gross shots on the hole
+ * @param {object} tee - The tee played, from courses.tees (for net matches)
+ * @param {Array<object>} handicapHoles - Holes as { number, par, strokeIndex } (for net matches)
+ * @returns {object} { holeResults, status, matchStrokes }
+ */
+export const scoreMatch = (matchSettings, holeNumbers, getShots, tee = null, handicapHoles = []) => {
+  const matchStrokes = getMatchStrokes(matchSettings, SCORER_KEY, tee, handicapHoles);
+  const holeResults = buildMatchHoleResults(holeNumbers, getShots, matchSettings, SCORER_KEY, matchStrokes);
+
+  return {
+    holeResults,
+    status: calculateMatchStatus(holeResults),
+    matchStrokes
+  };
+};
+
+/**
+ * Describe a match's status for display
+ *
+ * @param {object} status - From calculateMatchStatus
+ * @param {string} scorerName - The scorer's display name
+ * @param {string} opponentName - The opponent's display name
+ * @returns {string} e.g. "You 2 UP with 3 to play", "All Square", "Sam won 3 & 2"
+ */
+export const describeMatchStatus = (status, scorerName, opponentName) => {
+  if (!status) return "";
+
+  const leaderName = status.lead > 0 ? scorerName : opponentName;
+  const margin = Math.abs(status.lead);
+
+  if (status.isComplete) {
+    if (status.lead === 0) return "Match halved";
+    return status.holesRemaining > 0
+      ? `${leaderName} won ${margin} & ${status.holesRemaining}`
+      : `${leaderName} won ${margin} UP`;
+  }
+
+  if (status.holesPlayed === 0) return "All Square";
+
+  if (status.lead === 0) {
+    return `All Square with ${status.holesRemaining} to play`;
+  }
+
+  if (status.isDormie) {
+    return `${leaderName} ${margin} UP - Dormie`;
+  }
+
+  return `${leaderName} ${margin} UP with ${status.holesRemaining} to play`;
+};
+
+/**
+ * Build the match result stored on the round record
+ *
+ * @param {object} status - From calculateMatchStatus
+ * @param {object} scorer - Scorer player record ({ key, name })
+ * @param {object} opponent - Opponent player record ({ key, name })
+ * @returns {object} { winner_key, margin, holes_remaining, description }
+ *   (winner_key is null for a halved or unfinished match)
+ */
+export const buildMatchResult = (status, scorer, opponent) => {
+  const winner = status.lead > 0 ? scorer : status.lead < 0 ? opponent : null;
+
+  return {
+    winner_key: status.isComplete && winner ? winner.key : null,
+    margin: Math.abs(status.lead),
+    holes_remaining: status.holesRemaining,
+    is_complete: status.isComplete,
+    description: describeMatchStatus(status, scorer.name, opponent.name)
+  };
+};
+
+/**
+ * Short marker for a hole result on the scorecard
+ *
+ * @param {number|null} result - HOLE_WON, HOLE_HALVED, HOLE_LOST or null
+ * @returns {string} "W", "H", "L" or "-"
+ */
+export const formatHoleResult = (result) => {
+  if (result === HOLE_WON) return "W";
+  if (result === HOLE_LOST) return "L";
+  if (result === HOLE_HALVED) return "H";
+  return "-";
+};
@@ -0,0 +1,250 @@
+// src/utils/practicePlan.js
+
+/**
+ * Practice Plan Utilities
+ *
+ * Builds a weekly practice plan from the latest insights and recent
+ * on-course outcomes, and relates logged practice to how each shot type
+ * has gone on the course since.
+ *
+ * Rounds passed in here are trend rounds from trendsService.getTrendData,
+ * which carry each round's outcome mix per shot type. Practice sessions
+ * are records from practiceService.
+ */
+
+import { DRILLS, PRACTICE_SHOT_TYPES, PRACTICE_AREA_NAMES, getDrillsForShotType } from "./drills";
+
+// Sessions in a generated week, and the days they fall on (0 = Monday)
+const DEFAULT_SESSIONS_PER_WEEK = 3;
+const SESSION_DAYS = [0, 2, 4, 5, 1, 3, 6];
+const DAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+// Recent rounds used to rank shot types
+const PLAN_ROUNDS = 5;
+
+// Days of practice compared against on-course results
+export const CORRELATION_WINDOW_DAYS = 28;
+
+// Words in insight text that point to a shot type
+const SHOT_TYPE_KEYWORDS = [
+  { shotType: "Putts", words: ["putt", "green reading", "lag"] },
+  { shotType: "Sand", words: ["bunker", "sand"] },
+  { shotType: "Chip", words: ["chip", "pitch", "short game", "around the green"] },
+  { shotType: "Approach", words: ["approach", "iron shot", "wedge", "green in regulation"] },
+  { shotType: "Tee Shot", words: ["tee shot", "driver", "driving", "off the tee", "fairway"] },
+  { shotType: "Long Shot", words: ["long shot", "long iron", "hybrid", "fairway wood", "layup"] }
+];
+
+/**
+ * Get the Monday that starts the week containing a date
+ *
+ * @param {Date} date - Any date in the week
+ * @returns {string} The week's Monday as YYYY-MM-DD (local time)
+ */
+export const getWeekStart = (date = new Date()) => {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  const month = String(monday.getMonth() + 1).padStart(2, "0");
+  const day = String(monday.getDate()).padStart(2, "0");
+  return `${monday.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Find the shot type an insight is talking about
+ *
+ * @param {string|null} text - Insight text, e.g. the primary issue
+ * @returns {string|null} A shot type, or null if none is mentioned
+ */
+export const findShotTypeInText = (text) => {
+  const lowered = (text || "").toLowerCase();
+  if (!lowered) return null;
+
+  // Use whichever shot type is mentioned first
+  let best = null;
+  SHOT_TYPE_KEYWORDS.forEach(({ shotType, words }) => {
+    words.forEach(word => {
+      const index = lowered.indexOf(word);
+      if (index !== -1 && (!best || index < best.index)) {
+        best = { shotType, index };
+      }
+    });
+  });
+
+  return best ? best.shotType : null;
+};
+
+/**
+ * Combine outcome percentages for a shot type across rounds
+ *
+ * @param {Array<object>} rounds - Trend rounds with outcomeMix
+ * @param {string} shotType - Shot type
+ * @returns {object} { total, onTarget, recovery } - shot count and rates from 0 to 1 (null with no shots)
+ */
+export const combineOutcomes = (rounds, shotType) => {
+  let total = 0;
+  let onTarget = 0;
+  let recovery = 0;
+
+  (rounds || []).forEach(round => {
+    const mix = round.outcomeMix?.[shotType];
+    if (!mix || !mix.total) return;
+    total += mix.total;
+    onTarget += (mix["On Target"] / 100) * mix.total;
+    recovery += (mix["Recovery Needed"] / 100) * mix.total;
+  });
+
+  return {
+    total,
+    onTarget: total > 0 ? onTarget / total : null,
+    recovery: total > 0 ? recovery / total : null
+  };
+};
+
+/**
+ * Rank shot types by how much they need practice
+ * A shot type named in the insights comes first, then the rest by their
+ * Recovery Needed rate over recent rounds.
+ *
+ * @param {object|null} insights - Latest insights
+ * @param {Array<object>} rounds - Trend rounds, oldest to newest
+ * @returns {Array<string>} Every practice shot type, most in need first
+ */
+export const rankShotTypesForPractice = (insights, rounds) => {
+  const recentRounds = (rounds || []).slice(-PLAN_ROUNDS);
+  const insightType = findShotTypeInText(insights?.primaryIssue) || findShotTypeInText(insights?.practiceFocus);
+
+  const byNeed = [...PRACTICE_SHOT_TYPES].sort((a, b) => {
+    const outcomesA = combineOutcomes(recentRounds, a);
+    const outcomesB = combineOutcomes(recentRounds, b);
+    return (outcomesB.recovery ?? -1) - (outcomesA.recovery ?? -1) ||
+      PRACTICE_SHOT_TYPES.indexOf(a) - PRACTICE_SHOT_TYPES.indexOf(b);
+  });
+
+  return insightType
+    ? [insightType, ...byNeed.filter(type => type !== insightType)]
+    : byNeed;
+};
+
+/**
+ * Generate a week's practice plan
+ *
+ * Two thirds of the drills go to the shot type most in need of work and
+ * the rest to the next one, rotating through each type's drills so the
+ * sessions vary.
+ *
+ * @param {object} options
+ * @param {object|null} options.insights - Latest insights
+ * @param {Array<object>} options.rounds - Trend rounds, oldest to newest
+ * @param {Date} options.now - Any date in the week being planned
+ * @param {number} options.sessionsPerWeek - Sessions to plan
+ * @returns {object} {
+ *   weekStart,        // YYYY-MM-DD
+ *   focusShotTypes,   // [primary, secondary]
+ *   reason,           // Why these shot types were chosen
+ *   sessions          // [{ day, dayName, drills: [drillId] }]
+ * }
+ */
+export const generatePracticePlan = ({ insights = null, rounds = [], now = new Date(), sessionsPerWeek = DEFAULT_SESSIONS_PER_WEEK } = {}) => {
+  const [primary, secondary] = rankShotTypesForPractice(insights, rounds);
+  const primaryDrills = getDrillsForShotType(primary);
+  const secondaryDrills = getDrillsForShotType(secondary);
+
+  const sessions = SESSION_DAYS.slice(0, Math.min(sessionsPerWeek, SESSION_DAYS.length))
+    .sort((a, b) => a - b)
+    .map((day, index) => ({
+      day,
+      dayName: DAY_NAMES[day],
+      drills: [
+        primaryDrills[index % primaryDrills.length].id,
+        primaryDrills[(index + 1) % primaryDrills.length].id,
+        secondaryDrills[index % secondaryDrills.length].id
+      ].filter((drillId, position, all) => all.indexOf(drillId) === position)
+    }));
+
+  const insightType = findShotTypeInText(insights?.primaryIssue) || findShotTypeInText(insights?.practiceFocus);
+  const primaryOutcomes = combineOutcomes((rounds || []).slice(-PLAN_ROUNDS), primary);
+  const reason = insightType === primary
+    ? `Your latest insights point to ${PRACTICE_AREA_NAMES[primary]} as the area to work on.`
+    : primaryOutcomes.recovery !== null
+      ? `Your ${PRACTICE_AREA_NAMES[primary]} needed recovery on ${Math.round(primaryOutcomes.recovery * 100)}% of shots over your recent rounds.`
+      : "Track a few rounds to tailor your plan - here's a balanced week to start.";
+
+  return {
+    weekStart: getWeekStart(now),
+    focusShotTypes: [primary, secondary],
+    reason,
+    sessions
+  };
+};
+
+/**
+ * Relate practice volume to on-course changes for each shot type
+ *
+ * Compares each shot type's "On Target" rate in rounds played since the
+ * practice window began with the rounds before it.
+ *
+ * @param {Array<object>} sessions - Practice session records ({ shotType, performedAt, minutes, attempts })
+ * @param {Array<object>} rounds - Trend rounds, oldest to newest
+ * @param {object} options
+ * @param {Date} options.now - End of the practice window
+ * @param {number} options.windowDays - Length of the practice window
+ * @returns {Array<object>} For shot types practised in the window, most practised first:
+ *   { shotType, sessions, minutes, before, after, change } - rates as percentages (null if unknown)
+ */
+export const correlatePracticeWithOutcomes = (sessions, rounds, { now = new Date(), windowDays = CORRELATION_WINDOW_DAYS } = {}) => {
+  const windowStart = now.getTime() - windowDays * 24 * 60 * 60 * 1000;
+  const recentSessions = (sessions || []).filter(session => new Date(session.performedAt).getTime() >= windowStart);
+  const roundsBefore = (rounds || []).filter(round => new Date(round.date).getTime() < windowStart).slice(-PLAN_ROUNDS);
+  const roundsSince = (rounds || []).filter(round => new Date(round.date).getTime() >= windowStart);
+
+  const asPercent = (rate) => rate === null ? null : Math.round(rate * 100);
+
+  return PRACTICE_SHOT_TYPES
+    .map(shotType => {
+      const typeSessions = recentSessions.filter(session => session.shotType === shotType);
+      const before = asPercent(combineOutcomes(roundsBefore, shotType).onTarget);
+      const after = asPercent(combineOutcomes(roundsSince, shotType).onTarget);
+
+      return {
+        shotType,
+        sessions: typeSessions.length,
+        minutes: typeSessions.reduce((total, session) => total + (session.minutes || 0), 0),
+        before,
+        after,
+        change: before !== null && after !== null ? after - before : null
+      };
+    })
+    .filter(entry => entry.sessions > 0)
+    .sort((a, b) => b.minutes - a.minutes || b.sessions - a.sessions);
+};
+
+/**
+ * Describe a practice correlation entry in a sentence
+ *
+ * @param {object} entry - From correlatePracticeWithOutcomes
+ * @returns {string} e.g. "4 putting sessions (60 min) - On Target up from 52% to 61%."
+ */
+export const describePracticeCorrelation = (entry) => {
+  const volume = `${entry.sessions} ${PRACTICE_AREA_NAMES[entry.shotType]} session${entry.sessions === 1 ? "" : "s"} (${entry.minutes} min)`;
+
+  if (entry.change === null) {
+    return entry.after === null
+      ? `${volume} - play a round to see the effect on the course.`
+      : `${volume} - ${entry.after}% On Target since.`;
+  }
+  if (entry.change === 0) {
+    return `${volume} - On Target steady at ${entry.after}%.`;
+  }
+  return `${volume} - On Target ${entry.change > 0 ? "up" : "down"} from ${entry.before}% to ${entry.after}%.`;
+};
+
+/**
+ * Check that a plan only refers to drills in the library
+ *
+ * @param {object|null} plan - A stored practice plan
+ * @returns {boolean} True if every drill exists
+ */
+export const isPlanValid = (plan) => {
+  return !!plan && Array.isArray(plan.sessions) &&
+    plan.sessions.every(session => (session.drills || []).every(drillId => DRILLS.some(drill => drill.id === drillId)));
+};
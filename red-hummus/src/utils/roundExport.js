@@ -0,0 +1,360 @@
+// src/utils/roundExport.js
+
+/**
+ * Round Export Utilities
+ *
+ * Turns rounds into files that can leave the app: a JSON document (the
+ * schema is described in docs/round-export-schema.md), a CSV with one row
+ * per shot for spreadsheets, and a printable HTML scorecard that the
+ * export service renders to PDF.
+ *
+ * Everything here works on round exports built by buildRoundExport, so
+ * the three formats always agree with each other.
+ */
+
+import { getRoundHoleNumbers } from "./holeRange";
+import { calculateRoundScore, getHolePar, getHoleShotCount, formatScoreToPar } from "./scoring";
+import { findRoundTee, getTeeRatings } from "./handicap";
+import { getRoundPlayers, buildPlayerHoleRecords, SCORER_KEY } from "./groupRound";
+import { normalizeShot } from "./shotModel";
+import { getScoringFormat } from "./scoringFormats";
+import { getHoleDistance, getPlayedTee, getHoleIndexForTee } from "./courseSchema";
+
+// Identifies our JSON exports, and the version of their layout
+export const EXPORT_SCHEMA = "red-hummus.rounds";
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const EXPORT_FORMATS = [
+  { key: "csv", label: "CSV Spreadsheet", extension: "csv", mimeType: "text/csv", uti: "public.comma-separated-values-text" },
+  { key: "json", label: "JSON", extension: "json", mimeType: "application/json", uti: "public.json" },
+  { key: "pdf", label: "PDF Scorecard", extension: "pdf", mimeType: "application/pdf", uti: "com.adobe.pdf" }
+];
+
+// CSV columns, one row per shot (holes without shots get a single row with the shot columns empty)
+export const CSV_COLUMNS = [
+  "round_id",
+  "date",
+  "course",
+  "tee",
+  "scoring_format",
+  "player",
+  "hole",
+  "par",
+  "distance",
+  "stroke_index",
+  "hole_score",
+  "shot_number",
+  "shot_type",
+  "result",
+  "club",
+  "lie",
+  "distance_to_target",
+  "distance_remaining",
+  "putt_length",
+  "timestamp"
+];
+
+/**
+ * Get the yardage for a hole, from hole_data or the course's tee distances
+ */
+const getRecordDistance = (record, courseHole, teeName) => {
+  if (record?.hole_data?.distance) return record.hole_data.distance;
+  return getHoleDistance(courseHole, teeName);
+};
+
+/**
+ * Build the export for one round
+ *
+ * @param {object} options
+ * @param {object} options.round - Round record (id, created_at, is_complete, is_imported, course_id,
+ *   selected_tee_id, selected_tee_name, hole_numbers, scoring_format, players)
+ * @param {object|null} options.course - Normalized course record (id, name, holes, tees)
+ * @param {Array<object>} options.holeRecords - Shots table records ({ hole_number, hole_data, total_score })
+ * @param {string} options.scorerName - Name to export for the player who scored the round
+ * @returns {object} Round export, as described in docs/round-export-schema.md
+ */
+export const buildRoundExport = ({ round, course = null, holeRecords = [], scorerName = "You" }) => {
+  const holeNumbers = getRoundHoleNumbers(round);
+  const tee = findRoundTee(course, round);
+  const teeName = tee?.name || round.selected_tee_name || null;
+  const ratings = getTeeRatings(tee);
+  const playedTee = getPlayedTee(course, round);
+  const courseHoles = Array.isArray(course?.holes) ? course.holes : [];
+
+  const players = getRoundPlayers(round, scorerName).map(player => {
+    // The scorer's records are used as they are, so imported holes keep their scores
+    const playerRecords = (player.key === SCORER_KEY ? holeRecords : buildPlayerHoleRecords(holeRecords, player.key))
+      .filter(record => holeNumbers.includes(record.hole_number));
+    const score = calculateRoundScore(playerRecords, { courseHoles, holeNumbers, playedTee });
+
+    const holes = holeNumbers.map(holeNumber => {
+      const record = playerRecords.find(hole => hole.hole_number === holeNumber) || { hole_number: holeNumber };
+      const courseHole = courseHoles.find(hole => hole.number === holeNumber);
+      const shots = (record.hole_data?.shots || []).map(normalizeShot);
+
+      return {
+        number: holeNumber,
+        par: getHolePar(record, courseHoles, playedTee),
+        distance: getRecordDistance(record, courseHole, teeName),
+        strokeIndex: record.hole_data?.index || getHoleIndexForTee(courseHole, playedTee),
+        score: getHoleShotCount(record),
+        shots: shots.map((shot, index) => ({
+          number: index + 1,
+          type: shot.type,
+          result: shot.result,
+          club: shot.club,
+          lie: shot.lie,
+          distanceToTarget: shot.distance_to_target,
+          distanceRemaining: shot.distance_remaining,
+          puttLength: shot.putt_length,
+          timestamp: shot.timestamp
+        }))
+      };
+    });
+
+    return {
+      key: player.key,
+      name: player.name,
+      holes,
+      totals: {
+        grossShots: score.grossShots,
+        parPlayed: score.parPlayed,
+        scoreToPar: score.scoreToPar,
+        holesPlayed: score.holesPlayed
+      }
+    };
+  });
+
+  return {
+    id: round.id,
+    date: round.created_at,
+    isComplete: !!round.is_complete,
+    isImported: !!round.is_imported,
+    scoringFormat: round.scoring_format || getScoringFormat(null).key,
+    course: {
+      id: course?.id ?? round.course_id ?? null,
+      name: course?.name || "Unknown Course"
+    },
+    tee: teeName
+      ? {
+          id: tee?.id ?? round.selected_tee_id ?? null,
+          name: teeName,
+          category: playedTee.category,
+          courseRating: ratings?.courseRating ?? null,
+          slopeRating: ratings?.slopeRating ?? null
+        }
+      : null,
+    holeNumbers,
+    players
+  };
+};
+
+/**
+ * Wrap round exports in the JSON document
+ *
+ * @param {Array<object>} roundExports - From buildRoundExport
+ * @param {Date} exportedAt - When the export was made
+ * @returns {string} Pretty-printed JSON
+ */
+export const buildExportJson = (roundExports, exportedAt = new Date()) => {
+  return JSON.stringify({
+    schema: EXPORT_SCHEMA,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    rounds: roundExports
+  }, null, 2);
+};
+
+/**
+ * Quote a value for CSV if it needs it
+ *
+ * @param {*} value - Cell value
+ * @returns {string} The CSV cell
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV of every shot in the rounds
+ *
+ * @param {Array<object>} roundExports - From buildRoundExport
+ * @returns {string} CSV text with a header row (CRLF line endings)
+ */
+export const buildExportCsv = (roundExports) => {
+  const rows = [CSV_COLUMNS];
+
+  (roundExports || []).forEach(roundExport => {
+    roundExport.players.forEach(player => {
+      player.holes.forEach(hole => {
+        const holeCells = [
+          roundExport.id,
+          roundExport.date,
+          roundExport.course.name,
+          roundExport.tee?.name,
+          roundExport.scoringFormat,
+          player.name,
+          hole.number,
+          hole.par,
+          hole.distance,
+          hole.strokeIndex,
+          hole.score || null
+        ];
+
+        if (hole.shots.length === 0) {
+          rows.push([...holeCells, null, null, null, null, null, null, null, null, null]);
+          return;
+        }
+
+        hole.shots.forEach(shot => {
+          rows.push([
+            ...holeCells,
+            shot.number,
+            shot.type,
+            shot.result,
+            shot.club,
+            shot.lie,
+            shot.distanceToTarget,
+            shot.distanceRemaining,
+            shot.puttLength,
+            shot.timestamp
+          ]);
+        });
+      });
+    });
+  });
+
+  return rows.map(row => row.map(escapeCsvValue).join(",")).join("\r\n") + "\r\n";
+};
+
+/**
+ * Escape text for the HTML scorecard
+ */
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return "";
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
+/**
+ * Sum a hole field over a set of holes, ignoring unknown values
+ */
+const sumHoles = (holes, getValue) => {
+  const values = holes.map(getValue).filter(value => value !== null && value !== undefined && value !== 0);
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+};
+
+/**
+ * Render one round as an HTML scorecard table
+ */
+const buildRoundScorecardHtml = (roundExport) => {
+  const holes = roundExport.players[0]?.holes || [];
+  const front = holes.filter(hole => hole.number <= 9);
+  const back = holes.filter(hole => hole.number > 9);
+
+  // Out and In subtotals only make sense when both nines were played
+  const groups = front.length > 0 && back.length > 0
+    ? [{ label: "Out", holes: front }, { label: "In", holes: back }]
+    : [{ label: null, holes }];
+
+  const renderRow = (label, getValue, total, className = "") => {
+    const cells = groups.map(group => {
+      const holeCells = group.holes.map(hole => `<td>${escapeHtml(getValue(hole) ?? "")}</td>`).join("");
+      const subtotal = group.label ? `<td class="subtotal">${escapeHtml(sumHoles(group.holes, getValue) ?? "")}</td>` : "";
+      return holeCells + subtotal;
+    }).join("");
+    return `<tr class="${className}"><th>${escapeHtml(label)}</th>${cells}<td class="subtotal">${escapeHtml(total ?? "")}</td></tr>`;
+  };
+
+  const headerCells = groups.map(group =>
+    group.holes.map(hole => `<th>${hole.number}</th>`).join("") +
+    (group.label ? `<th class="subtotal">${group.label}</th>` : "")
+  ).join("");
+
+  const playerRows = roundExport.players.map(player => {
+    const byNumber = {};
+    player.holes.forEach(hole => {
+      byNumber[hole.number] = hole;
+    });
+    return renderRow(
+      player.name,
+      hole => byNumber[hole.number]?.score || null,
+      `${player.totals.grossShots} (${formatScoreToPar(player.totals.scoreToPar)})`,
+      "score"
+    );
+  }).join("");
+
+  const details = [
+    new Date(roundExport.date).toLocaleDateString(),
+    roundExport.tee ? `${roundExport.tee.name} tees` : null,
+    roundExport.tee?.courseRating ? `Rating ${roundExport.tee.courseRating} / Slope ${roundExport.tee.slopeRating}` : null,
+    getScoringFormat(roundExport.scoringFormat).label
+  ].filter(Boolean).join(" • ");
+
+  return `
+    <section class="round">
+      <h1>${escapeHtml(roundExport.course.name)}</h1>
+      <p class="details">${escapeHtml(details)}</p>
+      <table>
+        <tr class="header"><th>Hole</th>${headerCells}<th class="subtotal">Total</th></tr>
+        ${renderRow("Yards", hole => hole.distance, sumHoles(holes, hole => hole.distance))}
+        ${renderRow("Par", hole => hole.par, sumHoles(holes, hole => hole.par))}
+        ${renderRow("S.I.", hole => hole.strokeIndex, null)}
+        ${playerRows}
+      </table>
+    </section>`;
+};
+
+/**
+ * Build a printable HTML scorecard for one or more rounds
+ * Each round starts on a new page when printed.
+ *
+ * @param {Array<object>} roundExports - From buildRoundExport
+ * @returns {string} A complete HTML document
+ */
+export const buildScorecardHtml = (roundExports) => {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #333; margin: 24px; }
+      .round { page-break-after: always; }
+      .round:last-child { page-break-after: auto; }
+      h1 { font-size: 20px; margin: 0 0 4px; }
+      .details { color: #666; font-size: 12px; margin: 0 0 12px; }
+      table { border-collapse: collapse; width: 100%; font-size: 11px; }
+      th, td { border: 1px solid #ccc; padding: 4px 2px; text-align: center; }
+      tr.header th { background: #007AFF; color: #fff; }
+      tr.score td { font-weight: bold; }
+      .subtotal { background: #f0f0f0; }
+      tr.header th.subtotal { background: #005bbf; }
+    </style>
+  </head>
+  <body>
+    ${(roundExports || []).map(buildRoundScorecardHtml).join("")}
+  </body>
+</html>`;
+};
+
+/**
+ * Build a file name for an export
+ *
+ * @param {Array<object>} roundExports - The rounds being exported
+ * @param {Date} now - When the export was made
+ * @returns {string} File name without extension, e.g. "round-2024-05-01-pebble-beach"
+ */
+export const buildExportFileName = (roundExports, now = new Date()) => {
+  const dateStamp = (date) => new Date(date).toISOString().slice(0, 10);
+
+  if ((roundExports || []).length === 1) {
+    const slug = roundExports[0].course.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    return `round-${dateStamp(roundExports[0].date)}-${slug || "course"}`;
+  }
+  return `rounds-${dateStamp(now)}`;
+};
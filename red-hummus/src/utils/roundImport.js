@@ -0,0 +1,667 @@
+// src/utils/roundImport.js
+
+/**
+ * Round Import Utilities
+ *
+ * Reads round history from files made by spreadsheets, other golf apps
+ * or our own exports, and turns it into rounds that can be saved.
+ *
+ * Accepted files (described in docs/round-export-schema.md):
+ *   - CSV with one row per hole (date, course, hole, score and optionally
+ *     tee, par, putts and fairway). Our own CSV export, with one row per
+ *     shot, is read the same way and keeps its shots.
+ *   - CSV with one row per round and a column per hole score (1-18).
+ *   - JSON in our export schema, or a plain array of rounds with holes.
+ *
+ * Imported holes without a shot sequence are saved with their score,
+ * putts and fairway in hole_data.imported, and no shots.
+ */
+
+import { normalizeHoleNumbers, FULL_ROUND_HOLE_COUNT } from "./holeRange";
+import { SHOT_TYPES, SHOT_OUTCOMES } from "./shotSequence";
+import { EXPORT_SCHEMA } from "./roundExport";
+import { normalizeTeeCategory, getPlayedTee, getHoleParForTee, getHoleDistance } from "./courseSchema";
+
+export const IMPORT_SOURCE_CSV = "csv";
+export const IMPORT_SOURCE_JSON = "json";
+
+// Most shots a hole can have before we assume the number is a typo
+const MAX_HOLE_SCORE = 20;
+
+// Column names we recognise, after lowercasing and replacing spaces and punctuation with "_"
+const COLUMN_ALIASES = {
+  roundId: ["round_id", "round"],
+  date: ["date", "round_date", "played", "played_on", "date_played"],
+  course: ["course", "course_name", "golf_course"],
+  tee: ["tee", "tees", "tee_name", "tee_box"],
+  player: ["player", "golfer"],
+  hole: ["hole", "hole_number", "hole_no", "hole_num"],
+  par: ["par"],
+  score: ["hole_score", "score", "strokes", "gross"],
+  putts: ["putts", "putt_count"],
+  fairway: ["fairway", "fairway_hit", "fairways", "fir"],
+  shotType: ["shot_type"],
+  result: ["result"],
+  club: ["club"],
+  lie: ["lie"],
+  distanceToTarget: ["distance_to_target"],
+  distanceRemaining: ["distance_remaining"],
+  puttLength: ["putt_length"],
+  timestamp: ["timestamp"]
+};
+
+// Per-hole columns in a one-row-per-round CSV: "1", "h1", "hole1", "hole_1"
+const WIDE_HOLE_COLUMN = /^(?:h|hole_?)?(\d{1,2})$/;
+
+// Words left out when comparing course names
+const COURSE_NAME_NOISE = ["golf", "club", "course", "country", "links", "the", "gc", "cc", "and"];
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells, escaped quotes and CRLF line endings.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, skipping blank lines
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const source = (text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ""));
+};
+
+/**
+ * Normalise a column header for matching
+ */
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+
+/**
+ * Find the column index for each field we recognise
+ */
+const mapColumns = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const aliasIndex = aliases
+      .map(alias => normalized.indexOf(alias))
+      .find(index => index !== -1);
+    if (aliasIndex !== undefined) {
+      columns[field] = aliasIndex;
+    }
+  });
+
+  return columns;
+};
+
+/**
+ * Read a whole number from a cell
+ *
+ * @returns {number|null} The number, or null if the cell is empty or not a whole number
+ */
+const parseWholeNumber = (value) => {
+  const text = String(value ?? "").trim();
+  if (!/^\d+$/.test(text)) return null;
+  return parseInt(text, 10);
+};
+
+/**
+ * Read a distance (yards or feet), allowing decimals
+ */
+const parseDistance = (value) => {
+  const text = String(value ?? "").trim();
+  if (text === "") return null;
+  const distance = Number(text);
+  return Number.isFinite(distance) && distance >= 0 ? distance : null;
+};
+
+/**
+ * Read a fairway cell
+ *
+ * @param {*} value - e.g. "Y", "yes", "hit", "1", "miss", "L", "R"
+ * @returns {boolean|null} True if hit, false if missed, null if not recorded
+ */
+export const parseFairway = (value) => {
+  if (value === true || value === false) return value;
+  const text = String(value ?? "").trim().toLowerCase();
+  if (["y", "yes", "1", "true", "hit", "x"].includes(text)) return true;
+  if (["n", "no", "0", "false", "miss", "missed", "l", "r", "left", "right", "short", "long"].includes(text)) return false;
+  return null;
+};
+
+/**
+ * Read a date cell
+ * Date-only values are read as midday local time so they don't move a
+ * day in either direction when shown.
+ *
+ * @param {string} value - YYYY-MM-DD, an ISO timestamp or MM/DD/YYYY
+ * @returns {string|null} ISO timestamp, or null if the date can't be read
+ */
+export const parseImportDate = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  let date = null;
+  const isoDate = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const usDate = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+
+  if (isoDate) {
+    date = new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]), 12);
+  } else if (usDate) {
+    const year = usDate[3].length === 2 ? 2000 + Number(usDate[3]) : Number(usDate[3]);
+    date = new Date(year, Number(usDate[1]) - 1, Number(usDate[2]), 12);
+  } else {
+    date = new Date(text);
+  }
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Check a parsed round and note anything that stops it being imported
+ *
+ * @param {object} round - A parsed round
+ * @returns {object} The round with its errors filled in
+ */
+const validateImportedRound = (round) => {
+  const errors = [];
+
+  if (!round.date) errors.push("Missing or unreadable date");
+  if (!round.courseName) errors.push("Missing course name");
+
+  const numbers = round.holes.map(hole => hole.number);
+  if (new Set(numbers).size !== numbers.length) {
+    errors.push("The same hole appears more than once");
+  }
+  if (round.holes.some(hole => !(hole.number >= 1 && hole.number <= FULL_ROUND_HOLE_COUNT))) {
+    errors.push(`Hole numbers must be between 1 and ${FULL_ROUND_HOLE_COUNT}`);
+  }
+  if (round.holes.some(hole => !(hole.score >= 1 && hole.score <= MAX_HOLE_SCORE))) {
+    errors.push(`Hole scores must be between 1 and ${MAX_HOLE_SCORE}`);
+  }
+  if (round.holes.some(hole => hole.putts !== null && hole.putts > hole.score)) {
+    errors.push("A hole has more putts than strokes");
+  }
+  if (round.holes.length === 0) {
+    errors.push("No hole scores found");
+  }
+
+  return {
+    ...round,
+    holes: [...round.holes].sort((a, b) => a.number - b.number),
+    errors
+  };
+};
+
+/**
+ * Build a shot from CSV cells or a JSON export shot, in the stored shape
+ */
+const toStoredShot = ({ type, result, club, lie, distanceToTarget, distanceRemaining, puttLength, timestamp }) => ({
+  type,
+  result,
+  timestamp: timestamp || null,
+  ...(club ? { club } : {}),
+  ...(lie ? { lie } : {}),
+  ...(distanceToTarget !== null && distanceToTarget !== undefined ? { distance_to_target: distanceToTarget } : {}),
+  ...(distanceRemaining !== null && distanceRemaining !== undefined ? { distance_remaining: distanceRemaining } : {}),
+  ...(puttLength !== null && puttLength !== undefined ? { putt_length: puttLength } : {})
+});
+
+/**
+ * Check a shot has a type and outcome the app knows
+ */
+const isKnownShot = (shot) => SHOT_TYPES.includes(shot.type) && SHOT_OUTCOMES.includes(shot.result);
+
+/**
+ * Parse a CSV with one row per hole (or per shot)
+ */
+const parseLongCsv = (rows, columns) => {
+  const cell = (row, field) => columns[field] === undefined ? "" : (row[columns[field]] || "").trim();
+  const rounds = new Map();
+
+  rows.forEach(row => {
+    const key = cell(row, "roundId") || `${cell(row, "date")}|${cell(row, "course")}|${cell(row, "tee")}`;
+
+    if (!rounds.has(key)) {
+      rounds.set(key, {
+        key,
+        date: parseImportDate(cell(row, "date")),
+        courseName: cell(row, "course"),
+        teeName: cell(row, "tee") || null,
+        teeCategory: null,
+        player: cell(row, "player"),
+        source: IMPORT_SOURCE_CSV,
+        holes: []
+      });
+    }
+    const round = rounds.get(key);
+
+    // Exports list every player in a group round - keep the scorer's rows, which come first
+    if (columns.player !== undefined && cell(row, "player") !== round.player) return;
+
+    const number = parseWholeNumber(cell(row, "hole"));
+    const score = parseWholeNumber(cell(row, "score"));
+    // Unplayed holes in our own export have no score
+    if (number === null || (score === null && !cell(row, "shotType"))) return;
+
+    // Shot rows add to their hole - any other repeat of a hole is kept so validation flags it
+    let hole = cell(row, "shotType") ? round.holes.find(existing => existing.number === number) : null;
+    if (!hole) {
+      hole = {
+        number,
+        par: parseWholeNumber(cell(row, "par")),
+        score,
+        putts: parseWholeNumber(cell(row, "putts")),
+        fairwayHit: parseFairway(cell(row, "fairway")),
+        shots: null
+      };
+      round.holes.push(hole);
+    }
+
+    if (cell(row, "shotType")) {
+      const shot = toStoredShot({
+        type: cell(row, "shotType"),
+        result: cell(row, "result"),
+        club: cell(row, "club"),
+        lie: cell(row, "lie"),
+        distanceToTarget: parseDistance(cell(row, "distanceToTarget")),
+        distanceRemaining: parseDistance(cell(row, "distanceRemaining")),
+        puttLength: parseDistance(cell(row, "puttLength")),
+        timestamp: cell(row, "timestamp")
+      });
+      hole.shots = [...(hole.shots || []), shot];
+    }
+  });
+
+  return [...rounds.values()].map(({ holes, player, ...round }) => validateImportedRound({
+    ...round,
+    holes: holes.map(hole => {
+      if (!hole.shots) return hole;
+      // Only keep shot sequences the app can read, and score them by their shots
+      const shots = hole.shots.every(isKnownShot) ? hole.shots : null;
+      return {
+        ...hole,
+        score: shots ? shots.length : hole.score,
+        putts: shots ? shots.filter(shot => shot.type === "Putts").length : hole.putts,
+        shots
+      };
+    })
+  }));
+};
+
+/**
+ * Parse a CSV with one row per round and a column per hole
+ */
+const parseWideCsv = (headers, rows, columns) => {
+  const holeColumns = headers
+    .map((header, index) => ({ match: normalizeHeader(header).match(WIDE_HOLE_COLUMN), index }))
+    .filter(({ match }) => match)
+    .map(({ match, index }) => ({ number: parseInt(match[1], 10), index }));
+
+  return rows.map((row, rowIndex) => {
+    const cell = (field) => columns[field] === undefined ? "" : (row[columns[field]] || "").trim();
+
+    return validateImportedRound({
+      key: `row-${rowIndex + 2}`,
+      date: parseImportDate(cell("date")),
+      courseName: cell("course"),
+      teeName: cell("tee") || null,
+      teeCategory: null,
+      source: IMPORT_SOURCE_CSV,
+      holes: holeColumns
+        .filter(({ index }) => !["", "-"].includes((row[index] || "").trim()))
+        .map(({ number, index }) => ({
+          number,
+          par: null,
+          score: parseWholeNumber(row[index]),
+          putts: null,
+          fairwayHit: null,
+          shots: null
+        }))
+    });
+  });
+};
+
+/**
+ * Parse rounds from CSV text
+ *
+ * @param {string} text - CSV file contents
+ * @returns {Array<object>} Parsed rounds (see parseImportFile)
+ */
+export const parseRoundsCsv = (text) => {
+  const [headers, ...rows] = parseCsv(text);
+  if (!headers) {
+    throw new Error("The file is empty");
+  }
+
+  const columns = mapColumns(headers);
+  if (columns.date === undefined || columns.course === undefined) {
+    throw new Error("The CSV needs date and course columns");
+  }
+
+  if (columns.hole !== undefined && columns.score !== undefined) {
+    return parseLongCsv(rows, columns);
+  }
+  if (headers.some(header => WIDE_HOLE_COLUMN.test(normalizeHeader(header)))) {
+    return parseWideCsv(headers, rows, columns);
+  }
+  throw new Error("The CSV needs hole and score columns, or a column for each hole's score");
+};
+
+/**
+ * Read a name that may be a string or an object with a name
+ */
+const readName = (value) => {
+  if (!value) return null;
+  return typeof value === "string" ? value.trim() : (value.name || "").trim() || null;
+};
+
+/**
+ * Parse one round from JSON - our export schema or a simpler round
+ */
+const parseJsonRound = (round, index) => {
+  // Our own export - the scorer is the first player
+  const holes = Array.isArray(round.players) ? round.players[0]?.holes : round.holes;
+
+  return validateImportedRound({
+    key: String(round.id ?? `round-${index + 1}`),
+    date: parseImportDate(round.date),
+    courseName: readName(round.course) || "",
+    teeName: readName(round.tee),
+    teeCategory: normalizeTeeCategory(round.tee?.category),
+    source: IMPORT_SOURCE_JSON,
+    holes: (holes || [])
+      .map(hole => {
+        const shots = Array.isArray(hole.shots) && hole.shots.length > 0 && hole.shots.every(isKnownShot)
+          ? hole.shots.map(toStoredShot)
+          : null;
+        return {
+          number: parseWholeNumber(hole.number ?? hole.hole),
+          par: parseWholeNumber(hole.par),
+          score: shots ? shots.length : parseWholeNumber(hole.score),
+          putts: shots ? shots.filter(shot => shot.type === "Putts").length : parseWholeNumber(hole.putts),
+          fairwayHit: parseFairway(hole.fairwayHit ?? hole.fairway),
+          shots
+        };
+      })
+      // Unplayed holes in an export have a score of 0
+      .filter(hole => hole.score !== 0)
+  });
+};
+
+/**
+ * Parse rounds from JSON text
+ *
+ * @param {string} text - JSON file contents
+ * @returns {Array<object>} Parsed rounds (see parseImportFile)
+ */
+export const parseRoundsJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file isn't valid JSON");
+  }
+
+  if (data?.schema && data.schema !== EXPORT_SCHEMA) {
+    throw new Error(`Unrecognised export format: ${data.schema}`);
+  }
+
+  const rounds = Array.isArray(data) ? data : data?.rounds;
+  if (!Array.isArray(rounds)) {
+    throw new Error("The JSON needs a list of rounds");
+  }
+
+  return rounds.map(parseJsonRound);
+};
+
+/**
+ * Parse an import file, choosing the format from its name or contents
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used for its extension
+ * @returns {Array<object>} Parsed rounds as {
+ *   key,          // Identifies the round within the file
+ *   date,         // ISO timestamp (null if unreadable)
+ *   courseName,
+ *   teeName,      // null if not given
+ *   teeCategory,  // "men", "women" or "junior" from our JSON export, otherwise null
+ *   source,       // "csv" or "json"
+ *   holes,        // [{ number, par, score, putts, fairwayHit, shots }] - shots null unless the file had them
+ *   errors        // Reasons the round can't be imported (empty if it can)
+ * }
+ */
+export const parseImportFile = (text, fileName = "") => {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text || "");
+  return isJson ? parseRoundsJson(text) : parseRoundsCsv(text);
+};
+
+/**
+ * Simplify a course name for comparison
+ *
+ * @param {string} name - Course name
+ * @returns {string} Lowercase words without punctuation or words like "golf club"
+ */
+export const normalizeCourseName = (name) => {
+  return (name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(word => word && !COURSE_NAME_NOISE.includes(word))
+    .join(" ");
+};
+
+/**
+ * Score how well a course matches a name from an import file
+ *
+ * @param {string} name - Course name from the file
+ * @param {object} course - Course record ({ name, club_name })
+ * @returns {number} 0 (no match) to 1 (same name)
+ */
+export const scoreCourseMatch = (name, course) => {
+  const target = normalizeCourseName(name);
+  if (!target) return 0;
+
+  const scores = [course.name, course.club_name].filter(Boolean).map(candidateName => {
+    const candidate = normalizeCourseName(candidateName);
+    if (!candidate) return 0;
+    if (candidate === target) return 1;
+    if (candidate.includes(target) || target.includes(candidate)) return 0.8;
+
+    // Share of the file name's words found in the course name
+    const targetWords = target.split(" ");
+    const candidateWords = candidate.split(" ");
+    const shared = targetWords.filter(word => candidateWords.includes(word)).length;
+    return 0.6 * (shared / Math.max(targetWords.length, candidateWords.length));
+  });
+
+  return Math.max(0, ...scores);
+};
+
+/**
+ * Rank search results as matches for a course name
+ *
+ * @param {string} name - Course name from the file
+ * @param {Array<object>} courses - Search results
+ * @returns {object} { candidates, selectedId } - candidates best first with a matchScore,
+ *   and the course to use when the best match is clear (null otherwise)
+ */
+export const rankCourseMatches = (name, courses) => {
+  const candidates = (courses || [])
+    .map(course => ({ ...course, matchScore: scoreCourseMatch(name, course) }))
+    .filter(course => course.matchScore > 0)
+    .sort((a, b) => b.matchScore - a.matchScore);
+
+  const [best, second] = candidates;
+  const isClear = best && (best.matchScore === 1 || (best.matchScore >= 0.8 && (!second || second.matchScore < best.matchScore)));
+
+  return {
+    candidates,
+    selectedId: isClear ? best.id : null
+  };
+};
+
+/**
+ * Local calendar day of a timestamp, for spotting duplicates
+ */
+const toDayKey = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${value.getMonth() + 1}-${value.getDate()}`;
+};
+
+/**
+ * Work out what will happen to each parsed round
+ *
+ * @param {Array<object>} rounds - From parseImportFile
+ * @param {object} options
+ * @param {object} options.courseMatches - Keyed by course name: { candidates, selectedId }
+ * @param {Array<object>} options.existingRounds - The player's rounds ({ course_id, created_at })
+ * @returns {Array<object>} Each round with {
+ *   course,     // Matched course record, or null
+ *   tee,        // Matched tee from the course, or null
+ *   status,     // "ready", "invalid", "unmatched" or "duplicate"
+ *   warnings    // Things to know that don't stop the import
+ * }
+ */
+export const planImport = (rounds, { courseMatches = {}, existingRounds = [] } = {}) => {
+  const seen = new Set(
+    (existingRounds || []).map(round => `${round.course_id}|${toDayKey(round.created_at)}`)
+  );
+
+  return (rounds || []).map(round => {
+    const match = courseMatches[round.courseName];
+    const course = match?.candidates.find(candidate => candidate.id === match.selectedId) || null;
+    const warnings = [];
+
+    if (round.errors.length > 0) {
+      return { ...round, course, tee: null, status: "invalid", warnings };
+    }
+    if (!course) {
+      return { ...round, course, tee: null, status: "unmatched", warnings };
+    }
+
+    const tee = round.teeName && Array.isArray(course.tees)
+      ? course.tees.find(candidate => candidate.name?.toLowerCase() === round.teeName.toLowerCase()) || null
+      : null;
+    if (round.teeName && !tee) {
+      warnings.push(`Tee "${round.teeName}" isn't on this course, so the round won't count for your handicap`);
+    } else if (!round.teeName) {
+      warnings.push("No tee given, so the round won't count for your handicap");
+    }
+
+    const courseHoles = Array.isArray(course.holes) ? course.holes : [];
+    const playedTee = getImportedPlayedTee({ ...round, course, tee });
+    const parMismatches = round.holes.filter(hole => {
+      const coursePar = getHoleParForTee(courseHoles.find(courseHole => courseHole.number === hole.number), playedTee);
+      return hole.par && coursePar && hole.par !== coursePar;
+    });
+    if (parMismatches.length > 0) {
+      warnings.push(`Par differs from the course on hole${parMismatches.length === 1 ? "" : "s"} ${parMismatches.map(hole => hole.number).join(", ")} - the file's par will be used`);
+    }
+
+    // Already played here that day, in the app or earlier in this file
+    const dayKey = `${course.id}|${toDayKey(round.date)}`;
+    const isDuplicate = seen.has(dayKey);
+    seen.add(dayKey);
+
+    return { ...round, course, tee, status: isDuplicate ? "duplicate" : "ready", warnings };
+  });
+};
+
+/**
+ * Describe the tee an imported round was played from, for par and stroke index
+ *
+ * @param {object} round - A planned round from planImport (with course and tee)
+ * @returns {object} { name, category } as from getPlayedTee
+ */
+export const getImportedPlayedTee = (round) => getPlayedTee(round.course, {
+  selected_tee_id: round.tee?.id,
+  selected_tee_name: round.tee?.name || round.teeName,
+  tee_category: round.teeCategory
+});
+
+/**
+ * Build the shots table records for an imported round
+ *
+ * @param {object} round - A planned round from planImport (with course and tee)
+ * @returns {Array<object>} Records as { hole_number, hole_data, total_score }
+ */
+export const buildImportedHoleRecords = (round) => {
+  const courseHoles = Array.isArray(round.course?.holes) ? round.course.holes : [];
+  const playedTee = getImportedPlayedTee(round);
+
+  return round.holes.map(hole => {
+    const courseHole = courseHoles.find(candidate => candidate.number === hole.number);
+    const holeDetails = {
+      par: hole.par || getHoleParForTee(courseHole, playedTee) || null,
+      distance: getHoleDistance(courseHole, playedTee.name)
+    };
+
+    if (hole.shots) {
+      return {
+        hole_number: hole.number,
+        hole_data: { ...holeDetails, shots: hole.shots },
+        total_score: hole.shots.length
+      };
+    }
+
+    return {
+      hole_number: hole.number,
+      hole_data: {
+        ...holeDetails,
+        shots: [],
+        imported: {
+          score: hole.score,
+          putts: hole.putts,
+          fairway_hit: hole.fairwayHit
+        }
+      },
+      total_score: hole.score
+    };
+  });
+};
+
+/**
+ * Hole numbers to store on an imported round
+ *
+ * @param {object} round - A parsed round
+ * @returns {Array<number>} Sorted hole numbers played
+ */
+export const getImportedHoleNumbers = (round) => normalizeHoleNumbers(round.holes.map(hole => hole.number));
@@ -0,0 +1,251 @@
+// src/utils/roundStats.js
+
+/**
+ * Round Statistics Utilities
+ *
+ * Traditional stats derived from each hole's shot sequence and par:
+ *   - Fairways in regulation: the tee shot on a par 4 or 5 was "On Target"
+ *   - Greens in regulation: on the green (first putt) in par minus two strokes
+ *   - Putts per hole
+ *   - Scrambling: par or better on a hole where the green was missed
+ *   - Up and downs: holed out in two or fewer from a chip or greenside bunker shot
+ *   - Sand saves: up and down from a greenside bunker
+ *   - Penalty strokes
+ *
+ * "Penalties" entries are penalty strokes, so they count towards the
+ * strokes taken to reach the green. Holes with no shots aren't counted.
+ *
+ * Imported holes have no shots, just the score, putts and fairway kept in
+ * hole_data.imported, so only the stats those support are worked out.
+ */
+
+import { normalizeShot } from "./shotModel";
+import { getHolePar } from "./scoring";
+
+// Bunker shots from further than this (in yards) are fairway bunkers, not sand save chances
+const GREENSIDE_BUNKER_YARDS = 30;
+
+/**
+ * Check whether a bunker shot was played from around the green
+ * Shots with no distance recorded are assumed to be greenside.
+ */
+const isGreensideBunkerShot = (shot) => {
+  const normalized = normalizeShot(shot);
+  const isSand = normalized.type === "Sand" || normalized.lie === "sand";
+  return isSand && (normalized.distance_to_target === null || normalized.distance_to_target <= GREENSIDE_BUNKER_YARDS);
+};
+
+/**
+ * Calculate stats for a single hole
+ *
+ * @param {Array<object>} shots - The hole's shots in playing order
+ * @param {number|null} par - The hole's par
+ * @returns {object|null} {
+ *   score, putts, penalties,
+ *   fairwayHit,   // true/false on par 4s and 5s, null on par 3s or without a tee shot
+ *   gir,          // true/false, null when par is unknown
+ *   scrambled,    // true/false when the green was missed, otherwise null
+ *   upAndDown,    // true/false after a chip or greenside bunker shot, otherwise null
+ *   sandSave      // true/false after a greenside bunker shot, otherwise null
+ * } or null if the hole wasn't played
+ */
+export const calculateHoleStats = (shots, par) => {
+  const holeShots = (shots || []).map(normalizeShot);
+  const score = holeShots.length;
+
+  if (score === 0) return null;
+
+  const putts = holeShots.filter(shot => shot.type === "Putts").length;
+  const penalties = holeShots.filter(shot => shot.type === "Penalties").length;
+
+  // Fairway from the first tee shot on par 4s and 5s
+  const teeShot = holeShots.find(shot => shot.type === "Tee Shot");
+  const fairwayHit = par && par >= 4 && teeShot ? teeShot.result === "On Target" : null;
+
+  // Strokes taken to reach the green - holing out from off the green counts every stroke
+  const firstPuttIndex = holeShots.findIndex(shot => shot.type === "Putts");
+  const strokesToGreen = firstPuttIndex === -1 ? score : firstPuttIndex;
+  const gir = par ? strokesToGreen <= par - 2 : null;
+
+  const scrambled = gir === false ? score <= par : null;
+
+  // The last swing before putting decides whether it was an up-and-down chance
+  const lastApproachIndex = firstPuttIndex === -1
+    ? score - 1
+    : firstPuttIndex - 1;
+  const lastApproach = lastApproachIndex >= 0 ? holeShots[lastApproachIndex] : null;
+  const strokesToFinish = score - lastApproachIndex;
+
+  const fromGreensideBunker = lastApproach ? isGreensideBunkerShot(lastApproach) : false;
+  const isShortGameShot = lastApproach && (lastApproach.type === "Chip" || fromGreensideBunker);
+
+  return {
+    score,
+    putts,
+    penalties,
+    fairwayHit,
+    gir,
+    scrambled,
+    upAndDown: isShortGameShot ? strokesToFinish <= 2 : null,
+    sandSave: fromGreensideBunker ? strokesToFinish <= 2 : null
+  };
+};
+
+/**
+ * Calculate stats for an imported hole without a shot sequence
+ *
+ * @param {object} imported - hole_data.imported ({ score, putts, fairway_hit })
+ * @param {number|null} par - The hole's par
+ * @returns {object|null} Stats in the same shape as calculateHoleStats, with
+ *   putts null when they weren't recorded, or null if the hole wasn't played
+ */
+export const calculateImportedHoleStats = (imported, par) => {
+  const score = imported?.score || 0;
+  if (score === 0) return null;
+
+  const putts = Number.isInteger(imported.putts) ? imported.putts : null;
+  const fairwayHit = par && par >= 4 && typeof imported.fairway_hit === "boolean" ? imported.fairway_hit : null;
+  const gir = par && putts !== null ? score - putts <= par - 2 : null;
+
+  return {
+    score,
+    putts,
+    penalties: 0,
+    fairwayHit,
+    gir,
+    scrambled: gir === false ? score <= par : null,
+    upAndDown: null,
+    sandSave: null
+  };
+};
+
+/**
+ * Count made/attempted for a true/false/null stat across holes
+ */
+const tally = (holeStats, field) => {
+  const attempts = holeStats.filter(stats => stats[field] !== null);
+  return {
+    made: attempts.filter(stats => stats[field]).length,
+    attempts: attempts.length
+  };
+};
+
+/**
+ * Calculate stats for a round
+ *
+ * @param {Array<object>} holes - Shots table records ({ hole_number, hole_data })
+ * @param {object} options
+ * @param {Array<object>} options.courseHoles - Course holes JSON, used when hole_data has no par
+ * @param {Array<number>} options.holeNumbers - Holes in the round's range (others are ignored)
+ * @param {object} options.playedTee - { name, category } of the tee played, for course par
+ * @returns {object} {
+ *   holesPlayed,
+ *   fairways,      // { made, attempts }
+ *   greens,        // { made, attempts }
+ *   putts,         // Total putts (null if only imported holes without putts were played)
+ *   puttsPerHole,  // Average putts per hole with putts recorded (null if none)
+ *   scrambling,    // { made, attempts }
+ *   upAndDowns,    // { made, attempts }
+ *   sandSaves,     // { made, attempts }
+ *   penalties,     // Total penalty strokes
+ *   byHole         // Hole stats keyed by hole number
+ * }
+ */
+export const calculateRoundStats = (holes, { courseHoles = null, holeNumbers = null, playedTee = null } = {}) => {
+  const byHole = {};
+
+  (holes || []).forEach(hole => {
+    if (Array.isArray(holeNumbers) && !holeNumbers.includes(hole.hole_number)) {
+      return;
+    }
+
+    const par = getHolePar(hole, courseHoles, playedTee);
+    const hasShots = Array.isArray(hole.hole_data?.shots) && hole.hole_data.shots.length > 0;
+    const stats = !hasShots && hole.hole_data?.imported
+      ? calculateImportedHoleStats(hole.hole_data.imported, par)
+      : calculateHoleStats(hole.hole_data?.shots, par);
+    if (stats) {
+      byHole[hole.hole_number] = stats;
+    }
+  });
+
+  const holeStats = Object.values(byHole);
+  const puttHoles = holeStats.filter(stats => stats.putts !== null);
+  const putts = puttHoles.reduce((total, stats) => total + stats.putts, 0);
+
+  return {
+    holesPlayed: holeStats.length,
+    fairways: tally(holeStats, "fairwayHit"),
+    greens: tally(holeStats, "gir"),
+    putts: puttHoles.length > 0 || holeStats.length === 0 ? putts : null,
+    puttsPerHole: puttHoles.length > 0 ? Math.round((putts / puttHoles.length) * 100) / 100 : null,
+    scrambling: tally(holeStats, "scrambled"),
+    upAndDowns: tally(holeStats, "upAndDown"),
+    sandSaves: tally(holeStats, "sandSave"),
+    penalties: holeStats.reduce((total, stats) => total + stats.penalties, 0),
+    byHole
+  };
+};
+
+/**
+ * Combine stats from several rounds
+ *
+ * @param {Array<object>} roundStats - From calculateRoundStats
+ * @returns {object} Totals in the same shape (without byHole), plus
+ *   rounds and puttsPerRound / penaltiesPerRound averages
+ */
+export const combineRoundStats = (roundStats) => {
+  const rounds = (roundStats || []).filter(stats => stats.holesPlayed > 0);
+
+  const sumTally = (field) => ({
+    made: rounds.reduce((total, stats) => total + stats[field].made, 0),
+    attempts: rounds.reduce((total, stats) => total + stats[field].attempts, 0)
+  });
+
+  const holesPlayed = rounds.reduce((total, stats) => total + stats.holesPlayed, 0);
+
+  // Putting averages only cover rounds where putts were recorded
+  const puttRounds = rounds.filter(stats => stats.putts !== null);
+  const puttHolesPlayed = puttRounds.reduce((total, stats) => total + stats.holesPlayed, 0);
+  const putts = puttRounds.reduce((total, stats) => total + stats.putts, 0);
+  const penalties = rounds.reduce((total, stats) => total + stats.penalties, 0);
+
+  return {
+    rounds: rounds.length,
+    holesPlayed,
+    fairways: sumTally("fairways"),
+    greens: sumTally("greens"),
+    putts,
+    puttsPerHole: puttHolesPlayed > 0 ? Math.round((putts / puttHolesPlayed) * 100) / 100 : null,
+    puttsPerRound: puttRounds.length > 0 ? Math.round((putts / puttRounds.length) * 10) / 10 : null,
+    scrambling: sumTally("scrambling"),
+    upAndDowns: sumTally("upAndDowns"),
+    sandSaves: sumTally("sandSaves"),
+    penalties,
+    penaltiesPerRound: rounds.length > 0 ? Math.round((penalties / rounds.length) * 10) / 10 : null
+  };
+};
+
+/**
+ * Format a made/attempted stat
+ *
+ * @param {object} stat - { made, attempts }
+ * @param {boolean} showPercentage - Include the percentage
+ * @returns {string} e.g. "7/14 (50%)", or "-" with no attempts
+ */
+export const formatStatRatio = (stat, showPercentage = true) => {
+  if (!stat || stat.attempts === 0) return "-";
+  const ratio = `${stat.made}/${stat.attempts}`;
+  return showPercentage ? `${ratio} (${formatStatPercentage(stat)})` : ratio;
+};
+
+/**
+ * Format a made/attempted stat as a percentage
+ *
+ * @param {object} stat - { made, attempts }
+ * @returns {string} e.g. "50%", or "-" with no attempts
+ */
+export const formatStatPercentage = (stat) => {
+  if (!stat || stat.attempts === 0) return "-";
+  return `${Math.round((stat.made / stat.attempts) * 100)}%`;
+};
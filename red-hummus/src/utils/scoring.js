@@ -0,0 +1,129 @@
+// src/utils/scoring.js
+
+/**
+ * Scoring Utilities
+ *
+ * Score-to-par is calculated only from holes that were actually played,
+ * using the par stored in each hole's hole_data. Holes with no shots are
+ * reported separately rather than being counted as zero, so an abandoned
+ * round after 12 holes is scored against the par of those 12 holes.
+ */
+
+import { getHoleParForTee } from "./courseSchema";
+
+/**
+ * Get the number of shots recorded for a hole record
+ *
+ * @param {object} hole - A shots table record ({ hole_number, hole_data, total_score })
+ * @returns {number} Shot count (0 if the hole wasn't played)
+ */
+export const getHoleShotCount = (hole) => {
+  if (!hole) return 0;
+  if (hole.total_score) return hole.total_score;
+  return Array.isArray(hole.hole_data?.shots) ? hole.hole_data.shots.length : 0;
+};
+
+/**
+ * Get the par for a hole record, falling back to the course's hole data
+ *
+ * @param {object} hole - A shots table record
+ * @param {Array<object>|null} courseHoles - The course's holes JSON
+ * @param {object|null} playedTee - { name, category } from getPlayedTee, for forward tees' par
+ * @returns {number|null} The hole's par, or null if unknown
+ */
+export const getHolePar = (hole, courseHoles = null, playedTee = null) => {
+  if (hole?.hole_data?.par) {
+    return hole.hole_data.par;
+  }
+
+  if (Array.isArray(courseHoles)) {
+    const courseHole = courseHoles.find(h => h.number === hole?.hole_number);
+    return getHoleParForTee(courseHole, playedTee);
+  }
+
+  return null;
+};
+
+/**
+ * Calculate gross score and score-to-par from the holes played
+ *
+ * @param {Array<object>} holes - Shots table records ({ hole_number, hole_data, total_score })
+ * @param {object} options
+ * @param {Array<object>} options.courseHoles - Course holes JSON, used when hole_data has no par
+ * @param {Array<number>} options.holeNumbers - Holes in the round's range, used to find unplayed holes
+ * @param {object} options.playedTee - { name, category } from getPlayedTee, for course par on forward tees
+ * @returns {object} {
+ *   grossShots,        // Total shots on holes played
+ *   parPlayed,         // Total par of holes played (with known par)
+ *   scoreToPar,        // Shots minus par on holes played with known par (null if none)
+ *   holesPlayed,       // Number of holes with at least one shot
+ *   unplayedHoles,     // Hole numbers in range with no shots
+ *   holesMissingPar    // Hole numbers played but with no par available
+ * }
+ */
+export const calculateRoundScore = (holes, { courseHoles = null, holeNumbers = null, playedTee = null } = {}) => {
+  let grossShots = 0;
+  let parPlayed = 0;
+  let scoredShots = 0;
+  const playedHoles = [];
+  const holesMissingPar = [];
+
+  (holes || []).forEach(hole => {
+    const shots = getHoleShotCount(hole);
+
+    // Holes with no shots weren't played - exclude rather than count as zero
+    if (shots === 0) {
+      return;
+    }
+
+    grossShots += shots;
+    playedHoles.push(hole.hole_number);
+
+    const par = getHolePar(hole, courseHoles, playedTee);
+    if (par) {
+      parPlayed += par;
+      scoredShots += shots;
+    } else {
+      holesMissingPar.push(hole.hole_number);
+    }
+  });
+
+  const unplayedHoles = Array.isArray(holeNumbers)
+    ? holeNumbers.filter(holeNumber => !playedHoles.includes(holeNumber))
+    : [];
+
+  return {
+    grossShots,
+    parPlayed,
+    scoreToPar: parPlayed > 0 ? scoredShots - parPlayed : null,
+    holesPlayed: playedHoles.length,
+    unplayedHoles,
+    holesMissingPar
+  };
+};
+
+/**
+ * Format a score relative to par for display
+ *
+ * @param {number|null} score - Score relative to par
+ * @returns {string} e.g. "+3", "-2", "E", or "-" when unknown
+ */
+export const formatScoreToPar = (score) => {
+  if (score === null || score === undefined) return "-";
+  if (score === 0) return "E";
+  return score > 0 ? `+${score}` : `${score}`;
+};
+
+/**
+ * Describe how far through a round the player got
+ *
+ * @param {number|null} holesPlayed - Holes with at least one shot
+ * @param {number} holeCount - Holes in the round's range
+ * @returns {string|null} e.g. "Thru 12", or null when all holes were played
+ */
+export const describeHolesPlayed = (holesPlayed, holeCount) => {
+  if (!holesPlayed || holesPlayed >= holeCount) {
+    return null;
+  }
+  return `Thru ${holesPlayed}`;
+};
@@ -0,0 +1,208 @@
+// src/utils/scoringFormats.js
+
+/**
+ * Scoring Format Utilities
+ *
+ * A round is played under one scoring format, chosen at round start and
+ * stored on the round record as `scoring_format`. Stroke play is scored
+ * from gross shots; the points formats are scored hole by hole from the
+ * hole's par and the handicap strokes received on it.
+ *
+ * Unplayed holes (no shots, e.g. picked up) score no points in the
+ * Stableford formats. In par/bogey they count as lost to the course (-1),
+ * as a hole with no score would under the format's rules.
+ */
+
+export const DEFAULT_SCORING_FORMAT = "stroke";
+
+// Scoring format choices offered when starting a round
+export const SCORING_FORMATS = [
+  {
+    key: "stroke",
+    label: "Stroke Play",
+    shortLabel: "Stroke",
+    description: "Count every shot",
+    usesPoints: false
+  },
+  {
+    key: "stableford",
+    label: "Stableford",
+    shortLabel: "Stableford",
+    description: "2 points for a net par, 1 more for each shot better",
+    usesPoints: true
+  },
+  {
+    key: "modified_stableford",
+    label: "Modified Stableford",
+    shortLabel: "Mod. Stableford",
+    description: "Eagle +5, birdie +2, par 0, bogey -1, double bogey or worse -3 (net)",
+    usesPoints: true
+  },
+  {
+    key: "par_bogey",
+    label: "Par / Bogey",
+    shortLabel: "Par/Bogey",
+    description: "Win (+), halve (0) or lose (-) each hole against net par",
+    usesPoints: true
+  },
+  {
+    key: "match_play",
+    label: "Match Play",
+    shortLabel: "Match Play",
+    description: "Head to head against a playing partner, hole by hole",
+    usesPoints: false,
+    requiresOpponent: true
+  }
+];
+
+// Modified Stableford points keyed by net score relative to par
+const MODIFIED_STABLEFORD_POINTS = {
+  "-3": 8,
+  "-2": 5,
+  "-1": 2,
+  "0": 0,
+  "1": -1
+};
+
+// Modified Stableford points for net double bogey or worse
+const MODIFIED_STABLEFORD_WORST = -3;
+
+/**
+ * Look up a scoring format by key
+ *
+ * @param {string} formatKey - A scoring format key
+ * @returns {object} The format, falling back to stroke play for unknown keys
+ */
+export const getScoringFormat = (formatKey) => {
+  return SCORING_FORMATS.find(format => format.key === formatKey)
+    || SCORING_FORMATS.find(format => format.key === DEFAULT_SCORING_FORMAT);
+};
+
+/**
+ * Check whether a scoring format is scored in points
+ *
+ * @param {string} formatKey - A scoring format key
+ * @returns {boolean} True for the Stableford and par/bogey formats
+ */
+export const isPointsFormat = (formatKey) => {
+  return getScoringFormat(formatKey).usesPoints;
+};
+
+/**
+ * Check whether a scoring format is match play
+ *
+ * @param {string} formatKey - A scoring format key
+ * @returns {boolean} True for match play
+ */
+export const isMatchPlayFormat = (formatKey) => {
+  return getScoringFormat(formatKey).key === "match_play";
+};
+
+/**
+ * Calculate the points scored on a single hole
+ *
+ * @param {string} formatKey - A scoring format key
+ * @param {object} hole
+ * @param {number|null} hole.par - The hole's par
+ * @param {number} hole.score - Gross shots on the hole (0 if not played)
+ * @param {number} hole.strokes - Handicap strokes received on the hole
+ * @returns {number|null} Points for the hole, or null for non-points formats or unknown par
+ */
+export const calculateHolePoints = (formatKey, { par, score, strokes = 0 }) => {
+  const format = getScoringFormat(formatKey);
+
+  if (!format.usesPoints || !par) {
+    return null;
+  }
+
+  // A hole with no shots was picked up or not played - no points, or lost in par/bogey
+  if (!score) {
+    return format.key === "par_bogey" ? -1 : 0;
+  }
+
+  const netToPar = score - strokes - par;
+
+  switch (format.key) {
+    case "stableford":
+      return Math.max(0, 2 - netToPar);
+    case "modified_stableford":
+      if (netToPar <= -3) return MODIFIED_STABLEFORD_POINTS["-3"];
+      if (netToPar >= 2) return MODIFIED_STABLEFORD_WORST;
+      return MODIFIED_STABLEFORD_POINTS[String(netToPar)];
+    case "par_bogey":
+      return netToPar < 0 ? 1 : netToPar === 0 ? 0 : -1;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Calculate points for every hole in a round
+ *
+ * @param {string} formatKey - A scoring format key
+ * @param {Array<object>} holes - Holes in the round as { number, par, score }
+ * @param {object} strokesReceived - Handicap strokes keyed by hole number
+ * @returns {object} { total, byHole } where byHole is keyed by hole number
+ *   (total is null for formats not scored in points)
+ */
+export const calculateRoundPoints = (formatKey, holes, strokesReceived = {}) => {
+  if (!isPointsFormat(formatKey)) {
+    return { total: null, byHole: {} };
+  }
+
+  const byHole = {};
+  let total = 0;
+
+  (holes || []).forEach(hole => {
+    const points = calculateHolePoints(formatKey, {
+      par: hole.par,
+      score: hole.score,
+      strokes: (strokesReceived || {})[hole.number] || 0
+    });
+
+    byHole[hole.number] = points;
+    total += points || 0;
+  });
+
+  return { total, byHole };
+};
+
+/**
+ * Format points for display
+ *
+ * Par/bogey results read as a running tally ("2 up", "1 down", "All square");
+ * the Stableford formats show a plain points total.
+ *
+ * @param {string} formatKey - A scoring format key
+ * @param {number|null} points - Points for a hole or round
+ * @returns {string} Display text, or "-" when unknown
+ */
+export const formatPoints = (formatKey, points) => {
+  if (points === null || points === undefined) return "-";
+
+  if (getScoringFormat(formatKey).key === "par_bogey") {
+    if (points === 0) return "All square";
+    return points > 0 ? `${points} up` : `${Math.abs(points)} down`;
+  }
+
+  return `${points} pts`;
+};
+
+/**
+ * Format a single hole's points for a scorecard cell
+ *
+ * @param {string} formatKey - A scoring format key
+ * @param {number|null} points - Points for the hole
+ * @returns {string} e.g. "3", "+", "0", "-"
+ */
+export const formatHolePoints = (formatKey, points) => {
+  if (points === null || points === undefined) return "-";
+
+  if (getScoringFormat(formatKey).key === "par_bogey") {
+    return points > 0 ? "+" : points < 0 ? "−" : "0";
+  }
+
+  return points > 0 && getScoringFormat(formatKey).key === "modified_stableford"
+    ? `+${points}`
+    : `${points}`;
+};
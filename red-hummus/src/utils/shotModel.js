@@ -0,0 +1,183 @@
+// src/utils/shotModel.js
+
+/**
+ * Shot Record Utilities
+ *
+ * Every shot in hole_data.shots has a type and outcome:
+ *   { type, result, timestamp }
+ * Shots can optionally carry more detail, entered after the one-tap
+ * ShotTable entry:
+ *   {
+ *     type, result, timestamp,
+ *     club,                // Club key from CLUBS (e.g. "7i")
+ *     lie,                 // Starting lie key from LIES
+ *     distance_to_target,  // Yards to the target before the shot
+ *     distance_remaining,  // Yards left to the target after the shot
+ *     putt_length          // Feet, for putts
+ *   }
+ * Any detail field may be missing - older shots have none of them - so
+ * read shots through normalizeShot rather than accessing fields directly.
+ */
+
+export const CLUBS = [
+  { key: "driver", label: "Driver" },
+  { key: "3w", label: "3 Wood" },
+  { key: "5w", label: "5 Wood" },
+  { key: "hybrid", label: "Hybrid" },
+  { key: "3i", label: "3 Iron" },
+  { key: "4i", label: "4 Iron" },
+  { key: "5i", label: "5 Iron" },
+  { key: "6i", label: "6 Iron" },
+  { key: "7i", label: "7 Iron" },
+  { key: "8i", label: "8 Iron" },
+  { key: "9i", label: "9 Iron" },
+  { key: "pw", label: "PW" },
+  { key: "gw", label: "GW" },
+  { key: "sw", label: "SW" },
+  { key: "lw", label: "LW" },
+  { key: "putter", label: "Putter" }
+];
+
+export const LIES = [
+  { key: "tee", label: "Tee" },
+  { key: "fairway", label: "Fairway" },
+  { key: "rough", label: "Rough" },
+  { key: "sand", label: "Sand" },
+  { key: "green", label: "Green" },
+  { key: "recovery", label: "Recovery" }
+];
+
+// Detail fields a shot may carry, beyond its type and outcome
+export const SHOT_DETAIL_FIELDS = ["club", "lie", "distance_to_target", "distance_remaining", "putt_length"];
+
+// Most likely starting lie for each shot type, offered as the default
+const SUGGESTED_LIES = {
+  "Tee Shot": "tee",
+  "Putts": "green",
+  "Sand": "sand"
+};
+
+/**
+ * Read a distance field, accepting numbers or numeric strings
+ *
+ * @param {*} value - The stored value
+ * @returns {number|null} A non-negative number, or null if missing or invalid
+ */
+const toDistance = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const distance = Number(value);
+  return Number.isFinite(distance) && distance >= 0 ? distance : null;
+};
+
+/**
+ * Read a shot in either the original or the detailed shape
+ *
+ * @param {object} shot - A shot from hole_data.shots
+ * @returns {object} The shot with every field present
+ *   ({ type, result, timestamp, club, lie, distance_to_target, distance_remaining, putt_length },
+ *   missing details are null)
+ */
+export const normalizeShot = (shot) => {
+  const source = shot || {};
+
+  return {
+    ...source,
+    type: source.type || null,
+    result: source.result || null,
+    timestamp: source.timestamp || null,
+    club: CLUBS.some(club => club.key === source.club) ? source.club : null,
+    lie: LIES.some(lie => lie.key === source.lie) ? source.lie : null,
+    distance_to_target: toDistance(source.distance_to_target),
+    distance_remaining: toDistance(source.distance_remaining),
+    putt_length: toDistance(source.putt_length)
+  };
+};
+
+/**
+ * Check whether a shot has any detail beyond its type and outcome
+ *
+ * @param {object} shot - A shot from hole_data.shots
+ * @returns {boolean} True if any detail field is set
+ */
+export const hasShotDetails = (shot) => {
+  const normalized = normalizeShot(shot);
+  return SHOT_DETAIL_FIELDS.some(field => normalized[field] !== null);
+};
+
+/**
+ * Suggest a starting lie for a shot that doesn't have one
+ *
+ * @param {object} shot - A shot from hole_data.shots
+ * @returns {string|null} A lie key, or null if there's no obvious choice
+ */
+export const suggestLie = (shot) => {
+  return normalizeShot(shot).lie || SUGGESTED_LIES[shot?.type] || null;
+};
+
+/**
+ * Build the detail fields to store on a shot
+ *
+ * Blank or invalid values are dropped, so an unedited shot keeps the
+ * original { type, result, timestamp } shape.
+ *
+ * @param {object} details - Entered details (distances may be strings)
+ * @returns {object} Detail fields with valid values only
+ */
+export const buildShotDetails = (details) => {
+  const normalized = normalizeShot(details);
+  const shotDetails = {};
+
+  SHOT_DETAIL_FIELDS.forEach(field => {
+    if (normalized[field] !== null) {
+      shotDetails[field] = normalized[field];
+    }
+  });
+
+  return shotDetails;
+};
+
+/**
+ * Replace a shot's detail fields, keeping its type, outcome and timestamp
+ *
+ * @param {object} shot - A shot from hole_data.shots
+ * @param {object} details - Entered details
+ * @returns {object} The updated shot
+ */
+export const applyShotDetails = (shot, details) => {
+  const updated = { ...shot };
+  SHOT_DETAIL_FIELDS.forEach(field => {
+    delete updated[field];
+  });
+
+  return { ...updated, ...buildShotDetails(details) };
+};
+
+/**
+ * Describe a shot's details in one line
+ *
+ * @param {object} shot - A shot from hole_data.shots
+ * @returns {string} e.g. "7 Iron • Fairway • 150 → 12 yds" or "Putter • 18 ft" ("" if no details)
+ */
+export const formatShotDetails = (shot) => {
+  const normalized = normalizeShot(shot);
+  const parts = [];
+
+  if (normalized.club) {
+    parts.push(CLUBS.find(club => club.key === normalized.club).label);
+  }
+  if (normalized.lie) {
+    parts.push(LIES.find(lie => lie.key === normalized.lie).label);
+  }
+  if (normalized.distance_to_target !== null && normalized.distance_remaining !== null) {
+    parts.push(`${normalized.distance_to_target} → ${normalized.distance_remaining} yds`);
+  } else if (normalized.distance_to_target !== null) {
+    parts.push(`${normalized.distance_to_target} yds to target`);
+  } else if (normalized.distance_remaining !== null) {
+    parts.push(`${normalized.distance_remaining} yds left`);
+  }
+  if (normalized.putt_length !== null) {
+    parts.push(`${normalized.putt_length} ft`);
+  }
+
+  return parts.join(" • ");
+};
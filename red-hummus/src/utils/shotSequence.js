@@ -0,0 +1,154 @@
+// src/utils/shotSequence.js
+
+/**
+ * Shot Sequence Utilities
+ *
+ * A hole's shots are stored in playing order in hole_data.shots as
+ *   [{ type, result, timestamp }]
+ * (plus any optional details - see shotModel.js).
+ * The sequence is the only record of the hole - ShotTable counts are
+ * derived from it, so editing the sequence can never leave the two out
+ * of step. Every helper returns a new array and leaves its input untouched.
+ */
+
+// Shot types and outcomes recorded by the tracker, in ShotTable order
+export const SHOT_TYPES = ["Tee Shot", "Long Shot", "Approach", "Chip", "Putts", "Sand", "Penalties"];
+export const SHOT_OUTCOMES = ["On Target", "Slightly Off", "Recovery Needed"];
+
+/**
+ * Count shots by type and outcome for the ShotTable
+ *
+ * @param {Array<object>} shots - The hole's shots in playing order
+ * @returns {object} Counts keyed by type, then outcome
+ */
+export const deriveShotCounts = (shots) => {
+  const shotCounts = {};
+  SHOT_TYPES.forEach(type => {
+    shotCounts[type] = {};
+    SHOT_OUTCOMES.forEach(outcome => {
+      shotCounts[type][outcome] = 0;
+    });
+  });
+
+  (shots || []).forEach(shot => {
+    if (shotCounts[shot.type] && shotCounts[shot.type][shot.result] !== undefined) {
+      shotCounts[shot.type][shot.result] += 1;
+    }
+  });
+
+  return shotCounts;
+};
+
+/**
+ * Add a shot to the end of the sequence
+ *
+ * @param {Array<object>} shots - The hole's shots
+ * @param {string} type - Shot type
+ * @param {string} outcome - Shot outcome
+ * @returns {Array<object>} The new sequence
+ */
+export const appendShot = (shots, type, outcome) => {
+  return [...(shots || []), {
+    type,
+    result: outcome,
+    timestamp: new Date().toISOString()
+  }];
+};
+
+/**
+ * Remove the most recent shot of a type and outcome
+ *
+ * @param {Array<object>} shots - The hole's shots
+ * @param {string} type - Shot type
+ * @param {string} outcome - Shot outcome
+ * @returns {Array<object>} The new sequence (the original array if there was no such shot)
+ */
+export const removeLastShot = (shots, type, outcome) => {
+  const reversedIndex = [...(shots || [])].reverse().findIndex(
+    shot => shot.type === type && shot.result === outcome
+  );
+
+  if (reversedIndex === -1) {
+    return shots;
+  }
+
+  return deleteShot(shots, shots.length - 1 - reversedIndex);
+};
+
+/**
+ * Move a shot to a new position in the sequence
+ *
+ * @param {Array<object>} shots - The hole's shots
+ * @param {number} fromIndex - Current position of the shot
+ * @param {number} toIndex - Position to move it to
+ * @returns {Array<object>} The new sequence (the original array if the move is out of range)
+ */
+export const moveShot = (shots, fromIndex, toIndex) => {
+  if (
+    fromIndex === toIndex ||
+    fromIndex < 0 || fromIndex >= shots.length ||
+    toIndex < 0 || toIndex >= shots.length
+  ) {
+    return shots;
+  }
+
+  const reordered = [...shots];
+  const [shot] = reordered.splice(fromIndex, 1);
+  reordered.splice(toIndex, 0, shot);
+  return reordered;
+};
+
+/**
+ * Check whether two shots have the same fields and values
+ */
+const isSameShot = (a, b) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+/**
+ * Replace a shot in the sequence
+ *
+ * @param {Array<object>} shots - The hole's shots
+ * @param {number} index - Position of the shot
+ * @param {object} shot - The new shot record
+ * @returns {Array<object>} The new sequence (the original array if nothing changed)
+ */
+export const replaceShot = (shots, index, shot) => {
+  if (!shots[index] || isSameShot(shots[index], shot)) {
+    return shots;
+  }
+
+  return shots.map((existing, position) => position === index ? shot : existing);
+};
+
+/**
+ * Change a shot's type and/or outcome
+ *
+ * @param {Array<object>} shots - The hole's shots
+ * @param {number} index - Position of the shot
+ * @param {object} changes - { type, result } - either may be omitted
+ * @returns {Array<object>} The new sequence (the original array if nothing changed)
+ */
+export const updateShot = (shots, index, changes) => {
+  if (!shots[index]) {
+    return shots;
+  }
+
+  return replaceShot(shots, index, { ...shots[index], ...changes });
+};
+
+/**
+ * Delete a shot from the sequence
+ *
+ * @param {Array<object>} shots - The hole's shots
+ * @param {number} index - Position of the shot
+ * @returns {Array<object>} The new sequence (the original array if out of range)
+ */
+export const deleteShot = (shots, index) => {
+  if (index < 0 || index >= shots.length) {
+    return shots;
+  }
+
+  return shots.filter((shot, position) => position !== index);
+};
@@ -0,0 +1,405 @@
+// src/utils/strokesGained.js
+
+/**
+ * Strokes Gained Utilities
+ *
+ * Strokes gained compares each shot with a baseline golfer. The baseline
+ * says how many strokes it expects to take to hole out from a lie and
+ * distance; a shot gains the drop in expected strokes, less the one stroke
+ * it took (and any penalty strokes that followed it):
+ *
+ *   SG = expected(start) - expected(end) - 1 - penalties
+ *
+ * Shots are grouped into the four standard categories - off the tee,
+ * approach, around the green and putting - and summed per round.
+ *
+ * Only shots whose start and end can be placed (a lie and a distance) are
+ * measured, so rounds recorded without shot details (see shotModel.js)
+ * simply have fewer shots measured rather than wrong numbers.
+ *
+ * Distances are in yards, except on the green where they are in feet.
+ */
+
+import { normalizeShot, suggestLie } from "./shotModel";
+import { getHolePar } from "./scoring";
+
+export const SG_CATEGORIES = [
+  { key: "off_the_tee", label: "Off the Tee" },
+  { key: "approach", label: "Approach" },
+  { key: "around_the_green", label: "Around the Green" },
+  { key: "putting", label: "Putting" }
+];
+
+// Shots from inside this many yards (off the green) are around the green
+const AROUND_THE_GREEN_YARDS = 30;
+
+// Expected strokes to hole out for a scratch golfer, as [distance, strokes]
+// rows in increasing distance. Yards for every lie except the green (feet).
+const SCRATCH_EXPECTED_STROKES = {
+  tee: [
+    [100, 2.92], [120, 2.99], [140, 2.97], [160, 2.99], [180, 3.05], [200, 3.12],
+    [220, 3.17], [240, 3.25], [260, 3.45], [280, 3.65], [300, 3.71], [320, 3.79],
+    [340, 3.86], [360, 3.92], [380, 3.96], [400, 3.99], [420, 4.02], [440, 4.08],
+    [460, 4.17], [480, 4.28], [500, 4.41], [520, 4.54], [540, 4.65], [560, 4.74],
+    [580, 4.79], [600, 4.82]
+  ],
+  fairway: [
+    [0, 1.00], [10, 2.18], [20, 2.40], [40, 2.60], [60, 2.70], [80, 2.75], [100, 2.80],
+    [120, 2.85], [140, 2.91], [160, 2.98], [180, 3.08], [200, 3.19], [220, 3.32],
+    [240, 3.45], [260, 3.58], [280, 3.69], [300, 3.78], [350, 4.00], [400, 4.20],
+    [450, 4.40], [500, 4.60]
+  ],
+  rough: [
+    [0, 1.00], [10, 2.34], [20, 2.59], [40, 2.78], [60, 2.91], [80, 2.96], [100, 3.02],
+    [120, 3.08], [140, 3.15], [160, 3.23], [180, 3.31], [200, 3.42], [220, 3.53],
+    [240, 3.64], [260, 3.74], [280, 3.83], [300, 3.90], [350, 4.10], [400, 4.30],
+    [450, 4.50], [500, 4.70]
+  ],
+  sand: [
+    [0, 1.00], [10, 2.43], [20, 2.53], [40, 2.82], [60, 3.15], [80, 3.24], [100, 3.23],
+    [120, 3.21], [140, 3.22], [160, 3.28], [180, 3.40], [200, 3.55], [220, 3.70],
+    [240, 3.84], [260, 3.93], [280, 4.00], [300, 4.04]
+  ],
+  recovery: [
+    [0, 1.00], [20, 3.00], [50, 3.30], [100, 3.80], [150, 3.85], [200, 3.90],
+    [250, 4.05], [300, 4.30], [400, 4.60], [500, 4.90]
+  ],
+  green: [
+    [0, 1.00], [1, 1.00], [2, 1.01], [3, 1.04], [4, 1.13], [5, 1.23], [6, 1.34],
+    [7, 1.42], [8, 1.50], [9, 1.56], [10, 1.61], [15, 1.78], [20, 1.87], [30, 1.98],
+    [40, 2.06], [50, 2.14], [60, 2.21], [90, 2.40]
+  ]
+};
+
+/**
+ * Baselines to compare against
+ *
+ * Handicap bracket baselines are scaled from the scratch tables: the
+ * strokes expected beyond holing out are increased by a factor for each
+ * lie, so the gap widens with distance and difficulty while a tap-in
+ * stays at one stroke for everyone.
+ */
+export const SG_BASELINES = [
+  {
+    key: "scratch",
+    label: "Scratch",
+    maxHandicap: 2.5,
+    factors: { tee: 0, fairway: 0, rough: 0, sand: 0, recovery: 0, green: 0 }
+  },
+  {
+    key: "hcp_5",
+    label: "5 Handicap",
+    maxHandicap: 7.5,
+    factors: { tee: 0.05, fairway: 0.06, rough: 0.07, sand: 0.09, recovery: 0.05, green: 0.04 }
+  },
+  {
+    key: "hcp_10",
+    label: "10 Handicap",
+    maxHandicap: 12.5,
+    factors: { tee: 0.10, fairway: 0.13, rough: 0.15, sand: 0.18, recovery: 0.10, green: 0.08 }
+  },
+  {
+    key: "hcp_15",
+    label: "15 Handicap",
+    maxHandicap: 17.5,
+    factors: { tee: 0.16, fairway: 0.20, rough: 0.23, sand: 0.28, recovery: 0.15, green: 0.12 }
+  },
+  {
+    key: "hcp_20",
+    label: "20 Handicap",
+    maxHandicap: 22.5,
+    factors: { tee: 0.22, fairway: 0.27, rough: 0.31, sand: 0.38, recovery: 0.20, green: 0.16 }
+  },
+  {
+    key: "hcp_25",
+    label: "25 Handicap",
+    maxHandicap: Infinity,
+    factors: { tee: 0.28, fairway: 0.34, rough: 0.39, sand: 0.48, recovery: 0.25, green: 0.20 }
+  }
+];
+
+export const DEFAULT_SG_BASELINE = "scratch";
+
+/**
+ * Look up a baseline by key
+ *
+ * @param {string} baselineKey - A baseline key
+ * @returns {object} The baseline, falling back to scratch for unknown keys
+ */
+export const getBaseline = (baselineKey) => {
+  return SG_BASELINES.find(baseline => baseline.key === baselineKey)
+    || SG_BASELINES.find(baseline => baseline.key === DEFAULT_SG_BASELINE);
+};
+
+/**
+ * Choose the baseline bracket nearest a handicap index
+ *
+ * @param {number|null} handicapIndex - The player's handicap index
+ * @returns {string} A baseline key (scratch when the index isn't known)
+ */
+export const getBaselineForHandicap = (handicapIndex) => {
+  if (handicapIndex === null || handicapIndex === undefined) {
+    return DEFAULT_SG_BASELINE;
+  }
+
+  return SG_BASELINES.find(baseline => handicapIndex <= baseline.maxHandicap).key;
+};
+
+/**
+ * Interpolate a table of [distance, strokes] rows
+ * Distances beyond either end of the table use the end row.
+ */
+const interpolate = (table, distance) => {
+  if (distance <= table[0][0]) return table[0][1];
+
+  for (let i = 1; i < table.length; i++) {
+    const [upperDistance, upperStrokes] = table[i];
+    if (distance <= upperDistance) {
+      const [lowerDistance, lowerStrokes] = table[i - 1];
+      const fraction = (distance - lowerDistance) / (upperDistance - lowerDistance);
+      return lowerStrokes + fraction * (upperStrokes - lowerStrokes);
+    }
+  }
+
+  return table[table.length - 1][1];
+};
+
+/**
+ * Expected strokes to hole out from a lie and distance
+ *
+ * @param {string} lie - A lie key from shotModel's LIES
+ * @param {number} distance - Yards to the hole (feet on the green)
+ * @param {string} baselineKey - Baseline to use
+ * @returns {number|null} Expected strokes, or null if the lie or distance is unknown
+ */
+export const getExpectedStrokes = (lie, distance, baselineKey = DEFAULT_SG_BASELINE) => {
+  const table = SCRATCH_EXPECTED_STROKES[lie];
+  if (!table || distance === null || distance === undefined || distance < 0) {
+    return null;
+  }
+
+  const factor = getBaseline(baselineKey).factors[lie] || 0;
+  const scratchStrokes = interpolate(table, distance);
+  return 1 + (scratchStrokes - 1) * (1 + factor);
+};
+
+/**
+ * Work out where a shot was played from
+ *
+ * @param {object} shot - A shot from hole_data.shots
+ * @param {boolean} isFirstShot - Whether this is the hole's first shot
+ * @param {number|null} holeDistance - The hole's length in yards (for tee shots)
+ * @returns {object|null} { lie, distance } (distance in feet on the green), or null if unknown
+ */
+const getShotStart = (shot, isFirstShot, holeDistance) => {
+  const normalized = normalizeShot(shot);
+  const lie = normalized.lie || (isFirstShot ? "tee" : suggestLie(shot));
+
+  if (!lie) return null;
+
+  if (lie === "green") {
+    if (normalized.putt_length !== null) {
+      return { lie, distance: normalized.putt_length };
+    }
+    return normalized.distance_to_target !== null
+      ? { lie, distance: normalized.distance_to_target * 3 }
+      : null;
+  }
+
+  if (normalized.distance_to_target !== null) {
+    return { lie, distance: normalized.distance_to_target };
+  }
+
+  // A tee shot with no distance entered is played from the hole's full length
+  return lie === "tee" && isFirstShot && holeDistance ? { lie, distance: holeDistance } : null;
+};
+
+/**
+ * Put a shot into one of the strokes gained categories
+ *
+ * @param {object} start - { lie, distance } where the shot was played from
+ * @param {number|null} par - The hole's par
+ * @returns {string} A category key
+ */
+export const categorizeShot = (start, par) => {
+  if (start.lie === "green") return "putting";
+  if (start.lie === "tee" && par !== 3) return "off_the_tee";
+  if (start.distance <= AROUND_THE_GREEN_YARDS) return "around_the_green";
+  return "approach";
+};
+
+/**
+ * Round a strokes gained value to two decimal places
+ */
+const roundStrokesGained = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Empty totals for each category
+ */
+const emptyCategoryTotals = () => {
+  const totals = {};
+  SG_CATEGORIES.forEach(category => {
+    totals[category.key] = 0;
+  });
+  return totals;
+};
+
+/**
+ * Calculate strokes gained for every measurable shot on a hole
+ *
+ * "Penalties" entries are penalty strokes rather than swings; they're
+ * charged to the shot played before them.
+ *
+ * @param {Array<object>} shots - The hole's shots in playing order
+ * @param {object} hole - { par, distance } for the hole
+ * @param {string} baselineKey - Baseline to compare against
+ * @returns {object} { shots, byCategory, total, shotsMeasured }
+ *   where shots are { index, category, strokesGained } for measured shots
+ */
+export const calculateHoleStrokesGained = (shots, { par = null, distance = null } = {}, baselineKey = DEFAULT_SG_BASELINE) => {
+  const byCategory = emptyCategoryTotals();
+  const measured = [];
+  const allShots = shots || [];
+
+  // Swings in order, with the penalty strokes that followed each one
+  const swings = [];
+  allShots.forEach((shot, index) => {
+    if (shot?.type === "Penalties") {
+      if (swings.length > 0) {
+        swings[swings.length - 1].penalties += 1;
+      }
+      return;
+    }
+    swings.push({ shot, index, penalties: 0 });
+  });
+
+  swings.forEach((swing, position) => {
+    const start = getShotStart(swing.shot, position === 0, distance);
+    if (!start) return;
+
+    // The last swing holes out; otherwise the shot ends where the next one starts
+    let endStrokes = 0;
+    if (position < swings.length - 1) {
+      const nextShot = swings[position + 1].shot;
+      let end = getShotStart(nextShot, false, null);
+
+      // Fall back on the distance left recorded with this shot
+      const remaining = normalizeShot(swing.shot).distance_remaining;
+      const nextLie = normalizeShot(nextShot).lie || suggestLie(nextShot);
+      if (!end && remaining !== null && nextLie) {
+        end = { lie: nextLie, distance: nextLie === "green" ? remaining * 3 : remaining };
+      }
+
+      if (!end) return;
+      endStrokes = getExpectedStrokes(end.lie, end.distance, baselineKey);
+    }
+
+    const startStrokes = getExpectedStrokes(start.lie, start.distance, baselineKey);
+    if (startStrokes === null || endStrokes === null) return;
+
+    const category = categorizeShot(start, par);
+    const strokesGained = startStrokes - endStrokes - 1 - swing.penalties;
+
+    byCategory[category] += strokesGained;
+    measured.push({ index: swing.index, category, strokesGained });
+  });
+
+  return {
+    shots: measured,
+    byCategory,
+    total: measured.reduce((total, shot) => total + shot.strokesGained, 0),
+    shotsMeasured: measured.length
+  };
+};
+
+/**
+ * Calculate strokes gained for a round
+ *
+ * @param {Array<object>} holeRecords - Shots table records ({ hole_number, hole_data })
+ * @param {Array<object>} courseHoles - The course's holes JSON (for par when hole_data lacks it)
+ * @param {string} baselineKey - Baseline to compare against
+ * @returns {object} { byCategory, total, shotsMeasured, holesMeasured }
+ *   (byCategory values are null for categories with no measured shots)
+ */
+export const calculateRoundStrokesGained = (holeRecords, courseHoles = null, baselineKey = DEFAULT_SG_BASELINE) => {
+  const byCategory = emptyCategoryTotals();
+  const shotsPerCategory = emptyCategoryTotals();
+  let shotsMeasured = 0;
+  let holesMeasured = 0;
+
+  (holeRecords || []).forEach(record => {
+    const hole = calculateHoleStrokesGained(
+      record.hole_data?.shots,
+      { par: getHolePar(record, courseHoles), distance: record.hole_data?.distance || null },
+      baselineKey
+    );
+
+    if (hole.shotsMeasured === 0) return;
+
+    holesMeasured += 1;
+    shotsMeasured += hole.shotsMeasured;
+    hole.shots.forEach(shot => {
+      byCategory[shot.category] += shot.strokesGained;
+      shotsPerCategory[shot.category] += 1;
+    });
+  });
+
+  SG_CATEGORIES.forEach(category => {
+    byCategory[category.key] = shotsPerCategory[category.key] > 0
+      ? roundStrokesGained(byCategory[category.key])
+      : null;
+  });
+
+  return {
+    byCategory,
+    total: shotsMeasured > 0
+      ? roundStrokesGained(Object.values(byCategory).reduce((total, value) => total + (value || 0), 0))
+      : null,
+    shotsMeasured,
+    holesMeasured
+  };
+};
+
+/**
+ * Average strokes gained per round over several rounds
+ *
+ * Each category is averaged over the rounds where it was measured.
+ *
+ * @param {Array<object>} roundResults - From calculateRoundStrokesGained
+ * @returns {object} { byCategory, total, roundsMeasured }
+ */
+export const averageStrokesGained = (roundResults) => {
+  const measuredRounds = (roundResults || []).filter(result => result.shotsMeasured > 0);
+  const byCategory = {};
+
+  SG_CATEGORIES.forEach(category => {
+    const values = measuredRounds
+      .map(result => result.byCategory[category.key])
+      .filter(value => value !== null);
+    byCategory[category.key] = values.length > 0
+      ? roundStrokesGained(values.reduce((total, value) => total + value, 0) / values.length)
+      : null;
+  });
+
+  const totals = measuredRounds.map(result => result.total);
+
+  return {
+    byCategory,
+    total: totals.length > 0
+      ? roundStrokesGained(totals.reduce((total, value) => total + value, 0) / totals.length)
+      : null,
+    roundsMeasured: measuredRounds.length
+  };
+};
+
+/**
+ * Format a strokes gained value for display
+ *
+ * @param {number|null} value - Strokes gained
+ * @returns {string} e.g. "+1.25", "-0.40", "0.00", or "-" when unknown
+ */
+export const formatStrokesGained = (value) => {
+  if (value === null || value === undefined) return "-";
+  const fixed = value.toFixed(2);
+  return value > 0 ? `+${fixed}` : fixed === "-0.00" ? "0.00" : fixed;
+};